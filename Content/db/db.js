@@ -1,1186 +1,4571 @@
-/* ---------- Dexie Database Configuration ---------- */
-// Import Dexie (eğer module olarak kullanılıyorsa)
-// import Dexie from './dexie.js';
-
-/* ---------- Database Constants ---------- */
-const DB_NAME = 'NoteFlixDB';
-const DB_VERSION = 140;
-
-/* ---------- Store Names ---------- */
-const STORE_NAME = 'notes';
-const COMMENTS_STORE_NAME = 'comments';
-const FOLDERS_STORE_NAME = 'folders';
-const TAGS_STORE_NAME = 'tags';
-
-/* ---------- Global Database Instance ---------- */
-let db = null;
-
-/* ---------- Initialize Database with Dexie ---------- */
-function initDB() {
-	return new Promise((resolve, reject) => {
-		try {
-			// Create Dexie instance
-			db = new Dexie(DB_NAME);
-
-			// Define database schema
-			db.version(DB_VERSION).stores({
-				// Notes store
-				notes: '++id, title, createdAt, updatedAt, isFavorite, isArchived, isDeleted, reminderDateTime, folderId, parentNoteId',
-				
-				// Comments store
-				comments: '++id, noteId, author, createdAt, updatedAt',
-				
-				// Folders store
-				folders: '++id, name, createdAt, updatedAt',
-				
-				// Tags store
-				tags: '++id, name, createdAt, updatedAt'
-			});
-
-			// Open database
-			db.open()
-				.then(() => {
-					console.log('✅ Database initialized successfully with Dexie');
-					console.log('📊 Database Name:', DB_NAME);
-					console.log('📌 Version:', DB_VERSION);
-					console.log('📁 Stores:', Object.keys(db._dbSchema));
-					resolve(db);
-				})
-				.catch((error) => {
-					console.error('❌ Error opening database:', error);
-					reject(error);
-				});
-
-		} catch (error) {
-			console.error('❌ Error initializing database:', error);
-			reject(error);
-		}
-	});
-}
-
-/* ---------- Get Database Instance ---------- */
-function getDB() {
-	if (!db) {
-		console.warn('⚠️ Database not initialized. Call initDB() first.');
-		return null;
-	}
-	return db;
-}
-
-/* ---------- Check if Database is Ready ---------- */
-function isDBReady() {
-	return db !== null && db.isOpen();
-}
-
-/* ---------- Close Database ---------- */
-function closeDB() {
-	if (db && db.isOpen()) {
-		db.close();
-		console.log('🔒 Database closed');
-	}
-}
-
-/* ---------- Export for Global Access ---------- */
-// Make functions available globally
-window.initDB = initDB;
-window.getDB = getDB;
-window.isDBReady = isDBReady;
-window.closeDB = closeDB;
-
-// Export constants
-window.DB_NAME = DB_NAME;
-window.DB_VERSION = DB_VERSION;
-window.STORE_NAME = STORE_NAME;
-window.COMMENTS_STORE_NAME = COMMENTS_STORE_NAME;
-window.FOLDERS_STORE_NAME = FOLDERS_STORE_NAME;
-window.TAGS_STORE_NAME = TAGS_STORE_NAME;
-
-// Export db instance getter
-Object.defineProperty(window, 'db', {
-	get: function() {
-		return db;
-	},
-	set: function(value) {
-		db = value;
-	}
-});
-
-console.log('📦 Database module loaded successfully');
-
-/* ---------- Notes Query Functions ---------- */
-
-/**
- * Get notes with flexible filtering and sorting options
- * @param {Object} options - Query options
- * @returns {Promise<Array>} Filtered and sorted notes
- */
-async function getNotesWithFilters(options = {}) {
-	if (!db) await initDB();
-
-	const {
-		// Basic filters
-		includeArchived = false,
-		includeDeleted = false,
-		onlyFavorites = false,
-		onlyArchived = false,
-		onlyDeleted = false,
-		
-		// Advanced filters (for loadNotes)
-		hasOverdue = false,
-		hasDueDate = false,
-		hasColor = false,
-		hasReminder = false,
-		hasParentNote = false,
-		hasComments = false,
-		hasFolder = false,
-		
-		// Sorting
-		sortBy = 'updated', // 'title', 'created', 'updated'
-		sortDirection = 'desc', // 'asc', 'desc'
-		
-		// External dependencies
-		getCommentsByNoteIdFunc = null // For comments filter
-	} = options;
-
-	try {
-		// Get all notes using Dexie
-		let notes = await db.notes.toArray();
-
-		// Apply basic filters
-		if (!includeArchived && !onlyArchived) {
-			notes = notes.filter(note => note.isArchived !== true);
-		}
-		if (!includeDeleted) {
-			notes = notes.filter(note => note.isDeleted !== true);
-		}
-
-		// Only favorites filter
-		if (onlyFavorites) {
-			notes = notes.filter(note => note.isFavorite && !note.isArchived && !note.isDeleted);
-		}
-
-		// Only archived filter
-		if (onlyArchived) {
-			notes = notes.filter(note => note.isArchived && !note.isDeleted);
-		}
-
-		// Only deleted filter
-		if (onlyDeleted) {
-			notes = notes.filter(note => note.isDeleted);
-		}
-
-		// Advanced filters
-		if (hasOverdue) {
-			const today = new Date();
-			today.setHours(0, 0, 0, 0);
-			
-			notes = notes.filter(note => {
-				if (!note.dueDate) return false;
-				const dueDate = new Date(note.dueDate);
-				dueDate.setHours(0, 0, 0, 0);
-				return dueDate < today;
-			});
-		}
-
-		if (hasDueDate) {
-			notes = notes.filter(note => note.dueDate);
-		}
-
-		if (hasColor) {
-			notes = notes.filter(note => note.bgColor);
-		}
-
-		if (hasReminder) {
-			notes = notes.filter(note => note.reminderDateTime);
-		}
-
-		if (hasParentNote) {
-			notes = notes.filter(note => note.parentNoteId);
-		}
-
-		if (hasFolder) {
-			notes = notes.filter(note => note.folderId);
-		}
-
-		// Comments filter (requires external function)
-		if (hasComments && getCommentsByNoteIdFunc) {
-			const notesWithComments = [];
-			for (const note of notes) {
-				try {
-					const comments = await getCommentsByNoteIdFunc(note.id);
-					if (comments && comments.length > 0) {
-						notesWithComments.push(note);
-					}
-				} catch (error) {
-					console.error('Error checking comments for note:', note.id, error);
-				}
-			}
-			notes = notesWithComments;
-		}
-
-		// Apply sorting
-		notes = applySorting(notes, sortBy, sortDirection);
-
-		return notes;
-
-	} catch (error) {
-		console.error('❌ Error getting filtered notes:', error);
-		throw error;
-	}
-}
-
-/**
- * Helper function to apply sorting to notes array
- * @param {Array} notes - Notes array to sort
- * @param {String} sortBy - Sort field ('title', 'created', 'updated')
- * @param {String} sortDirection - Sort direction ('asc', 'desc')
- * @returns {Array} Sorted notes
- */
-function applySorting(notes, sortBy, sortDirection) {
-	const sorted = [...notes]; // Create a copy to avoid mutation
-
-	switch (sortBy) {
-		case 'title':
-			sorted.sort((a, b) => {
-				const comparison = (a.title || '').localeCompare(b.title || '');
-				return sortDirection === 'desc' ? -comparison : comparison;
-			});
-			break;
-		case 'created':
-			sorted.sort((a, b) => {
-				const comparison = new Date(b.createdAt || b.updatedAt) - new Date(a.createdAt || a.updatedAt);
-				return sortDirection === 'desc' ? comparison : -comparison;
-			});
-			break;
-		case 'updated':
-		default:
-			sorted.sort((a, b) => {
-				const comparison = new Date(b.updatedAt) - new Date(a.updatedAt);
-				return sortDirection === 'desc' ? comparison : -comparison;
-			});
-			break;
-	}
-
-	return sorted;
-}
-
-/* ---------- Folder Functions ---------- */
-
-/**
- * Get folder by ID
- * @param {Number} folderId - Folder ID
- * @returns {Promise<Object>} Folder object
- */
-async function getFolderById(folderId) {
-	if (!db) await initDB();
-
-	try {
-		const folder = await db.folders.get(folderId);
-		return folder;
-	} catch (error) {
-		console.error('❌ Error getting folder by ID:', error);
-		throw error;
-	}
-}
-
-/**
- * Get all folders
- * @returns {Promise<Array>} Array of folders
- */
-async function getAllFolders() {
-	if (!db) await initDB();
-
-	try {
-		const folders = await db.folders.toArray();
-		return folders;
-	} catch (error) {
-		console.error('❌ Error getting all folders:', error);
-		throw error;
-	}
-}
-
-/**
- * Get all tags
- * @returns {Promise<Array>} Array of tags
- */
-async function getAllTags() {
-	if (!db) await initDB();
-
-	try {
-		const tags = await db.tags.toArray();
-		return tags;
-	} catch (error) {
-		console.error('❌ Error getting all tags:', error);
-		throw error;
-	}
-}
-
-/**
- * Get all notes (for counting purposes)
- * @returns {Promise<Array>} Array of all notes
- */
-async function getAllNotesForCounting() {
-	if (!db) await initDB();
-
-	try {
-		const notes = await db.notes.toArray();
-		return notes;
-	} catch (error) {
-		console.error('❌ Error getting all notes for counting:', error);
-		throw error;
-	}
-}
-
-/**
- * Get all notes (alias for getAllNotesForCounting)
- * @returns {Promise<Array>} Array of all notes
- */
-async function getAllNotes() {
-	if (!db) await initDB();
-
-	try {
-		const notes = await db.notes.toArray();
-		return notes;
-	} catch (error) {
-		console.error('❌ Error getting all notes:', error);
-		throw error;
-	}
-}
-
-/**
- * Get note by ID
- * @param {Number} noteId - Note ID
- * @returns {Promise<Object>} Note object
- */
-async function getNoteById(noteId) {
-	if (!db) await initDB();
-
-	try {
-		const note = await db.notes.get(noteId);
-		return note;
-	} catch (error) {
-		console.error('❌ Error getting note by ID:', error);
-		throw error;
-	}
-}
-
-/**
- * Get current displayed notes (filtered based on current view)
- * @returns {Promise<Array>} Array of filtered notes
- */
-async function getCurrentDisplayedNotes() {
-	if (!db) await initDB();
-
-	try {
-		let notes = await db.notes.toArray();
-
-		// Arşivlenmiş ve silinmiş notları filtrele
-		notes = notes.filter(note => note.isArchived !== true && note.isDeleted !== true);
-
-		// Hedef tarihi geçmiş notları filtrele (eğer toggle aktifse)
-		if (window.showOverdueOnly) {
-			const today = new Date();
-			today.setHours(0, 0, 0, 0);
-
-			notes = notes.filter(note => {
-				if (!note.dueDate) return false;
-				const dueDate = new Date(note.dueDate);
-				dueDate.setHours(0, 0, 0, 0);
-				return dueDate < today;
-			});
-		}
-
-		// Hedef tarihi olan notları filtrele (eğer toggle aktifse)
-		if (window.showHasDueDateOnly) {
-			notes = notes.filter(note => note.dueDate);
-		}
-
-		// Renk atanmış notları filtrele (eğer toggle aktifse)
-		if (window.showHasColorOnly) {
-			notes = notes.filter(note => note.bgColor);
-		}
-
-		// Hatırlatıcısı olan notları filtrele (eğer toggle aktifse)
-		if (window.showHasReminderOnly) {
-			notes = notes.filter(note => note.reminderDateTime);
-		}
-
-		// Üst not seçili olan notları filtrele (eğer toggle aktifse)
-		if (window.showHasParentNoteOnly) {
-			notes = notes.filter(note => note.parentNoteId);
-		}
-
-		// Klasör bilgisi olan notları filtrele (eğer toggle aktifse)
-		if (window.showHasFolderInfoOnly) {
-			notes = notes.filter(note => note.folderId);
-		}
-
-		// Apply sorting based on current sort option and direction
-		if (window.currentSortOption && window.currentSortDirection) {
-			notes = applySorting(notes, window.currentSortOption, window.currentSortDirection);
-		}
-
-		return notes;
-	} catch (error) {
-		console.error('❌ Error getting current displayed notes:', error);
-		throw error;
-	}
-}
-
-/**
- * Get notes with reminders for checking
- * @returns {Promise<Array>} Array of notes with reminders
- */
-async function getNotesWithReminders() {
-	if (!db) await initDB();
-
-	try {
-		const notes = await db.notes.toArray();
-		
-		// Only get notes that have reminders and are not deleted
-		const notesWithReminders = notes.filter(note => 
-			note.reminderDateTime && 
-			note.isDeleted !== true
-		);
-
-		return notesWithReminders;
-	} catch (error) {
-		console.error('❌ Error getting notes with reminders:', error);
-		throw error;
-	}
-}
-
-/**
- * Get selectable parent notes (not deleted, not archived, excluding current note)
- * @param {Number} excludeNoteId - Note ID to exclude (current note)
- * @returns {Promise<Array>} Array of selectable notes
- */
-async function getSelectableParentNotes(excludeNoteId) {
-	if (!db) await initDB();
-
-	try {
-		let notes = await db.notes.toArray();
-		
-		// Filter: not deleted, not archived, not current note
-		notes = notes.filter(note =>
-			note.isDeleted !== true &&
-			note.isArchived !== true &&
-			note.id !== excludeNoteId
-		);
-
-		// Sort by title
-		notes.sort((a, b) => (a.title || '').localeCompare(b.title || ''));
-
-		return notes;
-	} catch (error) {
-		console.error('❌ Error getting selectable parent notes:', error);
-		throw error;
-	}
-}
-
-/* ---------- Notes CRUD Functions ---------- */
-
-/**
- * Create a new note
- * @param {Object} noteData - Note data
- * @returns {Promise<Number>} Created note ID
- */
-async function createNote(noteData) {
-	if (!db) await initDB();
-
-	try {
-		const id = await db.notes.add(noteData);
-		console.log('✅ Note created with ID:', id);
-		return id;
-	} catch (error) {
-		console.error('❌ Error creating note:', error);
-		throw error;
-	}
-}
-
-/**
- * Update an existing note
- * @param {Number} id - Note ID
- * @param {Object} noteData - Note data (must include id)
- * @returns {Promise<Number>} Updated note ID
- */
-async function updateNoteById(id, noteData) {
-	if (!db) await initDB();
-
-	try {
-		// Ensure id is included in noteData
-		noteData.id = id;
-		await db.notes.put(noteData);
-		console.log('✅ Note updated with ID:', id);
-		return id;
-	} catch (error) {
-		console.error('❌ Error updating note:', error);
-		throw error;
-	}
-}
-
-/**
- * Soft delete a note (set isDeleted = true)
- * @param {Number} id - Note ID
- * @returns {Promise<Object>} Updated note
- */
-async function deleteNoteById(id) {
-	if (!db) await initDB();
-
-	try {
-		const note = await db.notes.get(id);
-		if (!note) {
-			throw new Error('Note not found');
-		}
-
-		note.isDeleted = true;
-		note.updatedAt = new Date().toISOString();
-		
-		await db.notes.put(note);
-		console.log('✅ Note soft deleted with ID:', id);
-		return note;
-	} catch (error) {
-		console.error('❌ Error deleting note:', error);
-		throw error;
-	}
-}
-
-/**
- * Permanently delete a note
- * @param {Number} id - Note ID
- * @returns {Promise<void>}
- */
-async function permanentDeleteNoteById(id) {
-	if (!db) await initDB();
-
-	try {
-		await db.notes.delete(id);
-		console.log('✅ Note permanently deleted with ID:', id);
-	} catch (error) {
-		console.error('❌ Error permanently deleting note:', error);
-		throw error;
-	}
-}
-
-/**
- * Restore a deleted note (set isDeleted = false)
- * @param {Number} id - Note ID
- * @returns {Promise<Object>} Restored note
- */
-async function restoreNoteById(id) {
-	if (!db) await initDB();
-
-	try {
-		const note = await db.notes.get(id);
-		if (!note) {
-			throw new Error('Note not found');
-		}
-
-		note.isDeleted = false;
-		note.updatedAt = new Date().toISOString();
-		
-		await db.notes.put(note);
-		console.log('✅ Note restored with ID:', id);
-		return note;
-	} catch (error) {
-		console.error('❌ Error restoring note:', error);
-		throw error;
-	}
-}
-
-/**
- * Archive a note (set isArchived = true)
- * @param {Number} id - Note ID
- * @returns {Promise<Object>} Archived note
- */
-async function archiveNoteById(id) {
-	if (!db) await initDB();
-
-	try {
-		const note = await db.notes.get(id);
-		if (!note) {
-			throw new Error('Note not found');
-		}
-
-		note.isArchived = true;
-		note.updatedAt = new Date().toISOString();
-		
-		await db.notes.put(note);
-		console.log('✅ Note archived with ID:', id);
-		return note;
-	} catch (error) {
-		console.error('❌ Error archiving note:', error);
-		throw error;
-	}
-}
-
-/**
- * Unarchive a note (set isArchived = false)
- * @param {Number} id - Note ID
- * @returns {Promise<Object>} Unarchived note
- */
-async function unarchiveNoteById(id) {
-	if (!db) await initDB();
-
-	try {
-		const note = await db.notes.get(id);
-		if (!note) {
-			throw new Error('Note not found');
-		}
-
-		note.isArchived = false;
-		note.updatedAt = new Date().toISOString();
-		
-		await db.notes.put(note);
-		console.log('✅ Note unarchived with ID:', id);
-		return note;
-	} catch (error) {
-		console.error('❌ Error unarchiving note:', error);
-		throw error;
-	}
-}
-
-/**
- * Toggle favorite status of a note
- * @param {Number} id - Note ID
- * @returns {Promise<Object>} Updated note
- */
-async function toggleNoteFavoriteById(id) {
-	if (!db) await initDB();
-
-	try {
-		const note = await db.notes.get(id);
-		if (!note) {
-			throw new Error('Note not found');
-		}
-
-		note.isFavorite = !note.isFavorite;
-		note.updatedAt = new Date().toISOString();
-		
-		await db.notes.put(note);
-		console.log('✅ Note favorite toggled with ID:', id, 'New status:', note.isFavorite);
-		return note;
-	} catch (error) {
-		console.error('❌ Error toggling note favorite:', error);
-		throw error;
-	}
-}
-
-/**
- * Clear parent note references (set parentNoteId = null for all notes referencing this note)
- * @param {Number} deletedNoteId - Deleted note ID
- * @returns {Promise<Number>} Number of notes updated
- */
-async function clearParentNoteReferences(deletedNoteId) {
-	if (!db) await initDB();
-
-	try {
-		const notes = await db.notes.toArray();
-		const notesToUpdate = notes.filter(note => 
-			note.parentNoteId === deletedNoteId && 
-			!note.isDeleted
-		);
-
-		if (notesToUpdate.length === 0) {
-			return 0;
-		}
-
-		const now = new Date().toISOString();
-		const updatePromises = notesToUpdate.map(note => {
-			note.parentNoteId = null;
-			note.updatedAt = now;
-			return db.notes.put(note);
-		});
-
-		await Promise.all(updatePromises);
-		console.log('✅ Cleared parent note references for', notesToUpdate.length, 'notes');
-		return notesToUpdate.length;
-	} catch (error) {
-		console.error('❌ Error clearing parent note references:', error);
-		throw error;
-	}
-}
-
-/**
- * Clear reminder from a note
- * @param {Number} noteId - Note ID
- * @returns {Promise<void>}
- */
-async function clearNoteReminder(noteId) {
-	if (!db) await initDB();
-
-	try {
-		const note = await db.notes.get(noteId);
-		if (note) {
-			note.reminderDateTime = null;
-			note.updatedAt = new Date().toISOString();
-			await db.notes.put(note);
-			console.log('✅ Reminder cleared for note:', noteId);
-		}
-	} catch (error) {
-		console.error('❌ Error clearing note reminder:', error);
-		throw error;
-	}
-}
-
-/**
- * Check if folder name is duplicate (excluding a specific folder ID)
- * @param {String} folderName - Folder name to check
- * @param {Number} excludeFolderId - Folder ID to exclude from check
- * @returns {Promise<Boolean>} True if duplicate exists
- */
-async function checkDuplicateFolder(folderName, excludeFolderId = null) {
-	if (!db) await initDB();
-
-	try {
-		const folders = await db.folders.toArray();
-		const duplicate = folders.find(folder => 
-			folder.name.toLowerCase() === folderName.toLowerCase() && 
-			(excludeFolderId === null || parseInt(folder.id) !== parseInt(excludeFolderId))
-		);
-		return !!duplicate;
-	} catch (error) {
-		console.error('❌ Error checking duplicate folder:', error);
-		throw error;
-	}
-}
-
-/**
- * Update a folder
- * @param {Number} folderId - Folder ID
- * @param {Object} folderData - Folder data (name, fontColor, bgColor)
- * @returns {Promise<Object>} Updated folder
- */
-async function updateFolderById(folderId, folderData) {
-	if (!db) await initDB();
-
-	try {
-		const folder = await db.folders.get(parseInt(folderId));
-		if (!folder) {
-			throw new Error('Folder not found');
-		}
-
-		folder.name = folderData.name;
-		folder.fontColor = folderData.fontColor;
-		folder.bgColor = folderData.bgColor;
-		folder.updatedAt = new Date().toISOString();
-
-		await db.folders.put(folder);
-		console.log('✅ Folder updated with ID:', folderId);
-		return folder;
-	} catch (error) {
-		console.error('❌ Error updating folder:', error);
-		throw error;
-	}
-}
-
-/**
- * Create a new folder
- * @param {Object} folderData - Folder data (name, fontColor, bgColor)
- * @returns {Promise<Number>} Created folder ID
- */
-async function createFolder(folderData) {
-	if (!db) await initDB();
-
-	try {
-		const newFolder = {
-			name: folderData.name,
-			bgColor: folderData.bgColor,
-			fontColor: folderData.fontColor,
-			createdAt: new Date().toISOString(),
-			updatedAt: new Date().toISOString()
-		};
-
-		const id = await db.folders.add(newFolder);
-		console.log('✅ Folder created with ID:', id);
-		return id;
-	} catch (error) {
-		console.error('❌ Error creating folder:', error);
-		throw error;
-	}
-}
-
-/**
- * Delete a folder
- * @param {Number} folderId - Folder ID
- * @returns {Promise<void>}
- */
-async function deleteFolderById(folderId) {
-	if (!db) await initDB();
-
-	try {
-		await db.folders.delete(folderId);
-		console.log('✅ Folder deleted with ID:', folderId);
-	} catch (error) {
-		console.error('❌ Error deleting folder:', error);
-		throw error;
-	}
-}
-
-/* ---------- Export Folder Functions ---------- */
-window.getFolderById = getFolderById;
-window.getAllFolders = getAllFolders;
-window.checkDuplicateFolder = checkDuplicateFolder;
-window.updateFolderById = updateFolderById;
-window.createFolder = createFolder;
-window.deleteFolderById = deleteFolderById;
-
-/**
- * Get tag by ID
- * @param {Number} tagId - Tag ID
- * @returns {Promise<Object>} Tag object
- */
-async function getTagById(tagId) {
-	if (!db) await initDB();
-
-	try {
-		const tag = await db.tags.get(tagId);
-		return tag;
-	} catch (error) {
-		console.error('❌ Error getting tag by ID:', error);
-		throw error;
-	}
-}
-
-/**
- * Check if tag name is duplicate (excluding a specific tag ID)
- * @param {String} tagName - Tag name to check
- * @param {Number} excludeTagId - Tag ID to exclude from check
- * @returns {Promise<Boolean>} True if duplicate exists
- */
-async function checkDuplicateTag(tagName, excludeTagId = null) {
-	if (!db) await initDB();
-
-	try {
-		const tags = await db.tags.toArray();
-		const duplicate = tags.find(tag => 
-			tag.name.toLowerCase() === tagName.toLowerCase() && 
-			(excludeTagId === null || parseInt(tag.id) !== parseInt(excludeTagId))
-		);
-		return !!duplicate;
-	} catch (error) {
-		console.error('❌ Error checking duplicate tag:', error);
-		throw error;
-	}
-}
-
-/**
- * Update a tag
- * @param {Number} tagId - Tag ID
- * @param {Object} tagData - Tag data (name, fontColor, bgColor)
- * @returns {Promise<Object>} Updated tag
- */
-async function updateTagById(tagId, tagData) {
-	if (!db) await initDB();
-
-	try {
-		const tag = await db.tags.get(parseInt(tagId));
-		if (!tag) {
-			throw new Error('Tag not found');
-		}
-
-		tag.name = tagData.name;
-		tag.fontColor = tagData.fontColor;
-		tag.bgColor = tagData.bgColor;
-		tag.updatedAt = new Date().toISOString();
-
-		await db.tags.put(tag);
-		console.log('✅ Tag updated with ID:', tagId);
-		return tag;
-	} catch (error) {
-		console.error('❌ Error updating tag:', error);
-		throw error;
-	}
-}
-
-/**
- * Create a new tag
- * @param {Object} tagData - Tag data (name, fontColor, bgColor)
- * @returns {Promise<Number>} Created tag ID
- */
-async function createTag(tagData) {
-	if (!db) await initDB();
-
-	try {
-		const newTag = {
-			name: tagData.name,
-			bgColor: tagData.bgColor,
-			fontColor: tagData.fontColor,
-			createdAt: new Date().toISOString(),
-			updatedAt: new Date().toISOString()
-		};
-
-		const id = await db.tags.add(newTag);
-		console.log('✅ Tag created with ID:', id);
-		return id;
-	} catch (error) {
-		console.error('❌ Error creating tag:', error);
-		throw error;
-	}
-}
-
-/**
- * Get tag usage count (how many notes use this tag)
- * @param {Number} tagId - Tag ID
- * @returns {Promise<Number>} Usage count
- */
-async function getTagUsageCount(tagId) {
-	if (!db) await initDB();
-
-	try {
-		const notes = await db.notes.toArray();
-		let count = 0;
-
-		notes.forEach(note => {
-			if (note.tags) {
-				const tagIds = note.tags.split(',').map(id => parseInt(id)).filter(id => !isNaN(id));
-				if (tagIds.includes(tagId)) {
-					count++;
-				}
-			}
-		});
-
-		return count;
-	} catch (error) {
-		console.error('❌ Error getting tag usage count:', error);
-		throw error;
-	}
-}
-
-/**
- * Delete a tag by ID
- * @param {Number} tagId - Tag ID
- * @returns {Promise<void>}
- */
-async function deleteTagById(tagId) {
-	if (!db) await initDB();
-
-	try {
-		await db.tags.delete(tagId);
-		console.log('✅ Tag deleted with ID:', tagId);
-	} catch (error) {
-		console.error('❌ Error deleting tag:', error);
-		throw error;
-	}
-}
-
-/**
- * Remove tag from all notes
- * @param {Number} tagId - Tag ID to remove
- * @returns {Promise<Number>} Number of notes updated
- */
-async function removeTagFromAllNotes(tagId) {
-	if (!db) await initDB();
-
-	try {
-		const notes = await db.notes.toArray();
-		const notesToUpdate = [];
-
-		notes.forEach(note => {
-			if (note.tags) {
-				const tagIds = note.tags.split(',').map(id => parseInt(id)).filter(id => !isNaN(id));
-				const updatedTagIds = tagIds.filter(id => id !== tagId);
-
-				if (updatedTagIds.length !== tagIds.length) {
-					note.tags = updatedTagIds.join(',');
-					note.updatedAt = new Date().toISOString();
-					notesToUpdate.push(note);
-				}
-			}
-		});
-
-		if (notesToUpdate.length === 0) {
-			return 0;
-		}
-
-		const updatePromises = notesToUpdate.map(note => db.notes.put(note));
-		await Promise.all(updatePromises);
-
-		console.log('✅ Removed tag from', notesToUpdate.length, 'notes');
-		return notesToUpdate.length;
-	} catch (error) {
-		console.error('❌ Error removing tag from all notes:', error);
-		throw error;
-	}
-}
-
-/* ---------- Comments Functions ---------- */
-
-/**
- * Get comments by note ID
- * @param {Number} noteId - Note ID
- * @returns {Promise<Array>} Array of comments
- */
-async function getCommentsByNoteId(noteId) {
-	if (!noteId) {
-		return [];
-	}
-
-	if (!db) await initDB();
-
-	try {
-		const allComments = await db.comments.toArray();
-		const noteComments = allComments.filter(comment => comment.noteId === noteId);
-		return noteComments;
-	} catch (error) {
-		console.error('❌ Error getting comments by note ID:', error);
-		throw error;
-	}
-}
-
-/**
- * Save a new comment
- * @param {Object} comment - Comment data
- * @returns {Promise<Number>} Created comment ID
- */
-async function saveComment(comment) {
-	if (!db) await initDB();
-
-	try {
-		const id = await db.comments.add(comment);
-		console.log('✅ Comment created with ID:', id);
-		return id;
-	} catch (error) {
-		console.error('❌ Error saving comment:', error);
-		throw error;
-	}
-}
-
-/**
- * Delete all comments for a specific note
- * @param {Number} noteId - Note ID
- * @returns {Promise<Number>} Number of comments deleted
- */
-async function deleteCommentsByNoteId(noteId) {
-	if (!db) await initDB();
-
-	try {
-		const allComments = await db.comments.toArray();
-		const commentsToDelete = allComments.filter(comment => comment.noteId === noteId);
-
-		if (commentsToDelete.length === 0) {
-			return 0;
-		}
-
-		const deletePromises = commentsToDelete.map(comment => db.comments.delete(comment.id));
-		await Promise.all(deletePromises);
-
-		console.log('✅ Deleted', commentsToDelete.length, 'comments for note:', noteId);
-		return commentsToDelete.length;
-	} catch (error) {
-		console.error('❌ Error deleting comments by note ID:', error);
-		throw error;
-	}
-}
-
-/**
- * Delete a comment by ID
- * @param {Number} commentId - Comment ID
- * @returns {Promise<void>}
- */
-async function deleteCommentById(commentId) {
-	if (!db) await initDB();
-
-	try {
-		await db.comments.delete(commentId);
-		console.log('✅ Comment deleted with ID:', commentId);
-	} catch (error) {
-		console.error('❌ Error deleting comment by ID:', error);
-		throw error;
-	}
-}
-
-/**
- * Update a comment
- * @param {Object} comment - Comment data (must include id)
- * @returns {Promise<Number>} Updated comment ID
- */
-async function updateComment(comment) {
-	if (!db) await initDB();
-
-	try {
-		await db.comments.put(comment);
-		console.log('✅ Comment updated with ID:', comment.id);
-		return comment.id;
-	} catch (error) {
-		console.error('❌ Error updating comment:', error);
-		throw error;
-	}
-}
-
-/**
- * Copy comments from one note to another
- * @param {Number} originalNoteId - Source note ID
- * @param {Number} newNoteId - Target note ID
- * @returns {Promise<Number>} Number of comments copied
- */
-async function copyComments(originalNoteId, newNoteId) {
-	if (!db) await initDB();
-
-	try {
-		const comments = await getCommentsByNoteId(originalNoteId);
-
-		if (comments.length === 0) {
-			return 0;
-		}
-
-		const copyPromises = comments.map(comment => {
-			const copiedComment = {
-				noteId: newNoteId,
-				content: comment.content,
-				author: comment.author,
-				createdAt: comment.createdAt,
-				updatedAt: comment.updatedAt
-			};
-			return db.comments.add(copiedComment);
-		});
-
-		await Promise.all(copyPromises);
-		console.log('✅ Copied', comments.length, 'comments to note:', newNoteId);
-		return comments.length;
-	} catch (error) {
-		console.error('❌ Error copying comments:', error);
-		throw error;
-	}
-}
-
-/* ---------- Export Tag Functions ---------- */
-window.getAllTags = getAllTags;
-window.getTagById = getTagById;
-window.checkDuplicateTag = checkDuplicateTag;
-window.updateTagById = updateTagById;
-window.createTag = createTag;
-window.getTagUsageCount = getTagUsageCount;
-window.deleteTagById = deleteTagById;
-window.removeTagFromAllNotes = removeTagFromAllNotes;
-
-/* ---------- Export Comments Functions ---------- */
-window.getCommentsByNoteId = getCommentsByNoteId;
-window.saveComment = saveComment;
-window.deleteCommentsByNoteId = deleteCommentsByNoteId;
-window.deleteCommentById = deleteCommentById;
-window.updateComment = updateComment;
-window.copyComments = copyComments;
-
-/* ---------- Export Notes Functions ---------- */
-window.getNotesWithFilters = getNotesWithFilters;
-window.applySorting = applySorting;
-window.getAllNotesForCounting = getAllNotesForCounting;
-window.getAllNotes = getAllNotes;
-window.getNoteById = getNoteById;
-window.getCurrentDisplayedNotes = getCurrentDisplayedNotes;
-window.getNotesWithReminders = getNotesWithReminders;
-window.getSelectableParentNotes = getSelectableParentNotes;
-
-// Notes CRUD
-window.createNote = createNote;
-window.updateNoteById = updateNoteById;
-window.deleteNoteById = deleteNoteById;
-window.permanentDeleteNoteById = permanentDeleteNoteById;
-window.restoreNoteById = restoreNoteById;
-window.archiveNoteById = archiveNoteById;
-window.unarchiveNoteById = unarchiveNoteById;
-window.toggleNoteFavoriteById = toggleNoteFavoriteById;
-window.clearParentNoteReferences = clearParentNoteReferences;
-window.clearNoteReminder = clearNoteReminder;
-
+/* ---------- Dexie Database Configuration ---------- */
+// Import Dexie (eğer module olarak kullanılıyorsa)
+// import Dexie from './dexie.js';
+
+/* ---------- Database Constants ---------- */
+const DB_NAME = 'NoteFlixDB';
+
+/* ---------- Store Names ---------- */
+const STORE_NAME = 'notes';
+const COMMENTS_STORE_NAME = 'comments';
+const FOLDERS_STORE_NAME = 'folders';
+const TAGS_STORE_NAME = 'tags';
+const REVISIONS_STORE_NAME = 'revisions';
+const MIGRATIONS_STORE_NAME = 'migrations';
+const SMART_VIEWS_STORE_NAME = 'smartViews';
+const SEARCH_INDEX_STORE_NAME = 'searchIndex';
+const ATTACHMENTS_STORE_NAME = 'attachments';
+
+/* ---------- Schema Migrations ---------- */
+// Ordered registry of schema versions. Each entry declares only the stores it
+// adds or changes; `transforms` rewrite existing records per table and return
+// true when a record changed. Never edit an entry that has been released,
+// append a new version instead.
+const MIGRATIONS = [
+	{
+		version: 140,
+		description: 'Initial schema',
+		stores: {
+			notes: '++id, title, createdAt, updatedAt, isFavorite, isArchived, isDeleted, reminderDateTime, folderId, parentNoteId',
+			comments: '++id, noteId, author, createdAt, updatedAt',
+			folders: '++id, name, createdAt, updatedAt',
+			tags: '++id, name, createdAt, updatedAt'
+		}
+	},
+	{
+		version: 150,
+		description: 'Add revisions store',
+		stores: {
+			// Note snapshots written on every save
+			revisions: '++id, noteId, createdAt'
+		}
+	},
+	{
+		version: 160,
+		description: 'Convert comma-joined tags to a tagIds multi-entry index',
+		stores: {
+			notes: '++id, title, createdAt, updatedAt, isFavorite, isArchived, isDeleted, reminderDateTime, folderId, parentNoteId, *tagIds'
+		},
+		transforms: {
+			notes: note => {
+				if (Array.isArray(note.tagIds) && !('tags' in note)) return false;
+				if (!Array.isArray(note.tagIds)) {
+					note.tagIds = parseTagIds(note.tags);
+				}
+				delete note.tags;
+				return true;
+			}
+		}
+	},
+	{
+		version: 170,
+		description: 'Add migrations log',
+		stores: {
+			migrations: '++id, version, appliedAt'
+		}
+	},
+	{
+		version: 180,
+		description: 'Record deletedAt for trashed notes',
+		stores: {
+			notes: '++id, title, createdAt, updatedAt, isFavorite, isArchived, isDeleted, reminderDateTime, folderId, parentNoteId, *tagIds, deletedAt'
+		},
+		transforms: {
+			notes: note => {
+				if (note.isDeleted !== true || note.deletedAt) return false;
+				// Soft delete used to stamp only updatedAt
+				note.deletedAt = note.updatedAt || new Date().toISOString();
+				return true;
+			}
+		}
+	},
+	{
+		version: 190,
+		description: 'Add smart views store',
+		stores: {
+			// Named getNotesWithFilters option sets shown in the sidebar
+			smartViews: '++id, name, createdAt, updatedAt'
+		}
+	},
+	{
+		version: 200,
+		description: 'Add full-text search index',
+		stores: {
+			// One entry per note; terms is the inverted index over stemmed words
+			searchIndex: 'noteId, version, *terms'
+		}
+	},
+	{
+		version: 210,
+		description: 'Index wiki links between notes',
+		stores: {
+			notes: '++id, title, createdAt, updatedAt, isFavorite, isArchived, isDeleted, reminderDateTime, folderId, parentNoteId, *tagIds, deletedAt, *linkNoteIds'
+		},
+		transforms: {
+			notes: note => {
+				note.linkNoteIds = extractNoteLinkIds(note.content);
+				return true;
+			}
+		}
+	},
+	{
+		version: 220,
+		description: 'Nest folders under parent folders',
+		stores: {
+			// Top-level folders have no parentFolderId
+			folders: '++id, name, createdAt, updatedAt, parentFolderId'
+		}
+	},
+	{
+		version: 230,
+		description: 'Store images as attachment blobs',
+		stores: {
+			notes: '++id, title, createdAt, updatedAt, isFavorite, isArchived, isDeleted, reminderDateTime, folderId, parentNoteId, *tagIds, deletedAt, *linkNoteIds, *attachmentIds',
+			// Image blobs referenced from note HTML; hash finds identical images
+			attachments: '++id, hash, createdAt'
+		},
+		transforms: {
+			notes: note => {
+				note.attachmentIds = extractAttachmentIds(note.content);
+				return true;
+			}
+		}
+	},
+	{
+		version: 240,
+		description: 'Backfill missing note timestamps',
+		stores: {
+			notes: '++id, title, createdAt, updatedAt, isFavorite, isArchived, isDeleted, reminderDateTime, folderId, parentNoteId, *tagIds, deletedAt, *linkNoteIds, *attachmentIds'
+		},
+		transforms: {
+			notes: note => {
+				if (note.createdAt && note.updatedAt) return false;
+				// Sıralama indeksleri değeri olmayan kayıtları atlar; not listeden kaybolmasın
+				const fallback = note.createdAt || note.updatedAt || new Date().toISOString();
+				note.createdAt = note.createdAt || fallback;
+				note.updatedAt = note.updatedAt || fallback;
+				return true;
+			}
+		}
+	}
+];
+
+const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/* ---------- Global Database Instance ---------- */
+let db = null;
+
+// Migrations applied during the current open, written to the log once it succeeds
+let pendingMigrationRecords = [];
+
+/* ---------- Register Migrations on a Dexie Instance ---------- */
+function registerMigrations(dexie) {
+	MIGRATIONS.forEach(migration => {
+		dexie.version(migration.version).stores(migration.stores).upgrade(async tx => {
+			const changes = {};
+
+			for (const [tableName, transform] of Object.entries(migration.transforms || {})) {
+				changes[tableName] = await tx.table(tableName).toCollection().modify(record => {
+					if (!transform(record)) return false;
+				});
+			}
+
+			pendingMigrationRecords.push({
+				version: migration.version,
+				description: migration.description,
+				status: 'applied',
+				changes,
+				appliedAt: new Date().toISOString()
+			});
+			console.log(`🔄 Migration ${migration.version} applied:`, migration.description, changes);
+		});
+	});
+
+	// A fresh database starts at the latest schema, so every version counts as baseline
+	dexie.on('populate', tx => {
+		const now = new Date().toISOString();
+		return tx.table(MIGRATIONS_STORE_NAME).bulkAdd(MIGRATIONS.map(migration => ({
+			version: migration.version,
+			description: migration.description,
+			status: 'baseline',
+			changes: {},
+			appliedAt: now
+		})));
+	});
+}
+
+/* ---------- Change Events ---------- */
+// Event types emitted after a write transaction commits
+const CHANGE_EVENT_TYPES = {
+	NOTE_CREATED: 'note:created',
+	NOTE_UPDATED: 'note:updated',
+	NOTE_TRASHED: 'note:trashed',
+	NOTE_RESTORED: 'note:restored',
+	NOTE_ARCHIVED: 'note:archived',
+	NOTE_UNARCHIVED: 'note:unarchived',
+	NOTE_DELETED: 'note:deleted',
+	FOLDER_CREATED: 'folder:created',
+	FOLDER_UPDATED: 'folder:updated',
+	FOLDER_DELETED: 'folder:deleted',
+	TAG_CREATED: 'tag:created',
+	TAG_UPDATED: 'tag:updated',
+	TAG_DELETED: 'tag:deleted',
+	COMMENT_CREATED: 'comment:created',
+	COMMENT_UPDATED: 'comment:updated',
+	COMMENT_DELETED: 'comment:deleted',
+	SMART_VIEW_CREATED: 'smartView:created',
+	SMART_VIEW_UPDATED: 'smartView:updated',
+	SMART_VIEW_DELETED: 'smartView:deleted'
+};
+
+// Tables that emit events, keyed by table name
+const CHANGE_EVENT_ENTITIES = {
+	[STORE_NAME]: 'note',
+	[FOLDERS_STORE_NAME]: 'folder',
+	[TAGS_STORE_NAME]: 'tag',
+	[COMMENTS_STORE_NAME]: 'comment',
+	[SMART_VIEWS_STORE_NAME]: 'smartView'
+};
+
+const CHANGE_CHANNEL_NAME = 'noteflix-changes';
+
+const changeSubscribers = new Set();
+
+// Events collected per root transaction until it commits
+const pendingChangeEvents = new WeakMap();
+
+// Other tabs of the same profile receive every committed batch
+const changeChannel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANGE_CHANNEL_NAME) : null;
+
+if (changeChannel) {
+	changeChannel.onmessage = (message) => {
+		const events = (message.data && message.data.events) || [];
+		dispatchChangeEvents(events.map(event => ({ ...event, remote: true })));
+	};
+}
+
+/**
+ * Match an event type against a subscription pattern
+ * @param {String} pattern - '*', an exact type or a prefix such as 'note:*'
+ * @param {String} type - Event type
+ * @returns {Boolean}
+ */
+function changeTypeMatches(pattern, type) {
+	if (pattern === '*') return true;
+	if (pattern.endsWith(':*')) return type.startsWith(pattern.slice(0, -1));
+	return pattern === type;
+}
+
+/* ---------- Dispatch Change Events to Subscribers ---------- */
+function dispatchChangeEvents(events) {
+	if (events.length === 0) return;
+
+	changeSubscribers.forEach(subscriber => {
+		const matching = events.filter(event => subscriber.types.some(pattern => changeTypeMatches(pattern, event.type)));
+		if (matching.length === 0) return;
+
+		try {
+			subscriber.callback(matching);
+		} catch (error) {
+			console.error('❌ Error in change subscriber:', error);
+		}
+	});
+}
+
+/* ---------- Queue an Event Until Its Transaction Commits ---------- */
+function queueChangeEvent(transaction, event) {
+	// Upgrade transactions rewrite records in bulk and are reported by the migration log instead
+	if (transaction.idbtrans && transaction.idbtrans.mode === 'versionchange') return;
+
+	let root = transaction;
+	while (root.parent) root = root.parent;
+
+	let events = pendingChangeEvents.get(root);
+	if (!events) {
+		events = [];
+		pendingChangeEvents.set(root, events);
+
+		// Aborted transactions never fire complete, so their events are dropped
+		root.on('complete', () => {
+			pendingChangeEvents.delete(root);
+			dispatchChangeEvents(events);
+			if (changeChannel) {
+				changeChannel.postMessage({ events });
+			}
+		});
+	}
+
+	events.push(event);
+}
+
+/* ---------- Build the Event for a Note Update ---------- */
+function getNoteUpdateType(modifications, note) {
+	if ('isDeleted' in modifications && !!modifications.isDeleted !== !!note.isDeleted) {
+		return modifications.isDeleted ? CHANGE_EVENT_TYPES.NOTE_TRASHED : CHANGE_EVENT_TYPES.NOTE_RESTORED;
+	}
+	if ('isArchived' in modifications && !!modifications.isArchived !== !!note.isArchived) {
+		return modifications.isArchived ? CHANGE_EVENT_TYPES.NOTE_ARCHIVED : CHANGE_EVENT_TYPES.NOTE_UNARCHIVED;
+	}
+	return CHANGE_EVENT_TYPES.NOTE_UPDATED;
+}
+
+/* ---------- Register Change Hooks on a Dexie Instance ---------- */
+function registerChangeHooks(dexie) {
+	Object.entries(CHANGE_EVENT_ENTITIES).forEach(([tableName, entity]) => {
+		const table = dexie.table(tableName);
+
+		table.hook('creating', function(primKey, obj, transaction) {
+			this.onsuccess = (id) => {
+				queueChangeEvent(transaction, {
+					type: `${entity}:created`,
+					entity,
+					id,
+					noteId: entity === 'comment' ? obj.noteId : undefined,
+					updatedAt: obj.updatedAt
+				});
+			};
+		});
+
+		table.hook('updating', function(modifications, primKey, obj, transaction) {
+			const changes = Object.keys(modifications);
+			if (changes.length === 0) return;
+
+			queueChangeEvent(transaction, {
+				type: entity === 'note' ? getNoteUpdateType(modifications, obj) : `${entity}:updated`,
+				entity,
+				id: primKey,
+				noteId: entity === 'comment' ? obj.noteId : undefined,
+				updatedAt: 'updatedAt' in modifications ? modifications.updatedAt : obj.updatedAt,
+				changes
+			});
+		});
+
+		table.hook('deleting', function(primKey, obj, transaction) {
+			queueChangeEvent(transaction, {
+				type: `${entity}:deleted`,
+				entity,
+				id: primKey,
+				noteId: entity === 'comment' && obj ? obj.noteId : undefined
+			});
+		});
+	});
+}
+
+/**
+ * Subscribe to committed database changes from this and other tabs
+ * @param {String|Array<String>} types - '*', an event type, a prefix such as 'note:*', or a list of these
+ * @param {Function} callback - Receives the array of matching events of one transaction
+ * @returns {Function} Unsubscribe function
+ */
+function subscribeToChanges(types, callback) {
+	const subscriber = {
+		types: Array.isArray(types) ? types : [types],
+		callback
+	};
+	changeSubscribers.add(subscriber);
+
+	return () => changeSubscribers.delete(subscriber);
+}
+
+/* ---------- Initialize Database with Dexie ---------- */
+function initDB() {
+	return new Promise((resolve, reject) => {
+		try {
+			// Create Dexie instance
+			db = new Dexie(DB_NAME);
+			pendingMigrationRecords = [];
+
+			// Define database schema
+			registerMigrations(db);
+			registerChangeHooks(db);
+			registerNoteLinkHooks(db);
+			registerAttachmentHooks(db);
+
+			// Open database
+			db.open()
+				.then(async () => {
+					if (pendingMigrationRecords.length > 0) {
+						await db.migrations.bulkAdd(pendingMigrationRecords);
+						pendingMigrationRecords = [];
+					}
+
+					console.log('✅ Database initialized successfully with Dexie');
+					console.log('📊 Database Name:', DB_NAME);
+					console.log('📌 Version:', DB_VERSION);
+					console.log('📁 Stores:', Object.keys(db._dbSchema));
+					resolve(db);
+				})
+				.catch((error) => {
+					console.error('❌ Error opening database:', error);
+					reject(error);
+				});
+
+		} catch (error) {
+			console.error('❌ Error initializing database:', error);
+			reject(error);
+		}
+	});
+}
+
+/* ---------- Parse Legacy Tag String ---------- */
+function parseTagIds(tags) {
+	if (!tags) return [];
+	return String(tags).split(',').map(id => parseInt(id)).filter(id => !isNaN(id));
+}
+
+/* ---------- Migration Log ---------- */
+
+/**
+ * Get the log of migrations recorded for this database
+ * @returns {Promise<Array>} Migration records ordered by version
+ */
+async function getAppliedMigrations() {
+	if (!db) await initDB();
+
+	try {
+		return await db.migrations.orderBy('version').toArray();
+	} catch (error) {
+		console.error('❌ Error getting applied migrations:', error);
+		throw error;
+	}
+}
+
+/**
+ * Report what pending migrations would change without applying them
+ * Opens the database at its installed version, so call before initDB() to see pending work
+ * @param {Object} options - Options
+ * @param {Number} options.sampleSize - Changed records to include per table (default 5)
+ * @returns {Promise<Object>} Report ({ installedVersion, targetVersion, migrations })
+ */
+async function dryRunMigrations({ sampleSize = 5 } = {}) {
+	// Dexie without declared versions opens the existing schema as-is
+	const probe = new Dexie(DB_NAME);
+
+	try {
+		let installedVersion = 0;
+		try {
+			await probe.open();
+			installedVersion = probe.verno;
+		} catch (error) {
+			if (error.name !== 'NoSuchDatabaseError') throw error;
+		}
+
+		const pending = MIGRATIONS.filter(migration => migration.version > installedVersion);
+		const existingTables = installedVersion > 0 ? probe.tables.map(table => table.name) : [];
+
+		const report = {
+			installedVersion,
+			targetVersion: DB_VERSION,
+			migrations: pending.map(migration => ({
+				version: migration.version,
+				description: migration.description,
+				stores: Object.entries(migration.stores).map(([name, schema]) => ({
+					name,
+					action: existingTables.includes(name) ? 'change' : 'create',
+					schema
+				})),
+				changes: {}
+			}))
+		};
+
+		// Run transforms on copies, in version order, so later steps see earlier results
+		const tableNames = new Set(pending.flatMap(migration => Object.keys(migration.transforms || {})));
+		for (const tableName of tableNames) {
+			if (!existingTables.includes(tableName)) continue;
+
+			report.migrations.forEach(entry => {
+				entry.changes[tableName] = { changed: 0, samples: [] };
+			});
+
+			await probe.table(tableName).each(record => {
+				let current = record;
+				pending.forEach((migration, i) => {
+					const transform = migration.transforms && migration.transforms[tableName];
+					if (!transform) return;
+
+					const next = structuredClone(current);
+					if (transform(next)) {
+						const summary = report.migrations[i].changes[tableName];
+						summary.changed++;
+						if (summary.samples.length < sampleSize) {
+							summary.samples.push({ before: current, after: next });
+						}
+						current = next;
+					}
+				});
+			});
+		}
+
+		console.log('🧪 Migration dry run:', report);
+		return report;
+	} catch (error) {
+		console.error('❌ Error running migration dry run:', error);
+		throw error;
+	} finally {
+		probe.close();
+	}
+}
+
+/* ---------- Get Database Instance ---------- */
+function getDB() {
+	if (!db) {
+		console.warn('⚠️ Database not initialized. Call initDB() first.');
+		return null;
+	}
+	return db;
+}
+
+/* ---------- Check if Database is Ready ---------- */
+function isDBReady() {
+	return db !== null && db.isOpen();
+}
+
+/* ---------- Close Database ---------- */
+function closeDB() {
+	if (db && db.isOpen()) {
+		db.close();
+		console.log('🔒 Database closed');
+	}
+}
+
+/* ---------- Export for Global Access ---------- */
+// Make functions available globally
+window.initDB = initDB;
+window.getDB = getDB;
+window.isDBReady = isDBReady;
+window.closeDB = closeDB;
+window.getAppliedMigrations = getAppliedMigrations;
+window.dryRunMigrations = dryRunMigrations;
+window.subscribeToChanges = subscribeToChanges;
+
+// Export constants
+window.DB_NAME = DB_NAME;
+window.DB_VERSION = DB_VERSION;
+window.STORE_NAME = STORE_NAME;
+window.COMMENTS_STORE_NAME = COMMENTS_STORE_NAME;
+window.FOLDERS_STORE_NAME = FOLDERS_STORE_NAME;
+window.TAGS_STORE_NAME = TAGS_STORE_NAME;
+window.REVISIONS_STORE_NAME = REVISIONS_STORE_NAME;
+window.MIGRATIONS_STORE_NAME = MIGRATIONS_STORE_NAME;
+window.SMART_VIEWS_STORE_NAME = SMART_VIEWS_STORE_NAME;
+window.SEARCH_INDEX_STORE_NAME = SEARCH_INDEX_STORE_NAME;
+window.ATTACHMENTS_STORE_NAME = ATTACHMENTS_STORE_NAME;
+window.CHANGE_EVENT_TYPES = CHANGE_EVENT_TYPES;
+
+// Export db instance getter
+Object.defineProperty(window, 'db', {
+	get: function() {
+		return db;
+	},
+	set: function(value) {
+		db = value;
+	}
+});
+
+console.log('📦 Database module loaded successfully');
+
+/* ---------- Notes Query Functions ---------- */
+
+// IndexedDB does not index boolean keys, so isFavorite/isArchived/isDeleted
+// never narrow a range on their own. The planner only ranges over indexes
+// holding valid keys and checks the flags while the cursor streams.
+const NOTE_SORT_INDEXES = {
+	created: 'createdAt',
+	updated: 'updatedAt'
+};
+
+// Index ranges covering more than this share of the table lose to walking the sort index
+const NOTE_INDEX_SELECTIVITY_THRESHOLD = 0.5;
+
+/**
+ * Build candidate index ranges for a notes query
+ * @param {Object} options - getNotesWithFilters options
+ * @returns {Array} Candidates ({ index, range, collection })
+ */
+function getNoteIndexCandidates(options) {
+	const candidates = [];
+
+	if (options.folderId !== null && options.folderId !== undefined) {
+		candidates.push({
+			index: 'folderId',
+			range: `= ${options.folderId}`,
+			collection: () => db.notes.where('folderId').equals(options.folderId)
+		});
+	} else if (options.hasFolder) {
+		candidates.push({
+			index: 'folderId',
+			range: '> 0',
+			collection: () => db.notes.where('folderId').above(0)
+		});
+	}
+
+	if (options.parentNoteId !== null && options.parentNoteId !== undefined) {
+		candidates.push({
+			index: 'parentNoteId',
+			range: `= ${options.parentNoteId}`,
+			collection: () => db.notes.where('parentNoteId').equals(options.parentNoteId)
+		});
+	} else if (options.hasParentNote) {
+		candidates.push({
+			index: 'parentNoteId',
+			range: '> 0',
+			collection: () => db.notes.where('parentNoteId').above(0)
+		});
+	}
+
+	if (Array.isArray(options.tagIds) && options.tagIds.length > 0) {
+		// 'all' only needs one tag's range; the predicate checks the rest
+		const rangeTagIds = options.tagMatch === 'all' ? [options.tagIds[0]] : options.tagIds;
+		candidates.push({
+			index: 'tagIds',
+			range: `in (${rangeTagIds.join(', ')})`,
+			collection: () => db.notes.where('tagIds').anyOf(rangeTagIds).distinct()
+		});
+	}
+
+	if (options.hasReminder) {
+		candidates.push({
+			index: 'reminderDateTime',
+			range: "> ''",
+			collection: () => db.notes.where('reminderDateTime').above('')
+		});
+	}
+
+	return candidates;
+}
+
+/**
+ * Choose how a notes query reads the table
+ * @param {Object} options - getNotesWithFilters options
+ * @returns {Promise<Object>} Plan ({ strategy, index, range, estimatedRows, sortInMemory, collection })
+ */
+async function planNotesQuery(options = {}) {
+	if (!db) await initDB();
+
+	const sortIndex = NOTE_SORT_INDEXES[options.sortBy || 'updated'] || null;
+	const candidates = getNoteIndexCandidates(options);
+
+	if (candidates.length > 0) {
+		const [total, ...counts] = await Promise.all([
+			db.notes.count(),
+			...candidates.map(candidate => candidate.collection().count())
+		]);
+
+		let best = 0;
+		counts.forEach((count, i) => {
+			if (count < counts[best]) best = i;
+		});
+
+		if (!sortIndex || counts[best] <= total * NOTE_INDEX_SELECTIVITY_THRESHOLD) {
+			return {
+				strategy: 'index',
+				index: candidates[best].index,
+				range: candidates[best].range,
+				estimatedRows: counts[best],
+				sortInMemory: true,
+				collection: candidates[best].collection
+			};
+		}
+	}
+
+	if (sortIndex) {
+		// Cursor already walks in sort order, so limit/offset can stop it early
+		return {
+			strategy: 'sort-index',
+			index: sortIndex,
+			range: null,
+			estimatedRows: null,
+			sortInMemory: false,
+			collection: () => db.notes.orderBy(sortIndex)
+		};
+	}
+
+	// Title sort keeps localeCompare semantics, which the binary index order does not match
+	return {
+		strategy: 'scan',
+		index: null,
+		range: null,
+		estimatedRows: null,
+		sortInMemory: true,
+		collection: () => db.notes.toCollection()
+	};
+}
+
+/**
+ * Build the per-note predicate applied while streaming the cursor
+ * @param {Object} options - getNotesWithFilters options
+ * @param {Set|null} commentNoteIds - IDs of notes with comments (for hasComments)
+ * @returns {Function} Predicate
+ */
+function buildNotePredicate(options, commentNoteIds) {
+	const today = new Date();
+	today.setHours(0, 0, 0, 0);
+	const searchText = (options.searchText || '').trim().toLocaleLowerCase('tr-TR');
+
+	return note => {
+		// Basic filters
+		if (!options.includeArchived && !options.onlyArchived && note.isArchived === true) return false;
+		if (!options.includeDeleted && note.isDeleted === true) return false;
+		if (options.onlyFavorites && !(note.isFavorite && !note.isArchived && !note.isDeleted)) return false;
+		if (options.onlyArchived && !(note.isArchived && !note.isDeleted)) return false;
+		if (options.onlyDeleted && !note.isDeleted) return false;
+
+		// Exact matches
+		if (options.folderId !== null && options.folderId !== undefined && note.folderId !== options.folderId) return false;
+		if (options.parentNoteId !== null && options.parentNoteId !== undefined && note.parentNoteId !== options.parentNoteId) return false;
+		if (Array.isArray(options.tagIds) && options.tagIds.length > 0) {
+			const noteTagIds = note.tagIds || [];
+			const matches = options.tagMatch === 'all'
+				? options.tagIds.every(tagId => noteTagIds.includes(tagId))
+				: options.tagIds.some(tagId => noteTagIds.includes(tagId));
+			if (!matches) return false;
+		}
+
+		// Advanced filters
+		if (options.hasOverdue) {
+			if (!note.dueDate) return false;
+			const dueDate = new Date(note.dueDate);
+			dueDate.setHours(0, 0, 0, 0);
+			if (!(dueDate < today)) return false;
+		}
+		if (options.hasDueDate && !note.dueDate) return false;
+		if (options.hasColor && !note.bgColor) return false;
+		if (options.hasReminder && !note.reminderDateTime) return false;
+		if (options.hasParentNote && !note.parentNoteId) return false;
+		if (options.hasFolder && !note.folderId) return false;
+		if (commentNoteIds && !commentNoteIds.has(note.id)) return false;
+
+		// Date ranges
+		if (!isInDateRange(note.dueDate, options.dueFrom, options.dueTo)) return false;
+		if (!isInDateRange(note.createdAt, options.createdFrom, options.createdTo)) return false;
+		if (!isInDateRange(note.updatedAt, options.updatedFrom, options.updatedTo)) return false;
+
+		// Text filter over title and content without markup
+		if (searchText) {
+			const text = `${note.title || ''} ${(note.content || '').replace(/<[^>]*>/g, ' ')}`.toLocaleLowerCase('tr-TR');
+			if (!text.includes(searchText)) return false;
+		}
+
+		return true;
+	};
+}
+
+/**
+ * Local calendar day of a date as 'YYYY-MM-DD'
+ * @param {String|Date} value - Date or ISO string
+ * @returns {String} Day key
+ */
+function toDateKey(value) {
+	const date = new Date(value);
+	const pad = number => String(number).padStart(2, '0');
+	return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/* ---------- Inclusive Day Range Check ---------- */
+function isInDateRange(value, from, to) {
+	if (!from && !to) return true;
+	if (!value) return false;
+
+	const key = toDateKey(value);
+	return (!from || key >= from) && (!to || key <= to);
+}
+
+/**
+ * Get notes with flexible filtering and sorting options
+ * @param {Object} options - Query options
+ * @param {Number} [options.folderId] - Only notes in this folder
+ * @param {Number} [options.parentNoteId] - Only children of this note
+ * @param {Array<Number>} [options.tagIds] - Only notes with these tags
+ * @param {String} [options.tagMatch] - 'any' (default) or 'all' for tagIds
+ * @param {String} [options.searchText] - Only notes whose title or text contains this
+ * @param {String} [options.dueFrom] - Due on or after this day ('YYYY-MM-DD'); dueTo, createdFrom/To and updatedFrom/To work alike
+ * @param {Number} [options.limit] - Maximum number of notes to return
+ * @param {Number} [options.offset] - Number of matching notes to skip
+ * @returns {Promise<Array>} Filtered and sorted notes
+ */
+async function getNotesWithFilters(options = {}) {
+	if (!db) await initDB();
+
+	const {
+		// Advanced filters (for loadNotes)
+		hasComments = false,
+
+		// Sorting
+		sortBy = 'updated', // 'title', 'created', 'updated'
+		sortDirection = 'desc', // 'asc', 'desc'
+
+		// Paging
+		limit = 0,
+		offset = 0
+	} = options;
+
+	try {
+		const plan = await planNotesQuery({ ...options, sortBy });
+
+		// Comments filter uses the noteId index instead of one query per note
+		let commentNoteIds = null;
+		if (hasComments) {
+			commentNoteIds = new Set(await db.comments.orderBy('noteId').uniqueKeys());
+		}
+
+		const predicate = buildNotePredicate(options, commentNoteIds);
+		let collection = plan.collection();
+
+		if (!plan.sortInMemory) {
+			if (sortDirection === 'desc') {
+				collection = collection.reverse();
+			}
+			collection = collection.filter(predicate);
+			if (offset > 0) collection = collection.offset(offset);
+			if (limit > 0) collection = collection.limit(limit);
+			return await collection.toArray();
+		}
+
+		let notes = await collection.filter(predicate).toArray();
+
+		// Apply sorting
+		notes = applySorting(notes, sortBy, sortDirection);
+
+		return limit > 0 ? notes.slice(offset, offset + limit) : notes.slice(offset);
+
+	} catch (error) {
+		console.error('❌ Error getting filtered notes:', error);
+		throw error;
+	}
+}
+
+/**
+ * Helper function to apply sorting to notes array
+ * @param {Array} notes - Notes array to sort
+ * @param {String} sortBy - Sort field ('title', 'created', 'updated')
+ * @param {String} sortDirection - Sort direction ('asc', 'desc')
+ * @returns {Array} Sorted notes
+ */
+function applySorting(notes, sortBy, sortDirection) {
+	const sorted = [...notes]; // Create a copy to avoid mutation
+
+	switch (sortBy) {
+		case 'title':
+			sorted.sort((a, b) => {
+				const comparison = (a.title || '').localeCompare(b.title || '');
+				return sortDirection === 'desc' ? -comparison : comparison;
+			});
+			break;
+		case 'created':
+			sorted.sort((a, b) => {
+				const comparison = new Date(b.createdAt || b.updatedAt) - new Date(a.createdAt || a.updatedAt);
+				return sortDirection === 'desc' ? comparison : -comparison;
+			});
+			break;
+		case 'updated':
+		default:
+			sorted.sort((a, b) => {
+				const comparison = new Date(b.updatedAt) - new Date(a.updatedAt);
+				return sortDirection === 'desc' ? comparison : -comparison;
+			});
+			break;
+	}
+
+	return sorted;
+}
+
+/* ---------- Folder Functions ---------- */
+
+/**
+ * Get folder by ID
+ * @param {Number} folderId - Folder ID
+ * @returns {Promise<Object>} Folder object
+ */
+async function getFolderById(folderId) {
+	if (!db) await initDB();
+
+	try {
+		const folder = await db.folders.get(folderId);
+		return folder;
+	} catch (error) {
+		console.error('❌ Error getting folder by ID:', error);
+		throw error;
+	}
+}
+
+/**
+ * Get all folders
+ * @returns {Promise<Array>} Array of folders
+ */
+async function getAllFolders() {
+	if (!db) await initDB();
+
+	try {
+		const folders = await db.folders.toArray();
+		return folders;
+	} catch (error) {
+		console.error('❌ Error getting all folders:', error);
+		throw error;
+	}
+}
+
+/**
+ * Get all tags
+ * @returns {Promise<Array>} Array of tags
+ */
+async function getAllTags() {
+	if (!db) await initDB();
+
+	try {
+		const tags = await db.tags.toArray();
+		return tags;
+	} catch (error) {
+		console.error('❌ Error getting all tags:', error);
+		throw error;
+	}
+}
+
+/**
+ * Get all notes (for counting purposes)
+ * @returns {Promise<Array>} Array of all notes
+ */
+async function getAllNotesForCounting() {
+	if (!db) await initDB();
+
+	try {
+		const notes = await db.notes.toArray();
+		return notes;
+	} catch (error) {
+		console.error('❌ Error getting all notes for counting:', error);
+		throw error;
+	}
+}
+
+/**
+ * Get all notes (alias for getAllNotesForCounting)
+ * @returns {Promise<Array>} Array of all notes
+ */
+async function getAllNotes() {
+	if (!db) await initDB();
+
+	try {
+		const notes = await db.notes.toArray();
+		return notes;
+	} catch (error) {
+		console.error('❌ Error getting all notes:', error);
+		throw error;
+	}
+}
+
+/**
+ * Get note by ID
+ * @param {Number} noteId - Note ID
+ * @returns {Promise<Object>} Note object
+ */
+async function getNoteById(noteId) {
+	if (!db) await initDB();
+
+	try {
+		const note = await db.notes.get(noteId);
+		return note;
+	} catch (error) {
+		console.error('❌ Error getting note by ID:', error);
+		throw error;
+	}
+}
+
+/**
+ * Get current displayed notes (filtered based on current view)
+ * @returns {Promise<Array>} Array of filtered notes
+ */
+async function getCurrentDisplayedNotes() {
+	if (!db) await initDB();
+
+	try {
+		// Same filters as the notes view, read through the query planner
+		return await getNotesWithFilters({
+			hasOverdue: !!window.showOverdueOnly,
+			hasDueDate: !!window.showHasDueDateOnly,
+			hasColor: !!window.showHasColorOnly,
+			hasReminder: !!window.showHasReminderOnly,
+			hasParentNote: !!window.showHasParentNoteOnly,
+			hasFolder: !!window.showHasFolderInfoOnly,
+			sortBy: window.currentSortOption || 'updated',
+			sortDirection: window.currentSortDirection || 'desc'
+		});
+	} catch (error) {
+		console.error('❌ Error getting current displayed notes:', error);
+		throw error;
+	}
+}
+
+/**
+ * Get notes with reminders for checking
+ * @returns {Promise<Array>} Array of notes with reminders
+ */
+async function getNotesWithReminders() {
+	if (!db) await initDB();
+
+	try {
+		const notes = await db.notes.toArray();
+		
+		// Only get notes that have reminders and are not deleted
+		const notesWithReminders = notes.filter(note => 
+			note.reminderDateTime && 
+			note.isDeleted !== true
+		);
+
+		return notesWithReminders;
+	} catch (error) {
+		console.error('❌ Error getting notes with reminders:', error);
+		throw error;
+	}
+}
+
+/**
+ * Get selectable parent notes (not deleted, not archived, excluding current note and its descendants)
+ * @param {Number} excludeNoteId - Note ID to exclude (current note)
+ * @returns {Promise<Array>} Array of selectable notes
+ */
+async function getSelectableParentNotes(excludeNoteId) {
+	if (!db) await initDB();
+
+	try {
+		let notes = await db.notes.toArray();
+		// Alt notlar üst not olarak seçilirse döngü oluşur
+		const descendants = new Set(excludeNoteId ? await collectDescendantNoteIds([excludeNoteId]) : []);
+		
+		// Filter: not deleted, not archived, not current note or its descendants
+		notes = notes.filter(note =>
+			note.isDeleted !== true &&
+			note.isArchived !== true &&
+			note.id !== excludeNoteId &&
+			!descendants.has(note.id)
+		);
+
+		// Sort by title
+		notes.sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+
+		return notes;
+	} catch (error) {
+		console.error('❌ Error getting selectable parent notes:', error);
+		throw error;
+	}
+}
+
+/* ---------- Notes CRUD Functions ---------- */
+// Error name used when updateNoteById rejects a stale write
+const NOTE_CONFLICT_ERROR = 'NoteConflictError';
+
+/**
+ * Create a new note
+ * @param {Object} noteData - Note data
+ * @returns {Promise<Number>} Created note ID
+ */
+async function createNote(noteData) {
+	if (!db) await initDB();
+
+	try {
+		// createdAt/updatedAt indeksleri sıralamada kullanılır, boş kalmamalı
+		const now = new Date().toISOString();
+		noteData.createdAt = noteData.createdAt || now;
+		noteData.updatedAt = noteData.updatedAt || noteData.createdAt;
+
+		const id = await db.transaction('rw', db.notes, db.revisions, async () => {
+			const newId = await db.notes.add(noteData);
+			await addNoteRevision({ ...noteData, id: newId });
+			return newId;
+		});
+		console.log('✅ Note created with ID:', id);
+		return id;
+	} catch (error) {
+		console.error('❌ Error creating note:', error);
+		throw error;
+	}
+}
+
+/**
+ * Update an existing note
+ * @param {Number} id - Note ID
+ * @param {Object} noteData - Note data (must include id)
+ * @param {Object} options - Update options
+ * @param {String} options.expectedUpdatedAt - updatedAt of the version the editor loaded; a newer stored version rejects the write
+ * @returns {Promise<Number>} Updated note ID
+ */
+async function updateNoteById(id, noteData, { expectedUpdatedAt } = {}) {
+	if (!db) await initDB();
+
+	try {
+		// Ensure id is included in noteData
+		noteData.id = id;
+
+		await db.transaction('rw', db.notes, db.revisions, async () => {
+			const existingNote = await db.notes.get(id);
+			if (expectedUpdatedAt && existingNote && existingNote.updatedAt !== expectedUpdatedAt) {
+				throw createNoteConflictError(existingNote);
+			}
+
+			// Notes saved before revisions existed keep their old state as the first snapshot
+			if (existingNote && await db.revisions.where('noteId').equals(id).count() === 0) {
+				await addNoteRevision(existingNote);
+			}
+
+			await db.notes.put(noteData);
+			await addNoteRevision(noteData);
+		});
+		console.log('✅ Note updated with ID:', id);
+		return id;
+	} catch (error) {
+		if (error.name === NOTE_CONFLICT_ERROR) {
+			console.warn('⚠️ Stale note update rejected for ID:', id);
+		} else {
+			console.error('❌ Error updating note:', error);
+		}
+		throw error;
+	}
+}
+
+/**
+ * Error thrown when a note changed after the editor loaded it
+ * @param {Object} currentNote - The note as currently stored
+ * @returns {Error} Error carrying the stored note
+ */
+function createNoteConflictError(currentNote) {
+	const error = new Error('Note was modified by another session');
+	error.name = NOTE_CONFLICT_ERROR;
+	error.currentNote = currentNote;
+	return error;
+}
+
+/**
+ * Soft delete a note (set isDeleted = true) and record its prior state for undo
+ * @param {Number} id - Note ID
+ * @returns {Promise<Object>} Result ({ note, operation })
+ */
+async function deleteNoteById(id) {
+	if (!db) await initDB();
+
+	try {
+		const note = await db.notes.get(id);
+		if (!note) {
+			throw new Error('Note not found');
+		}
+
+		const snapshot = structuredClone(note);
+		note.isDeleted = true;
+		note.updatedAt = new Date().toISOString();
+		note.deletedAt = note.updatedAt;
+		
+		await db.notes.put(note);
+		const operation = await recordOperation('note:trash', { [STORE_NAME]: { put: [snapshot] } });
+		console.log('✅ Note soft deleted with ID:', id);
+		return { note, operation };
+	} catch (error) {
+		console.error('❌ Error deleting note:', error);
+		throw error;
+	}
+}
+
+/**
+ * Permanently delete a note together with its comments and revisions
+ * @param {Number} id - Note ID
+ * @param {Object} options - See permanentDeleteNotesByIds
+ * @returns {Promise<Object>} Result ({ deletedNoteIds, updatedNoteIds, deletedComments, operation })
+ */
+async function permanentDeleteNoteById(id, options = {}) {
+	if (!db) await initDB();
+
+	try {
+		const result = await permanentDeleteNotesByIds([id], options);
+		console.log('✅ Note permanently deleted with ID:', id);
+		return result;
+	} catch (error) {
+		console.error('❌ Error permanently deleting note:', error);
+		throw error;
+	}
+}
+
+/**
+ * Restore a deleted note (set isDeleted = false)
+ * Links to folders, tags or parents that no longer exist are dropped in the same transaction
+ * @param {Number} id - Note ID
+ * @returns {Promise<Object>} Restored note
+ */
+async function restoreNoteById(id) {
+	if (!db) await initDB();
+
+	try {
+		const note = await db.transaction('rw', db.notes, db.folders, db.tags, async () => {
+			const note = await db.notes.get(id);
+			if (!note) {
+				throw new Error('Note not found');
+			}
+
+			note.isDeleted = false;
+			note.updatedAt = new Date().toISOString();
+			delete note.deletedAt;
+
+			if (note.parentNoteId && !(await db.notes.get(note.parentNoteId))) {
+				note.parentNoteId = null;
+			}
+			if (note.folderId && !(await db.folders.get(note.folderId))) {
+				note.folderId = null;
+			}
+			if (Array.isArray(note.tagIds) && note.tagIds.length > 0) {
+				const tags = await db.tags.bulkGet(note.tagIds);
+				note.tagIds = note.tagIds.filter((tagId, i) => tags[i]);
+			}
+
+			await db.notes.put(note);
+			return note;
+		});
+		console.log('✅ Note restored with ID:', id);
+		return note;
+	} catch (error) {
+		console.error('❌ Error restoring note:', error);
+		throw error;
+	}
+}
+
+/**
+ * Archive a note (set isArchived = true) and record its prior state for undo
+ * @param {Number} id - Note ID
+ * @returns {Promise<Object>} Result ({ note, operation })
+ */
+async function archiveNoteById(id) {
+	if (!db) await initDB();
+
+	try {
+		const note = await db.notes.get(id);
+		if (!note) {
+			throw new Error('Note not found');
+		}
+
+		const snapshot = structuredClone(note);
+		note.isArchived = true;
+		note.updatedAt = new Date().toISOString();
+		
+		await db.notes.put(note);
+		const operation = await recordOperation('note:archive', { [STORE_NAME]: { put: [snapshot] } });
+		console.log('✅ Note archived with ID:', id);
+		return { note, operation };
+	} catch (error) {
+		console.error('❌ Error archiving note:', error);
+		throw error;
+	}
+}
+
+/**
+ * Unarchive a note (set isArchived = false)
+ * @param {Number} id - Note ID
+ * @returns {Promise<Object>} Unarchived note
+ */
+async function unarchiveNoteById(id) {
+	if (!db) await initDB();
+
+	try {
+		const note = await db.notes.get(id);
+		if (!note) {
+			throw new Error('Note not found');
+		}
+
+		note.isArchived = false;
+		note.updatedAt = new Date().toISOString();
+		
+		await db.notes.put(note);
+		console.log('✅ Note unarchived with ID:', id);
+		return note;
+	} catch (error) {
+		console.error('❌ Error unarchiving note:', error);
+		throw error;
+	}
+}
+
+/**
+ * Toggle favorite status of a note
+ * @param {Number} id - Note ID
+ * @returns {Promise<Object>} Updated note
+ */
+async function toggleNoteFavoriteById(id) {
+	if (!db) await initDB();
+
+	try {
+		const note = await db.notes.get(id);
+		if (!note) {
+			throw new Error('Note not found');
+		}
+
+		note.isFavorite = !note.isFavorite;
+		note.updatedAt = new Date().toISOString();
+		
+		await db.notes.put(note);
+		console.log('✅ Note favorite toggled with ID:', id, 'New status:', note.isFavorite);
+		return note;
+	} catch (error) {
+		console.error('❌ Error toggling note favorite:', error);
+		throw error;
+	}
+}
+
+/**
+ * Clear parent note references (set parentNoteId = null for all notes referencing this note)
+ * @param {Number} deletedNoteId - Deleted note ID
+ * @returns {Promise<Number>} Number of notes updated
+ */
+async function clearParentNoteReferences(deletedNoteId) {
+	if (!db) await initDB();
+
+	try {
+		const notes = await db.notes.toArray();
+		const notesToUpdate = notes.filter(note => 
+			note.parentNoteId === deletedNoteId && 
+			!note.isDeleted
+		);
+
+		if (notesToUpdate.length === 0) {
+			return 0;
+		}
+
+		const now = new Date().toISOString();
+		const updatePromises = notesToUpdate.map(note => {
+			note.parentNoteId = null;
+			note.updatedAt = now;
+			return db.notes.put(note);
+		});
+
+		await Promise.all(updatePromises);
+		console.log('✅ Cleared parent note references for', notesToUpdate.length, 'notes');
+		return notesToUpdate.length;
+	} catch (error) {
+		console.error('❌ Error clearing parent note references:', error);
+		throw error;
+	}
+}
+
+/**
+ * Get direct child notes of a note
+ * @param {Number} parentNoteId - Parent note ID
+ * @returns {Promise<Array>} Array of child notes
+ */
+async function getChildNotes(parentNoteId) {
+	if (!db) await initDB();
+
+	try {
+		return await db.notes.where('parentNoteId').equals(parentNoteId).toArray();
+	} catch (error) {
+		console.error('❌ Error getting child notes:', error);
+		throw error;
+	}
+}
+
+/**
+ * Count direct child notes of the given notes, excluding the notes themselves
+ * @param {Array<Number>} parentNoteIds - Parent note IDs
+ * @returns {Promise<Number>} Child count
+ */
+async function countChildNotes(parentNoteIds) {
+	if (!db) await initDB();
+
+	try {
+		const childIds = await db.notes.where('parentNoteId').anyOf(parentNoteIds).primaryKeys();
+		return childIds.filter(id => !parentNoteIds.includes(id)).length;
+	} catch (error) {
+		console.error('❌ Error counting child notes:', error);
+		throw error;
+	}
+}
+
+/* ---------- Note Tree Functions ---------- */
+const NOTE_CYCLE_ERROR = 'NoteCycleError';
+
+/**
+ * Ancestors of a note from the root down to its parent
+ * @param {Number} noteId - Note ID
+ * @returns {Promise<Array>} Ancestor notes, root first
+ */
+async function getNoteAncestors(noteId) {
+	if (!db) await initDB();
+
+	try {
+		const ancestors = [];
+		const visited = new Set([noteId]);
+		let note = await db.notes.get(noteId);
+
+		while (note && note.parentNoteId && !visited.has(note.parentNoteId)) {
+			visited.add(note.parentNoteId);
+			note = await db.notes.get(note.parentNoteId);
+			if (note) ancestors.unshift(note);
+		}
+
+		return ancestors;
+	} catch (error) {
+		console.error('❌ Error getting note ancestors:', error);
+		throw error;
+	}
+}
+
+/**
+ * Count direct children of every note, ignoring trashed children
+ * @returns {Promise<Object>} Map of parent note ID to child count
+ */
+async function getChildNoteCounts() {
+	if (!db) await initDB();
+
+	try {
+		const children = await db.notes.where('parentNoteId').above(0).toArray();
+		const counts = {};
+
+		children.forEach(note => {
+			if (note.isDeleted === true) return;
+			counts[note.parentNoteId] = (counts[note.parentNoteId] || 0) + 1;
+		});
+
+		return counts;
+	} catch (error) {
+		console.error('❌ Error counting child notes:', error);
+		throw error;
+	}
+}
+
+/**
+ * Move a note under another note, or to the top level with null
+ * @param {Number} noteId - Note ID
+ * @param {Number|null} parentNoteId - New parent note ID
+ * @returns {Promise<Object>} Updated note
+ */
+async function moveNoteToParent(noteId, parentNoteId) {
+	if (!db) await initDB();
+
+	try {
+		const note = await db.transaction('rw', db.notes, async () => {
+			const note = await db.notes.get(noteId);
+			if (!note) {
+				throw new Error('Note not found');
+			}
+
+			if (parentNoteId) {
+				const parentNote = await db.notes.get(parentNoteId);
+				if (!parentNote || parentNote.isDeleted === true) {
+					throw new Error('Parent note not found');
+				}
+
+				// Not kendi altındaki bir nota taşınamaz
+				const descendants = await collectDescendantNoteIds([noteId]);
+				if (parentNoteId === noteId || descendants.includes(parentNoteId)) {
+					const error = new Error('A note cannot be moved under itself or its descendants');
+					error.name = NOTE_CYCLE_ERROR;
+					throw error;
+				}
+			}
+
+			note.parentNoteId = parentNoteId || null;
+			note.updatedAt = new Date().toISOString();
+			await db.notes.put(note);
+			return note;
+		});
+
+		console.log('✅ Note moved with ID:', noteId, 'under parent:', parentNoteId);
+		return note;
+	} catch (error) {
+		if (error.name === NOTE_CYCLE_ERROR) {
+			console.warn('⚠️ Note move rejected to prevent a cycle:', noteId);
+		} else {
+			console.error('❌ Error moving note:', error);
+		}
+		throw error;
+	}
+}
+
+/* ---------- Transactional Note Operations ---------- */
+
+// What happens to child notes when their parent is permanently deleted
+const CHILD_NOTE_POLICIES = {
+	DETACH: 'detach', // children become top-level notes
+	REPARENT: 'reparent', // children move up to the deleted note's parent
+	DELETE: 'delete' // trashed descendants are deleted too; active ones are detached
+};
+
+/**
+ * Collect IDs of all descendants of the given notes
+ * Must be called inside a transaction that includes the notes store
+ * @param {Array<Number>} noteIds - Root note IDs
+ * @param {Object} options - Options
+ * @param {Boolean} options.onlyDeleted - Follow trashed notes only; active notes and their subtrees are left out
+ * @returns {Promise<Array<Number>>} Descendant note IDs (roots excluded)
+ */
+async function collectDescendantNoteIds(noteIds, { onlyDeleted = false } = {}) {
+	const visited = new Set(noteIds);
+	const descendants = [];
+	let frontier = [...noteIds];
+
+	while (frontier.length > 0) {
+		let children = db.notes.where('parentNoteId').anyOf(frontier);
+		if (onlyDeleted) children = children.filter(note => note.isDeleted === true);
+		const childIds = await children.primaryKeys();
+		frontier = childIds.filter(id => !visited.has(id));
+		frontier.forEach(id => {
+			visited.add(id);
+			descendants.push(id);
+		});
+	}
+
+	return descendants;
+}
+
+/**
+ * Permanently delete notes with their comments and revisions in one transaction
+ * Either every change is applied or, on error, none is. Every removed or relinked record is kept for undo
+ * @param {Array<Number>} ids - Note IDs
+ * @param {Object} options - Options
+ * @param {String} options.childPolicy - 'detach' (default), 'reparent' or 'delete'
+ * @returns {Promise<Object>} Result ({ deletedNoteIds, updatedNoteIds, deletedComments, operation })
+ */
+async function permanentDeleteNotesByIds(ids, { childPolicy = CHILD_NOTE_POLICIES.DETACH } = {}) {
+	if (!db) await initDB();
+
+	try {
+		if (!Object.values(CHILD_NOTE_POLICIES).includes(childPolicy)) {
+			throw new Error(`Unknown child note policy: ${childPolicy}`);
+		}
+
+		const result = await db.transaction('rw', db.notes, db.comments, db.revisions, async () => {
+			const notes = (await db.notes.bulkGet(ids)).filter(Boolean);
+			if (notes.length !== ids.length) {
+				throw new Error('Note not found');
+			}
+
+			const deleteIds = new Set(ids);
+			if (childPolicy === CHILD_NOTE_POLICIES.DELETE) {
+				// Çöp kutusunda olmayan alt notlar silinmez, bağlantıları kaldırılır
+				(await collectDescendantNoteIds(ids, { onlyDeleted: true })).forEach(id => deleteIds.add(id));
+			}
+
+			// Children that survive get a new parent instead of a dangling link
+			const parentById = new Map(notes.map(note => [note.id, note.parentNoteId || null]));
+			const children = await db.notes.where('parentNoteId').anyOf([...deleteIds]).toArray();
+			const survivors = children.filter(child => !deleteIds.has(child.id));
+			const now = new Date().toISOString();
+
+			const deletedNoteIds = [...deleteIds];
+			const [deletedNotes, comments, revisions] = await Promise.all([
+				db.notes.bulkGet(deletedNoteIds),
+				db.comments.where('noteId').anyOf(deletedNoteIds).toArray(),
+				db.revisions.where('noteId').anyOf(deletedNoteIds).toArray()
+			]);
+			const snapshots = [...deletedNotes.filter(Boolean), ...survivors].map(note => structuredClone(note));
+
+			survivors.forEach(child => {
+				let newParentId = null;
+
+				if (childPolicy === CHILD_NOTE_POLICIES.REPARENT) {
+					// Skip ancestors deleted in the same operation
+					const seen = new Set();
+					newParentId = parentById.get(child.parentNoteId) ?? null;
+					while (newParentId !== null && deleteIds.has(newParentId) && !seen.has(newParentId)) {
+						seen.add(newParentId);
+						newParentId = parentById.get(newParentId) ?? null;
+					}
+					if (newParentId !== null && deleteIds.has(newParentId)) {
+						newParentId = null;
+					}
+				}
+
+				child.parentNoteId = newParentId;
+				child.updatedAt = now;
+			});
+
+			if (survivors.length > 0) {
+				await db.notes.bulkPut(survivors);
+			}
+
+			const deletedComments = await db.comments.where('noteId').anyOf(deletedNoteIds).delete();
+			await db.revisions.where('noteId').anyOf(deletedNoteIds).delete();
+			await db.notes.bulkDelete(deletedNoteIds);
+
+			return {
+				deletedNoteIds,
+				updatedNoteIds: survivors.map(child => child.id),
+				deletedComments,
+				operation: await recordOperation('note:permanentDelete', {
+					[STORE_NAME]: { put: snapshots },
+					[COMMENTS_STORE_NAME]: { put: comments },
+					[REVISIONS_STORE_NAME]: { put: revisions }
+				})
+			};
+		});
+
+		console.log('✅ Permanently deleted', result.deletedNoteIds.length, 'notes and', result.deletedComments, 'comments');
+		return result;
+	} catch (error) {
+		console.error('❌ Error permanently deleting notes:', error);
+		throw error;
+	}
+}
+
+/**
+ * Get trashed notes older than the retention period
+ * @param {Number} retentionDays - Days a note stays in the trash (0 or less keeps forever)
+ * @returns {Promise<Array<Number>>} IDs of expired notes
+ */
+async function getExpiredNoteIds(retentionDays) {
+	if (!db) await initDB();
+
+	try {
+		if (!retentionDays || retentionDays <= 0) {
+			return [];
+		}
+
+		const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+		const expiredNotes = await db.notes.where('deletedAt').below(cutoff).toArray();
+		return expiredNotes.filter(note => note.isDeleted === true).map(note => note.id);
+	} catch (error) {
+		console.error('❌ Error getting expired notes:', error);
+		throw error;
+	}
+}
+
+/**
+ * Permanently delete trashed notes older than the retention period
+ * Comments and revisions go with them; surviving children are detached
+ * @param {Number} retentionDays - Days a note stays in the trash (0 or less keeps forever)
+ * @returns {Promise<Array<Number>>} IDs of purged notes
+ */
+async function purgeExpiredNotes(retentionDays) {
+	if (!db) await initDB();
+
+	try {
+		const expiredIds = await getExpiredNoteIds(retentionDays);
+
+		if (expiredIds.length === 0) {
+			return [];
+		}
+
+		const result = await permanentDeleteNotesByIds(expiredIds, { childPolicy: CHILD_NOTE_POLICIES.DETACH });
+		console.log('✅ Purged', result.deletedNoteIds.length, 'expired notes from trash');
+		return result.deletedNoteIds;
+	} catch (error) {
+		console.error('❌ Error purging expired notes:', error);
+		throw error;
+	}
+}
+
+/**
+ * Copy a note with its comments in one transaction
+ * @param {Number} id - Note ID
+ * @param {Object} options - Options
+ * @param {Boolean} options.includeComments - Copy comments too (default true)
+ * @returns {Promise<Number>} New note ID
+ */
+async function copyNoteById(id, { includeComments = true } = {}) {
+	if (!db) await initDB();
+
+	try {
+		const newNoteId = await db.transaction('rw', db.notes, db.comments, db.revisions, async () => {
+			const originalNote = await db.notes.get(id);
+			if (!originalNote) {
+				throw new Error('Note not found');
+			}
+
+			const now = new Date().toISOString();
+			const copiedNote = {
+				title: `(copy) ${originalNote.title}`,
+				content: originalNote.content,
+				checklistData: originalNote.checklistData || null,
+				bgColor: originalNote.bgColor || '',
+				dueDate: originalNote.dueDate || null,
+				reminderDateTime: originalNote.reminderDateTime || null,
+				parentNoteId: originalNote.parentNoteId || null,
+				folderId: originalNote.folderId || null,
+				tagIds: [...(originalNote.tagIds || [])],
+				createdAt: now,
+				updatedAt: now,
+				isFavorite: false,
+				isArchived: false,
+				isDeleted: false
+			};
+
+			const newId = await db.notes.add(copiedNote);
+			await addNoteRevision({ ...copiedNote, id: newId });
+
+			if (includeComments) {
+				const comments = await db.comments.where('noteId').equals(id).toArray();
+				await db.comments.bulkAdd(comments.map(comment => ({
+					noteId: newId,
+					content: comment.content,
+					author: comment.author,
+					createdAt: comment.createdAt,
+					updatedAt: comment.updatedAt
+				})));
+			}
+
+			return newId;
+		});
+
+		console.log('✅ Note copied with ID:', newNoteId);
+		return newNoteId;
+	} catch (error) {
+		console.error('❌ Error copying note:', error);
+		throw error;
+	}
+}
+
+/* ---------- Operation Log ---------- */
+const OPERATION_EXPIRED_ERROR = 'OperationExpiredError';
+
+// How long an operation can be undone, and how many are kept
+const OPERATION_UNDO_WINDOW_MS = 10000;
+const OPERATION_LOG_LIMIT = 20;
+
+// Recent operations with the inverse of their changes, newest last
+let operationLog = [];
+let lastOperationId = 0;
+
+/**
+ * Record the inverse of a mutation so it can be undone; call it after the mutation is written
+ * @param {String} type - Operation type (e.g. 'bulk:archive')
+ * @param {Object} inverse - Per store: { put: [records as they were], delete: [IDs the operation created] }
+ * @returns {Promise<Object>} Operation ({ id, type, createdAt, expiresAt })
+ */
+async function recordOperation(type, inverse) {
+	// Kayıtların işlemden hemen sonraki updatedAt değeri; geri alırken sonradan değişenler atlanır
+	const written = {};
+	for (const [storeName, { put = [], delete: deleteIds = [] }] of Object.entries(inverse)) {
+		const ids = [...put.map(record => record.id), ...deleteIds];
+		const records = await db.table(storeName).bulkGet(ids);
+		written[storeName] = new Map(ids.map((id, index) => [id, records[index]?.updatedAt ?? null]));
+	}
+
+	const createdAt = Date.now();
+	const operation = {
+		id: ++lastOperationId,
+		type,
+		inverse,
+		written,
+		createdAt,
+		expiresAt: createdAt + OPERATION_UNDO_WINDOW_MS
+	};
+
+	operationLog.push(operation);
+	operationLog = operationLog.slice(-OPERATION_LOG_LIMIT);
+
+	return { id: operation.id, type, createdAt, expiresAt: operation.expiresAt };
+}
+
+/**
+ * Undo a recorded operation in one transaction; records changed since the operation are left as they are
+ * @param {Number} operationId - Operation ID
+ * @returns {Promise<Object>} Undone operation ({ id, type, skipped: { [store]: [IDs changed since the operation] } })
+ */
+async function undoOperation(operationId) {
+	if (!db) await initDB();
+
+	try {
+		const operation = operationLog.find(entry => entry.id === operationId);
+		if (!operation || operation.expiresAt < Date.now()) {
+			const error = new Error('Operation can no longer be undone');
+			error.name = OPERATION_EXPIRED_ERROR;
+			throw error;
+		}
+
+		const tables = Object.keys(operation.inverse).map(storeName => db.table(storeName));
+		const skipped = {};
+		await db.transaction('rw', tables, async () => {
+			for (const [storeName, { put = [], delete: deleteIds = [] }] of Object.entries(operation.inverse)) {
+				const table = db.table(storeName);
+				const written = operation.written[storeName];
+				const ids = [...put.map(record => record.id), ...deleteIds];
+				const current = await table.bulkGet(ids);
+				const changedIds = new Set(ids.filter((id, index) => (current[index]?.updatedAt ?? null) !== written.get(id)));
+
+				const deletable = deleteIds.filter(id => !changedIds.has(id));
+				const restorable = put.filter(record => !changedIds.has(record.id));
+				if (deletable.length > 0) {
+					await table.bulkDelete(deletable);
+				}
+				if (restorable.length > 0) {
+					await table.bulkPut(restorable);
+				}
+				if (changedIds.size > 0) {
+					skipped[storeName] = [...changedIds];
+				}
+			}
+		});
+
+		// Bir işlem yalnızca bir kez geri alınabilir
+		operationLog = operationLog.filter(entry => entry.id !== operationId);
+		if (Object.keys(skipped).length > 0) {
+			console.warn('⚠️ Records changed since the operation were not undone:', skipped);
+		}
+		console.log('✅ Operation undone:', operation.type);
+		return { id: operation.id, type: operation.type, skipped };
+	} catch (error) {
+		if (error.name === OPERATION_EXPIRED_ERROR) {
+			console.warn('⚠️ Operation expired before undo:', operationId);
+		} else {
+			console.error('❌ Error undoing operation:', error);
+		}
+		throw error;
+	}
+}
+
+/* ---------- Bulk Note Operations ---------- */
+const BULK_NOTE_ACTIONS = {
+	MOVE: 'move', // value: folder ID or null
+	ADD_TAGS: 'addTags', // value: tag IDs
+	REMOVE_TAGS: 'removeTags', // value: tag IDs
+	FAVORITE: 'favorite', // value: true or false
+	ARCHIVE: 'archive', // value: true or false
+	TRASH: 'trash',
+	RESTORE: 'restore',
+	PERMANENT_DELETE: 'permanentDelete', // value: child note policy
+	DUE_DATE: 'dueDate', // value: ISO date or null
+	COLOR: 'color' // value: background color or null
+};
+
+/**
+ * Apply one bulk action to a note copy
+ * @param {Object} note - Note to change in place
+ * @param {String} action - Action from BULK_NOTE_ACTIONS
+ * @param {*} value - Action value
+ * @param {Object} context - Change time and, for restore, existing IDs ({ now, folderIds, tagIds, noteIds })
+ * @returns {Boolean} True if the note changed
+ */
+function applyBulkNoteChange(note, action, value, context) {
+	switch (action) {
+		case BULK_NOTE_ACTIONS.MOVE:
+			if ((note.folderId || null) === (value || null)) return false;
+			note.folderId = value || null;
+			return true;
+		case BULK_NOTE_ACTIONS.ADD_TAGS: {
+			const tagIds = note.tagIds || [];
+			const added = value.filter(tagId => !tagIds.includes(tagId));
+			if (added.length === 0) return false;
+			note.tagIds = [...tagIds, ...added];
+			return true;
+		}
+		case BULK_NOTE_ACTIONS.REMOVE_TAGS: {
+			const tagIds = note.tagIds || [];
+			if (!tagIds.some(tagId => value.includes(tagId))) return false;
+			note.tagIds = tagIds.filter(tagId => !value.includes(tagId));
+			return true;
+		}
+		case BULK_NOTE_ACTIONS.FAVORITE:
+			if (!!note.isFavorite === !!value) return false;
+			note.isFavorite = !!value;
+			return true;
+		case BULK_NOTE_ACTIONS.ARCHIVE:
+			if (!!note.isArchived === !!value) return false;
+			note.isArchived = !!value;
+			return true;
+		case BULK_NOTE_ACTIONS.TRASH:
+			if (note.isDeleted === true) return false;
+			note.isDeleted = true;
+			note.deletedAt = context.now;
+			return true;
+		case BULK_NOTE_ACTIONS.RESTORE:
+			if (note.isDeleted !== true) return false;
+			note.isDeleted = false;
+			delete note.deletedAt;
+			// restoreNoteById ile aynı şekilde kopan bağlantılar temizlenir
+			if (note.parentNoteId && !context.noteIds.has(note.parentNoteId)) note.parentNoteId = null;
+			if (note.folderId && !context.folderIds.has(note.folderId)) note.folderId = null;
+			note.tagIds = (note.tagIds || []).filter(tagId => context.tagIds.has(tagId));
+			return true;
+		case BULK_NOTE_ACTIONS.DUE_DATE:
+			if ((note.dueDate || null) === (value || null)) return false;
+			note.dueDate = value || null;
+			return true;
+		case BULK_NOTE_ACTIONS.COLOR:
+			if ((note.bgColor || '') === (value || '')) return false;
+			note.bgColor = value || '';
+			return true;
+		default:
+			return false;
+	}
+}
+
+/**
+ * Apply an action to several notes in one transaction and record its inverse for undo
+ * @param {Array<Number>} noteIds - Note IDs
+ * @param {String} action - Action from BULK_NOTE_ACTIONS
+ * @param {*} value - Action value (see BULK_NOTE_ACTIONS)
+ * @returns {Promise<Object>} Result ({ changedNoteIds, operation })
+ */
+async function applyBulkNoteAction(noteIds, action, value = null) {
+	if (!db) await initDB();
+
+	try {
+		if (!Object.values(BULK_NOTE_ACTIONS).includes(action)) {
+			throw new Error(`Unknown bulk note action: ${action}`);
+		}
+
+		const result = await db.transaction('rw', db.notes, db.comments, db.revisions, db.folders, db.tags, async () => {
+			if (action === BULK_NOTE_ACTIONS.PERMANENT_DELETE) {
+				// permanentDeleteNotesByIds records its own inverse
+				const { deletedNoteIds, operation } = await permanentDeleteNotesByIds(noteIds, { childPolicy: value || CHILD_NOTE_POLICIES.DETACH });
+				return { changedNoteIds: deletedNoteIds, operation };
+			}
+
+			if (action === BULK_NOTE_ACTIONS.MOVE && value && !(await db.folders.get(value))) {
+				throw new Error('Folder not found');
+			}
+
+			const now = new Date().toISOString();
+			const context = { now };
+			if (action === BULK_NOTE_ACTIONS.RESTORE) {
+				const [folderIds, tagIds, existingNoteIds] = await Promise.all([
+					db.folders.toCollection().primaryKeys(),
+					db.tags.toCollection().primaryKeys(),
+					db.notes.toCollection().primaryKeys()
+				]);
+				context.folderIds = new Set(folderIds);
+				context.tagIds = new Set(tagIds);
+				context.noteIds = new Set(existingNoteIds);
+			}
+
+			const notes = (await db.notes.bulkGet(noteIds)).filter(Boolean);
+			const before = [];
+			const changed = [];
+
+			notes.forEach(note => {
+				const snapshot = structuredClone(note);
+				if (!applyBulkNoteChange(note, action, value, context)) return;
+				note.updatedAt = now;
+				before.push(snapshot);
+				changed.push(note);
+			});
+
+			await db.notes.bulkPut(changed);
+			const operation = changed.length > 0 ? await recordOperation(`bulk:${action}`, { [STORE_NAME]: { put: before } }) : null;
+			return { changedNoteIds: changed.map(note => note.id), operation };
+		});
+
+		console.log('✅ Bulk action', action, 'applied to', result.changedNoteIds.length, 'notes');
+		return result;
+	} catch (error) {
+		console.error('❌ Error applying bulk note action:', error);
+		throw error;
+	}
+}
+
+/* ---------- Note Import ---------- */
+
+/**
+ * Create imported notes in one transaction, linking tags by name and creating the missing ones
+ * Tag names are matched case-insensitively; the whole import can be undone as one operation
+ * @param {Array<Object>} notesData - Notes in the shape saveNote writes, with tag names in `tagNames`
+ * @param {Object} options - Options
+ * @param {Number|null} options.folderId - Folder the notes are imported into
+ * @returns {Promise<Object>} Result ({ createdNoteIds, createdTagIds, operation })
+ */
+async function importNotes(notesData, { folderId = null } = {}) {
+	if (!db) await initDB();
+
+	try {
+		// Gömülü (base64) resimler transaction dışında çözülür
+		const inlineImages = await decodeInlineImages(notesData.map(noteData => noteData.content).join('\n'));
+
+		const result = await db.transaction('rw', db.notes, db.tags, db.folders, db.revisions, db.attachments, async () => {
+			if (folderId && !(await db.folders.get(folderId))) {
+				throw new Error('Folder not found');
+			}
+
+			const tagIdsByName = new Map((await db.tags.toArray()).map(tag => [tag.name.toLowerCase(), tag.id]));
+			const createdTagIds = [];
+			const createdNoteIds = [];
+			const revisionIds = [];
+
+			for (const { tagNames = [], ...noteData } of notesData) {
+				const tagIds = [];
+				for (const name of tagNames) {
+					const key = name.toLowerCase();
+					if (!tagIdsByName.has(key)) {
+						const now = new Date().toISOString();
+						const tagId = await db.tags.add({ name, bgColor: null, fontColor: null, createdAt: now, updatedAt: now });
+						tagIdsByName.set(key, tagId);
+						createdTagIds.push(tagId);
+					}
+					if (!tagIds.includes(tagIdsByName.get(key))) {
+						tagIds.push(tagIdsByName.get(key));
+					}
+				}
+
+				// Gömülü (base64) resimler ek olarak saklanır
+				const content = await replaceInlineImages(noteData.content, inlineImages);
+				const note = { ...noteData, content, folderId: folderId || null, tagIds };
+				const noteId = await db.notes.add(note);
+				const revisionId = await addNoteRevision({ ...note, id: noteId });
+				createdNoteIds.push(noteId);
+				if (revisionId) revisionIds.push(revisionId);
+			}
+
+			return {
+				createdNoteIds,
+				createdTagIds,
+				operation: createdNoteIds.length > 0 ? await recordOperation('note:import', {
+					[STORE_NAME]: { delete: createdNoteIds },
+					[TAGS_STORE_NAME]: { delete: createdTagIds },
+					[REVISIONS_STORE_NAME]: { delete: revisionIds }
+				}) : null
+			};
+		});
+
+		console.log('✅ Imported', result.createdNoteIds.length, 'notes and', result.createdTagIds.length, 'new tags');
+		return result;
+	} catch (error) {
+		console.error('❌ Error importing notes:', error);
+		throw error;
+	}
+}
+
+/**
+ * Clear reminder from a note
+ * @param {Number} noteId - Note ID
+ * @returns {Promise<void>}
+ */
+async function clearNoteReminder(noteId) {
+	if (!db) await initDB();
+
+	try {
+		const note = await db.notes.get(noteId);
+		if (note) {
+			note.reminderDateTime = null;
+			note.updatedAt = new Date().toISOString();
+			await db.notes.put(note);
+			console.log('✅ Reminder cleared for note:', noteId);
+		}
+	} catch (error) {
+		console.error('❌ Error clearing note reminder:', error);
+		throw error;
+	}
+}
+
+/**
+ * Check if folder name is duplicate among the folders of one parent (excluding a specific folder ID)
+ * @param {String} folderName - Folder name to check
+ * @param {Number} excludeFolderId - Folder ID to exclude from check
+ * @param {Number|null} parentFolderId - Parent folder ID, null for top-level folders
+ * @returns {Promise<Boolean>} True if duplicate exists
+ */
+async function checkDuplicateFolder(folderName, excludeFolderId = null, parentFolderId = null) {
+	if (!db) await initDB();
+
+	try {
+		const folders = await db.folders.toArray();
+		const duplicate = folders.find(folder => 
+			folder.name.toLowerCase() === folderName.toLowerCase() && 
+			(folder.parentFolderId || null) === (parentFolderId ? parseInt(parentFolderId) : null) &&
+			(excludeFolderId === null || parseInt(folder.id) !== parseInt(excludeFolderId))
+		);
+		return !!duplicate;
+	} catch (error) {
+		console.error('❌ Error checking duplicate folder:', error);
+		throw error;
+	}
+}
+
+/**
+ * Update a folder
+ * @param {Number} folderId - Folder ID
+ * @param {Object} folderData - Folder data (name, fontColor, bgColor, optional parentFolderId)
+ * @returns {Promise<Object>} Updated folder
+ */
+async function updateFolderById(folderId, folderData) {
+	if (!db) await initDB();
+
+	try {
+		const folder = await db.transaction('rw', db.folders, async () => {
+			const folder = await db.folders.get(parseInt(folderId));
+			if (!folder) {
+				throw new Error('Folder not found');
+			}
+
+			if (folderData.parentFolderId !== undefined) {
+				const parentFolderId = folderData.parentFolderId ? parseInt(folderData.parentFolderId) : null;
+				await validateFolderPlacement(folder.id, folderData.name, parentFolderId);
+				folder.parentFolderId = parentFolderId;
+			}
+
+			folder.name = folderData.name;
+			folder.fontColor = folderData.fontColor;
+			folder.bgColor = folderData.bgColor;
+			folder.updatedAt = new Date().toISOString();
+
+			await db.folders.put(folder);
+			return folder;
+		});
+		console.log('✅ Folder updated with ID:', folderId);
+		return folder;
+	} catch (error) {
+		console.error('❌ Error updating folder:', error);
+		throw error;
+	}
+}
+
+/**
+ * Create a new folder
+ * @param {Object} folderData - Folder data (name, fontColor, bgColor, optional parentFolderId)
+ * @returns {Promise<Number>} Created folder ID
+ */
+async function createFolder(folderData) {
+	if (!db) await initDB();
+
+	try {
+		const newFolder = {
+			name: folderData.name,
+			bgColor: folderData.bgColor,
+			fontColor: folderData.fontColor,
+			parentFolderId: folderData.parentFolderId ? parseInt(folderData.parentFolderId) : null,
+			createdAt: new Date().toISOString(),
+			updatedAt: new Date().toISOString()
+		};
+
+		const id = await db.folders.add(newFolder);
+		console.log('✅ Folder created with ID:', id);
+		return id;
+	} catch (error) {
+		console.error('❌ Error creating folder:', error);
+		throw error;
+	}
+}
+
+/* ---------- Folder Tree Functions ---------- */
+const FOLDER_CYCLE_ERROR = 'FolderCycleError';
+const FOLDER_DUPLICATE_ERROR = 'FolderDuplicateError';
+
+// What happens to the subfolders and notes of a deleted folder
+const FOLDER_CONTENT_POLICIES = {
+	MOVE_UP: 'moveUp', // contents move to the deleted folder's parent
+	DELETE: 'delete' // subfolders are deleted and their notes moved to the trash
+};
+
+/**
+ * Collect IDs of all subfolders of the given folders
+ * Must be called inside a transaction that includes the folders store
+ * @param {Array<Number>} folderIds - Root folder IDs
+ * @returns {Promise<Array<Number>>} Descendant folder IDs (roots excluded)
+ */
+async function collectDescendantFolderIds(folderIds) {
+	const visited = new Set(folderIds);
+	const descendants = [];
+	let frontier = [...folderIds];
+
+	while (frontier.length > 0) {
+		const childIds = await db.folders.where('parentFolderId').anyOf(frontier).primaryKeys();
+		frontier = childIds.filter(id => !visited.has(id));
+		frontier.forEach(id => {
+			visited.add(id);
+			descendants.push(id);
+		});
+	}
+
+	return descendants;
+}
+
+/**
+ * First free variant of a folder name ("Name", "Name (2)", ...)
+ * @param {String} name - Wanted name
+ * @param {Set<String>} takenNames - Lowercased names already used by siblings
+ * @returns {String} Available name
+ */
+function getAvailableFolderName(name, takenNames) {
+	let candidate = name;
+	for (let suffix = 2; takenNames.has(candidate.toLowerCase()); suffix++) {
+		candidate = `${name} (${suffix})`;
+	}
+	return candidate;
+}
+
+/**
+ * Reject a parent that would create a cycle or a duplicate name under it
+ * Must be called inside a transaction that includes the folders store
+ * @param {Number|null} folderId - Folder being placed, null for a new folder
+ * @param {String} name - Folder name
+ * @param {Number|null} parentFolderId - Target parent folder ID
+ * @returns {Promise<void>}
+ */
+async function validateFolderPlacement(folderId, name, parentFolderId) {
+	if (parentFolderId) {
+		if (!(await db.folders.get(parentFolderId))) {
+			throw new Error('Parent folder not found');
+		}
+
+		if (folderId) {
+			const descendants = await collectDescendantFolderIds([folderId]);
+			if (parentFolderId === folderId || descendants.includes(parentFolderId)) {
+				const error = new Error('A folder cannot be moved into itself or its subfolders');
+				error.name = FOLDER_CYCLE_ERROR;
+				throw error;
+			}
+		}
+	}
+
+	if (await checkDuplicateFolder(name, folderId, parentFolderId)) {
+		const error = new Error(`A folder named "${name}" already exists in the target folder`);
+		error.name = FOLDER_DUPLICATE_ERROR;
+		throw error;
+	}
+}
+
+/**
+ * Move a folder into another folder, or to the top level with null
+ * @param {Number} folderId - Folder ID
+ * @param {Number|null} parentFolderId - New parent folder ID
+ * @returns {Promise<Object>} Updated folder
+ */
+async function moveFolderToParent(folderId, parentFolderId) {
+	if (!db) await initDB();
+
+	try {
+		const folder = await db.transaction('rw', db.folders, async () => {
+			const folder = await db.folders.get(folderId);
+			if (!folder) {
+				throw new Error('Folder not found');
+			}
+
+			await validateFolderPlacement(folderId, folder.name, parentFolderId || null);
+
+			folder.parentFolderId = parentFolderId || null;
+			folder.updatedAt = new Date().toISOString();
+			await db.folders.put(folder);
+			return folder;
+		});
+
+		console.log('✅ Folder moved with ID:', folderId, 'into parent:', parentFolderId);
+		return folder;
+	} catch (error) {
+		if (error.name === FOLDER_CYCLE_ERROR || error.name === FOLDER_DUPLICATE_ERROR) {
+			console.warn('⚠️ Folder move rejected:', error.message);
+		} else {
+			console.error('❌ Error moving folder:', error);
+		}
+		throw error;
+	}
+}
+
+/**
+ * Move notes into a folder, or out of every folder with null
+ * @param {Array<Number>} noteIds - Note IDs
+ * @param {Number|null} folderId - Target folder ID
+ * @returns {Promise<Number>} Number of notes moved
+ */
+async function moveNotesToFolder(noteIds, folderId) {
+	if (!db) await initDB();
+
+	try {
+		const moved = await db.transaction('rw', db.notes, db.folders, async () => {
+			if (folderId && !(await db.folders.get(folderId))) {
+				throw new Error('Folder not found');
+			}
+
+			const now = new Date().toISOString();
+			const notes = (await db.notes.bulkGet(noteIds))
+				.filter(note => note && (note.folderId || null) !== (folderId || null));
+
+			notes.forEach(note => {
+				note.folderId = folderId || null;
+				note.updatedAt = now;
+			});
+			await db.notes.bulkPut(notes);
+			return notes.length;
+		});
+
+		console.log('✅ Moved', moved, 'notes into folder:', folderId);
+		return moved;
+	} catch (error) {
+		console.error('❌ Error moving notes to folder:', error);
+		throw error;
+	}
+}
+
+/**
+ * Count notes of every folder, directly and including all subfolders, ignoring trashed notes
+ * @returns {Promise<Object>} Map of folder ID to { direct, total }
+ */
+async function getFolderNoteCounts() {
+	if (!db) await initDB();
+
+	try {
+		const [folders, notes] = await Promise.all([
+			db.folders.toArray(),
+			db.notes.where('folderId').above(0).toArray()
+		]);
+
+		const folderById = new Map(folders.map(folder => [folder.id, folder]));
+		const counts = {};
+		folders.forEach(folder => {
+			counts[folder.id] = { direct: 0, total: 0 };
+		});
+
+		notes.forEach(note => {
+			if (note.isDeleted === true || !counts[note.folderId]) return;
+			counts[note.folderId].direct++;
+		});
+
+		// Her klasörün notları tüm üst klasörlerin toplamına eklenir
+		folders.forEach(folder => {
+			const visited = new Set();
+			let current = folder;
+			while (current && !visited.has(current.id)) {
+				visited.add(current.id);
+				counts[current.id].total += counts[folder.id].direct;
+				current = current.parentFolderId ? folderById.get(current.parentFolderId) : null;
+			}
+		});
+
+		return counts;
+	} catch (error) {
+		console.error('❌ Error counting folder notes:', error);
+		throw error;
+	}
+}
+
+/**
+ * Delete a folder together with its notes assignments and subfolders in one transaction
+ * The deleted folders and the prior state of moved folders and notes are kept for undo
+ * @param {Number} folderId - Folder ID
+ * @param {Object} options - Options
+ * @param {String} options.contentPolicy - 'moveUp' (default) or 'delete'
+ * @returns {Promise<Object>} Result ({ deletedFolderIds, movedFolderIds, movedNoteIds, trashedNoteIds, operation })
+ */
+async function deleteFolderById(folderId, { contentPolicy = FOLDER_CONTENT_POLICIES.MOVE_UP } = {}) {
+	if (!db) await initDB();
+
+	try {
+		if (!Object.values(FOLDER_CONTENT_POLICIES).includes(contentPolicy)) {
+			throw new Error(`Unknown folder content policy: ${contentPolicy}`);
+		}
+
+		const result = await db.transaction('rw', db.folders, db.notes, async () => {
+			const folder = await db.folders.get(folderId);
+			if (!folder) {
+				throw new Error('Folder not found');
+			}
+
+			const parentFolderId = folder.parentFolderId || null;
+			const now = new Date().toISOString();
+			const deletedFolderIds = [folderId];
+			const movedFolders = [];
+			const folderSnapshots = [structuredClone(folder)];
+
+			if (contentPolicy === FOLDER_CONTENT_POLICIES.MOVE_UP) {
+				const folders = await db.folders.toArray();
+				const takenNames = new Set(folders
+					.filter(other => (other.parentFolderId || null) === parentFolderId && other.id !== folderId)
+					.map(other => other.name.toLowerCase()));
+
+				// Üst klasörde aynı isim varsa alt klasör numaralandırılır
+				folders.filter(child => child.parentFolderId === folderId).forEach(child => {
+					folderSnapshots.push(structuredClone(child));
+					child.name = getAvailableFolderName(child.name, takenNames);
+					takenNames.add(child.name.toLowerCase());
+					child.parentFolderId = parentFolderId;
+					child.updatedAt = now;
+					movedFolders.push(child);
+				});
+				await db.folders.bulkPut(movedFolders);
+			} else {
+				const descendantIds = await collectDescendantFolderIds([folderId]);
+				deletedFolderIds.push(...descendantIds);
+				folderSnapshots.push(...(await db.folders.bulkGet(descendantIds)).filter(Boolean));
+			}
+
+			const notes = await db.notes.where('folderId').anyOf(deletedFolderIds).toArray();
+			const noteSnapshots = notes.map(note => structuredClone(note));
+			const trashedNoteIds = [];
+			notes.forEach(note => {
+				if (contentPolicy === FOLDER_CONTENT_POLICIES.MOVE_UP) {
+					note.folderId = parentFolderId;
+				} else {
+					note.folderId = null;
+					if (note.isDeleted !== true) {
+						note.isDeleted = true;
+						note.deletedAt = now;
+						trashedNoteIds.push(note.id);
+					}
+				}
+				note.updatedAt = now;
+			});
+			await db.notes.bulkPut(notes);
+			await db.folders.bulkDelete(deletedFolderIds);
+
+			return {
+				deletedFolderIds,
+				movedFolderIds: movedFolders.map(child => child.id),
+				movedNoteIds: contentPolicy === FOLDER_CONTENT_POLICIES.MOVE_UP ? notes.map(note => note.id) : [],
+				trashedNoteIds,
+				operation: await recordOperation('folder:delete', {
+					[FOLDERS_STORE_NAME]: { put: folderSnapshots },
+					[STORE_NAME]: { put: noteSnapshots }
+				})
+			};
+		});
+
+		console.log('✅ Folder deleted with ID:', folderId, result);
+		return result;
+	} catch (error) {
+		console.error('❌ Error deleting folder:', error);
+		throw error;
+	}
+}
+
+/* ---------- Export Folder Functions ---------- */
+window.getFolderById = getFolderById;
+window.getAllFolders = getAllFolders;
+window.checkDuplicateFolder = checkDuplicateFolder;
+window.updateFolderById = updateFolderById;
+window.createFolder = createFolder;
+window.deleteFolderById = deleteFolderById;
+window.moveFolderToParent = moveFolderToParent;
+window.moveNotesToFolder = moveNotesToFolder;
+window.getFolderNoteCounts = getFolderNoteCounts;
+window.FOLDER_CONTENT_POLICIES = FOLDER_CONTENT_POLICIES;
+window.FOLDER_CYCLE_ERROR = FOLDER_CYCLE_ERROR;
+window.FOLDER_DUPLICATE_ERROR = FOLDER_DUPLICATE_ERROR;
+
+/**
+ * Get tag by ID
+ * @param {Number} tagId - Tag ID
+ * @returns {Promise<Object>} Tag object
+ */
+async function getTagById(tagId) {
+	if (!db) await initDB();
+
+	try {
+		const tag = await db.tags.get(tagId);
+		return tag;
+	} catch (error) {
+		console.error('❌ Error getting tag by ID:', error);
+		throw error;
+	}
+}
+
+/**
+ * Check if tag name is duplicate (excluding a specific tag ID)
+ * @param {String} tagName - Tag name to check
+ * @param {Number} excludeTagId - Tag ID to exclude from check
+ * @returns {Promise<Boolean>} True if duplicate exists
+ */
+async function checkDuplicateTag(tagName, excludeTagId = null) {
+	if (!db) await initDB();
+
+	try {
+		const tags = await db.tags.toArray();
+		const duplicate = tags.find(tag => 
+			tag.name.toLowerCase() === tagName.toLowerCase() && 
+			(excludeTagId === null || parseInt(tag.id) !== parseInt(excludeTagId))
+		);
+		return !!duplicate;
+	} catch (error) {
+		console.error('❌ Error checking duplicate tag:', error);
+		throw error;
+	}
+}
+
+/**
+ * Update a tag
+ * @param {Number} tagId - Tag ID
+ * @param {Object} tagData - Tag data (name, fontColor, bgColor)
+ * @returns {Promise<Object>} Updated tag
+ */
+async function updateTagById(tagId, tagData) {
+	if (!db) await initDB();
+
+	try {
+		const tag = await db.tags.get(parseInt(tagId));
+		if (!tag) {
+			throw new Error('Tag not found');
+		}
+
+		tag.name = tagData.name;
+		tag.fontColor = tagData.fontColor;
+		tag.bgColor = tagData.bgColor;
+		tag.updatedAt = new Date().toISOString();
+
+		await db.tags.put(tag);
+		console.log('✅ Tag updated with ID:', tagId);
+		return tag;
+	} catch (error) {
+		console.error('❌ Error updating tag:', error);
+		throw error;
+	}
+}
+
+/**
+ * Create a new tag
+ * @param {Object} tagData - Tag data (name, fontColor, bgColor)
+ * @returns {Promise<Number>} Created tag ID
+ */
+async function createTag(tagData) {
+	if (!db) await initDB();
+
+	try {
+		const newTag = {
+			name: tagData.name,
+			bgColor: tagData.bgColor,
+			fontColor: tagData.fontColor,
+			createdAt: new Date().toISOString(),
+			updatedAt: new Date().toISOString()
+		};
+
+		const id = await db.tags.add(newTag);
+		console.log('✅ Tag created with ID:', id);
+		return id;
+	} catch (error) {
+		console.error('❌ Error creating tag:', error);
+		throw error;
+	}
+}
+
+/**
+ * Get notes that have a tag
+ * @param {Number} tagId - Tag ID
+ * @returns {Promise<Array>} Array of notes
+ */
+async function getNotesByTag(tagId) {
+	if (!db) await initDB();
+
+	try {
+		return await db.notes.where('tagIds').equals(tagId).toArray();
+	} catch (error) {
+		console.error('❌ Error getting notes by tag:', error);
+		throw error;
+	}
+}
+
+/**
+ * Get notes that have every one of the given tags
+ * @param {Array<Number>} tagIds - Tag IDs
+ * @returns {Promise<Array>} Array of notes
+ */
+async function getNotesByAllTags(tagIds) {
+	if (!db) await initDB();
+
+	try {
+		if (!tagIds || tagIds.length === 0) return [];
+
+		// Intersect primary keys per tag, then load only the matches
+		const keySets = await Promise.all(tagIds.map(tagId => db.notes.where('tagIds').equals(tagId).primaryKeys()));
+		keySets.sort((a, b) => a.length - b.length);
+
+		let noteIds = keySets[0];
+		keySets.slice(1).forEach(keys => {
+			const keySet = new Set(keys);
+			noteIds = noteIds.filter(id => keySet.has(id));
+		});
+
+		return await db.notes.bulkGet(noteIds);
+	} catch (error) {
+		console.error('❌ Error getting notes by all tags:', error);
+		throw error;
+	}
+}
+
+/**
+ * Get notes that have at least one of the given tags
+ * @param {Array<Number>} tagIds - Tag IDs
+ * @returns {Promise<Array>} Array of notes
+ */
+async function getNotesByAnyTag(tagIds) {
+	if (!db) await initDB();
+
+	try {
+		if (!tagIds || tagIds.length === 0) return [];
+		return await db.notes.where('tagIds').anyOf(tagIds).distinct().toArray();
+	} catch (error) {
+		console.error('❌ Error getting notes by any tag:', error);
+		throw error;
+	}
+}
+
+/**
+ * Get tag usage count (how many notes use this tag)
+ * @param {Number} tagId - Tag ID
+ * @returns {Promise<Number>} Usage count
+ */
+async function getTagUsageCount(tagId) {
+	if (!db) await initDB();
+
+	try {
+		return await db.notes.where('tagIds').equals(tagId).count();
+	} catch (error) {
+		console.error('❌ Error getting tag usage count:', error);
+		throw error;
+	}
+}
+
+/**
+ * Delete a tag by ID and remove it from every note in one transaction
+ * The tag and the prior state of its notes are kept for undo
+ * @param {Number} tagId - Tag ID
+ * @returns {Promise<Object>} Result ({ updatedNoteIds, operation })
+ */
+async function deleteTagById(tagId) {
+	if (!db) await initDB();
+
+	try {
+		const result = await db.transaction('rw', db.tags, db.notes, async () => {
+			const tag = await db.tags.get(tagId);
+			if (!tag) {
+				throw new Error('Tag not found');
+			}
+
+			const notes = await db.notes.where('tagIds').equals(tagId).toArray();
+			const noteSnapshots = notes.map(note => structuredClone(note));
+
+			await removeTagFromAllNotes(tagId);
+			await db.tags.delete(tagId);
+
+			return {
+				updatedNoteIds: notes.map(note => note.id),
+				operation: await recordOperation('tag:delete', {
+					[TAGS_STORE_NAME]: { put: [tag] },
+					[STORE_NAME]: { put: noteSnapshots }
+				})
+			};
+		});
+		console.log('✅ Tag deleted with ID:', tagId);
+		return result;
+	} catch (error) {
+		console.error('❌ Error deleting tag:', error);
+		throw error;
+	}
+}
+
+/**
+ * Remove tag from all notes
+ * @param {Number} tagId - Tag ID to remove
+ * @returns {Promise<Number>} Number of notes updated
+ */
+async function removeTagFromAllNotes(tagId) {
+	if (!db) await initDB();
+
+	try {
+		const notesToUpdate = await db.notes.where('tagIds').equals(tagId).toArray();
+
+		if (notesToUpdate.length === 0) {
+			return 0;
+		}
+
+		const now = new Date().toISOString();
+		notesToUpdate.forEach(note => {
+			note.tagIds = note.tagIds.filter(id => id !== tagId);
+			note.updatedAt = now;
+		});
+
+		await db.notes.bulkPut(notesToUpdate);
+
+		console.log('✅ Removed tag from', notesToUpdate.length, 'notes');
+		return notesToUpdate.length;
+	} catch (error) {
+		console.error('❌ Error removing tag from all notes:', error);
+		throw error;
+	}
+}
+
+/* ---------- Comments Functions ---------- */
+
+/**
+ * Get comments by note ID
+ * @param {Number} noteId - Note ID
+ * @returns {Promise<Array>} Array of comments
+ */
+async function getCommentsByNoteId(noteId) {
+	if (!noteId) {
+		return [];
+	}
+
+	if (!db) await initDB();
+
+	try {
+		const allComments = await db.comments.toArray();
+		const noteComments = allComments.filter(comment => comment.noteId === noteId);
+		return noteComments;
+	} catch (error) {
+		console.error('❌ Error getting comments by note ID:', error);
+		throw error;
+	}
+}
+
+/**
+ * Save a new comment
+ * @param {Object} comment - Comment data
+ * @returns {Promise<Number>} Created comment ID
+ */
+async function saveComment(comment) {
+	if (!db) await initDB();
+
+	try {
+		const id = await db.comments.add(comment);
+		console.log('✅ Comment created with ID:', id);
+		return id;
+	} catch (error) {
+		console.error('❌ Error saving comment:', error);
+		throw error;
+	}
+}
+
+/**
+ * Delete all comments for a specific note
+ * @param {Number} noteId - Note ID
+ * @returns {Promise<Number>} Number of comments deleted
+ */
+async function deleteCommentsByNoteId(noteId) {
+	if (!db) await initDB();
+
+	try {
+		const allComments = await db.comments.toArray();
+		const commentsToDelete = allComments.filter(comment => comment.noteId === noteId);
+
+		if (commentsToDelete.length === 0) {
+			return 0;
+		}
+
+		const deletePromises = commentsToDelete.map(comment => db.comments.delete(comment.id));
+		await Promise.all(deletePromises);
+
+		console.log('✅ Deleted', commentsToDelete.length, 'comments for note:', noteId);
+		return commentsToDelete.length;
+	} catch (error) {
+		console.error('❌ Error deleting comments by note ID:', error);
+		throw error;
+	}
+}
+
+/**
+ * Delete a comment by ID
+ * @param {Number} commentId - Comment ID
+ * @returns {Promise<void>}
+ */
+async function deleteCommentById(commentId) {
+	if (!db) await initDB();
+
+	try {
+		await db.comments.delete(commentId);
+		console.log('✅ Comment deleted with ID:', commentId);
+	} catch (error) {
+		console.error('❌ Error deleting comment by ID:', error);
+		throw error;
+	}
+}
+
+/**
+ * Update a comment
+ * @param {Object} comment - Comment data (must include id)
+ * @returns {Promise<Number>} Updated comment ID
+ */
+async function updateComment(comment) {
+	if (!db) await initDB();
+
+	try {
+		await db.comments.put(comment);
+		console.log('✅ Comment updated with ID:', comment.id);
+		return comment.id;
+	} catch (error) {
+		console.error('❌ Error updating comment:', error);
+		throw error;
+	}
+}
+
+/**
+ * Copy comments from one note to another
+ * @param {Number} originalNoteId - Source note ID
+ * @param {Number} newNoteId - Target note ID
+ * @returns {Promise<Number>} Number of comments copied
+ */
+async function copyComments(originalNoteId, newNoteId) {
+	if (!db) await initDB();
+
+	try {
+		const comments = await getCommentsByNoteId(originalNoteId);
+
+		if (comments.length === 0) {
+			return 0;
+		}
+
+		const copyPromises = comments.map(comment => {
+			const copiedComment = {
+				noteId: newNoteId,
+				content: comment.content,
+				author: comment.author,
+				createdAt: comment.createdAt,
+				updatedAt: comment.updatedAt
+			};
+			return db.comments.add(copiedComment);
+		});
+
+		await Promise.all(copyPromises);
+		console.log('✅ Copied', comments.length, 'comments to note:', newNoteId);
+		return comments.length;
+	} catch (error) {
+		console.error('❌ Error copying comments:', error);
+		throw error;
+	}
+}
+
+/* ---------- Revision Functions ---------- */
+
+// Oldest snapshots beyond this count are pruned per note
+const MAX_REVISIONS_PER_NOTE = 50;
+
+/**
+ * Record a snapshot of a note unless it matches the latest one
+ * Must be called inside a transaction that includes the revisions store
+ * @param {Object} note - Note data (must include id)
+ * @returns {Promise<Number|null>} Revision ID, or null when nothing changed
+ */
+async function addNoteRevision(note) {
+	const revisions = await db.revisions.where('noteId').equals(note.id).sortBy('createdAt');
+	const latest = revisions[revisions.length - 1];
+
+	if (latest &&
+		latest.title === (note.title || '') &&
+		latest.content === (note.content || '') &&
+		latest.checklistData === (note.checklistData || '')) {
+		return null;
+	}
+
+	const revisionId = await db.revisions.add({
+		noteId: note.id,
+		title: note.title || '',
+		content: note.content || '',
+		checklistData: note.checklistData || '',
+		createdAt: note.updatedAt || new Date().toISOString()
+	});
+
+	const overflow = revisions.length + 1 - MAX_REVISIONS_PER_NOTE;
+	if (overflow > 0) {
+		await db.revisions.bulkDelete(revisions.slice(0, overflow).map(revision => revision.id));
+	}
+
+	return revisionId;
+}
+
+/**
+ * Get revisions of a note (newest first)
+ * @param {Number} noteId - Note ID
+ * @returns {Promise<Array>} Array of revisions
+ */
+async function getRevisionsByNoteId(noteId) {
+	if (!db) await initDB();
+
+	try {
+		const revisions = await db.revisions.where('noteId').equals(noteId).sortBy('createdAt');
+		return revisions.reverse();
+	} catch (error) {
+		console.error('❌ Error getting revisions:', error);
+		throw error;
+	}
+}
+
+/**
+ * Get revision by ID
+ * @param {Number} revisionId - Revision ID
+ * @returns {Promise<Object|undefined>} Revision object
+ */
+async function getRevisionById(revisionId) {
+	if (!db) await initDB();
+
+	try {
+		return await db.revisions.get(revisionId);
+	} catch (error) {
+		console.error('❌ Error getting revision:', error);
+		throw error;
+	}
+}
+
+/**
+ * Restore a revision as the current version of its note
+ * The restored state is itself recorded as a new revision
+ * @param {Number} revisionId - Revision ID
+ * @returns {Promise<Object>} Updated note
+ */
+async function restoreRevisionById(revisionId) {
+	if (!db) await initDB();
+
+	try {
+		const revision = await db.revisions.get(revisionId);
+		if (!revision) {
+			throw new Error('Revision not found');
+		}
+
+		const note = await db.notes.get(revision.noteId);
+		if (!note) {
+			throw new Error('Note not found');
+		}
+
+		note.title = revision.title;
+		note.content = revision.content;
+		note.checklistData = revision.checklistData;
+		note.updatedAt = new Date().toISOString();
+
+		await updateNoteById(note.id, note);
+		console.log('✅ Revision', revisionId, 'restored for note:', note.id);
+		return note;
+	} catch (error) {
+		console.error('❌ Error restoring revision:', error);
+		throw error;
+	}
+}
+
+/* ---------- Integrity Functions ---------- */
+
+// Categories reported by checkIntegrity and accepted by repairIntegrity
+const INTEGRITY_CATEGORIES = [
+	'missingFolder', // note.folderId points to a deleted folder
+	'missingTags', // note.tagIds contains deleted tags
+	'missingParent', // note.parentNoteId points to a deleted note
+	'parentCycles', // notes whose parent chain loops back on itself
+	'missingParentFolder', // folder.parentFolderId points to a deleted folder
+	'folderCycles', // folders whose parent chain loops back on itself
+	'orphanComments', // comments of deleted notes
+	'orphanRevisions' // revisions of deleted notes
+];
+
+/**
+ * Find broken references and parent cycles in the current data
+ * Runs inside the caller's transaction when there is one
+ * @returns {Promise<Object>} Issues by category
+ */
+async function collectIntegrityIssues() {
+	const [notes, comments, revisions, folders, tags] = await Promise.all([
+		db.notes.toArray(),
+		db.comments.toArray(),
+		db.revisions.toArray(),
+		db.folders.toArray(),
+		db.tags.toArray()
+	]);
+
+	const noteById = new Map(notes.map(note => [note.id, note]));
+	const folderById = new Map(folders.map(folder => [folder.id, folder]));
+	const folderIds = new Set(folders.map(folder => folder.id));
+	const tagIds = new Set(tags.map(tag => tag.id));
+
+	const issues = {};
+	INTEGRITY_CATEGORIES.forEach(category => {
+		issues[category] = [];
+	});
+
+	notes.forEach(note => {
+		if (note.folderId && !folderIds.has(note.folderId)) {
+			issues.missingFolder.push({ noteId: note.id, title: note.title, folderId: note.folderId });
+		}
+
+		const missingTagIds = (note.tagIds || []).filter(tagId => !tagIds.has(tagId));
+		if (missingTagIds.length > 0) {
+			issues.missingTags.push({ noteId: note.id, title: note.title, tagIds: missingTagIds });
+		}
+
+		if (note.parentNoteId && !noteById.has(note.parentNoteId)) {
+			issues.missingParent.push({ noteId: note.id, title: note.title, parentNoteId: note.parentNoteId });
+		}
+	});
+
+	// Walk each parent chain; a chain that revisits a note on the current path is a cycle
+	const finished = new Set();
+	notes.forEach(note => {
+		const path = [];
+		const onPath = new Set();
+		let current = note;
+
+		while (current && !finished.has(current.id)) {
+			if (onPath.has(current.id)) {
+				const noteIds = path.slice(path.indexOf(current.id));
+				issues.parentCycles.push({
+					noteIds,
+					titles: noteIds.map(id => noteById.get(id).title)
+				});
+				break;
+			}
+			path.push(current.id);
+			onPath.add(current.id);
+			current = current.parentNoteId ? noteById.get(current.parentNoteId) : null;
+		}
+
+		path.forEach(id => finished.add(id));
+	});
+
+	folders.forEach(folder => {
+		if (folder.parentFolderId && !folderById.has(folder.parentFolderId)) {
+			issues.missingParentFolder.push({ folderId: folder.id, name: folder.name, parentFolderId: folder.parentFolderId });
+		}
+	});
+
+	// Folder chains are walked the same way as note chains
+	const finishedFolders = new Set();
+	folders.forEach(folder => {
+		const path = [];
+		const onPath = new Set();
+		let current = folder;
+
+		while (current && !finishedFolders.has(current.id)) {
+			if (onPath.has(current.id)) {
+				const cycleFolderIds = path.slice(path.indexOf(current.id));
+				issues.folderCycles.push({
+					folderIds: cycleFolderIds,
+					names: cycleFolderIds.map(id => folderById.get(id).name)
+				});
+				break;
+			}
+			path.push(current.id);
+			onPath.add(current.id);
+			current = current.parentFolderId ? folderById.get(current.parentFolderId) : null;
+		}
+
+		path.forEach(id => finishedFolders.add(id));
+	});
+
+	comments.forEach(comment => {
+		if (!noteById.has(comment.noteId)) {
+			issues.orphanComments.push({ commentId: comment.id, noteId: comment.noteId });
+		}
+	});
+
+	revisions.forEach(revision => {
+		if (!noteById.has(revision.noteId)) {
+			issues.orphanRevisions.push({ revisionId: revision.id, noteId: revision.noteId });
+		}
+	});
+
+	return issues;
+}
+
+/**
+ * Check the database for broken references and parent cycles
+ * @returns {Promise<Object>} Report ({ checkedAt, issueCount, issues })
+ */
+async function checkIntegrity() {
+	if (!db) await initDB();
+
+	try {
+		const issues = await db.transaction('r', db.notes, db.comments, db.revisions, db.folders, db.tags, collectIntegrityIssues);
+		const issueCount = Object.values(issues).reduce((total, list) => total + list.length, 0);
+
+		console.log('✅ Integrity check finished with', issueCount, 'issues');
+		return {
+			checkedAt: new Date().toISOString(),
+			issueCount,
+			issues
+		};
+	} catch (error) {
+		console.error('❌ Error checking integrity:', error);
+		throw error;
+	}
+}
+
+/**
+ * Repair the selected integrity categories in one transaction
+ * Issues are re-detected inside the transaction, so the fix matches the current data
+ * @param {Object} options - Options
+ * @param {Array<String>} options.fix - Categories from INTEGRITY_CATEGORIES (default all)
+ * @returns {Promise<Object>} Number of fixed issues per category
+ */
+async function repairIntegrity({ fix = INTEGRITY_CATEGORIES } = {}) {
+	if (!db) await initDB();
+
+	try {
+		const unknown = fix.filter(category => !INTEGRITY_CATEGORIES.includes(category));
+		if (unknown.length > 0) {
+			throw new Error(`Unknown integrity categories: ${unknown.join(', ')}`);
+		}
+
+		const fixed = await db.transaction('rw', db.notes, db.comments, db.revisions, db.folders, db.tags, async () => {
+			const issues = await collectIntegrityIssues();
+			const now = new Date().toISOString();
+			const changedNotes = new Map();
+			const changedFolders = new Map();
+			const result = {};
+
+			// Several categories may touch the same note, so edits go through one copy per note
+			const editNote = async (noteId, change) => {
+				if (!changedNotes.has(noteId)) {
+					changedNotes.set(noteId, await db.notes.get(noteId));
+				}
+				const note = changedNotes.get(noteId);
+				change(note);
+				note.updatedAt = now;
+			};
+
+			const editFolder = async (folderId, change) => {
+				if (!changedFolders.has(folderId)) {
+					changedFolders.set(folderId, await db.folders.get(folderId));
+				}
+				const folder = changedFolders.get(folderId);
+				change(folder);
+				folder.updatedAt = now;
+			};
+
+			for (const category of fix) {
+				const list = issues[category];
+				result[category] = list.length;
+
+				for (const issue of list) {
+					switch (category) {
+						case 'missingFolder':
+							await editNote(issue.noteId, note => { note.folderId = null; });
+							break;
+						case 'missingTags':
+							await editNote(issue.noteId, note => {
+								note.tagIds = note.tagIds.filter(tagId => !issue.tagIds.includes(tagId));
+							});
+							break;
+						case 'missingParent':
+							await editNote(issue.noteId, note => { note.parentNoteId = null; });
+							break;
+						case 'parentCycles':
+							// Break the loop at its first note; the rest keep their parents
+							await editNote(issue.noteIds[0], note => { note.parentNoteId = null; });
+							break;
+						case 'missingParentFolder':
+							await editFolder(issue.folderId, folder => { folder.parentFolderId = null; });
+							break;
+						case 'folderCycles':
+							await editFolder(issue.folderIds[0], folder => { folder.parentFolderId = null; });
+							break;
+					}
+				}
+			}
+
+			if (changedNotes.size > 0) {
+				await db.notes.bulkPut([...changedNotes.values()]);
+			}
+			if (changedFolders.size > 0) {
+				await db.folders.bulkPut([...changedFolders.values()]);
+			}
+			if (fix.includes('orphanComments')) {
+				await db.comments.bulkDelete(issues.orphanComments.map(issue => issue.commentId));
+			}
+			if (fix.includes('orphanRevisions')) {
+				await db.revisions.bulkDelete(issues.orphanRevisions.map(issue => issue.revisionId));
+			}
+
+			return result;
+		});
+
+		console.log('✅ Integrity repaired:', fixed);
+		return fixed;
+	} catch (error) {
+		console.error('❌ Error repairing integrity:', error);
+		throw error;
+	}
+}
+
+/* ---------- Full-Text Search Index ---------- */
+// Bump when tokenizing or stemming changes so ensureSearchIndex rebuilds old entries
+const SEARCH_INDEX_VERSION = 1;
+
+// Relevance weight of a match in each indexed field
+const SEARCH_FIELD_WEIGHTS = {
+	title: 5,
+	tags: 3,
+	folder: 2,
+	body: 1,
+	checklist: 1,
+	comments: 0.5
+};
+
+// Folded Turkish and English suffixes, longest first; at most two are stripped
+const SEARCH_STEM_SUFFIXES = [
+	'lerinden', 'larindan', 'lerinde', 'larinda', 'lerini', 'larini', 'leri', 'lari', 'ler', 'lar',
+	'nin', 'nun', 'den', 'dan', 'ten', 'tan', 'ing', 'de', 'da', 'te', 'ta', 'in', 'un', 'yi', 'yu', 'ed', 'es',
+	'i', 'u', 'e', 'a', 's'
+];
+const SEARCH_MIN_STEM_LENGTH = 3;
+const SEARCH_SNIPPET_LENGTH = 150;
+const SEARCH_TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Case and diacritic folding with Turkish İ/ı rules; keeps string length so match offsets map back
+ * @param {String} text - Text to fold
+ * @returns {String} Folded text
+ */
+function foldSearchText(text) {
+	const fold = value => value.toLocaleLowerCase('tr-TR').normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/ı/g, 'i');
+
+	const folded = fold(text || '');
+	if (folded.length === (text || '').length) return folded;
+
+	// Ayrışmış işaretler içeren metinde karakter karakter katla
+	return Array.from(text, char => {
+		const foldedChar = fold(char);
+		return foldedChar.length === 1 ? foldedChar : char;
+	}).join('');
+}
+
+/* ---------- Reduce a Folded Token to Its Stem ---------- */
+function stemSearchToken(token) {
+	let stem = token;
+
+	for (let pass = 0; pass < 2; pass++) {
+		const suffix = SEARCH_STEM_SUFFIXES.find(s => stem.endsWith(s) && stem.length - s.length >= SEARCH_MIN_STEM_LENGTH);
+		if (!suffix) break;
+		stem = stem.slice(0, -suffix.length);
+	}
+
+	return stem;
+}
+
+/* ---------- Folded Tokens with Their Offsets ---------- */
+function tokenizeSearchText(text) {
+	const folded = foldSearchText(text);
+	return Array.from(folded.matchAll(SEARCH_TOKEN_PATTERN), match => ({
+		token: match[0],
+		stem: stemSearchToken(match[0]),
+		start: match.index,
+		end: match.index + match[0].length
+	}));
+}
+
+/* ---------- Plain Text of Note HTML ---------- */
+function htmlToIndexText(html) {
+	const text = (html || '')
+		.replace(/<\/(p|h[1-6]|li|blockquote|pre|div)>|<br\s*\/?>/gi, '\n')
+		.replace(/<[^>]*>/g, ' ');
+	return new DOMParser().parseFromString(text, 'text/html').documentElement.textContent
+		.replace(/[ \t]+/g, ' ')
+		.replace(/\s*\n\s*/g, '\n')
+		.trim();
+}
+
+/* ---------- Plain Text of Checklist JSON ---------- */
+function checklistToIndexText(checklistData) {
+	try {
+		const items = checklistData ? JSON.parse(checklistData) : [];
+		return items.map(item => item.text || '').join('\n');
+	} catch (error) {
+		return '';
+	}
+}
+
+/**
+ * Build the index entry of a note
+ * @param {Object} note - Note record
+ * @param {Object} related - Names and comments the entry includes
+ * @param {Map} related.tagNames - Tag ID to name
+ * @param {Map} related.folderNames - Folder ID to name
+ * @param {Array} related.comments - Comments of the note
+ * @returns {Object} Search index record
+ */
+function buildSearchEntry(note, { tagNames, folderNames, comments }) {
+	const texts = {
+		title: note.title || '',
+		body: htmlToIndexText(note.content),
+		checklist: checklistToIndexText(note.checklistData),
+		comments: comments.map(comment => comment.content || '').join('\n'),
+		tags: (note.tagIds || []).map(tagId => tagNames.get(tagId)).filter(Boolean).join(' '),
+		folder: note.folderId ? folderNames.get(note.folderId) || '' : ''
+	};
+
+	const fieldTerms = {};
+	const terms = new Set();
+
+	Object.entries(texts).forEach(([field, text]) => {
+		const counts = {};
+		tokenizeSearchText(text).forEach(({ stem }) => {
+			counts[stem] = (counts[stem] || 0) + 1;
+			terms.add(stem);
+		});
+		fieldTerms[field] = counts;
+	});
+
+	return {
+		noteId: note.id,
+		version: SEARCH_INDEX_VERSION,
+		terms: Array.from(terms),
+		fieldTerms,
+		texts,
+		indexedAt: new Date().toISOString()
+	};
+}
+
+/**
+ * Rebuild index entries for the given notes; missing notes lose their entry
+ * @param {Array<Number>} noteIds - Note IDs
+ * @returns {Promise<Number>} Number of indexed notes
+ */
+async function indexNotesForSearch(noteIds) {
+	if (!db) await initDB();
+
+	const ids = [...new Set(noteIds)].filter(id => id !== null && id !== undefined);
+	if (ids.length === 0) return 0;
+
+	try {
+		const indexed = await db.transaction('rw', db.notes, db.comments, db.tags, db.folders, db.searchIndex, async () => {
+			const notes = (await db.notes.bulkGet(ids)).filter(Boolean);
+			const [tags, folders, comments] = await Promise.all([
+				db.tags.toArray(),
+				db.folders.toArray(),
+				db.comments.where('noteId').anyOf(notes.map(note => note.id)).toArray()
+			]);
+
+			const related = {
+				tagNames: new Map(tags.map(tag => [tag.id, tag.name])),
+				folderNames: new Map(folders.map(folder => [folder.id, folder.name]))
+			};
+
+			const entries = notes.map(note => buildSearchEntry(note, {
+				...related,
+				comments: comments.filter(comment => comment.noteId === note.id)
+			}));
+
+			const indexedIds = new Set(notes.map(note => note.id));
+			await db.searchIndex.bulkDelete(ids.filter(id => !indexedIds.has(id)));
+			await db.searchIndex.bulkPut(entries);
+			return entries.length;
+		});
+
+		searchVocabulary = null;
+		return indexed;
+	} catch (error) {
+		console.error('❌ Error indexing notes for search:', error);
+		throw error;
+	}
+}
+
+/**
+ * Index notes that have no current entry and drop entries of deleted notes
+ * @returns {Promise<Number>} Number of indexed notes
+ */
+async function ensureSearchIndex() {
+	if (!db) await initDB();
+
+	try {
+		const [noteIds, currentIds, entryIds] = await Promise.all([
+			db.notes.toCollection().primaryKeys(),
+			db.searchIndex.where('version').equals(SEARCH_INDEX_VERSION).primaryKeys(),
+			db.searchIndex.toCollection().primaryKeys()
+		]);
+
+		const noteIdSet = new Set(noteIds);
+		const currentIdSet = new Set(currentIds);
+		const staleIds = noteIds.filter(id => !currentIdSet.has(id));
+		const orphanIds = entryIds.filter(id => !noteIdSet.has(id));
+
+		if (orphanIds.length > 0) {
+			await db.searchIndex.bulkDelete(orphanIds);
+			searchVocabulary = null;
+		}
+
+		// Büyük koleksiyonlar küçük transaction'larla indekslenir
+		let indexed = 0;
+		for (let i = 0; i < staleIds.length; i += 200) {
+			indexed += await indexNotesForSearch(staleIds.slice(i, i + 200));
+		}
+
+		if (indexed > 0 || orphanIds.length > 0) {
+			console.log('✅ Search index updated:', { indexed, removed: orphanIds.length });
+		}
+		return indexed;
+	} catch (error) {
+		console.error('❌ Error ensuring search index:', error);
+		throw error;
+	}
+}
+
+/* ---------- Distinct Index Terms for Typo Matching ---------- */
+// Loaded once and dropped whenever the index changes, so typing does not rescan the index
+let searchVocabulary = null;
+
+function getSearchVocabulary() {
+	if (!searchVocabulary) {
+		const pending = db.searchIndex.orderBy('terms').uniqueKeys();
+		searchVocabulary = pending;
+		pending.catch(() => {
+			if (searchVocabulary === pending) searchVocabulary = null;
+		});
+	}
+	return searchVocabulary;
+}
+
+/* ---------- Keep the Index in Sync with Local Changes ---------- */
+async function handleSearchIndexChanges(events) {
+	// Other tabs index their own writes; their terms may still be new here
+	if (events.length > 0) searchVocabulary = null;
+	const localEvents = events.filter(event => !event.remote);
+	const noteIds = new Set();
+
+	try {
+		for (const event of localEvents) {
+			if (event.type === CHANGE_EVENT_TYPES.NOTE_CREATED || event.type === CHANGE_EVENT_TYPES.NOTE_UPDATED) {
+				noteIds.add(event.id);
+			} else if (event.type === CHANGE_EVENT_TYPES.NOTE_DELETED) {
+				await db.searchIndex.delete(event.id);
+			} else if (event.entity === 'comment') {
+				noteIds.add(event.noteId);
+			} else if (event.type === CHANGE_EVENT_TYPES.TAG_UPDATED) {
+				(await db.notes.where('tagIds').equals(event.id).primaryKeys()).forEach(id => noteIds.add(id));
+			} else if (event.type === CHANGE_EVENT_TYPES.FOLDER_UPDATED || event.type === CHANGE_EVENT_TYPES.FOLDER_DELETED) {
+				(await db.notes.where('folderId').equals(event.id).primaryKeys()).forEach(id => noteIds.add(id));
+			}
+		}
+
+		await indexNotesForSearch(Array.from(noteIds));
+	} catch (error) {
+		console.error('❌ Error updating search index:', error);
+	}
+}
+
+subscribeToChanges(['note:created', 'note:updated', 'note:deleted', 'comment:*', 'tag:updated', 'folder:updated', 'folder:deleted'], handleSearchIndexChanges);
+
+/* ---------- Matched Ranges of Query Terms in a Text ---------- */
+function findSearchRanges(text, queryTokens) {
+	return tokenizeSearchText(text)
+		.filter(({ token, stem }) => queryTokens.some(query =>
+			stem.startsWith(query.stem) || token.startsWith(query.token) || (query.fuzzyTerms && query.fuzzyTerms.has(stem))
+		))
+		.map(({ start, end }) => [start, end]);
+}
+
+/* ---------- Snippet Around the First Match ---------- */
+function buildSearchSnippet(text, ranges) {
+	if (ranges.length === 0) {
+		return { text: text.slice(0, SEARCH_SNIPPET_LENGTH), ranges: [], truncatedStart: false, truncatedEnd: text.length > SEARCH_SNIPPET_LENGTH };
+	}
+
+	const start = Math.max(0, Math.min(ranges[0][0] - Math.floor(SEARCH_SNIPPET_LENGTH / 3), text.length - SEARCH_SNIPPET_LENGTH));
+	const end = Math.min(text.length, start + SEARCH_SNIPPET_LENGTH);
+
+	return {
+		text: text.slice(start, end),
+		ranges: ranges
+			.filter(([rangeStart, rangeEnd]) => rangeStart >= start && rangeEnd <= end)
+			.map(([rangeStart, rangeEnd]) => [rangeStart - start, rangeEnd - start]),
+		truncatedStart: start > 0,
+		truncatedEnd: end < text.length
+	};
+}
+
+/**
+ * Ranked full-text search over the index; every query word must match (as prefix)
+ * @param {String} query - Search text
+ * @param {Object} options - getNotesWithFilters options applied to the hits (default: active notes)
+ * @param {Array<String>} [options.phrases] - Phrases that must appear as written (case and diacritics ignored)
+ * @param {Array<String>} [options.excludeTerms] - Words whose notes are left out
+ * @param {Number} [options.limit] - Maximum number of results
+ * @returns {Promise<Array>} Notes by relevance, each with a searchMatch { score, fields, titleRanges, snippet, commentIds }
+ */
+async function searchNotesFullText(query, options = {}) {
+	if (!db) await initDB();
+
+	const { phrases = [], excludeTerms = [], ...filters } = options;
+	const queryTokens = tokenizeSearchText([query, ...phrases].join(' ')).map(({ token, stem }) => ({ token, stem }));
+	const excludeTokens = tokenizeSearchText(excludeTerms.join(' ')).map(({ token, stem }) => ({ token, stem }));
+	if (queryTokens.length === 0 && excludeTokens.length === 0) return [];
+
+	try {
+		const totalEntries = await db.searchIndex.count();
+		let notes;
+		let matchesPerToken = [];
+		let entriesById;
+
+		if (queryTokens.length > 0) {
+			// Yazım hatası toleransı: dağarcıktaki yakın kökler de sorgu kelimesine sayılır
+			if (queryTokens.some(query => getFuzzyMaxDistance(query.token.length) > 0)) {
+				const vocabulary = await getSearchVocabulary();
+				queryTokens.forEach(query => {
+					query.fuzzyTerms = new Set(vocabulary.filter(term => !term.startsWith(query.stem) && isFuzzyTermMatch(term, query)));
+				});
+			}
+
+			// Her sorgu kelimesi için kök önekiyle veya yakın köklerle eşleşen girdiler
+			matchesPerToken = await Promise.all(queryTokens.map(async query => {
+				const entries = await db.searchIndex.where('terms').startsWith(query.stem).distinct().toArray();
+				if (!query.fuzzyTerms || query.fuzzyTerms.size === 0) return entries;
+
+				const noteIds = new Set(entries.map(entry => entry.noteId));
+				const fuzzyEntries = await db.searchIndex.where('terms').anyOf(Array.from(query.fuzzyTerms)).distinct().toArray();
+				return entries.concat(fuzzyEntries.filter(entry => !noteIds.has(entry.noteId)));
+			}));
+
+			let candidateIds = null;
+			matchesPerToken.forEach(entries => {
+				const ids = new Set(entries.map(entry => entry.noteId));
+				candidateIds = candidateIds === null ? ids : new Set([...candidateIds].filter(id => ids.has(id)));
+			});
+			if (!candidateIds || candidateIds.size === 0) return [];
+
+			entriesById = new Map(matchesPerToken.flat().map(entry => [entry.noteId, entry]));
+			const commentNoteIds = filters.hasComments ? new Set(await db.comments.orderBy('noteId').uniqueKeys()) : null;
+			const predicate = buildNotePredicate(filters, commentNoteIds);
+			notes = (await db.notes.bulkGet(Array.from(candidateIds))).filter(note => note && predicate(note));
+		} else {
+			// Yalnızca hariç tutma varsa filtrelenen notlar indeks girdileriyle elenir
+			notes = await getNotesWithFilters(filters);
+			const entries = await db.searchIndex.bulkGet(notes.map(note => note.id));
+			entriesById = new Map(entries.filter(Boolean).map(entry => [entry.noteId, entry]));
+		}
+
+		const foldedPhrases = phrases.map(phrase => foldSearchText(phrase).replace(/\s+/g, ' ').trim()).filter(Boolean);
+		notes = notes.filter(note => {
+			const entry = entriesById.get(note.id);
+			if (!entry) return foldedPhrases.length === 0 && queryTokens.length === 0;
+
+			if (excludeTokens.some(exclude => entry.terms.some(term => term.startsWith(exclude.stem)))) return false;
+
+			if (foldedPhrases.length > 0) {
+				const text = foldSearchText(Object.values(entry.texts).join('\n')).replace(/\s+/g, ' ');
+				if (!foldedPhrases.every(phrase => text.includes(phrase))) return false;
+			}
+			return true;
+		});
+
+		const foldedQuery = foldSearchText(query.trim());
+
+		const results = notes.map(note => {
+			const entry = entriesById.get(note.id);
+			if (!entry) return note;
+
+			const fields = new Set();
+			let score = 0;
+
+			queryTokens.forEach((query, index) => {
+				const idf = Math.log(1 + totalEntries / matchesPerToken[index].length);
+
+				Object.entries(entry.fieldTerms).forEach(([field, counts]) => {
+					Object.entries(counts).forEach(([term, count]) => {
+						let exactness;
+						// Tam kök eşleşmesi önek eşleşmesinden, o da yazım hatalı eşleşmeden değerlidir
+						if (term === query.stem) exactness = 1;
+						else if (term.startsWith(query.stem)) exactness = 0.7;
+						else if (query.fuzzyTerms && query.fuzzyTerms.has(term)) exactness = 0.4;
+						else return;
+						score += SEARCH_FIELD_WEIGHTS[field] * (1 + Math.log(count)) * idf * exactness;
+						fields.add(field);
+					});
+				});
+			});
+
+			// Sorgunun tamamı başlıkta geçiyorsa ek puan
+			if (foldedQuery && foldSearchText(entry.texts.title).includes(foldedQuery)) {
+				score += SEARCH_FIELD_WEIGHTS.title * 2;
+			}
+
+			const snippetField = ['body', 'checklist', 'comments'].find(field => fields.has(field)) || 'body';
+			const snippetText = entry.texts[snippetField].replace(/\n/g, ' ');
+
+			return {
+				...note,
+				searchMatch: {
+					score,
+					fields: Array.from(fields),
+					titleRanges: findSearchRanges(entry.texts.title, queryTokens),
+					snippetField,
+					snippet: buildSearchSnippet(snippetText, findSearchRanges(snippetText, queryTokens)),
+					commentIds: []
+				}
+			};
+		});
+
+		// Yorumda eşleşen notlar için hangi yorumların eşleştiği bulunur
+		const commentHitNoteIds = results
+			.filter(note => note.searchMatch && note.searchMatch.fields.includes('comments'))
+			.map(note => note.id);
+		if (commentHitNoteIds.length > 0) {
+			const comments = await db.comments.where('noteId').anyOf(commentHitNoteIds).toArray();
+			const matchedByNote = new Map();
+			comments.forEach(comment => {
+				if (findSearchRanges(htmlToIndexText(comment.content || ''), queryTokens).length === 0) return;
+				if (!matchedByNote.has(comment.noteId)) matchedByNote.set(comment.noteId, []);
+				matchedByNote.get(comment.noteId).push(comment.id);
+			});
+			results.forEach(note => {
+				if (note.searchMatch && matchedByNote.has(note.id)) note.searchMatch.commentIds = matchedByNote.get(note.id);
+			});
+		}
+
+		// Yalnızca hariç tutma aramasında filtre sıralaması korunur
+		if (queryTokens.length > 0) {
+			results.sort((a, b) => b.searchMatch.score - a.searchMatch.score || new Date(b.updatedAt) - new Date(a.updatedAt));
+		}
+		return filters.limit > 0 ? results.slice(0, filters.limit) : results;
+	} catch (error) {
+		console.error('❌ Error searching notes:', error);
+		throw error;
+	}
+}
+
+/* ---------- Fuzzy Matching ---------- */
+// Allowed typos by word length: short words must match exactly
+function getFuzzyMaxDistance(length) {
+	if (length < 4) return 0;
+	return length < 8 ? 1 : 2;
+}
+
+/**
+ * Levenshtein distance that gives up once it exceeds maxDistance
+ * @param {String} a - First string
+ * @param {String} b - Second string
+ * @param {Number} maxDistance - Largest distance of interest
+ * @returns {Number} Distance, or maxDistance + 1 when larger
+ */
+function getEditDistance(a, b, maxDistance = Infinity) {
+	if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+	let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+	for (let i = 1; i <= a.length; i++) {
+		const current = [i];
+		let rowMin = i;
+		for (let j = 1; j <= b.length; j++) {
+			const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+			current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+			rowMin = Math.min(rowMin, current[j]);
+		}
+		if (rowMin > maxDistance) return maxDistance + 1;
+		previous = current;
+	}
+
+	return previous[b.length];
+}
+
+/**
+ * Whether an indexed stem is a typo-tolerant match for a query word
+ * @param {String} term - Indexed stem
+ * @param {Object} query - Query token { token, stem }
+ * @returns {Boolean}
+ */
+function isFuzzyTermMatch(term, query) {
+	return [query.token, query.stem].some(candidate => {
+		const maxDistance = getFuzzyMaxDistance(candidate.length);
+		if (maxDistance === 0) return false;
+		if (getEditDistance(candidate, term, maxDistance) <= maxDistance) return true;
+
+		// Ek almış yazım hatalı kelime: baş kısmı köke yakınsa eşleşir ("meetng" → "meet")
+		return term.length > SEARCH_MIN_STEM_LENGTH &&
+			candidate.length - term.length <= 3 &&
+			getEditDistance(candidate.slice(0, term.length), term, getFuzzyMaxDistance(term.length)) <= getFuzzyMaxDistance(term.length);
+	});
+}
+
+/**
+ * Score a short query against a label: substring, then in-order characters, then typos per word
+ * @param {String} query - Typed text
+ * @param {String} text - Candidate label
+ * @returns {Object|null} { score, ranges } with [start, end] ranges in text, or null when it does not match
+ */
+function fuzzyMatch(query, text) {
+	const foldedQuery = foldSearchText(query || '').trim();
+	const foldedText = foldSearchText(text || '');
+	if (!foldedQuery) return { score: 0, ranges: [] };
+
+	const isWordStart = index => index === 0 || !/[\p{L}\p{N}]/u.test(foldedText[index - 1]);
+
+	// Düz alt dize en iyi eşleşmedir; kelime başında ve metnin başında daha değerlidir
+	const index = foldedText.indexOf(foldedQuery);
+	if (index !== -1) {
+		const score = 100 + (isWordStart(index) ? 20 : 0) + (index === 0 ? 10 : 0) - Math.min(index, 20) * 0.5;
+		return { score, ranges: [[index, index + foldedQuery.length]] };
+	}
+
+	// Sıralı karakterler: ardışık ve kelime başı karakterler ödüllendirilir
+	const queryChars = foldedQuery.replace(/\s+/g, '');
+	const positions = [];
+	let searchFrom = 0;
+	for (const char of queryChars) {
+		const position = foldedText.indexOf(char, searchFrom);
+		if (position === -1) break;
+		positions.push(position);
+		searchFrom = position + 1;
+	}
+
+	if (positions.length === queryChars.length) {
+		let score = 50;
+		positions.forEach((position, i) => {
+			if (i > 0 && position === positions[i - 1] + 1) score += 3;
+			else if (i > 0) score -= Math.min(position - positions[i - 1] - 1, 10);
+			if (isWordStart(position)) score += 4;
+		});
+
+		// Çok dağınık eşleşmeler gürültüdür
+		if (score > 20) {
+			const ranges = [];
+			positions.forEach(position => {
+				const last = ranges[ranges.length - 1];
+				if (last && last[1] === position) last[1] = position + 1;
+				else ranges.push([position, position + 1]);
+			});
+			return { score: Math.min(score, 99), ranges };
+		}
+	}
+
+	// Yazım hatası: her sorgu kelimesi metindeki bir kelimenin başına yakın olmalı
+	const words = Array.from(foldedText.matchAll(SEARCH_TOKEN_PATTERN), match => ({ word: match[0], start: match.index }));
+	const ranges = [];
+	let totalDistance = 0;
+
+	for (const queryWord of foldedQuery.match(SEARCH_TOKEN_PATTERN) || []) {
+		const maxDistance = getFuzzyMaxDistance(queryWord.length);
+		let best = null;
+
+		words.forEach(({ word, start }) => {
+			// Kelimenin sorgu uzunluğu civarındaki başı ile karşılaştırılır
+			const distance = Math.min(...[-1, 0, 1].map(delta =>
+				getEditDistance(queryWord, word.slice(0, queryWord.length + delta), maxDistance)
+			));
+			if (distance <= maxDistance && (!best || distance < best.distance)) {
+				best = { distance, range: [start, start + word.length] };
+			}
+		});
+
+		if (!best) return null;
+		totalDistance += best.distance;
+		ranges.push(best.range);
+	}
+
+	if (ranges.length === 0) return null;
+	ranges.sort((a, b) => a[0] - b[0]);
+	return { score: 20 - totalDistance * 5, ranges };
+}
+
+/* ---------- Search Query Language ---------- */
+// Field operators understood by parseSearchQuery; values lists feed autocomplete
+const SEARCH_QUERY_OPERATORS = {
+	tag: { label: 'Etiket' },
+	folder: { label: 'Klasör' },
+	parent: { label: 'Üst not' },
+	is: { label: 'Durum', values: ['favorite', 'archived', 'trashed'] },
+	has: { label: 'İçerir', values: ['reminder', 'due', 'color', 'comments', 'parent', 'folder'] },
+	due: { label: 'Bitiş tarihi', values: ['overdue', 'today', '<', '>'] },
+	created: { label: 'Oluşturulma', values: ['today', 'last7d', 'last30d', '<', '>'] },
+	updated: { label: 'Güncellenme', values: ['today', 'last7d', 'last30d', '<', '>'] }
+};
+
+// Base filters for the search scopes; query operators such as is:archived override them
+const SEARCH_SCOPE_FILTERS = {
+	active: {},
+	archive: { onlyArchived: true },
+	trash: { includeDeleted: true, onlyDeleted: true },
+	everything: { includeArchived: true, includeDeleted: true }
+};
+
+const SEARCH_QUERY_IS_OPTIONS = {
+	favorite: { onlyFavorites: true },
+	archived: { onlyArchived: true },
+	trashed: { includeDeleted: true, onlyDeleted: true }
+};
+
+const SEARCH_QUERY_HAS_OPTIONS = {
+	reminder: 'hasReminder',
+	due: 'hasDueDate',
+	color: 'hasColor',
+	comments: 'hasComments',
+	parent: 'hasParentNote',
+	folder: 'hasFolder'
+};
+
+/**
+ * Split a query into terms, quoted phrases and key:value operators grouped by OR
+ * @param {String} query - Query text, e.g. 'tag:work "status report" -draft OR is:favorite'
+ * @returns {Object} { groups: [{ terms, phrases, excludeTerms, operators }], errors: [{ message, start, end }] }
+ */
+function parseSearchQuery(query) {
+	const tokens = [];
+	const errors = [];
+	let i = 0;
+
+	while (i < query.length) {
+		if (/\s/.test(query[i])) {
+			i++;
+			continue;
+		}
+
+		const start = i;
+		let negated = false;
+		if (query[i] === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+			negated = true;
+			i++;
+		}
+
+		let key = null;
+		const keyMatch = /^([a-zA-Z]+):/.exec(query.slice(i));
+		if (keyMatch) {
+			key = keyMatch[1].toLowerCase();
+			i += keyMatch[0].length;
+		}
+
+		let value;
+		let quoted = false;
+		if (query[i] === '"') {
+			quoted = true;
+			const close = query.indexOf('"', i + 1);
+			if (close === -1) {
+				errors.push({ message: 'Kapanmamış tırnak işareti', start: i, end: query.length });
+				value = query.slice(i + 1);
+				i = query.length;
+			} else {
+				value = query.slice(i + 1, close);
+				i = close + 1;
+			}
+		} else {
+			const valueStart = i;
+			while (i < query.length && !/\s/.test(query[i])) i++;
+			value = query.slice(valueStart, i);
+		}
+
+		tokens.push({ key, value, quoted, negated, start, end: i });
+	}
+
+	const groups = [];
+	let group = null;
+	let previousWasOr = true;
+
+	tokens.forEach(token => {
+		if (!token.key && !token.quoted && !token.negated && token.value === 'OR') {
+			if (previousWasOr) {
+				errors.push({ message: 'OR iki ifadenin arasında kullanılmalı', start: token.start, end: token.end });
+			}
+			group = null;
+			previousWasOr = true;
+			return;
+		}
+		previousWasOr = false;
+
+		if (!group) {
+			group = { terms: [], phrases: [], excludeTerms: [], operators: [] };
+			groups.push(group);
+		}
+
+		if (token.key && !SEARCH_QUERY_OPERATORS[token.key]) {
+			// Bilinmeyen anahtar metin olarak aranır
+			errors.push({ message: `Bilinmeyen operatör: ${token.key}:`, start: token.start, end: token.end });
+			token.value = `${token.key}:${token.value}`;
+			token.key = null;
+		}
+
+		if (token.key) {
+			if (token.negated) {
+				errors.push({ message: `Operatörler hariç tutulamaz: -${token.key}:`, start: token.start, end: token.end });
+			} else if (!token.value.trim()) {
+				errors.push({ message: `${token.key}: için değer eksik`, start: token.start, end: token.end });
+			} else {
+				group.operators.push({ key: token.key, value: token.value.trim(), start: token.start, end: token.end });
+			}
+		} else if (token.negated) {
+			group.excludeTerms.push(token.value);
+		} else if (token.quoted) {
+			if (token.value.trim()) group.phrases.push(token.value);
+		} else {
+			group.terms.push(token.value);
+		}
+	});
+
+	if (tokens.length > 0 && previousWasOr) {
+		const last = tokens[tokens.length - 1];
+		errors.push({ message: 'OR iki ifadenin arasında kullanılmalı', start: last.start, end: last.end });
+	}
+
+	return { groups, errors };
+}
+
+/* ---------- Date Range of a due:/created:/updated: Value ---------- */
+function parseQueryDateRange(value) {
+	const today = new Date();
+	const shiftDays = (key, days) => {
+		const date = new Date(`${key}T00:00:00`);
+		date.setDate(date.getDate() + days);
+		return toDateKey(date);
+	};
+
+	if (value === 'today') {
+		const key = toDateKey(today);
+		return { from: key, to: key };
+	}
+
+	const relative = /^last(\d+)([dwm])$/.exec(value);
+	if (relative) {
+		const days = parseInt(relative[1]) * { d: 1, w: 7, m: 30 }[relative[2]];
+		return { from: shiftDays(toDateKey(today), 1 - days) };
+	}
+
+	const comparison = /^(<=|>=|<|>|=)?(\d{4}-\d{2}-\d{2})$/.exec(value);
+	if (!comparison || isNaN(new Date(`${comparison[2]}T00:00:00`))) return null;
+
+	const [, operator = '=', key] = comparison;
+	switch (operator) {
+		case '<': return { to: shiftDays(key, -1) };
+		case '<=': return { to: key };
+		case '>': return { from: shiftDays(key, 1) };
+		case '>=': return { from: key };
+		default: return { from: key, to: key };
+	}
+}
+
+/* ---------- Resolve Names and Values of One OR Group ---------- */
+function resolveSearchQueryGroup(group, lookups, errors) {
+	const filters = {};
+	const tagIds = [];
+	let impossible = false;
+	const sameName = (a, b) => foldSearchText((a || '').trim()) === foldSearchText((b || '').trim());
+	const fail = (operator, message) => {
+		errors.push({ message, start: operator.start, end: operator.end });
+		impossible = true;
+	};
+
+	group.operators.forEach(operator => {
+		const value = operator.value;
+
+		switch (operator.key) {
+			case 'tag': {
+				const tag = lookups.tags.find(t => sameName(t.name, value));
+				if (tag) tagIds.push(tag.id);
+				else fail(operator, `Etiket bulunamadı: ${value}`);
+				break;
+			}
+			case 'folder': {
+				const folder = lookups.folders.find(f => sameName(f.name, value));
+				if (folder) filters.folderId = folder.id;
+				else fail(operator, `Klasör bulunamadı: ${value}`);
+				break;
+			}
+			case 'parent': {
+				const parent = lookups.notes.find(n => !n.isDeleted && sameName(n.title, value));
+				if (parent) filters.parentNoteId = parent.id;
+				else fail(operator, `Üst not bulunamadı: ${value}`);
+				break;
+			}
+			case 'is': {
+				const options = SEARCH_QUERY_IS_OPTIONS[value.toLowerCase()];
+				if (options) Object.assign(filters, options);
+				else fail(operator, `Geçersiz değer: is:${value}`);
+				break;
+			}
+			case 'has': {
+				const option = SEARCH_QUERY_HAS_OPTIONS[value.toLowerCase()];
+				if (option) filters[option] = true;
+				else fail(operator, `Geçersiz değer: has:${value}`);
+				break;
+			}
+			case 'due':
+			case 'created':
+			case 'updated': {
+				if (operator.key === 'due' && value.toLowerCase() === 'overdue') {
+					filters.hasOverdue = true;
+					break;
+				}
+				const range = parseQueryDateRange(value.toLowerCase());
+				if (!range) {
+					fail(operator, `Geçersiz tarih: ${operator.key}:${value} (ör. ${operator.key}:<2026-11-01, ${operator.key}:last7d)`);
+					break;
+				}
+				if (range.from) filters[`${operator.key}From`] = range.from;
+				if (range.to) filters[`${operator.key}To`] = range.to;
+				break;
+			}
+		}
+	});
+
+	if (tagIds.length > 0) {
+		filters.tagIds = tagIds;
+		filters.tagMatch = 'all';
+	}
+
+	return impossible ? null : filters;
+}
+
+/**
+ * Run a search query with operators, phrases, exclusions and OR
+ * @param {String} query - Query text
+ * @param {Object} options - Base getNotesWithFilters options (sortBy, sortDirection, scope filters from SEARCH_SCOPE_FILTERS...)
+ * @returns {Promise<Object>} { notes, errors } where notes of text queries carry searchMatch
+ */
+async function searchNotesByQuery(query, options = {}) {
+	if (!db) await initDB();
+
+	const { groups, errors } = parseSearchQuery(query);
+	if (groups.length === 0) return { notes: [], errors };
+
+	try {
+		const [tags, folders, notes] = await Promise.all([
+			db.tags.toArray(),
+			db.folders.toArray(),
+			groups.some(group => group.operators.some(operator => operator.key === 'parent')) ? db.notes.toArray() : []
+		]);
+
+		const results = new Map();
+		let ranked = false;
+
+		for (const group of groups) {
+			// Yalnızca hatalı operatörlerden oluşan grup tüm notları döndürmemeli
+			if (group.operators.length === 0 && group.terms.length === 0 && group.phrases.length === 0 && group.excludeTerms.length === 0) continue;
+
+			const filters = resolveSearchQueryGroup(group, { tags, folders, notes }, errors);
+			if (!filters) continue;
+
+			const groupOptions = { ...options };
+			// is:archived ve is:trashed aramanın kapsamını geçersiz kılar
+			if (filters.onlyArchived || filters.onlyDeleted) {
+				['onlyArchived', 'onlyDeleted', 'includeArchived', 'includeDeleted'].forEach(key => delete groupOptions[key]);
+			}
+			Object.assign(groupOptions, filters);
+			const hasText = group.terms.length > 0 || group.phrases.length > 0 || group.excludeTerms.length > 0;
+			const groupNotes = hasText
+				? await searchNotesFullText(group.terms.join(' '), { ...groupOptions, phrases: group.phrases, excludeTerms: group.excludeTerms })
+				: await getNotesWithFilters(groupOptions);
+
+			if (group.terms.length > 0 || group.phrases.length > 0) ranked = true;
+
+			// Aynı not birden çok grupta eşleşirse en yüksek puan kalır
+			groupNotes.forEach(note => {
+				const existing = results.get(note.id);
+				const score = note.searchMatch ? note.searchMatch.score : 0;
+				if (!existing || score > (existing.searchMatch ? existing.searchMatch.score : 0)) {
+					results.set(note.id, note);
+				}
+			});
+		}
+
+		let matchedNotes = Array.from(results.values());
+		if (ranked) {
+			matchedNotes.sort((a, b) => (b.searchMatch ? b.searchMatch.score : 0) - (a.searchMatch ? a.searchMatch.score : 0));
+		} else if (groups.length > 1) {
+			matchedNotes = applySorting(matchedNotes, options.sortBy || 'updated', options.sortDirection || 'desc');
+		}
+
+		return { notes: matchedNotes, errors };
+	} catch (error) {
+		console.error('❌ Error running search query:', error);
+		throw error;
+	}
+}
+
+/* ---------- Smart View Functions ---------- */
+// getNotesWithFilters options a smart view may store (paging is left to the caller)
+const SMART_VIEW_FILTER_KEYS = [
+	'onlyFavorites', 'onlyArchived', 'onlyDeleted', 'includeArchived', 'includeDeleted',
+	'hasOverdue', 'hasDueDate', 'hasColor', 'hasReminder', 'hasParentNote', 'hasComments', 'hasFolder',
+	'folderId', 'tagIds', 'tagMatch', 'searchText',
+	'dueFrom', 'dueTo', 'createdFrom', 'createdTo', 'updatedFrom', 'updatedTo',
+	'sortBy', 'sortDirection'
+];
+
+/**
+ * Keep only supported and set filter options
+ * @param {Object} filters - getNotesWithFilters options
+ * @returns {Object} Normalized filters
+ */
+function normalizeSmartViewFilters(filters = {}) {
+	const normalized = {};
+
+	SMART_VIEW_FILTER_KEYS.forEach(key => {
+		const value = filters[key];
+		if (value === undefined || value === null || value === false || value === '') return;
+		if (Array.isArray(value) && value.length === 0) return;
+		normalized[key] = value;
+	});
+
+	return normalized;
+}
+
+/**
+ * Get all smart views
+ * @returns {Promise<Array>} Array of smart views
+ */
+async function getAllSmartViews() {
+	if (!db) await initDB();
+
+	try {
+		const smartViews = await db.smartViews.toArray();
+		return smartViews;
+	} catch (error) {
+		console.error('❌ Error getting all smart views:', error);
+		throw error;
+	}
+}
+
+/**
+ * Get smart view by ID
+ * @param {Number} smartViewId - Smart view ID
+ * @returns {Promise<Object>} Smart view object
+ */
+async function getSmartViewById(smartViewId) {
+	if (!db) await initDB();
+
+	try {
+		const smartView = await db.smartViews.get(smartViewId);
+		return smartView;
+	} catch (error) {
+		console.error('❌ Error getting smart view by ID:', error);
+		throw error;
+	}
+}
+
+/**
+ * Check if smart view name already exists
+ * @param {String} name - Smart view name to check
+ * @param {Number} excludeSmartViewId - Smart view ID to exclude from check (for updates)
+ * @returns {Promise<Boolean>} True if duplicate exists
+ */
+async function checkDuplicateSmartView(name, excludeSmartViewId = null) {
+	if (!db) await initDB();
+
+	try {
+		const smartViews = await db.smartViews.toArray();
+		const duplicate = smartViews.find(smartView =>
+			smartView.name.toLowerCase() === name.toLowerCase() &&
+			(excludeSmartViewId === null || smartView.id !== excludeSmartViewId)
+		);
+		return !!duplicate;
+	} catch (error) {
+		console.error('❌ Error checking duplicate smart view:', error);
+		throw error;
+	}
+}
+
+/**
+ * Create a new smart view
+ * @param {Object} smartViewData - Smart view data (name, filters)
+ * @returns {Promise<Number>} Created smart view ID
+ */
+async function createSmartView(smartViewData) {
+	if (!db) await initDB();
+
+	try {
+		const newSmartView = {
+			name: smartViewData.name,
+			filters: normalizeSmartViewFilters(smartViewData.filters),
+			createdAt: new Date().toISOString(),
+			updatedAt: new Date().toISOString()
+		};
+
+		const id = await db.smartViews.add(newSmartView);
+		console.log('✅ Smart view created with ID:', id);
+		return id;
+	} catch (error) {
+		console.error('❌ Error creating smart view:', error);
+		throw error;
+	}
+}
+
+/**
+ * Update a smart view; omitted fields keep their value, so renaming only needs name
+ * @param {Number} smartViewId - Smart view ID
+ * @param {Object} smartViewData - Smart view data (name, filters)
+ * @returns {Promise<Object>} Updated smart view
+ */
+async function updateSmartViewById(smartViewId, smartViewData) {
+	if (!db) await initDB();
+
+	try {
+		const smartView = await db.smartViews.get(smartViewId);
+		if (!smartView) {
+			throw new Error('Smart view not found');
+		}
+
+		if (smartViewData.name !== undefined) {
+			smartView.name = smartViewData.name;
+		}
+		if (smartViewData.filters !== undefined) {
+			smartView.filters = normalizeSmartViewFilters(smartViewData.filters);
+		}
+		smartView.updatedAt = new Date().toISOString();
+
+		await db.smartViews.put(smartView);
+		console.log('✅ Smart view updated with ID:', smartViewId);
+		return smartView;
+	} catch (error) {
+		console.error('❌ Error updating smart view:', error);
+		throw error;
+	}
+}
+
+/**
+ * Delete a smart view
+ * @param {Number} smartViewId - Smart view ID
+ * @returns {Promise<void>}
+ */
+async function deleteSmartViewById(smartViewId) {
+	if (!db) await initDB();
+
+	try {
+		await db.smartViews.delete(smartViewId);
+		console.log('✅ Smart view deleted with ID:', smartViewId);
+	} catch (error) {
+		console.error('❌ Error deleting smart view:', error);
+		throw error;
+	}
+}
+
+/**
+ * Count notes matching each smart view in one pass over the notes, without building note arrays
+ * @returns {Promise<Object>} Map of smart view ID to note count
+ */
+async function getSmartViewCounts() {
+	if (!db) await initDB();
+
+	try {
+		const smartViews = await db.smartViews.toArray();
+		const counts = {};
+		if (smartViews.length === 0) return counts;
+
+		// Yorum filtresi kullanan görünümler aynı kümeyi paylaşır
+		const needsComments = smartViews.some(smartView => smartView.filters && smartView.filters.hasComments);
+		const commentNoteIds = needsComments ? new Set(await db.comments.orderBy('noteId').uniqueKeys()) : null;
+
+		const predicates = smartViews.map(smartView => {
+			const filters = smartView.filters || {};
+			counts[smartView.id] = 0;
+			return { id: smartView.id, matches: buildNotePredicate(filters, filters.hasComments ? commentNoteIds : null) };
+		});
+
+		await db.notes.each(note => {
+			predicates.forEach(({ id, matches }) => {
+				if (matches(note)) counts[id]++;
+			});
+		});
+
+		return counts;
+	} catch (error) {
+		console.error('❌ Error counting smart view notes:', error);
+		throw error;
+	}
+}
+
+/* ---------- Attachment Functions ---------- */
+// Images are stored as blobs and referenced from note HTML as <img data-attachment-id="...">
+const ATTACHMENT_ID_PATTERN = /data-attachment-id="(\d+)"/g;
+// Legacy base64 images written straight into content
+const INLINE_IMAGE_PATTERN = /(<img\b[^>]*?)\ssrc="data:(image\/[\w.+-]+);base64,([^"]*)"/g;
+// Unreferenced attachments stored or reused within this period are kept (unsaved notes, other tabs)
+const ATTACHMENT_GC_GRACE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Ids of the attachments a note's HTML references
+ * @param {String} content - Note HTML
+ * @returns {Array<Number>} Unique attachment IDs
+ */
+function extractAttachmentIds(content) {
+	const ids = Array.from(String(content || '').matchAll(ATTACHMENT_ID_PATTERN), match => Number(match[1]));
+	return [...new Set(ids)];
+}
+
+/* ---------- Content Hash of Attachment Bytes ---------- */
+// SHA-256 hex; crypto.subtle is not an IndexedDB request, so hash before the write transaction opens
+async function hashAttachmentBytes(bytes) {
+	const digest = await crypto.subtle.digest('SHA-256', bytes);
+	return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/* ---------- Store Bytes Once per Hash ---------- */
+// Must run inside a transaction that includes the attachments store; hash comes from hashAttachmentBytes
+async function findOrAddAttachment(bytes, type, hash) {
+	const now = new Date().toISOString();
+	const existing = await db.attachments.where('hash').equals(hash).filter(attachment => attachment.size === bytes.length).first();
+	if (existing) {
+		// Yeniden kullanılan ek, temizlik için bekleme süresini baştan başlatır
+		await db.attachments.update(existing.id, { usedAt: now });
+		return { id: existing.id, deduplicated: true };
+	}
+
+	const id = await db.attachments.add({
+		blob: new Blob([bytes], { type }),
+		type,
+		size: bytes.length,
+		hash,
+		createdAt: now,
+		usedAt: now
+	});
+	return { id, deduplicated: false };
+}
+
+/**
+ * Store an image blob, reusing the existing attachment when the same bytes were stored before
+ * @param {Blob} blob - Image data
+ * @returns {Promise<Object>} Result ({ id, deduplicated })
+ */
+async function addAttachment(blob) {
+	if (!db) await initDB();
+
+	try {
+		// Blob okuma ve özet hesaplama transaction dışında yapılır
+		const bytes = new Uint8Array(await blob.arrayBuffer());
+		const hash = await hashAttachmentBytes(bytes);
+		const result = await db.transaction('rw', db.attachments, () => findOrAddAttachment(bytes, blob.type, hash));
+		console.log(result.deduplicated ? '✅ Attachment reused:' : '✅ Attachment added:', result.id);
+		return result;
+	} catch (error) {
+		console.error('❌ Error adding attachment:', error);
+		throw error;
+	}
+}
+
+/**
+ * Get attachment by ID
+ * @param {Number} id - Attachment ID
+ * @returns {Promise<Object|undefined>} Attachment record with its blob
+ */
+async function getAttachmentById(id) {
+	if (!db) await initDB();
+
+	try {
+		return await db.attachments.get(id);
+	} catch (error) {
+		console.error('❌ Error getting attachment:', error);
+		throw error;
+	}
+}
+
+/* ---------- Decode and Hash Base64 Images ---------- */
+// Runs before the write transaction; the result is keyed by the base64 data
+async function decodeInlineImages(content) {
+	const images = new Map();
+	for (const match of String(content || '').matchAll(INLINE_IMAGE_PATTERN)) {
+		if (images.has(match[3])) continue;
+		const bytes = Uint8Array.from(atob(match[3]), char => char.charCodeAt(0));
+		images.set(match[3], { bytes, type: match[2], hash: await hashAttachmentBytes(bytes) });
+	}
+	return images;
+}
+
+/* ---------- Replace Base64 Images with Attachment References ---------- */
+// Must run inside a transaction that includes the attachments store; images come from decodeInlineImages
+async function replaceInlineImages(content, images) {
+	const matches = Array.from(String(content || '').matchAll(INLINE_IMAGE_PATTERN));
+	if (matches.length === 0) return content;
+
+	let result = '';
+	let lastIndex = 0;
+	for (const match of matches) {
+		// Önceden çözülmemiş resimler (bu arada eklenenler) olduğu gibi kalır
+		const image = images.get(match[3]);
+		if (!image) continue;
+		const { id } = await findOrAddAttachment(image.bytes, image.type, image.hash);
+		result += content.slice(lastIndex, match.index) + `${match[1]} data-attachment-id="${id}"`;
+		lastIndex = match.index + match[0].length;
+	}
+	return result + content.slice(lastIndex);
+}
+
+/**
+ * Move base64 images of existing notes into the attachments store
+ * updatedAt is left alone because the visible content does not change
+ * @returns {Promise<Array<Number>>} IDs of updated notes
+ */
+async function moveInlineImagesToAttachments() {
+	if (!db) await initDB();
+
+	try {
+		const hasInlineImages = note => String(note.content || '').includes('src="data:image/');
+		const pendingNotes = await db.notes.filter(hasInlineImages).toArray();
+		if (pendingNotes.length === 0) return [];
+		const images = await decodeInlineImages(pendingNotes.map(note => note.content).join('\n'));
+
+		const updatedIds = await db.transaction('rw', db.notes, db.attachments, async () => {
+			const notes = await db.notes.filter(hasInlineImages).toArray();
+			const ids = [];
+			for (const note of notes) {
+				const content = await replaceInlineImages(note.content, images);
+				if (content !== note.content) {
+					await db.notes.update(note.id, { content });
+					ids.push(note.id);
+				}
+			}
+			return ids;
+		});
+
+		if (updatedIds.length > 0) {
+			console.log('✅ Moved inline images of', updatedIds.length, 'notes to attachments');
+		}
+		return updatedIds;
+	} catch (error) {
+		console.error('❌ Error moving inline images:', error);
+		throw error;
+	}
+}
+
+/**
+ * Delete attachments that no note or revision references any more
+ * Attachments stored or reused within ATTACHMENT_GC_GRACE_MS are kept: an image in an unsaved note,
+ * possibly in another tab, is not referenced yet
+ * @returns {Promise<Array<Number>>} IDs of deleted attachments
+ */
+async function deleteUnusedAttachments() {
+	if (!db) await initDB();
+
+	try {
+		const deletedIds = await db.transaction('rw', db.notes, db.revisions, db.attachments, async () => {
+			const usedIds = new Set(await db.notes.orderBy('attachmentIds').uniqueKeys());
+			await db.revisions.each(revision => {
+				extractAttachmentIds(revision.content).forEach(id => usedIds.add(id));
+			});
+
+			// usedAt createdAt'ten eski olamaz; aday ekler createdAt indeksiyle daraltılır
+			const cutoff = new Date(Date.now() - ATTACHMENT_GC_GRACE_MS).toISOString();
+			const unusedIds = await db.attachments.where('createdAt').below(cutoff)
+				.filter(attachment => !usedIds.has(attachment.id) && (attachment.usedAt || attachment.createdAt) < cutoff)
+				.primaryKeys();
+			await db.attachments.bulkDelete(unusedIds);
+			return unusedIds;
+		});
+
+		if (deletedIds.length > 0) {
+			console.log('✅ Deleted', deletedIds.length, 'unused attachments');
+		}
+		return deletedIds;
+	} catch (error) {
+		console.error('❌ Error deleting unused attachments:', error);
+		throw error;
+	}
+}
+
+/* ---------- Keep attachmentIds in Sync with Content ---------- */
+function registerAttachmentHooks(dexie) {
+	dexie.notes.hook('creating', function(primKey, obj) {
+		obj.attachmentIds = extractAttachmentIds(obj.content);
+	});
+
+	dexie.notes.hook('updating', function(modifications, primKey, obj) {
+		if (!('content' in modifications) && !('attachmentIds' in modifications)) return;
+
+		const content = 'content' in modifications ? modifications.content : obj.content;
+		return { attachmentIds: extractAttachmentIds(content) };
+	});
+}
+
+/* ---------- Note Link Functions ---------- */
+// Wiki links are stored in content as <span data-type="note-link" data-note-id="..."> nodes
+const NOTE_LINK_ID_PATTERN = /data-note-id="(\d+)"/g;
+
+/**
+ * Ids of the notes a note's HTML links to
+ * @param {String} content - Note HTML
+ * @returns {Array<Number>} Unique linked note IDs
+ */
+function extractNoteLinkIds(content) {
+	const ids = Array.from(String(content || '').matchAll(NOTE_LINK_ID_PATTERN), match => Number(match[1]));
+	return [...new Set(ids)];
+}
+
+/* ---------- Keep linkNoteIds in Sync with Content ---------- */
+function registerNoteLinkHooks(dexie) {
+	dexie.notes.hook('creating', function(primKey, obj) {
+		obj.linkNoteIds = extractNoteLinkIds(obj.content);
+	});
+
+	dexie.notes.hook('updating', function(modifications, primKey, obj) {
+		// put() ile yazılan notlarda linkNoteIds alanı eksik gelir, içerikten yeniden hesaplanır
+		if (!('content' in modifications) && !('linkNoteIds' in modifications)) return;
+
+		const content = 'content' in modifications ? modifications.content : obj.content;
+		return { linkNoteIds: extractNoteLinkIds(content) };
+	});
+}
+
+/**
+ * Notes that link to a note, excluding trashed notes and self links
+ * @param {Number} noteId - Linked note ID
+ * @returns {Promise<Array>} Linking notes sorted by title
+ */
+async function getBacklinks(noteId) {
+	if (!db) await initDB();
+
+	try {
+		const notes = await db.notes.where('linkNoteIds').equals(noteId).toArray();
+		return notes
+			.filter(note => note.id !== noteId && note.isDeleted !== true)
+			.sort((a, b) => (a.title || '').localeCompare(b.title || '', 'tr'));
+	} catch (error) {
+		console.error('❌ Error getting backlinks:', error);
+		throw error;
+	}
+}
+
+/* ---------- Export Note Link Functions ---------- */
+window.extractNoteLinkIds = extractNoteLinkIds;
+window.getBacklinks = getBacklinks;
+
+/* ---------- Export Attachment Functions ---------- */
+window.extractAttachmentIds = extractAttachmentIds;
+window.addAttachment = addAttachment;
+window.getAttachmentById = getAttachmentById;
+window.moveInlineImagesToAttachments = moveInlineImagesToAttachments;
+window.deleteUnusedAttachments = deleteUnusedAttachments;
+
+/* ---------- Export Search Functions ---------- */
+window.foldSearchText = foldSearchText;
+window.fuzzyMatch = fuzzyMatch;
+window.indexNotesForSearch = indexNotesForSearch;
+window.ensureSearchIndex = ensureSearchIndex;
+window.searchNotesFullText = searchNotesFullText;
+window.SEARCH_QUERY_OPERATORS = SEARCH_QUERY_OPERATORS;
+window.SEARCH_SCOPE_FILTERS = SEARCH_SCOPE_FILTERS;
+window.parseSearchQuery = parseSearchQuery;
+window.searchNotesByQuery = searchNotesByQuery;
+
+/* ---------- Export Smart View Functions ---------- */
+window.SMART_VIEW_FILTER_KEYS = SMART_VIEW_FILTER_KEYS;
+window.getAllSmartViews = getAllSmartViews;
+window.getSmartViewById = getSmartViewById;
+window.checkDuplicateSmartView = checkDuplicateSmartView;
+window.createSmartView = createSmartView;
+window.updateSmartViewById = updateSmartViewById;
+window.deleteSmartViewById = deleteSmartViewById;
+window.getSmartViewCounts = getSmartViewCounts;
+
+/* ---------- Export Tag Functions ---------- */
+window.getAllTags = getAllTags;
+window.getTagById = getTagById;
+window.checkDuplicateTag = checkDuplicateTag;
+window.updateTagById = updateTagById;
+window.createTag = createTag;
+window.getTagUsageCount = getTagUsageCount;
+window.deleteTagById = deleteTagById;
+window.removeTagFromAllNotes = removeTagFromAllNotes;
+window.getNotesByTag = getNotesByTag;
+window.getNotesByAllTags = getNotesByAllTags;
+window.getNotesByAnyTag = getNotesByAnyTag;
+
+/* ---------- Export Comments Functions ---------- */
+window.getCommentsByNoteId = getCommentsByNoteId;
+window.saveComment = saveComment;
+window.deleteCommentsByNoteId = deleteCommentsByNoteId;
+window.deleteCommentById = deleteCommentById;
+window.updateComment = updateComment;
+window.copyComments = copyComments;
+
+/* ---------- Export Integrity Functions ---------- */
+window.INTEGRITY_CATEGORIES = INTEGRITY_CATEGORIES;
+window.checkIntegrity = checkIntegrity;
+window.repairIntegrity = repairIntegrity;
+
+/* ---------- Export Revision Functions ---------- */
+window.getRevisionsByNoteId = getRevisionsByNoteId;
+window.getRevisionById = getRevisionById;
+window.restoreRevisionById = restoreRevisionById;
+
+/* ---------- Export Notes Functions ---------- */
+window.getNotesWithFilters = getNotesWithFilters;
+window.planNotesQuery = planNotesQuery;
+window.applySorting = applySorting;
+window.getAllNotesForCounting = getAllNotesForCounting;
+window.getAllNotes = getAllNotes;
+window.getNoteById = getNoteById;
+window.getCurrentDisplayedNotes = getCurrentDisplayedNotes;
+window.getNotesWithReminders = getNotesWithReminders;
+window.getSelectableParentNotes = getSelectableParentNotes;
+
+// Notes CRUD
+window.createNote = createNote;
+window.updateNoteById = updateNoteById;
+window.deleteNoteById = deleteNoteById;
+window.permanentDeleteNoteById = permanentDeleteNoteById;
+window.restoreNoteById = restoreNoteById;
+window.archiveNoteById = archiveNoteById;
+window.unarchiveNoteById = unarchiveNoteById;
+window.toggleNoteFavoriteById = toggleNoteFavoriteById;
+window.clearParentNoteReferences = clearParentNoteReferences;
+window.getChildNotes = getChildNotes;
+window.countChildNotes = countChildNotes;
+window.getNoteAncestors = getNoteAncestors;
+window.getChildNoteCounts = getChildNoteCounts;
+window.moveNoteToParent = moveNoteToParent;
+window.NOTE_CYCLE_ERROR = NOTE_CYCLE_ERROR;
+window.permanentDeleteNotesByIds = permanentDeleteNotesByIds;
+window.copyNoteById = copyNoteById;
+window.importNotes = importNotes;
+window.getExpiredNoteIds = getExpiredNoteIds;
+window.purgeExpiredNotes = purgeExpiredNotes;
+window.CHILD_NOTE_POLICIES = CHILD_NOTE_POLICIES;
+window.NOTE_CONFLICT_ERROR = NOTE_CONFLICT_ERROR;
+window.clearNoteReminder = clearNoteReminder;
+
+// Bulk actions and undo
+window.applyBulkNoteAction = applyBulkNoteAction;
+window.BULK_NOTE_ACTIONS = BULK_NOTE_ACTIONS;
+window.undoOperation = undoOperation;
+window.OPERATION_EXPIRED_ERROR = OPERATION_EXPIRED_ERROR;
+window.OPERATION_UNDO_WINDOW_MS = OPERATION_UNDO_WINDOW_MS;
+
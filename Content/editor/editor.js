@@ -1,8 +1,20 @@
 /* ---------- Imports ---------- */
 import {
 	Editor,
-	Extension
+	Extension,
+	Node,
+	InputRule,
+	mergeAttributes
 } from "@tiptap/core";
+import {
+	Plugin,
+	PluginKey,
+	TextSelection
+} from "@tiptap/pm/state";
+import {
+	Decoration,
+	DecorationSet
+} from "@tiptap/pm/view";
 import StarterKit from "@tiptap/starter-kit";
 import TaskList from "@tiptap/extension-task-list";
 import TaskItem from "@tiptap/extension-task-item";
@@ -19,6 +31,24 @@ import Underline from "@tiptap/extension-underline";
 import Link from "@tiptap/extension-link";
 import Youtube from "@tiptap/extension-youtube";
 import Image from "@tiptap/extension-image";
+import Table from "@tiptap/extension-table";
+import TableRow from "@tiptap/extension-table-row";
+import TableHeader from "@tiptap/extension-table-header";
+import TableCell from "@tiptap/extension-table-cell";
+import CodeBlockLowlight from "@tiptap/extension-code-block-lowlight";
+import {
+	createLowlight
+} from "lowlight";
+import javascript from "highlight.js/lib/languages/javascript";
+import typescript from "highlight.js/lib/languages/typescript";
+import json from "highlight.js/lib/languages/json";
+import sql from "highlight.js/lib/languages/sql";
+import bash from "highlight.js/lib/languages/bash";
+import python from "highlight.js/lib/languages/python";
+import csharp from "highlight.js/lib/languages/csharp";
+import xml from "highlight.js/lib/languages/xml";
+import css from "highlight.js/lib/languages/css";
+import plaintext from "highlight.js/lib/languages/plaintext";
 import DOMPurify from "https://cdn.jsdelivr.net/npm/dompurify@3.0.6/dist/purify.es.js";
 
 /* ---------- Global Variables ---------- */
@@ -220,39 +250,729 @@ const FontAttrs = Extension.create({
 	},
 });
 
-/* ---------- Init Editor ---------- */
-let currentSize = 14;
-const noteListPreviewLength = 150;
-let currentFamily = 'sans-serif';
+/* ---------- Find and Replace Extension ---------- */
+const findReplacePluginKey = new PluginKey('findReplace');
+
+// Build the search pattern; null when the query is empty or not a valid regex
+function buildFindPattern({ query, caseSensitive, wholeWord, regex }) {
+	if (!query) return null;
+
+	let source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+	if (wholeWord) {
+		source = `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`;
+	}
+
+	try {
+		return new RegExp(source, caseSensitive ? 'gu' : 'giu');
+	} catch (error) {
+		return null;
+	}
+}
+
+// Matches inside text blocks; inline leaves (images, line breaks) count as one position
+function findMatchesInDoc(doc, options) {
+	const pattern = buildFindPattern(options);
+	const matches = [];
+	if (!pattern) {
+		return { matches, invalid: Boolean(options.query) };
+	}
+
+	doc.descendants((node, pos) => {
+		if (!node.isTextblock) return true;
+
+		let text = '';
+		node.forEach(child => {
+			text += child.isText ? child.text : '\ufffc';
+		});
+
+		pattern.lastIndex = 0;
+		let match;
+		while ((match = pattern.exec(text)) !== null) {
+			if (match[0].length === 0) {
+				pattern.lastIndex++;
+				continue;
+			}
+			// Metin dışı düğümlerin üzerinden geçen eşleşmeler atlanır
+			if (match[0].includes('\ufffc')) continue;
+
+			matches.push({
+				from: pos + 1 + match.index,
+				to: pos + 1 + match.index + match[0].length,
+				text: match[0]
+			});
+		}
+		return false;
+	});
+
+	return { matches, invalid: false };
+}
+
+// Replacement for one match; regex mode supports $1-style groups
+function getFindReplacement(match, options, replacement) {
+	if (!options.regex) return replacement;
+
+	const pattern = buildFindPattern(options);
+	return match.text.replace(new RegExp(pattern.source, pattern.flags.replace('g', '')), replacement);
+}
+
+function buildFindDecorations(doc, matches, activeIndex) {
+	return DecorationSet.create(doc, matches.map((match, index) => Decoration.inline(match.from, match.to, {
+		class: index === activeIndex ? 'find-match find-match-active' : 'find-match'
+	})));
+}
+
+const FindReplace = Extension.create({
+	name: 'findReplace',
+	addProseMirrorPlugins() {
+		return [new Plugin({
+			key: findReplacePluginKey,
+			state: {
+				init: () => ({
+					options: { query: '', caseSensitive: false, wholeWord: false, regex: false },
+					matches: [],
+					activeIndex: -1,
+					invalid: false,
+					decorations: DecorationSet.empty
+				}),
+				apply(tr, value, oldState, newState) {
+					const meta = tr.getMeta(findReplacePluginKey);
+					if (!meta && !tr.docChanged) return value;
+
+					const options = meta && meta.options ? meta.options : value.options;
+					const { matches, invalid } = findMatchesInDoc(newState.doc, options);
+
+					let activeIndex = meta && meta.activeIndex !== undefined ? meta.activeIndex : value.activeIndex;
+					if (activeIndex === null) {
+						// Yeni aramada imlecin (değiştirmeden sonra değişen metnin) ardındaki ilk eşleşme seçilir
+						const startFrom = meta.activeFrom !== undefined ? meta.activeFrom : newState.selection.from;
+						const nextIndex = matches.findIndex(match => match.from >= startFrom);
+						activeIndex = nextIndex === -1 ? 0 : nextIndex;
+					}
+					activeIndex = matches.length === 0 ? -1 : Math.min(Math.max(activeIndex, 0), matches.length - 1);
+
+					return {
+						options,
+						matches,
+						activeIndex,
+						invalid,
+						decorations: buildFindDecorations(newState.doc, matches, activeIndex)
+					};
+				}
+			},
+			props: {
+				decorations(state) {
+					return this.getState(state).decorations;
+				}
+			}
+		})];
+	},
+	addCommands() {
+		// Select the match at index and scroll it into view
+		const goToMatch = step => () => ({ tr, state, dispatch }) => {
+			const { matches, activeIndex } = findReplacePluginKey.getState(state);
+			if (matches.length === 0) return false;
+
+			const index = (activeIndex + step + matches.length) % matches.length;
+			if (dispatch) {
+				tr.setMeta(findReplacePluginKey, { activeIndex: index });
+				tr.setSelection(TextSelection.create(tr.doc, matches[index].from, matches[index].to));
+				tr.scrollIntoView();
+			}
+			return true;
+		};
+
+		return {
+			setFindOptions: options => ({ tr, dispatch }) => {
+				if (dispatch) tr.setMeta(findReplacePluginKey, { options, activeIndex: null });
+				return true;
+			},
+			clearFind: () => ({ tr, state, dispatch }) => {
+				const { options } = findReplacePluginKey.getState(state);
+				if (dispatch) tr.setMeta(findReplacePluginKey, { options: { ...options, query: '' }, activeIndex: -1 });
+				return true;
+			},
+			findNext: goToMatch(1),
+			findPrevious: goToMatch(-1),
+			selectFindMatch: goToMatch(0),
+			// insertText keeps the marks of the replaced text (bold, color, highlight...)
+			replaceFindMatch: replacement => ({ tr, state, dispatch }) => {
+				const { matches, activeIndex, options } = findReplacePluginKey.getState(state);
+				const match = matches[activeIndex];
+				if (!match) return false;
+
+				if (dispatch) {
+					const text = getFindReplacement(match, options, replacement);
+					tr.insertText(text, match.from, match.to);
+					tr.setMeta(findReplacePluginKey, { activeIndex: null, activeFrom: match.from + text.length });
+				}
+				return true;
+			},
+			// Tek transaction olduğundan tek adımda geri alınır
+			replaceAllFindMatches: replacement => ({ tr, state, dispatch }) => {
+				const { matches, options } = findReplacePluginKey.getState(state);
+				if (matches.length === 0) return false;
+
+				if (dispatch) {
+					[...matches].reverse().forEach(match => {
+						tr.insertText(getFindReplacement(match, options, replacement), match.from, match.to);
+					});
+					tr.setMeta(findReplacePluginKey, { activeIndex: 0 });
+				}
+				return true;
+			}
+		};
+	},
+	addKeyboardShortcuts() {
+		return {
+			'Mod-f': () => {
+				openFindPanel(false);
+				return true;
+			},
+			'Mod-h': () => {
+				openFindPanel(true);
+				return true;
+			}
+		};
+	}
+});
+
+/* ---------- Wiki Note Link Node ---------- */
+// Current titles of linkable notes; links store only the note id so renames show everywhere
+const noteLinkTitles = new Map();
+let noteLinkSuggestions = [];
+let noteLinkSuggestionIndex = 0;
+let noteLinkRange = null;
+let noteLinkQuery = null;
+let dismissedNoteLinkFrom = null;
+
+function getNoteLinkLabel(noteId, fallbackTitle) {
+	const note = noteLinkTitles.get(noteId);
+	if (note) return note.title || 'Başlıksız Not';
+	return fallbackTitle || 'Silinmiş not';
+}
+
+const NoteLink = Node.create({
+	name: 'noteLink',
+	group: 'inline',
+	inline: true,
+	atom: true,
+	selectable: true,
+	addAttributes() {
+		return {
+			noteId: {
+				default: null,
+				parseHTML: element => Number(element.getAttribute('data-note-id')) || null,
+				renderHTML: attributes => ({
+					'data-note-id': attributes.noteId
+				})
+			},
+			// Not silinirse gösterilecek son bilinen başlık
+			title: {
+				default: '',
+				parseHTML: element => element.textContent,
+				renderHTML: () => ({})
+			}
+		};
+	},
+	parseHTML() {
+		return [{
+			tag: 'span[data-type="note-link"]'
+		}];
+	},
+	renderHTML({ node, HTMLAttributes }) {
+		return ['span', mergeAttributes({
+			'data-type': 'note-link',
+			class: 'note-link'
+		}, HTMLAttributes), getNoteLinkLabel(node.attrs.noteId, node.attrs.title)];
+	},
+	renderText({ node }) {
+		return `[[${getNoteLinkLabel(node.attrs.noteId, node.attrs.title)}]]`;
+	},
+	addNodeView() {
+		return ({ node }) => {
+			const dom = document.createElement('span');
+			dom.className = 'note-link';
+			dom.dataset.type = 'note-link';
+			dom.dataset.noteId = node.attrs.noteId;
+			dom.dataset.fallbackTitle = node.attrs.title;
+			renderNoteLinkElement(dom);
+
+			dom.addEventListener('click', (e) => {
+				e.preventDefault();
+				openLinkedNote(node.attrs.noteId);
+			});
+
+			return { dom };
+		};
+	},
+	addInputRules() {
+		return [new InputRule({
+			// Başlığı tam yazılan bağlantı ]] ile düğüme dönüşür
+			find: /\[\[([^\[\]]+)\]\]$/,
+			handler: ({ state, range, match }) => {
+				const note = findNoteByLinkTitle(match[1]);
+				if (!note) return null;
+
+				state.tr.replaceWith(range.from, range.to, this.type.create({
+					noteId: note.id,
+					title: note.title
+				}));
+			}
+		})];
+	},
+	addProseMirrorPlugins() {
+		return [new Plugin({
+			key: new PluginKey('noteLinkSuggestion'),
+			view: () => ({
+				update: view => updateNoteLinkSuggestions(view)
+			}),
+			props: {
+				handleKeyDown: (view, event) => handleNoteLinkSuggestionKeydown(event)
+			}
+		})];
+	}
+});
+
+/* ---------- Table Cell Background ---------- */
+// Hücre arka planı editördeki bgColors paletinden seçilir
+const tableCellBackgroundAttribute = {
+	default: null,
+	parseHTML: element => element.getAttribute('data-background-color') || element.style.backgroundColor || null,
+	renderHTML: attributes => attributes.backgroundColor ? {
+		'data-background-color': attributes.backgroundColor,
+		style: `background-color: ${attributes.backgroundColor}`
+	} : {}
+};
+
+const ColoredTableCell = TableCell.extend({
+	addAttributes() {
+		return {
+			...this.parent?.(),
+			backgroundColor: tableCellBackgroundAttribute
+		};
+	}
+});
+
+const ColoredTableHeader = TableHeader.extend({
+	addAttributes() {
+		return {
+			...this.parent?.(),
+			backgroundColor: tableCellBackgroundAttribute
+		};
+	}
+});
+
+/* ---------- Code Block Extension ---------- */
+// Dil seçicide görünen diller; boş değer lowlight'ın otomatik algılamasını kullanır
+const codeBlockLanguages = [
+	{ value: '', label: 'Otomatik' },
+	{ value: 'plaintext', label: 'Düz metin' },
+	{ value: 'javascript', label: 'JavaScript' },
+	{ value: 'typescript', label: 'TypeScript' },
+	{ value: 'json', label: 'JSON' },
+	{ value: 'sql', label: 'SQL' },
+	{ value: 'bash', label: 'Bash' },
+	{ value: 'python', label: 'Python' },
+	{ value: 'csharp', label: 'C#' },
+	{ value: 'html', label: 'HTML' },
+	{ value: 'css', label: 'CSS' }
+];
+
+// Markdown fences and pasted HTML often use short names
+const codeBlockLanguageAliases = {
+	js: 'javascript',
+	jsx: 'javascript',
+	ts: 'typescript',
+	tsx: 'typescript',
+	sh: 'bash',
+	shell: 'bash',
+	zsh: 'bash',
+	py: 'python',
+	cs: 'csharp',
+	'c#': 'csharp',
+	xml: 'html',
+	xhtml: 'html',
+	svg: 'html',
+	text: 'plaintext',
+	txt: 'plaintext'
+};
+
+const lowlight = createLowlight();
+lowlight.register({ plaintext, javascript, typescript, json, sql, bash, python, csharp, html: xml, css });
+Object.entries(codeBlockLanguageAliases).forEach(([alias, language]) => lowlight.registerAlias(language, alias));
+
+// Unknown languages are kept as they are so they survive save and Markdown export
+function normalizeCodeBlockLanguage(language) {
+	const name = String(language || '').trim().toLowerCase();
+	return codeBlockLanguageAliases[name] || name || null;
+}
+
+async function copyCodeBlock(node, button) {
+	try {
+		await navigator.clipboard.writeText(node.textContent);
+		const icon = button.querySelector('i');
+		icon.className = 'bi bi-check2';
+		setTimeout(() => {
+			icon.className = 'bi bi-clipboard';
+		}, 1500);
+	} catch (error) {
+		console.error('Kod kopyalanamadı:', error);
+		showNotification('Kod kopyalanamadı', 'error');
+	}
+}
 
-// Paste event handler for images
-function handlePaste(event) {
-	const items = (event.clipboardData || event.originalEvent.clipboardData).items;
+const CodeBlockWithLanguage = CodeBlockLowlight.extend({
+	addAttributes() {
+		const parentAttributes = this.parent?.() || {};
+		return {
+			...parentAttributes,
+			language: {
+				...parentAttributes.language,
+				parseHTML: element => normalizeCodeBlockLanguage(parentAttributes.language.parseHTML(element))
+			}
+		};
+	},
 
-	for (let item of items) {
-		if (item.type.indexOf('image') !== -1) {
-			const file = item.getAsFile();
-			const reader = new FileReader();
+	// Header with the language dropdown and the copy button; the code itself stays editable
+	addNodeView() {
+		return ({ node, getPos, editor }) => {
+			let currentNode = node;
+
+			const dom = document.createElement('div');
+			dom.className = 'code-block';
+
+			const header = document.createElement('div');
+			header.className = 'code-block-header';
+			header.contentEditable = 'false';
+
+			const select = document.createElement('select');
+			select.className = 'code-block-language';
+			select.title = 'Dil';
+			select.innerHTML = codeBlockLanguages
+				.map(language => `<option value="${language.value}">${escapeHtml(language.label)}</option>`)
+				.join('');
+
+			const copyButton = document.createElement('button');
+			copyButton.type = 'button';
+			copyButton.className = 'code-block-copy';
+			copyButton.title = 'Kodu kopyala';
+			copyButton.innerHTML = '<i class="bi bi-clipboard"></i>';
+
+			const pre = document.createElement('pre');
+			const code = document.createElement('code');
+			pre.appendChild(code);
+			header.append(select, copyButton);
+			dom.append(header, pre);
+
+			const render = () => {
+				const language = normalizeCodeBlockLanguage(currentNode.attrs.language);
+				if (language && !Array.from(select.options).some(option => option.value === language)) {
+					select.add(new Option(language, language));
+				}
+				select.value = language || '';
+				code.className = language ? `${this.options.languageClassPrefix}${language}` : '';
+			};
 
-			reader.onload = (e) => {
-				const imageUrl = e.target.result;
-				editor.chain().focus().setImage({
-					src: imageUrl,
-					alt: "Pasted image"
+			select.addEventListener('change', () => {
+				if (typeof getPos !== 'function') return;
+				editor.chain().focus().command(({ tr }) => {
+					tr.setNodeMarkup(getPos(), undefined, { ...currentNode.attrs, language: select.value || null });
+					return true;
 				}).run();
+			});
+
+			copyButton.addEventListener('click', () => copyCodeBlock(currentNode, copyButton));
+
+			render();
+
+			return {
+				dom,
+				contentDOM: code,
+				update: updatedNode => {
+					if (updatedNode.type !== currentNode.type) return false;
+					currentNode = updatedNode;
+					render();
+					return true;
+				},
+				stopEvent: event => header.contains(event.target),
+				ignoreMutation: mutation => mutation.type !== 'selection' &&
+					(header.contains(mutation.target) || (mutation.type === 'attributes' && mutation.target === code))
 			};
+		};
+	}
+});
 
-			reader.readAsDataURL(file);
-			event.preventDefault();
-			break;
-		}
+/* ---------- Image Attachment Extension ---------- */
+const imageAlignments = ['left', 'center', 'right', 'wrap'];
+const imageMinWidth = 80;
+
+// Object URLs of loaded attachments, kept for the session
+const attachmentUrls = new Map();
+
+function resolveAttachmentUrl(attachmentId) {
+	if (!attachmentUrls.has(attachmentId)) {
+		attachmentUrls.set(attachmentId, window.getAttachmentById(attachmentId)
+			.then(attachment => attachment ? URL.createObjectURL(attachment.blob) : null)
+			.catch(error => {
+				console.error('Error loading attachment:', error);
+				attachmentUrls.delete(attachmentId);
+				return null;
+			}));
 	}
+	return attachmentUrls.get(attachmentId);
+}
+
+// Resim <figure> içinde ya da eski notlardaki gibi tek başına <img> olarak gelir
+function getImageElement(element) {
+	return element.tagName === 'FIGURE' ? element.querySelector('img') : element;
 }
 
+// Images are stored in the attachments store and rendered from object URLs;
+// width, alignment and caption live on the surrounding <figure>
+const AttachmentImage = Image.extend({
+	addAttributes() {
+		return {
+			src: {
+				default: null,
+				parseHTML: element => getImageElement(element)?.getAttribute('src') || null
+			},
+			alt: {
+				default: null,
+				parseHTML: element => getImageElement(element)?.getAttribute('alt') || null
+			},
+			title: {
+				default: null,
+				parseHTML: element => getImageElement(element)?.getAttribute('title') || null
+			},
+			attachmentId: {
+				default: null,
+				parseHTML: element => Number(getImageElement(element)?.getAttribute('data-attachment-id')) || null,
+				renderHTML: attributes => attributes.attachmentId ? { 'data-attachment-id': attributes.attachmentId } : {}
+			},
+			width: {
+				default: null,
+				parseHTML: element => Number(element.getAttribute('data-width') || element.getAttribute('width')) || null,
+				rendered: false
+			},
+			align: {
+				default: 'center',
+				parseHTML: element => imageAlignments.includes(element.getAttribute('data-align')) ? element.getAttribute('data-align') : 'center',
+				rendered: false
+			},
+			caption: {
+				default: null,
+				parseHTML: element => element.querySelector?.('figcaption')?.textContent.trim() || null,
+				rendered: false
+			}
+		};
+	},
+
+	parseHTML() {
+		return [
+			{ tag: 'figure[data-type="image"]' },
+			{ tag: 'img[data-attachment-id]' },
+			...this.parent?.()
+		];
+	},
+
+	renderHTML({ node, HTMLAttributes }) {
+		const { width, align, caption } = node.attrs;
+		const figureAttributes = { 'data-type': 'image', 'data-align': align, class: 'editor-figure' };
+		if (width) {
+			figureAttributes['data-width'] = width;
+			figureAttributes.style = `width: ${width}px`;
+		}
+
+		const image = ['img', mergeAttributes(this.options.HTMLAttributes, HTMLAttributes)];
+		return caption ? ['figure', figureAttributes, image, ['figcaption', {}, caption]] : ['figure', figureAttributes, image];
+	},
+
+	// Resize handles on both sides and a toolbar for alignment, alt text and caption
+	addNodeView() {
+		return ({ node, getPos, editor }) => {
+			let currentNode = node;
+			let renderedSource = null;
+
+			const dom = document.createElement('figure');
+			dom.className = 'editor-figure';
+
+			const img = document.createElement('img');
+			img.className = this.options.HTMLAttributes.class || '';
+			img.draggable = false;
+
+			const caption = document.createElement('figcaption');
+
+			const toolbar = document.createElement('div');
+			toolbar.className = 'image-toolbar';
+			toolbar.contentEditable = 'false';
+			toolbar.innerHTML = `
+                <button type="button" data-align="left" title="Sola hizala"><i class="bi bi-align-start"></i></button>
+                <button type="button" data-align="center" title="Ortala"><i class="bi bi-align-center"></i></button>
+                <button type="button" data-align="right" title="Sağa hizala"><i class="bi bi-align-end"></i></button>
+                <button type="button" data-align="wrap" title="Metni etrafına sar"><i class="bi bi-text-wrap"></i></button>
+                <button type="button" data-image-action="details" title="Alternatif metin ve açıklama"><i class="bi bi-card-text"></i></button>
+            `;
+
+			const handles = ['left', 'right'].map(side => {
+				const handle = document.createElement('span');
+				handle.className = `image-resize-handle ${side}`;
+				handle.dataset.side = side;
+				return handle;
+			});
+
+			dom.append(img, ...handles, toolbar, caption);
+
+			const updateAttributes = attributes => {
+				if (typeof getPos !== 'function') return;
+				editor.chain().command(({ tr }) => {
+					tr.setNodeMarkup(getPos(), undefined, { ...currentNode.attrs, ...attributes });
+					return true;
+				}).run();
+			};
+
+			const render = () => {
+				const { attachmentId, src, alt, width, align } = currentNode.attrs;
+				dom.dataset.align = align || 'center';
+				dom.style.width = width ? `${width}px` : '';
+				img.alt = alt || '';
+				caption.textContent = currentNode.attrs.caption || '';
+				caption.classList.toggle('d-none', !currentNode.attrs.caption);
+				toolbar.querySelectorAll('[data-align]').forEach(button => {
+					button.classList.toggle('active', button.dataset.align === dom.dataset.align);
+				});
+
+				const source = attachmentId ? `attachment:${attachmentId}` : src;
+				if (source === renderedSource) return;
+				renderedSource = source;
+				if (attachmentId) {
+					resolveAttachmentUrl(attachmentId).then(url => {
+						if (renderedSource === source) img.src = url || '';
+					});
+				} else {
+					img.src = src || '';
+				}
+			};
+
+			// Ortalanmış resim iki yana birden büyür, bu yüzden fark iki katına çıkar
+			let resizing = false;
+			const startResize = (event, side) => {
+				event.preventDefault();
+				resizing = true;
+				const startX = event.clientX;
+				const startWidth = dom.getBoundingClientRect().width;
+				const maxWidth = editor.view.dom.clientWidth;
+				const factor = (side === 'left' ? -1 : 1) * (dom.dataset.align === 'center' ? 2 : 1);
+
+				const onMove = moveEvent => {
+					const width = Math.min(maxWidth, Math.max(imageMinWidth, startWidth + (moveEvent.clientX - startX) * factor));
+					dom.style.width = `${Math.round(width)}px`;
+				};
+				const onUp = () => {
+					resizing = false;
+					document.removeEventListener('pointermove', onMove);
+					document.removeEventListener('pointerup', onUp);
+					updateAttributes({ width: Math.round(dom.getBoundingClientRect().width) });
+				};
+
+				document.addEventListener('pointermove', onMove);
+				document.addEventListener('pointerup', onUp);
+			};
+
+			handles.forEach(handle => {
+				handle.addEventListener('pointerdown', event => startResize(event, handle.dataset.side));
+			});
+			// Boyutlandırma sırasında figure sürüklenmez
+			dom.addEventListener('dragstart', event => {
+				if (resizing) event.preventDefault();
+			});
+
+			toolbar.addEventListener('mousedown', event => event.preventDefault());
+			toolbar.addEventListener('click', event => {
+				const button = event.target.closest('button');
+				if (!button) return;
+				if (button.dataset.align) {
+					updateAttributes({ align: button.dataset.align });
+				} else if (button.dataset.imageAction === 'details' && typeof getPos === 'function') {
+					openImageDetailsPopup(currentNode, getPos, button);
+				}
+			});
+
+			render();
+
+			return {
+				dom,
+				update: updatedNode => {
+					if (updatedNode.type !== currentNode.type) return false;
+					currentNode = updatedNode;
+					render();
+					return true;
+				},
+				stopEvent: event => toolbar.contains(event.target) || handles.includes(event.target)
+			};
+		};
+	}
+});
+
+/* ---------- Markdown Shortcuts Extension ---------- */
+// Ctrl+Shift+V ile başlayan yapıştırma düz metin olarak eklenir
+let plainTextPasteUntil = 0;
+
+const MarkdownShortcuts = Extension.create({
+	name: 'markdownShortcuts',
+	// Runs before the StarterKit rules so typing and the slash menu give the same result
+	priority: 1000,
+	addInputRules() {
+		const blockRule = (find, command, after = null) => new InputRule({
+			find,
+			handler: ({ range, match, chain }) => {
+				let commandChain = editorCommandActions[command](chain().deleteRange(range));
+				if (after) commandChain = after(commandChain, match);
+				commandChain.run();
+			}
+		});
+
+		return [
+			blockRule(/^\s*\[([ xX])?\]\s$/, 'task', (commandChain, match) => /x/i.test(match[1] || '') ?
+				commandChain.updateAttributes('taskItem', { checked: true }) : commandChain),
+			blockRule(/^\s*>\s$/, 'quote'),
+			blockRule(/^(?:---|—-|___\s|\*\*\*\s)$/, 'divider'),
+			new InputRule({
+				find: /(?:^|\s)(==(?!\s)([^=]+?)(?<!\s)==)$/,
+				handler: ({ state, range, match }) => {
+					const highlight = state.schema.marks.highlight;
+					const from = range.from + match[0].indexOf(match[1]);
+					state.tr
+						.replaceWith(from, range.to, state.schema.text(match[2], [highlight.create()]))
+						.removeStoredMark(highlight);
+				}
+			})
+		];
+	},
+	addKeyboardShortcuts() {
+		return {
+			'Mod-Shift-v': () => {
+				// Tarayıcının yapıştırma olayı engellenmez, handlePaste bu işarete bakar
+				plainTextPasteUntil = Date.now() + 1000;
+				return false;
+			}
+		};
+	}
+});
+
+/* ---------- Init Editor ---------- */
+let currentSize = 14;
+const noteListPreviewLength = 150;
+let currentFamily = 'sans-serif';
+
 window.editor = new Editor({
 	element: document.querySelector('#editor'),
 	extensions: [
-		StarterKit,
+		StarterKit.configure({
+			codeBlock: false, // replaced by CodeBlockWithLanguage
+		}),
+		CodeBlockWithLanguage.configure({
+			lowlight,
+		}),
 		TaskList,
 		TaskItem.configure({
 			nested: true
@@ -284,14 +1004,26 @@ window.editor = new Editor({
 			width: 400,
 			height: 225,
 		}),
-		Image.configure({
-			allowBase64: true, // Base64 resimleri destekle
+		AttachmentImage.configure({
+			allowBase64: true, // eski notlardaki base64 resimler de okunur
 			HTMLAttributes: {
 				class: 'editor-image',
 			},
 		}),
-		Indent, // custom indent extension
+		Table.configure({
+			resizable: true, // column resize handles
+			HTMLAttributes: {
+				class: 'editor-table',
+			},
+		}),
+		TableRow,
+		ColoredTableHeader, // header cells with background color
+		ColoredTableCell, // cells with background color
+		Indent, // custom indent extension (after Table so Tab moves between cells)
 		RightBlockquote, // custom right blockquote
+		FindReplace, // find and replace with decorations
+		NoteLink, // [[wiki links]] between notes
+		MarkdownShortcuts, // [ ], >, --- and ==highlight== input rules, plain text paste
 	],
 	content: '',
 	editorProps: {
@@ -301,6 +1033,25 @@ window.editor = new Editor({
 		handlePaste(view, event) {
 			const html = event.clipboardData?.getData('text/html');
 			const text = event.clipboardData?.getData('text/plain');
+
+			// Kod bloğunda pano metni olduğu gibi eklenir; Markdown, tablo ya da paragraf dönüşümü yapılmaz
+			if (view.state.selection.$from.parent.type.spec.code) {
+				const codeText = text || (html ? htmlToPlainText(html) : '');
+				if (!codeText) return false;
+
+				event.preventDefault();
+				view.dispatch(view.state.tr.insertText(codeText));
+				return true;
+			}
+
+			// Kopyalanan resim dosyaları ek olarak saklanır; metin varsa (Excel, Word) metin tercih edilir
+			const imageFiles = Array.from(event.clipboardData?.files || []).filter(file => file.type.startsWith('image/'));
+			if (imageFiles.length > 0 && !text) {
+				event.preventDefault();
+				insertImageFiles(imageFiles);
+				return true;
+			}
+
 			if (!html && !text) {
 				return false;
 			}
@@ -312,11 +1063,32 @@ window.editor = new Editor({
 
 			event.preventDefault();
 
+			if (Date.now() < plainTextPasteUntil) {
+				plainTextPasteUntil = 0;
+				insertPlainText(text || htmlToPlainText(html));
+				return true;
+			}
+
+			// Sekmeyle ayrılmış satırlar (HTML'siz tablo kopyası) tabloya çevrilir
+			if (!html && text && isTabSeparatedTable(text)) {
+				editor.commands.insertContent(tabSeparatedTextToTableHtml(text));
+				return true;
+			}
+
+			// Markdown görünümlü düz metin (yapısal HTML yoksa) zengin içeriğe çevrilir
+			if (text && looksLikeMarkdown(text) && !(html && hasStructuredHtml(html))) {
+				const content = DOMPurify.sanitize(markdownToHtml(text, {
+					resolveNoteLink: title => findNoteByLinkTitle(title)?.id || null
+				}));
+				editor.commands.insertContent(content);
+				return true;
+			}
+
 			if (html) {
 				// Güvenli temizle, style'ı koru
 				const clean = DOMPurify.sanitize(html, {
-					ALLOWED_TAGS: ['p', 'b', 'strong', 'i', 'em', 'u', 's', 'span', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote', 'br', 'div'],
-					ALLOWED_ATTR: ['style'],
+					ALLOWED_TAGS: ['p', 'b', 'strong', 'i', 'em', 'u', 's', 'span', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote', 'br', 'div', 'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td'],
+					ALLOWED_ATTR: ['style', 'colspan', 'rowspan'],
 					KEEP_CONTENT: true,
 				});
 
@@ -341,12 +1113,24 @@ window.editor = new Editor({
 			}
 
 			if (text) {
-				editor.commands.insertContent(text);
+				insertPlainText(text);
 				return true;
 			}
 
 			return false;
 		},
+		handleDrop(view, event, slice, moved) {
+			// Editör içi sürüklemeler ProseMirror'da kalır
+			if (moved) return false;
+
+			const imageFiles = Array.from(event.dataTransfer?.files || []).filter(file => file.type.startsWith('image/'));
+			if (imageFiles.length === 0) return false;
+
+			event.preventDefault();
+			const position = view.posAtCoords({ left: event.clientX, top: event.clientY });
+			insertImageFiles(imageFiles, position ? position.pos : null);
+			return true;
+		},
 	},
 });
 
@@ -373,6 +1157,7 @@ let actionsPopup = $('actions-popup');
 let urlPopup = $('url-popup');
 let videoPopup = $('video-popup');
 let imagePopup = $('image-popup');
+let imageDetailsPopup = $('image-details-popup');
 
 let textPopup = $('text-popup');
 let bgPopup = $('bg-popup');
@@ -387,6 +1172,12 @@ let listOptionsPopup = $('list-options-popup');
 let sortBtn = $('sort-btn');
 let sortOptionsPopup = $('sort-options-popup');
 
+let trashRetentionBtn = $('trash-retention-btn');
+let trashRetentionPopup = $('trash-retention-popup');
+let noteLinkPopup = $('note-link-popup');
+let bulkActionPopup = $('bulk-action-popup');
+let tableCellColorPopup = $('table-cell-color-popup');
+
 const parentNoteBtn = $('parent-note-btn');
 const folderPopupBtn = $('folderPopupBtn');
 
@@ -400,6 +1191,99 @@ function closePopup(p) {
 	p.classList.remove('d-flex');
 }
 
+// Escape text for safe use inside HTML templates
+function escapeHtml(text) {
+	return String(text ?? '')
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&#39;');
+}
+
+// Escape text and wrap the given [start, end] ranges in <mark>
+function highlightSearchRanges(text, ranges = []) {
+	let html = '';
+	let position = 0;
+
+	ranges.forEach(([start, end]) => {
+		if (start < position) return;
+		html += escapeHtml(text.slice(position, start)) + `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+		position = end;
+	});
+
+	return html + escapeHtml(text.slice(position));
+}
+
+// Filter list items with the shared fuzzy scorer: hide misses and highlight matched characters
+// Items keep their order; with getDepth, ancestors of a match stay visible so tree lists keep their shape
+function applyFuzzyFilter(items, query, { getLabelElement = item => item, getAliases = () => [], getDepth = null } = {}) {
+	let bestItem = null;
+	let bestScore = -Infinity;
+
+	items.forEach(item => {
+		const labelElement = getLabelElement(item);
+		// İlk çağrıda özgün etiket saklanır
+		if (item.dataset.fuzzyLabel === undefined) item.dataset.fuzzyLabel = labelElement.textContent.trim();
+
+		const label = item.dataset.fuzzyLabel;
+		const labelMatch = window.fuzzyMatch(query, label);
+		const aliasScore = Math.max(-Infinity, ...getAliases(item).map(alias => {
+			const aliasMatch = window.fuzzyMatch(query, alias);
+			return aliasMatch ? aliasMatch.score : -Infinity;
+		}));
+		const score = Math.max(labelMatch ? labelMatch.score : -Infinity, aliasScore);
+
+		labelElement.innerHTML = highlightSearchRanges(label, labelMatch ? labelMatch.ranges : []);
+		item.style.display = score === -Infinity ? 'none' : '';
+		if (score > bestScore) {
+			bestScore = score;
+			bestItem = item;
+		}
+	});
+
+	if (getDepth) {
+		// Sondan başa: görünen bir öğeden daha sığ olan ilk önceki öğe onun üst öğesidir
+		let visibleDepth = null;
+		for (let i = items.length - 1; i >= 0; i--) {
+			const depth = getDepth(items[i]);
+			if (items[i].style.display === 'none' && visibleDepth !== null && depth < visibleDepth) {
+				items[i].style.display = '';
+			}
+			if (items[i].style.display !== 'none') visibleDepth = depth;
+		}
+	}
+
+	return { visibleItems: items.filter(item => item.style.display !== 'none'), bestItem };
+}
+
+// Picker lists are filtered after a short pause in typing
+const fuzzyFilterDelay = 120;
+const fuzzyFilterTimers = new Map();
+
+function scheduleFuzzyFilter(key, run) {
+	clearTimeout(fuzzyFilterTimers.get(key));
+	fuzzyFilterTimers.set(key, setTimeout(run, fuzzyFilterDelay));
+}
+
+// Convert note HTML to plain text, one line per block
+function htmlToPlainText(html) {
+	const doc = new DOMParser().parseFromString(html || '', 'text/html');
+	doc.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+	doc.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, blockquote, pre, div').forEach(el => el.append('\n'));
+	return doc.body.textContent.replace(/\n{2,}/g, '\n').trim();
+}
+
+// Convert checklistData JSON to plain text, one line per item
+function checklistToPlainText(checklistData) {
+	try {
+		const items = JSON.parse(checklistData || '[]');
+		return items.map(item => `${item.completed ? '[x]' : '[ ]'} ${item.text || ''}`).join('\n');
+	} catch (error) {
+		return '';
+	}
+}
+
 function positionPopupAt(popup, rect, bottomLeft = null) {
 	let margin = 5;
 	let top = (bottomLeft == true) ? (rect.top + window.scrollY - margin) : (rect.bottom + window.scrollY + margin);
@@ -409,12 +1293,12 @@ function positionPopupAt(popup, rect, bottomLeft = null) {
 }
 
 function closeAllPopups() {
-	[headingPopup, listPopup, alignPopup, palettePopup, actionsPopup, urlPopup, videoPopup, imagePopup, textPopup, bgPopup, noteBgPopup, commandPopup, listOptionsPopup, sortOptionsPopup].forEach(closePopup);
+	[headingPopup, listPopup, alignPopup, palettePopup, actionsPopup, urlPopup, videoPopup, imagePopup, textPopup, bgPopup, noteBgPopup, commandPopup, listOptionsPopup, sortOptionsPopup, trashRetentionPopup, noteLinkPopup, bulkActionPopup, tableCellColorPopup, imageDetailsPopup].forEach(closePopup);
 }
 
 function closeAllPopupsAndModals(excludeId) {
 	// Close all popups except the excluded one
-	const allPopups = [headingPopup, listPopup, alignPopup, palettePopup, actionsPopup, urlPopup, videoPopup, imagePopup, textPopup, bgPopup, noteBgPopup, commandPopup, listOptionsPopup, sortOptionsPopup];
+	const allPopups = [headingPopup, listPopup, alignPopup, palettePopup, actionsPopup, urlPopup, videoPopup, imagePopup, textPopup, bgPopup, noteBgPopup, commandPopup, listOptionsPopup, sortOptionsPopup, trashRetentionPopup, noteLinkPopup, bulkActionPopup, tableCellColorPopup, imageDetailsPopup];
 
 	allPopups.forEach(popup => {
 		if (popup && popup.id !== excludeId) {
@@ -482,6 +1366,12 @@ $('clear-format-btn').onclick = () => {
 		.run();
 };
 
+/* ---------- Find button ---------- */
+$('find-btn').onclick = () => {
+	closeAllPopups();
+	openFindPanel(false);
+};
+
 /* ---------- Undo/Redo buttons ---------- */
 $('undo-btn').onclick = () => {
 	closeAllPopups();
@@ -699,21 +1589,10 @@ $('image-insert').onclick = () => {
 		return;
 	}
 
-	// FileReader ile resmi oku
-	const reader = new FileReader();
-	reader.onload = (e) => {
-		const imageUrl = e.target.result;
-
-		// Resmi editor'a ekle
-		const result = editor.chain().focus().setImage({
-			src: imageUrl,
-			alt: "Uploaded image"
-		}).run();
-
-		closePopup(imagePopup);
-	};
-	reader.readAsDataURL(file);
-};
+	// Resim ek olarak saklanır, nota sadece id'si yazılır
+	closePopup(imagePopup);
+	insertImageFiles([file]);
+};
 
 // Image file input değişikliği
 $('image-file').addEventListener('change', (e) => {
@@ -1050,9 +1929,7 @@ let commandItems = [];
 
 function openCommandPopup() {
 	commandMenuActive = true;
-	selectedCommandItem = 0;
-	commandItems = Array.from(commandPopup.querySelectorAll('.command-item'));
-	updateCommandSelection();
+	filterCommandItems();
 
 	// Editördeki cursor pozisyonunu al
 	const {
@@ -1085,6 +1962,35 @@ function updateCommandSelection() {
 	});
 }
 
+// Editor commands shared by the slash menu and the Markdown input rules
+const editorCommandActions = {
+	text: chain => chain.setParagraph(),
+	h1: chain => chain.setHeading({ level: 1 }),
+	h2: chain => chain.setHeading({ level: 2 }),
+	h3: chain => chain.setHeading({ level: 3 }),
+	bold: chain => chain.toggleBold(),
+	italic: chain => chain.toggleItalic(),
+	underline: chain => chain.toggleUnderline(),
+	strike: chain => chain.toggleStrike(),
+	highlight: chain => chain.toggleHighlight(),
+	bullet: chain => chain.toggleBulletList(),
+	ordered: chain => chain.toggleOrderedList(),
+	task: chain => chain.toggleTaskList(),
+	quote: chain => chain.toggleBlockquote(),
+	code: chain => chain.toggleCodeBlock(),
+	divider: chain => chain.setHorizontalRule(),
+	table: chain => chain.insertTable({ rows: 3, cols: 3, withHeaderRow: true })
+};
+
+// Komut menüsündeki data-command adları
+const editorCommandAliases = {
+	'bullet-list': 'bullet',
+	'numbered-list': 'ordered',
+	'task-list': 'task',
+	blockquote: 'quote',
+	'code-block': 'code'
+};
+
 function executeCommand(command) {
 	if (commandMenuStart !== null) {
 		editor.chain().focus().deleteRange({
@@ -1093,43 +1999,14 @@ function executeCommand(command) {
 		}).run();
 	}
 
+	command = editorCommandAliases[command] || command;
+	if (editorCommandActions[command]) {
+		editorCommandActions[command](editor.chain().focus()).run();
+		closeCommandPopup();
+		return;
+	}
+
 	switch (command) {
-		case 'text':
-			editor.chain().focus().setParagraph().run();
-			break;
-		case 'h1':
-			editor.chain().focus().setHeading({
-				level: 1
-			}).run();
-			break;
-		case 'h2':
-			editor.chain().focus().setHeading({
-				level: 2
-			}).run();
-			break;
-		case 'h3':
-			editor.chain().focus().setHeading({
-				level: 3
-			}).run();
-			break;
-		case 'bullet':
-			editor.chain().focus().toggleBulletList().run();
-			break;
-		case 'ordered':
-			editor.chain().focus().toggleOrderedList().run();
-			break;
-		case 'task':
-			editor.chain().focus().toggleTaskList().run();
-			break;
-		case 'quote':
-			editor.chain().focus().toggleBlockquote().run();
-			break;
-		case 'code':
-			editor.chain().focus().toggleCodeBlock().run();
-			break;
-		case 'divider':
-			editor.chain().focus().setHorizontalRule().run();
-			break;
 		case 'link':
 			closeCommandPopup();
 			setTimeout(() => {
@@ -1167,15 +2044,13 @@ function executeCommand(command) {
 
 
 function filterCommandItems() {
-	const filter = commandFilter.value.toLowerCase();
-	commandItems.forEach((item, index) => {
-		const text = item.textContent.toLowerCase();
-		const visible = text.includes(filter);
-		item.style.display = visible ? 'flex' : 'none';
-		if (visible && index < selectedCommandItem) {
-			selectedCommandItem = index;
-		}
+	// Yalnızca eşleşen komutlar gezilebilir; seçim en iyi eşleşmeden başlar
+	const { visibleItems, bestItem } = applyFuzzyFilter(Array.from(commandPopup.querySelectorAll('.command-item')), commandFilter.value, {
+		getLabelElement: item => item.querySelector('span'),
+		getAliases: item => [item.dataset.command]
 	});
+	commandItems = visibleItems;
+	selectedCommandItem = Math.max(commandItems.indexOf(bestItem), 0);
 	updateCommandSelection();
 }
 
@@ -1271,18 +2146,12 @@ async function saveNote() {
 		return;
 	}
 
-	const title = $('note-title').value.trim();
-	const content = editor.getHTML();
+	// Başlık, içerik, checklist, renk ve meta alanlarını al
+	const noteState = getEditorNoteState();
 	const now = new Date().toISOString();
 
-	// Checklist verilerini al
-	const checklistData = JSON.stringify(checklistItems);
-
-	// Editor background color'ını al
-	const bgColor = document.getElementById('editor-control').style.backgroundColor || '';
-
 	// Başlık zorunlu kontrolü
-	if (!title) {
+	if (!noteState.title) {
 		showNotification('Lütfen not başlığı giriniz!', 'info');
 		$('note-title').focus();
 		return;
@@ -1295,15 +2164,7 @@ async function saveNote() {
 		const existingNote = await window.getNoteById(currentNoteId);
 		const note = {
 			id: currentNoteId,
-			title,
-			content,
-			checklistData,
-			bgColor,
-			dueDate: currentNoteDueDate,
-			reminderDateTime: currentNoteReminderDateTime,
-			parentNoteId: currentParentNoteId,
-			folderId: currentFolderId,
-			tags: currentTagIds.join(','),
+			...noteState,
 			updatedAt: now,
 			isFavorite: existingNote ? existingNote.isFavorite : false,
 			isArchived: existingNote ? existingNote.isArchived : false,
@@ -1311,27 +2172,24 @@ async function saveNote() {
 		};
 
 		try {
-			await window.updateNoteById(currentNoteId, note);
-			await reloadCurrentView();
-			await updateSidebarCounts();
+			// Yüklenen sürümden sonra başka yerde kaydedildiyse yazma reddedilir
+			await window.updateNoteById(currentNoteId, note, { expectedUpdatedAt: currentNoteVersion });
+			currentNoteVersion = now;
+			loadedNoteState = noteState;
 				showNotification('Not başarıyla güncellendi!', 'success');
 			return currentNoteId;
 		} catch (error) {
+			if (error.name === window.NOTE_CONFLICT_ERROR) {
+				openConflictModal(error.currentNote);
+				return null;
+			}
 			console.error('Error updating note:', error);
 			throw error;
 		}
 	} else {
 		// Yeni not oluştur
 		const note = {
-			title,
-			content,
-			checklistData,
-			bgColor,
-			dueDate: currentNoteDueDate,
-			reminderDateTime: currentNoteReminderDateTime,
-			parentNoteId: currentParentNoteId,
-			folderId: currentFolderId,
-			tags: currentTagIds.join(','),
+			...noteState,
 			createdAt: now,
 			updatedAt: now,
 			isArchived: false,
@@ -1340,8 +2198,6 @@ async function saveNote() {
 
 		try {
 			const newNoteId = await window.createNote(note);
-			await reloadCurrentView();
-			await updateSidebarCounts();
 				showNotification('Yeni not başarıyla oluşturuldu!', 'success');
 				clearEditor();
 			return newNoteId;
@@ -1355,7 +2211,7 @@ async function saveNote() {
 async function loadNotes() {
 	try {
 		// Use db.js getNotesWithFilters function
-		const notes = await getNotesWithFilters({
+		const notes = await getNotesPage({
 			hasOverdue: showOverdueOnly,
 			hasDueDate: showHasDueDateOnly,
 			hasColor: showHasColorOnly,
@@ -1364,9 +2220,9 @@ async function loadNotes() {
 			hasComments: showHasCommentsOnly,
 			hasFolder: showHasFolderInfoOnly,
 			sortBy: currentSortOption,
-			sortDirection: currentSortDirection,
-			getCommentsByNoteIdFunc: getCommentsByNoteId
+			sortDirection: currentSortDirection
 		});
+		if (!notes) return null;
 
 			await displayNotes(notes);
 
@@ -1396,10 +2252,11 @@ async function showAllNotes() {
 
 	try {
 		// Use db.js getNotesWithFilters function
-		const notes = await getNotesWithFilters({
+		const notes = await getNotesPage({
 			sortBy: currentSortOption,
 			sortDirection: currentSortDirection
 		});
+		if (!notes) return null;
 
 			await displayNotes(notes);
 
@@ -1429,11 +2286,12 @@ async function showFavorites() {
 
 	try {
 		// Use db.js getNotesWithFilters function
-		const notes = await getNotesWithFilters({
+		const notes = await getNotesPage({
 			onlyFavorites: true,
 			sortBy: currentSortOption,
 			sortDirection: currentSortDirection
 		});
+		if (!notes) return null;
 
 			await displayNotes(notes);
 
@@ -1463,11 +2321,12 @@ async function showArchived() {
 
 	try {
 		// Use db.js getNotesWithFilters function
-		const notes = await getNotesWithFilters({
+		const notes = await getNotesPage({
 			onlyArchived: true,
 			sortBy: currentSortOption,
 			sortDirection: currentSortDirection
 		});
+		if (!notes) return null;
 
 			await displayNotes(notes);
 
@@ -1497,11 +2356,12 @@ async function showReminders() {
 
 	try {
 		// Use db.js getNotesWithFilters function
-		const notes = await getNotesWithFilters({
+		const notes = await getNotesPage({
 			hasReminder: true,
 			sortBy: currentSortOption,
 			sortDirection: currentSortDirection
 		});
+		if (!notes) return null;
 
 			await displayNotes(notes);
 
@@ -1530,6 +2390,7 @@ async function showTags() {
 	currentView = 'tags';
 	updateNotesHeaderTitle('Etiketler');
 	clearEditor();
+	clearNoteSelection();
 
 	// Editor panelini devre dışı bırak
 	const editorPanel = document.querySelector('.editor-panel');
@@ -1557,6 +2418,7 @@ async function showFolders() {
 	currentView = 'folders';
 	updateNotesHeaderTitle('Klasörler');
 	clearEditor();
+	clearNoteSelection();
 
 	// Editor panelini devre dışı bırak
 	const editorPanel = document.querySelector('.editor-panel');
@@ -1654,14 +2516,41 @@ async function displayFolders(folders) {
 		return;
 	}
 
-	// Get all notes to calculate usage count
-	const notes = await getAllNotes();
+	const [counts, notes] = await Promise.all([window.getFolderNoteCounts(), getAllNotes()]);
+
+	// Klasördeki notlar ağaçta klasörün altında listelenir
+	const notesByFolder = new Map();
+	notes.forEach(note => {
+		if (!note.folderId || note.isDeleted === true) return;
+		if (!notesByFolder.has(note.folderId)) notesByFolder.set(note.folderId, []);
+		notesByFolder.get(note.folderId).push(note);
+	});
+
+	const rootDrop = document.createElement('div');
+	rootDrop.className = 'folder-tree-root-drop d-none';
+	rootDrop.innerHTML = '<i class="bi bi-box-arrow-up-left"></i><span>Üst seviyeye taşı</span>';
+	notesList.appendChild(rootDrop);
+
+	const containers = new Map();
+	folderTreeParents = new Map();
 
 	// Create folder items
-	folders.forEach(folder => {
+	buildFolderTree(folders).forEach(({ folder, depth, parentId }) => {
+		folderTreeParents.set(folder.id, parentId);
+
+		const folderNotes = (notesByFolder.get(folder.id) || []).sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+		const hasChildren = folders.some(child => child.parentFolderId === folder.id && child.id !== folder.id) || folderNotes.length > 0;
+		const expanded = expandedFolderIds.has(folder.id);
+		const count = counts[folder.id] || { direct: 0, total: 0 };
+
+		const folderNode = document.createElement('div');
+		folderNode.className = 'folder-tree-node';
+		folderNode.style.setProperty('--tree-depth', depth);
+
 		const folderItem = document.createElement('div');
 		folderItem.className = 'note-item folder-item';
 		folderItem.dataset.folderId = folder.id;
+		folderItem.draggable = true;
 
 		// Set folder colors if available
 		const folderStyle = [];
@@ -1675,18 +2564,16 @@ async function displayFolders(folders) {
 
 		folderItem.style.cssText = folderStyle.join('; ');
 
-		// Count notes using this folder
-		const usageCount = notes.filter(note => note.folderId === folder.id).length;
-
 		folderItem.innerHTML = `
       <div class="note-content">
         <div class="note-title">
+          ${hasChildren ? `<button type="button" class="note-tree-toggle" onclick="event.stopPropagation(); toggleFolderTreeNode(${folder.id})" title="${expanded ? 'Daralt' : 'Genişlet'}"><i class="bi bi-chevron-${expanded ? 'down' : 'right'}"></i></button>` : '<span class="note-tree-toggle-spacer"></span>'}
           <i class="bi bi-folder2"></i>
-          <span style="${folder.fontColor ? `color: ${folder.fontColor} !important;` : ''}">${folder.name || 'İsimsiz Klasör'}</span>
+          <span style="${folder.fontColor ? `color: ${folder.fontColor} !important;` : ''}">${escapeHtml(folder.name || 'İsimsiz Klasör')}</span>
         </div>
         <div class="note-meta">
           <span class="note-date">${new Date(folder.createdAt).toLocaleDateString('tr-TR')}</span>
-          ${usageCount > 0 ? `<span class="tag-usage-count">${usageCount} Not</span>` : ''}
+          ${count.total > 0 ? `<span class="tag-usage-count" title="Bu klasörde ${count.direct}, alt klasörlerle birlikte ${count.total} not">${count.total} Not</span>` : ''}
         </div>
       </div>
     `;
@@ -1702,14 +2589,47 @@ async function displayFolders(folders) {
 			showFolderContextMenu(e, folder);
 		});
 
-		notesList.appendChild(folderItem);
+		const children = document.createElement('div');
+		children.className = `folder-tree-children ${expanded ? '' : 'd-none'}`;
+		children.dataset.folderId = folder.id;
+
+		folderNotes.forEach(note => {
+			const noteItem = document.createElement('div');
+			noteItem.className = 'folder-note-item';
+			noteItem.style.setProperty('--tree-depth', depth + 1);
+			noteItem.draggable = true;
+			noteItem.dataset.noteId = note.id;
+			noteItem.dataset.folderId = folder.id;
+			noteItem.title = 'Açmak için tıklayın, başka bir klasöre sürükleyip bırakın';
+			noteItem.innerHTML = `<i class="bi bi-file-earmark-text"></i><span>${escapeHtml(note.title || 'Başlıksız Not')}</span>`;
+
+			// Klasör görünümünde editör kapalıdır, not açılırken etkinleştirilir
+			noteItem.addEventListener('click', async () => {
+				const editorPanel = document.querySelector('.editor-panel');
+				if (editorPanel) {
+					editorPanel.classList.remove('disabled');
+				}
+				await loadNote(note.id);
+			});
+			children.appendChild(noteItem);
+		});
+
+		folderNode.appendChild(folderItem);
+		folderNode.appendChild(children);
+		containers.set(folder.id, children);
+
+		// Alt klasörler notlardan önce listelenir
+		const parentContainer = parentId ? containers.get(parentId) : notesList;
+		const firstNote = parentId ? parentContainer.querySelector(':scope > .folder-note-item') : null;
+		parentContainer.insertBefore(folderNode, firstNote);
 	});
 }
 
 // Open folder modal for editing
-function openFolderModalForEdit(folder) {
+async function openFolderModalForEdit(folder) {
 	const modal = document.getElementById('new-folder-modal');
 	const input = document.getElementById('new-folder-name-input');
+	const saveButton = document.getElementById('new-folder-save-btn');
 
 	// Set input value and colors
 	input.value = folder.name || '';
@@ -1736,6 +2656,9 @@ function openFolderModalForEdit(folder) {
 	// Add Enter key listener
 	input.onkeydown = (e) => {
 		if (e.key === 'Enter') {
+			// Üst klasör listesi yüklenmeden kaydedilirse klasör üst seviyeye taşınırdı
+			if (saveButton && saveButton.disabled) return;
+
 			// Validate before saving
 			const folderName = input.value.trim();
 			if (!folderName || folderName.length === 0) {
@@ -1751,6 +2674,14 @@ function openFolderModalForEdit(folder) {
 			updateFolder(folder.id);
 		}
 	};
+
+	// Klasör kendi altına taşınamaz
+	if (saveButton) saveButton.disabled = true;
+	try {
+		await populateFolderParentSelect(folder.parentFolderId || null, folder.id);
+	} finally {
+		if (saveButton) saveButton.disabled = false;
+	}
 }
 
 // Update existing folder
@@ -1770,9 +2701,11 @@ async function updateFolder(folderId) {
 		return;
 	}
 
+	const parentFolderId = getSelectedParentFolderId();
+
 	try {
 		// Check for duplicate name
-		const isDuplicate = await window.checkDuplicateFolder(folderName, folderId);
+		const isDuplicate = await window.checkDuplicateFolder(folderName, folderId, parentFolderId);
 		if (isDuplicate) {
 				showNotification('Bu isimde bir klasör zaten mevcut!', 'error');
 				input.focus();
@@ -1783,17 +2716,21 @@ async function updateFolder(folderId) {
 		await window.updateFolderById(folderId, {
 			name: folderName,
 			fontColor: selectedFolderTextColor,
-			bgColor: selectedFolderBgColor
+			bgColor: selectedFolderBgColor,
+			parentFolderId
 		});
 
 						showNotification('Klasör başarıyla güncellendi!', 'success');
 						closeNewFolderModal();
-						await updateSidebarCounts();
 
 						if (currentView === 'folders') {
 							await showFolders();
 						}
 	} catch (error) {
+		if (error.name === window.FOLDER_CYCLE_ERROR) {
+			showNotification('Klasör kendi alt klasörüne taşınamaz!', 'error');
+			return;
+		}
 		console.error('Error in updateFolder:', error);
 						showNotification('Klasör güncellenirken hata oluştu!', 'error');
 		throw error;
@@ -1813,6 +2750,38 @@ function showFolderContextMenu(event, folder) {
 	// Clear existing content
 	contextMenu.innerHTML = '';
 
+	// Create subfolder option
+	const subfolderItem = document.createElement('div');
+	subfolderItem.className = 'context-item';
+	subfolderItem.setAttribute('data-action', 'new-subfolder');
+	subfolderItem.innerHTML = `
+    <i class="bi bi-folder-plus"></i>
+    <span>Alt Klasör Oluştur</span>
+  `;
+
+	subfolderItem.addEventListener('click', () => {
+		openNewFolderModal(folder.id);
+		hideContextMenu();
+	});
+
+	contextMenu.appendChild(subfolderItem);
+
+	// Markdown files are imported into this folder
+	const importItem = document.createElement('div');
+	importItem.className = 'context-item';
+	importItem.setAttribute('data-action', 'import-markdown');
+	importItem.innerHTML = `
+    <i class="bi bi-markdown"></i>
+    <span>Markdown İçe Aktar</span>
+  `;
+
+	importItem.addEventListener('click', () => {
+		openMarkdownImportModal(folder.id);
+		hideContextMenu();
+	});
+
+	contextMenu.appendChild(importItem);
+
 	// Create delete option
 	const deleteItem = document.createElement('div');
 	deleteItem.className = 'context-item';
@@ -1852,30 +2821,28 @@ async function getAllNotes() {
 
 // Delete folder function
 async function deleteFolder(folder) {
-	// Check if folder is used in any notes
-	const notes = await getAllNotes();
-	const notesUsingFolder = notes.filter(note => note.folderId === folder.id);
-
-	if (notesUsingFolder.length > 0) {
-		// Folder is used, show confirmation modal
-		showFolderDeleteConfirmationModal(folder, notesUsingFolder.length);
+	// Check if folder has notes or subfolders, including nested ones
+	const [counts, folders] = await Promise.all([window.getFolderNoteCounts(), window.getAllFolders()]);
+	const noteCount = counts[folder.id] ? counts[folder.id].total : 0;
+	const subfolderCount = buildFolderTree(folders, folder.id).length;
+
+	if (noteCount > 0 || subfolderCount > 0) {
+		// Folder has contents, let the user choose what happens to them
+		const parentFolder = folders.find(other => other.id === folder.parentFolderId) || null;
+		showFolderDeleteConfirmationModal(folder, noteCount, subfolderCount, parentFolder);
 	} else {
-		// Folder is not used, delete directly
+		// Folder is empty, delete directly
 		await performFolderDeletion(folder.id);
 	}
 }
 
 // Perform actual folder deletion
-async function performFolderDeletion(folderId) {
+async function performFolderDeletion(folderId, contentPolicy = window.FOLDER_CONTENT_POLICIES.MOVE_UP) {
 	try {
-		// Remove folder from all notes first
-		await window.removeFolderFromAllNotes(folderId);
-
-		// Now delete the folder itself
-		await window.deleteFolderById(folderId);
+		// Notes and subfolders are moved up or deleted in the same transaction
+		const result = await window.deleteFolderById(folderId, { contentPolicy });
 
-		showNotification('Klasör başarıyla silindi!', 'success');
-		await updateSidebarCounts();
+		showUndoNotification('Klasör başarıyla silindi!', result.operation);
 
 		if (currentView === 'folders') {
 			await showFolders();
@@ -1887,7 +2854,7 @@ async function performFolderDeletion(folderId) {
 }
 
 // Show folder delete confirmation modal
-function showFolderDeleteConfirmationModal(folder, usageCount) {
+function showFolderDeleteConfirmationModal(folder, noteCount, subfolderCount, parentFolder) {
 	// Create modal if it doesn't exist
 	let modal = document.getElementById('folder-delete-confirmation-modal');
 	if (!modal) {
@@ -1909,8 +2876,11 @@ function showFolderDeleteConfirmationModal(folder, usageCount) {
           <button class="modal-btn modal-btn-secondary" onclick="closeFolderDeleteConfirmationModal()">
             İptal
           </button>
-          <button class="modal-btn modal-btn-danger" onclick="confirmFolderDeletion()">
-            Klasörü Sil
+          <button class="modal-btn modal-btn-primary" onclick="confirmFolderDeletion('moveUp')">
+            İçeriği Taşı ve Sil
+          </button>
+          <button class="modal-btn modal-btn-danger" onclick="confirmFolderDeletion('delete')">
+            İçeriğiyle Birlikte Sil
           </button>
         </div>
       </div>
@@ -1921,7 +2891,12 @@ function showFolderDeleteConfirmationModal(folder, usageCount) {
 	// Update message
 	const messageElement = document.getElementById('folder-delete-message');
 	if (messageElement) {
-		messageElement.innerHTML = `Sildiğiniz klasör "${folder.name}" ${usageCount} adet notta tanımlı.</br>Notlar silinmeyecek, sadece ilgili klasör kaldırılacaktır.</br>Onaylıyor musunuz?`;
+		const contents = [
+			noteCount > 0 ? `${noteCount} not` : '',
+			subfolderCount > 0 ? `${subfolderCount} alt klasör` : ''
+		].filter(Boolean).join(' ve ');
+		const target = parentFolder ? `"${escapeHtml(parentFolder.name)}" klasörüne` : 'üst seviyeye';
+		messageElement.innerHTML = `Sildiğiniz klasör "${escapeHtml(folder.name)}" içinde ${contents} bulunuyor.</br>İçeriği ${target} taşıyabilir ya da klasörle birlikte silebilirsiniz.</br>Birlikte silinen notlar çöp kutusuna taşınır.`;
 	}
 
 	// Store folder for confirmation
@@ -1943,9 +2918,9 @@ function closeFolderDeleteConfirmationModal() {
 }
 
 // Confirm folder deletion
-async function confirmFolderDeletion() {
+async function confirmFolderDeletion(contentPolicy) {
 	if (window.folderToDelete) {
-		await performFolderDeletion(window.folderToDelete.id);
+		await performFolderDeletion(window.folderToDelete.id, contentPolicy);
 		closeFolderDeleteConfirmationModal();
 	}
 }
@@ -2021,14 +2996,10 @@ async function getTagUsageCount(tagId) {
 // Perform actual tag deletion
 async function performTagDeletion(tagId) {
 	try {
-	// Remove tag from all notes first
-		await window.removeTagFromAllNotes(tagId);
+		// The tag is removed from all notes in the same transaction
+		const result = await window.deleteTagById(tagId);
 
-			// Now delete the tag itself
-		await window.deleteTagById(tagId);
-
-				showNotification('Etiket başarıyla silindi!', 'success');
-				await updateSidebarCounts();
+				showUndoNotification('Etiket başarıyla silindi!', result.operation);
 
 				if (currentView === 'tags') {
 					await showTags();
@@ -2123,12 +3094,13 @@ async function showTrash() {
 
 	try {
 		// Use db.js getNotesWithFilters function
-		const notes = await getNotesWithFilters({
+		const notes = await getNotesPage({
 			includeDeleted: true,
 			onlyDeleted: true,
 			sortBy: currentSortOption,
 			sortDirection: currentSortDirection
 		});
+		if (!notes) return null;
 
 			await displayNotes(notes);
 
@@ -2169,7 +3141,7 @@ async function loadNote(id) {
 				});
 
 				// Yeni seçili not'a class ekle
-				const selectedCard = document.querySelector(`[onclick="loadNote(${id})"]`);
+				const selectedCard = document.querySelector(`.note-card[data-note-id="${id}"]`);
 				if (selectedCard) {
 					selectedCard.classList.add('selected');
 				}
@@ -2234,18 +3206,23 @@ async function loadNote(id) {
 				updateFolderDisplay();
 
 				// Tag'ları yükle
-				currentTagIds = note.tags ? note.tags.split(',').map(id => parseInt(id)).filter(id => !isNaN(id)) : [];
+				currentTagIds = Array.isArray(note.tagIds) ? [...note.tagIds] : [];
 				updateTagDisplay();
 
 				// Editor'ü temizlemeden önce yeni içeriği hazırla ve tek seferde yükle
 				window.editor.commands.setContent(content, false);
 
+				// Çakışma kontrolü için yüklenen sürümü sakla
+				currentNoteVersion = note.updatedAt || null;
+				loadedNoteState = getEditorNoteState();
+
 				// Focus ve sayaç güncelleme
 				setTimeout(() => {
 					window.editor.commands.focus();
 					updateEditorCounter();
 					updateCommentsButton();
 					updateNavigationButtons();
+					updateBacklinksDisplay();
 				}, 50);
 			} else {
 			throw new Error('Note not found');
@@ -2311,7 +3288,7 @@ function createNewNote() {
 }
 
 // Bildirim gösterme fonksiyonu
-function showNotification(message, type = 'info') {
+function showNotification(message, type = 'info', { actionLabel = null, onAction = null, duration = 3000 } = {}) {
 	// Mevcut bildirimi kaldır
 	const existingNotification = document.querySelector('.notification');
 	if (existingNotification) {
@@ -2326,11 +3303,21 @@ function showNotification(message, type = 'info') {
       <i class="bi bi-${type === 'success' ? 'check-circle' : type === 'error' ? 'exclamation-triangle' : 'info-circle'}"></i>
       <span>${message}</span>
     </div>
+    ${actionLabel ? `<button class="notification-action">${actionLabel}</button>` : ''}
     <button class="notification-close" onclick="closeNotification(this)">
       <i class="bi bi-x"></i>
     </button>
   `;
 
+	// Aksiyon butonu bildirimi kapatıp işlemi çalıştırır
+	if (actionLabel && onAction) {
+		notification.querySelector('.notification-action').addEventListener('click', (e) => {
+			e.stopPropagation();
+			closeNotification(e.currentTarget);
+			onAction();
+		});
+	}
+
 	// Body'ye ekle
 	document.body.appendChild(notification);
 
@@ -2339,7 +3326,7 @@ function showNotification(message, type = 'info') {
 		notification.classList.add('show');
 	}, 100);
 
-	// 3 saniye sonra kaldır
+	// Süre dolunca kaldır (varsayılan 3 saniye)
 	setTimeout(() => {
 		notification.classList.remove('show');
 		setTimeout(() => {
@@ -2347,7 +3334,7 @@ function showNotification(message, type = 'info') {
 				notification.remove();
 			}
 		}, 300);
-	}, 3000);
+	}, duration);
 }
 
 // Bildirimi kapatma fonksiyonu
@@ -2363,59 +3350,13 @@ function closeNotification(button) {
 	}
 }
 
-// Yorumları kopyalama fonksiyonu
-async function copyNoteComments(originalNoteId, newNoteId) {
-	try {
-		// Call db.js function
-		return await window.copyComments(originalNoteId, newNoteId);
-			} catch (error) {
-		console.error('Error in copyNoteComments:', error);
-		throw error;
-			}
-}
-
 // Not kopyalama fonksiyonu
 async function copyNote(id) {
 	try {
-		// Get original note
-		const originalNote = await window.getNoteById(id);
-		if (!originalNote) {
-			throw new Error('Note not found');
-		}
-
-				const now = new Date().toISOString();
-
-		// Create copied note
-				const copiedNote = {
-					title: `(copy) ${originalNote.title}`,
-					content: originalNote.content,
-					checklistData: originalNote.checklistData || null,
-					bgColor: originalNote.bgColor || '',
-					dueDate: originalNote.dueDate || null,
-					reminderDateTime: originalNote.reminderDateTime || null,
-					parentNoteId: originalNote.parentNoteId || null,
-					folderId: originalNote.folderId || null,
-					tags: originalNote.tags || '',
-					createdAt: now,
-					updatedAt: now,
-					isFavorite: false,
-					isArchived: false,
-					isDeleted: false
-				};
-
-		// Save copied note
-		const newNoteId = await window.createNote(copiedNote);
-
-		// Copy comments
-					try {
-						await copyNoteComments(id, newNoteId);
-					} catch (error) {
-						console.error('Error copying comments:', error);
-					}
+		// Note and comments are copied in one db.js transaction
+		const newNoteId = await window.copyNoteById(id);
 
 		// UI updates
-		await reloadCurrentView();
-		await updateSidebarCounts();
 					showNotification('Not başarıyla kopyalandı!', 'success');
 		
 		return newNoteId;
@@ -2496,6 +3437,46 @@ window.loadNote = loadNote;
 window.createNewNote = createNewNote;
 window.showNotification = showNotification;
 window.closeNotification = closeNotification;
+
+// Success notification with an Undo button that stays while the operation can be undone
+function showUndoNotification(message, operation, afterUndo = null) {
+	if (!operation) {
+		showNotification(message, 'success');
+		return;
+	}
+
+	showNotification(message, 'success', {
+		actionLabel: 'Geri Al',
+		duration: Math.max(operation.expiresAt - Date.now(), 0),
+		onAction: async () => {
+			try {
+				const { skipped } = await window.undoOperation(operation.id);
+				if (afterUndo) await afterUndo();
+				const skippedCount = Object.values(skipped).reduce((total, ids) => total + ids.length, 0);
+				if (skippedCount > 0) {
+					showNotification(`İşlem geri alındı; sonradan değişen ${skippedCount} kayıt olduğu gibi bırakıldı.`, 'info');
+				} else {
+					showNotification('İşlem geri alındı!', 'info');
+				}
+			} catch (error) {
+				if (error.name === window.OPERATION_EXPIRED_ERROR) {
+					showNotification('Bu işlem artık geri alınamaz!', 'error');
+				} else {
+					console.error('Error undoing operation:', error);
+					showNotification('İşlem geri alınırken hata oluştu!', 'error');
+				}
+			}
+		}
+	});
+}
+
+// Geri alınan işlemden önce editörde açık olan notu tekrar aç
+async function reopenNoteAfterUndo(noteId, wasOpen) {
+	if (wasOpen && !currentNoteId) {
+		await loadNote(noteId);
+	}
+	updateNavigationButtons();
+}
 window.copyNote = copyNote;
 window.updateEditorCounter = updateEditorCounter;
 window.initPanelResizer = initPanelResizer;
@@ -2516,21 +3497,16 @@ async function clearParentNoteReferences(deletedNoteId) {
 async function deleteNote(id) {
 	try {
 		// Call db.js to soft delete the note
-		const note = await window.deleteNoteById(id);
-		
-		// Clear parent note references
-		await window.clearParentNoteReferences(id);
+		const { note, operation } = await window.deleteNoteById(id);
+		const wasOpen = currentNoteId === id;
 
 		// UI updates
-		await reloadCurrentView();
-		await updateSidebarCounts();
-
-					if (currentNoteId === id) {
+					if (wasOpen) {
 						clearEditor();
 					}
 
 					updateNavigationButtons();
-					showNotification(`${note.title} çöp kutusuna gönderildi!`, 'success');
+					showUndoNotification(`${note.title} çöp kutusuna gönderildi!`, operation, () => reopenNoteAfterUndo(id, wasOpen));
 	} catch (error) {
 		console.error('Error in deleteNote:', error);
 		throw error;
@@ -2556,6 +3532,10 @@ async function permanentDeleteNote(id) {
 	// Silinecek not ID'sini sakla
 	singleNoteToDelete = id;
 
+	// Alt notu varsa ne yapılacağını sor
+	const childCount = await window.countChildNotes([id]);
+	showChildPolicySection('single-note-child-policy', childCount);
+
 	// Modal'ı göster
 	const modal = document.getElementById('single-note-permanent-delete-modal');
 	if (modal) {
@@ -2570,8 +3550,6 @@ async function restoreNote(id) {
 		const note = await window.restoreNoteById(id);
 
 		// UI updates
-		await reloadCurrentView();
-		await updateSidebarCounts();
 					showNotification(`${note.title} çöp kutusundan geri alındı!`, 'success');
 	} catch (error) {
 		console.error('Error in restoreNote:', error);
@@ -2579,13 +3557,93 @@ async function restoreNote(id) {
 	}
 }
 
-async function displayNotes(notes, searchTerm = '') {
+/* ---------- Notes Paging ---------- */
+const notesPageSize = 50;
+let currentNotesQuery = null;
+let loadedNotesCount = 0;
+let hasMoreNotes = false;
+let isLoadingMoreNotes = false;
+// Incremented for every new query; pages fetched for an older query are dropped
+let notesQueryGeneration = 0;
+// Set while a live refresh reloads the list; the first page then covers every note already shown
+let keepLoadedNotesOnReload = false;
+
+// Fetch the first page of a notes query and remember it for loadMoreNotes
+// Returns null when a newer query started meanwhile; callers then leave the list to that query
+async function getNotesPage(options) {
+	currentNotesQuery = options;
+	const generation = ++notesQueryGeneration;
+
+	// Ağaç görünümü üst notları ve alt notları birlikte gerektirdiği için sayfalanmaz
+	if (isNoteTreeMode) {
+		const notes = await getNotesWithFilters(options);
+		if (generation !== notesQueryGeneration) return null;
+
+		loadedNotesCount = notes.length;
+		hasMoreNotes = false;
+		return notes;
+	}
+
+	const pageSize = keepLoadedNotesOnReload ? Math.max(loadedNotesCount, notesPageSize) : notesPageSize;
+	const notes = await getNotesWithFilters({ ...options, offset: 0, limit: pageSize });
+	if (generation !== notesQueryGeneration) return null;
+
+	loadedNotesCount = notes.length;
+	hasMoreNotes = notes.length === pageSize;
+	return notes;
+}
+
+// Append the next page of the current query to the list
+async function loadMoreNotes() {
+	if (!currentNotesQuery || !hasMoreNotes || isLoadingMoreNotes) return;
+
+	isLoadingMoreNotes = true;
+	const generation = notesQueryGeneration;
+	try {
+		const notes = await getNotesWithFilters({ ...currentNotesQuery, offset: loadedNotesCount, limit: notesPageSize });
+		// Beklerken görünüm ya da arama değiştiyse bu sayfa eski sorguya aittir
+		if (generation !== notesQueryGeneration) return;
+
+		loadedNotesCount += notes.length;
+		hasMoreNotes = notes.length === notesPageSize;
+
+		await displayNotes(notes, '', true);
+		applyViewPreferences();
+	} catch (error) {
+		console.error('Error in loadMoreNotes:', error);
+	} finally {
+		isLoadingMoreNotes = false;
+	}
+
+	// Liste henüz kaydırılamıyorsa bir sonraki sayfayı da yükle
+	checkNotesListScroll();
+}
+
+// Load the next page when the list is scrolled near its end
+function checkNotesListScroll() {
+	const notesList = document.querySelector('.notes-list');
+	if (!notesList || !hasMoreNotes) return;
+
+	if (notesList.scrollTop + notesList.clientHeight >= notesList.scrollHeight - 200) {
+		loadMoreNotes();
+	}
+}
+
+const notesListElement = document.querySelector('.notes-list');
+if (notesListElement) {
+	notesListElement.addEventListener('scroll', checkNotesListScroll);
+}
+
+async function displayNotes(notes, searchTerm = '', append = false) {
 	const notesList = document.querySelector('.notes-list');
 	if (!notesList) return;
 
+	if (append && notes.length === 0) return;
+
 	if (notes.length === 0) {
-		const message = searchTerm ? `"${searchTerm}" için sonuç bulunamadı.` : 'Listede not yer almıyor.';
+		const message = searchTerm ? `"${escapeHtml(searchTerm)}" için sonuç bulunamadı.` : 'Listede not yer almıyor.';
 		notesList.innerHTML = `<p style="color: #666; text-align: center; padding: 20px;">${message}</p>`;
+		syncNoteSelection(notes, false);
 		return;
 	}
 
@@ -2612,27 +3670,58 @@ async function displayNotes(notes, searchTerm = '') {
 		};
 	}));
 
-	notesList.innerHTML = notesWithFolders.map(note => {
-		let title = note.title;
-		let preview = (note.content || '').replace(/<[^>]*>/g, '').substring(0, noteListPreviewLength);
+	// Alt not sayıları hem düz listede hem ağaçta gösterilir
+	let childCounts = {};
+	try {
+		childCounts = await window.getChildNoteCounts();
+	} catch (error) {
+		console.error('Error loading child note counts:', error);
+	}
+
+	// Ağaç görünümü arama sonuçlarında kullanılmaz
+	const notesHtml = isNoteTreeMode && !searchTerm && !append
+		? renderNoteTree(notesWithFolders, childCounts)
+		: notesWithFolders.map(note => renderNoteCard(note, childCounts)).join('');
+
+	if (append) {
+		notesList.insertAdjacentHTML('beforeend', notesHtml);
+	} else {
+		notesList.innerHTML = notesHtml;
+		checkNotesListScroll();
+	}
 
-		// Arama terimini vurgula
-		/*if (searchTerm) {
-		  const regex = new RegExp(`(${searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
-		  title = title.replace(regex, '<mark>$1</mark>');
-		  preview = preview.replace(regex, '<mark>$1</mark>');
-		}*/
+	syncNoteSelection(notes, append);
+}
 
-		return `
-      <div class="note-card" onclick="loadNote(${note.id})" oncontextmenu="showContextMenu(event, ${note.id})" style="${note.bgColor ? `background-color: ${note.bgColor};` : ''}">
+// Card of one note in the list; treeNode carries depth and collapse state in tree mode
+function renderNoteCard(note, childCounts = {}, treeNode = null) {
+	let title = note.title;
+	let preview = (note.content || '').replace(/<[^>]*>/g, '').substring(0, noteListPreviewLength) + '...';
+
+	// Arama sonuçlarında eşleşen kelimeler vurgulanır ve önizleme eşleşmenin çevresinden alınır
+	if (note.searchMatch) {
+		const { snippet } = note.searchMatch;
+		title = highlightSearchRanges(note.title || '', note.searchMatch.titleRanges);
+		preview = `${snippet.truncatedStart ? '…' : ''}${highlightSearchRanges(snippet.text, snippet.ranges)}${snippet.truncatedEnd ? '…' : ''}`;
+	}
+
+	return `
+      <div class="note-card ${selectedNoteIds.has(note.id) ? 'multi-selected' : ''}" data-note-id="${note.id}" ${treeNode ? 'draggable="true"' : ''} onclick="${note.searchMatch ? `openSearchResult(${note.id})` : `loadNote(${note.id})`}" oncontextmenu="showContextMenu(event, ${note.id})" style="${note.bgColor ? `background-color: ${note.bgColor};` : ''}">
         <div class="note-header">
           <h4 class="note-title">
-            ${note.reminderDateTime && new Date(note.reminderDateTime) > new Date() ? '<i class="bi bi-bell-fill reminder-bell"></i>' : ''}${note.isFavorite ? '<i class="bi bi-star-fill favorite-star"></i>' : ''}${title}
+            ${treeNode ? renderNoteTreeToggle(note.id, treeNode) : ''}${note.reminderDateTime && new Date(note.reminderDateTime) > new Date() ? '<i class="bi bi-bell-fill reminder-bell"></i>' : ''}${note.isFavorite ? '<i class="bi bi-star-fill favorite-star"></i>' : ''}${title}
           </h4>
         </div>
         <p class="note-preview">
-          ${preview}...
+          ${preview}
         </p>
+        ${note.searchMatch ? renderSearchHitBadges(note) : ''}
+        ${currentView === 'trash' ? `
+          <div class="note-trash-info">
+            <i class="bi bi-hourglass-split"></i>
+            <span>${getTrashInfo(note)}</span>
+          </div>
+        ` : ''}
         <div class="note-meta">
           <div class="note-date">
             ${new Date(note.updatedAt).toLocaleString('tr-TR', {
@@ -2644,6 +3733,12 @@ async function displayNotes(notes, searchTerm = '') {
             })}
           </div>
           <div class="note-actions">
+            ${childCounts[note.id] ? `
+              <div class="note-child-count" title="Alt not sayısı">
+                <i class="bi bi-diagram-3"></i>
+                <span>${childCounts[note.id]}</span>
+              </div>
+            ` : ''}
             ${note.folderInfo ? `
               <div class="note-folder" style="${note.folderInfo.bgColor ? `background-color: ${note.folderInfo.bgColor};` : ''}${note.folderInfo.fontColor ? ` color: ${note.folderInfo.fontColor};` : ''}">
                 <i class="bi bi-folder2"></i>
@@ -2664,7 +3759,6 @@ async function displayNotes(notes, searchTerm = '') {
         </div>
       </div>
     `;
-	}).join('');
 }
 
 // Save note button event listener
@@ -2681,17 +3775,16 @@ $('save-note-btn').addEventListener('click', async () => {
 async function archiveNote(id) {
 	try {
 		// Call db.js to archive the note
-		const note = await window.archiveNoteById(id);
+		const { note, operation } = await window.archiveNoteById(id);
+		const wasOpen = currentNoteId === id;
 
 		// UI updates
-		await reloadCurrentView();
-		await updateSidebarCounts();
 
-					if (currentNoteId === id) {
+					if (wasOpen) {
 						clearEditor();
 					}
 
-					showNotification(`${note.title} arşive gönderildi!`, 'success');
+					showUndoNotification(`${note.title} arşive gönderildi!`, operation, () => reopenNoteAfterUndo(id, wasOpen));
 	} catch (error) {
 		console.error('Error in archiveNote:', error);
 		throw error;
@@ -2705,8 +3798,6 @@ async function unarchiveNote(id) {
 		const note = await window.unarchiveNoteById(id);
 
 		// UI updates
-		await reloadCurrentView();
-		await updateSidebarCounts();
 
 					if (currentNoteId === id) {
 						clearEditor();
@@ -2747,6 +3838,9 @@ async function updateSidebarCounts() {
 		updateCountElement('[data-action="folders"] .count', foldersCount);
 		updateCountElement('[data-action="trash"] .count', trashCount);
 
+		// Akıllı görünümler kendi filtreleriyle sayılır
+		scheduleSmartViewsRefresh();
+
 		} catch (error) {
 		console.error('Error in updateSidebarCounts:', error);
 		throw error;
@@ -2774,11 +3868,12 @@ function updateCountElement(selector, count) {
 async function loadFavoriteNotes() {
 	try {
 		// Use db.js getNotesWithFilters function
-		const notes = await getNotesWithFilters({
+		const notes = await getNotesPage({
 			onlyFavorites: true,
 			sortBy: currentSortOption,
 			sortDirection: currentSortDirection
 		});
+		if (!notes) return null;
 
 			await displayNotes(notes);
 
@@ -2798,11 +3893,12 @@ async function loadFavoriteNotes() {
 async function loadArchivedNotes() {
 	try {
 		// Use db.js getNotesWithFilters function
-		const notes = await getNotesWithFilters({
+		const notes = await getNotesPage({
 			onlyArchived: true,
 			sortBy: currentSortOption,
 			sortDirection: currentSortDirection
 		});
+		if (!notes) return null;
 
 			await displayNotes(notes);
 
@@ -2821,12 +3917,13 @@ async function loadArchivedNotes() {
 async function loadDeletedNotes() {
 	try {
 		// Use db.js getNotesWithFilters function
-		const notes = await getNotesWithFilters({
+		const notes = await getNotesPage({
 			includeDeleted: true,
 			onlyDeleted: true,
 			sortBy: currentSortOption,
 			sortDirection: currentSortDirection
 		});
+		if (!notes) return null;
 
 			await displayNotes(notes);
 
@@ -2869,7 +3966,22 @@ async function debugDatabase() {
 
 
 // Reload current view based on active view state
-async function reloadCurrentView() {
+// keepPosition reloads as many notes as are loaded and restores the list's scroll position
+async function reloadCurrentView({ keepPosition = false } = {}) {
+	if (keepPosition) {
+		const notesList = document.querySelector('.notes-list');
+		const scrollTop = notesList ? notesList.scrollTop : 0;
+
+		keepLoadedNotesOnReload = true;
+		try {
+			await reloadCurrentView();
+		} finally {
+			keepLoadedNotesOnReload = false;
+		}
+
+		if (notesList) notesList.scrollTop = scrollTop;
+		return;
+	}
 
 	switch (currentView) {
 		case 'notes':
@@ -2886,6 +3998,9 @@ async function reloadCurrentView() {
 		case 'trash':
 			await loadDeletedNotes();
 			break;
+		case 'smart-view':
+			await loadSmartViewNotes();
+			break;
 		default:
 			await loadNotes();
 			break;
@@ -2934,7 +4049,7 @@ document.addEventListener('click', function(e) {
 	}
 
 	// Close popups when clicking outside
-	const popups = [headingPopup, listPopup, alignPopup, palettePopup, actionsPopup, urlPopup, videoPopup, imagePopup, textPopup, bgPopup, noteBgPopup, commandPopup, listOptionsPopup, sortOptionsPopup];
+	const popups = [headingPopup, listPopup, alignPopup, palettePopup, actionsPopup, urlPopup, videoPopup, imagePopup, textPopup, bgPopup, noteBgPopup, commandPopup, listOptionsPopup, sortOptionsPopup, trashRetentionPopup, noteLinkPopup, bulkActionPopup, tableCellColorPopup, imageDetailsPopup];
 
 	popups.forEach(popup => {
 		if (popup && !popup.classList.contains('d-none')) {
@@ -2950,6 +4065,8 @@ document.addEventListener('click', function(e) {
 				e.target.id === 'image-btn' ||
 				e.target.id === 'list-options-btn' ||
 				e.target.id === 'sort-btn' ||
+				e.target.id === 'trash-retention-btn' ||
+				e.target.id === 'table-cell-color-btn' ||
 				e.target.id === 'noteBgColorPopupBtn';
 
 			if (!isClickInsidePopup && !isClickOnTrigger) {
@@ -2997,8 +4114,6 @@ async function toggleFavorite(noteId) {
 		const note = await window.toggleNoteFavoriteById(noteId);
 
 		// UI updates
-		await reloadCurrentView();
-		await updateSidebarCounts();
 
 				if (note.isFavorite) {
 					showNotification(`${note.title} favorilere eklendi!`, 'success');
@@ -3244,6 +4359,9 @@ async function handleContextAction(action) {
 		case 'copy':
 			await copyNote(noteId);
 			break;
+		case 'export-markdown':
+			await exportNoteAsMarkdown(noteId);
+			break;
 		case 'delete':
 			// Check if note is deleted to determine action
 			try {
@@ -3296,6 +4414,28 @@ window.addEventListener('load', async () => {
 	try {
 		await initDB();
 
+		loadTrashRetentionPreference();
+
+		// Eski base64 resimler eklere taşınır, kullanılmayan ekler silinir
+		await maintainAttachments().catch(error => {
+			console.error('Error maintaining attachments:', error);
+		});
+
+		// Liste, adetler ve yorum rozeti veritabanı değişikliklerini dinler
+		window.subscribeToChanges('*', handleDatabaseChanges);
+		window.subscribeToChanges('note:*', handleOpenNoteChanges);
+		window.subscribeToChanges('note:*', handleNoteLinkChanges);
+		window.subscribeToChanges('note:*', handleNoteTreeChanges);
+		refreshNoteLinkTitles();
+
+		// Saklama süresi dolan çöp kutusu notlarını temizle; ilk temizlik onay beklediği için açılışı bekletmez
+		purgeExpiredTrash();
+
+		// Eksik arama indeksi girdileri arka planda tamamlanır
+		window.ensureSearchIndex().catch(error => {
+			console.error('Error building search index:', error);
+		});
+
 		// Set panel width from localStorage immediately
 		const savedWidth = localStorage.getItem('noteflix-notes-panel-width');
 		if (savedWidth) {
@@ -3531,37 +4671,20 @@ document.getElementById('parent-note-search-input').addEventListener('input', (e
 
 // Folder search input event listener
 document.getElementById('folder-search-input').addEventListener('input', (e) => {
-	const searchTerm = e.target.value.toLowerCase();
-	const folderList = document.getElementById('folder-list');
-	const items = folderList.querySelectorAll('.folder-item');
-
-	items.forEach(item => {
-		const text = item.textContent.toLowerCase();
-		const title = item.title ? item.title.toLowerCase() : '';
-
-		if (text.includes(searchTerm) || title.includes(searchTerm)) {
-			item.style.display = '';
-		} else {
-			item.style.display = 'none';
-		}
+	scheduleFuzzyFilter('folder', () => {
+		const folderList = document.getElementById('folder-list');
+		applyFuzzyFilter(Array.from(folderList.querySelectorAll('.folder-item')), e.target.value, {
+			getAliases: item => [item.dataset.folderPath],
+			getDepth: item => Number(item.style.getPropertyValue('--tree-depth')) || 0
+		});
 	});
 });
 
 // Tag search input event listener
 document.getElementById('tag-search-input').addEventListener('input', (e) => {
-	const searchTerm = e.target.value.toLowerCase();
-	const tagList = document.getElementById('tag-list');
-	const items = tagList.querySelectorAll('.tag-item');
-
-	items.forEach(item => {
-		const text = item.textContent.toLowerCase();
-		const title = item.title ? item.title.toLowerCase() : '';
-
-		if (text.includes(searchTerm) || title.includes(searchTerm)) {
-			item.style.display = '';
-		} else {
-			item.style.display = 'none';
-		}
+	scheduleFuzzyFilter('tag', () => {
+		const tagList = document.getElementById('tag-list');
+		applyFuzzyFilter(Array.from(tagList.querySelectorAll('.tag-item')), e.target.value);
 	});
 });
 
@@ -3690,20 +4813,21 @@ async function openFolderModal() {
 	try {
 		let folders = await window.getAllFolders();
 
-		// Sort by name
-		folders.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
-
 		// Render list
 		folderList.innerHTML = '';
 
 		if (folders.length === 0) {
 			folderList.innerHTML = '<div style="padding: 20px; text-align: center; color: #9ca3af;">Seçilebilecek klasör bulunamadı</div>';
 		} else {
-			folders.forEach(folder => {
+			// Alt klasörler üst klasörün altında girintili listelenir
+			buildFolderTree(folders).forEach(({ folder, depth, path }) => {
 				const item = document.createElement('div');
 				item.className = 'folder-item';
 				item.textContent = folder.name || 'Başlıksız Klasör';
 				item.dataset.folderId = folder.id;
+				item.dataset.folderPath = path;
+				item.title = path;
+				item.style.setProperty('--tree-depth', depth);
 
 				// Apply folder colors if they exist
 				if (folder.bgColor) {
@@ -3754,9 +4878,10 @@ function selectFolder(folderId) {
 }
 
 // Open new folder modal
-function openNewFolderModal() {
+async function openNewFolderModal(parentFolderId = null) {
 	const modal = document.getElementById('new-folder-modal');
 	const input = document.getElementById('new-folder-name-input');
+	const saveButton = document.getElementById('new-folder-save-btn');
 
 	// Clear input and colors
 	input.value = '';
@@ -3782,6 +4907,13 @@ function openNewFolderModal() {
 			saveNewFolder();
 		}
 	};
+
+	if (saveButton) saveButton.disabled = true;
+	try {
+		await populateFolderParentSelect(parentFolderId);
+	} finally {
+		if (saveButton) saveButton.disabled = false;
+	}
 }
 
 // Define text colors list (24 colors) - Dark versions for better text readability
@@ -3839,8 +4971,8 @@ document.addEventListener('DOMContentLoaded', function() {
 		item.addEventListener('click', () => {
 			const action = item.dataset.action;
 
-			// Remove active class from all nav items
-			navItems.forEach(navItem => navItem.classList.remove('active'));
+			// Remove active class from all nav items, including smart views
+			document.querySelectorAll('.nav-item').forEach(navItem => navItem.classList.remove('active'));
 
 			// Add active class to clicked item
 			item.classList.add('active');
@@ -3980,6 +5112,10 @@ async function saveNewFolder() {
 	const modal = document.getElementById('new-folder-modal');
 	const editingFolderId = modal.dataset.editingFolderId;
 
+	// Üst klasör listesi yüklenene kadar kaydedilmez
+	const saveButton = document.getElementById('new-folder-save-btn');
+	if (saveButton && saveButton.disabled) return;
+
 	// If we're editing an existing folder, call updateFolder instead
 	if (editingFolderId) {
 		await updateFolder(editingFolderId);
@@ -3994,9 +5130,11 @@ async function saveNewFolder() {
 		return;
 	}
 
+	const parentFolderId = getSelectedParentFolderId();
+
 	try {
 		// Check for duplicate name
-		const isDuplicate = await window.checkDuplicateFolder(folderName);
+		const isDuplicate = await window.checkDuplicateFolder(folderName, null, parentFolderId);
 		if (isDuplicate) {
 			showNotification('Bu isimde bir klasör zaten mevcut!', 'error');
 			return;
@@ -4006,12 +5144,15 @@ async function saveNewFolder() {
 		await window.createFolder({
 			name: folderName,
 			bgColor: selectedFolderBgColor,
-			fontColor: selectedFolderTextColor
+			fontColor: selectedFolderTextColor,
+			parentFolderId
 		});
 
+		// Yeni alt klasör ağaçta görünsün
+		if (parentFolderId) expandFolderTreeNode(parentFolderId);
+
 			showNotification('Klasör başarıyla oluşturuldu!', 'success');
 			closeNewFolderModal();
-			await updateSidebarCounts();
 
 			if (document.getElementById('folder-modal').classList.contains('d-flex')) {
 				openFolderModal();
@@ -4348,7 +5489,6 @@ async function updateTag(tagId) {
 
 						showNotification('Etiket başarıyla güncellendi!', 'success');
 						closeNewTagModal();
-						await updateSidebarCounts();
 
 						if (currentView === 'tags') {
 							await showTags();
@@ -4419,7 +5559,6 @@ async function saveNewTag() {
 
 			showNotification('Etiket başarıyla oluşturuldu!', 'success');
 			closeNewTagModal();
-			await updateSidebarCounts();
 
 			if (currentView === 'tags') {
 				await showTags();
@@ -5127,6 +6266,7 @@ async function updateParentNoteDisplay() {
 
 	// Container görünürlüğünü güncelle
 	updateMetadataContainerVisibility();
+	updateNoteBreadcrumb();
 }
 
 // Update folder display
@@ -5150,6 +6290,10 @@ async function updateFolderDisplay() {
 				folderText.textContent = name;
 				folderDisplay.style.display = 'flex';
 
+				// Tam klasör yolu ipucunda gösterilir
+				const treeEntry = buildFolderTree(await window.getAllFolders()).find(entry => entry.folder.id === folder.id);
+				folderDisplay.title = treeEntry ? treeEntry.path : name;
+
 				// Apply folder colors
 				if (folder.bgColor) {
 					folderDisplay.style.backgroundColor = folder.bgColor;
@@ -5297,6 +6441,7 @@ function updateMetadataContainerVisibility() {
 	const folderDisplay = document.getElementById('folder-display');
 	const tagDisplayContainer = document.getElementById('tag-display-container');
 	const commentsCountDisplay = document.getElementById('comments-count-display');
+	const backlinksDisplay = document.getElementById('backlinks-display');
 
 	// Null kontrolü
 	if (!container || !dueDateDisplay || !reminderDisplay || !parentNoteDisplay || !folderDisplay || !tagDisplayContainer) {
@@ -5310,8 +6455,9 @@ function updateMetadataContainerVisibility() {
 	const hasFolder = folderDisplay.style.display !== 'none';
 	const hasTag = tagDisplayContainer.children.length > 0;
 	const hasComments = commentsCountDisplay && commentsCountDisplay.style.display !== 'none';
+	const hasBacklinks = backlinksDisplay && backlinksDisplay.style.display !== 'none';
 
-	if (hasDueDate || hasReminder || hasParentNote || hasFolder || hasTag || hasComments) {
+	if (hasDueDate || hasReminder || hasParentNote || hasFolder || hasTag || hasComments || hasBacklinks) {
 		container.style.display = 'flex';
 	} else {
 		container.style.display = 'none';
@@ -5372,27 +6518,169 @@ function updatePermanentDeleteButtonVisibility() {
 			permanentDeleteBtn.style.display = 'none';
 		}
 	}
+
+	if (trashRetentionBtn) {
+		trashRetentionBtn.style.display = currentView === 'trash' ? 'flex' : 'none';
+	}
 }
 
-// Global variable to store notes to be deleted
-let notesToDelete = [];
+/* ---------- Trash Retention ---------- */
+// Days a note stays in the trash before it is purged (0 = keep forever)
+const defaultTrashRetentionDays = 0;
+let trashRetentionDays = defaultTrashRetentionDays;
 
-// Function to show permanent delete modal
-async function permanentDeleteAllNotes() {
+// Resolves the pending purge confirmation (true = purge)
+let trashPurgeConfirmResolver = null;
+
+// Load trash retention period from localStorage
+function loadTrashRetentionPreference() {
+	const savedDays = parseInt(localStorage.getItem('noteflix-trash-retention-days'));
+	trashRetentionDays = isNaN(savedDays) ? defaultTrashRetentionDays : savedDays;
+}
+
+// Permanently delete notes whose retention period has passed
+async function purgeExpiredTrash() {
 	try {
-	// Get all deleted notes
-		const allNotes = await window.getAllNotes();
-		const deletedNotes = allNotes.filter(note => note.isDeleted === true);
+		// İlk otomatik silmeden önce kullanıcıya sorulur
+		if (localStorage.getItem('noteflix-trash-purge-confirmed') !== 'true') {
+			const expiredIds = await window.getExpiredNoteIds(trashRetentionDays);
+			if (expiredIds.length === 0 || !(await askTrashPurgeConfirmation(expiredIds.length))) {
+				return [];
+			}
+			localStorage.setItem('noteflix-trash-purge-confirmed', 'true');
+		}
 
-	if (deletedNotes.length === 0) {
-		showNotification('Çöp kutusunda silinecek not bulunamadı!', 'info');
-		return;
+		const purgedIds = await window.purgeExpiredNotes(trashRetentionDays);
+		if (purgedIds.length > 0) {
+			if (currentNoteId && purgedIds.includes(currentNoteId)) {
+				clearEditor();
+			}
+			showNotification(`${purgedIds.length} not saklama süresi dolduğu için kalıcı olarak silindi.`, 'info');
+		}
+		return purgedIds;
+	} catch (error) {
+		console.error('Error in purgeExpiredTrash:', error);
+		return [];
 	}
+}
 
-	// Store notes to delete globally
-	notesToDelete = deletedNotes;
+// Ask before the first purge; resolves true if the user confirms
+function askTrashPurgeConfirmation(count) {
+	const modal = document.getElementById('trash-purge-modal');
+	if (!modal) return Promise.resolve(false);
 
-	// Update modal message
+	document.getElementById('trash-purge-text').textContent = `Çöp kutusunda ${trashRetentionDays} günlük saklama süresi dolmuş ${count} not var. Bu notlar kalıcı olarak silinsin mi? Onaylarsanız süresi dolan notlar bundan sonra otomatik olarak silinir.`;
+	modal.classList.remove('d-none');
+	modal.classList.add('d-flex');
+
+	// Önceki soru yanıtsız kaldıysa o çağrı silmeden vazgeçer
+	if (trashPurgeConfirmResolver) trashPurgeConfirmResolver(false);
+
+	return new Promise(resolve => {
+		trashPurgeConfirmResolver = resolve;
+	});
+}
+
+function closeTrashPurgeModal(confirmed = false) {
+	const modal = document.getElementById('trash-purge-modal');
+	if (modal) {
+		modal.classList.add('d-none');
+		modal.classList.remove('d-flex');
+	}
+
+	if (trashPurgeConfirmResolver) {
+		trashPurgeConfirmResolver(confirmed);
+		trashPurgeConfirmResolver = null;
+	}
+}
+
+document.getElementById('trash-purge-modal').addEventListener('click', function(e) {
+	if (e.target === this) {
+		closeTrashPurgeModal();
+	}
+});
+
+window.closeTrashPurgeModal = closeTrashPurgeModal;
+
+// Change trash retention period
+async function setTrashRetentionDays(days) {
+	trashRetentionDays = days;
+	localStorage.setItem('noteflix-trash-retention-days', days.toString());
+	updateTrashRetentionPopupItems();
+
+	await purgeExpiredTrash();
+}
+
+// "N gün önce silindi / M gün sonra silinecek" text for trash cards
+function getTrashInfo(note) {
+	const dayMs = 24 * 60 * 60 * 1000;
+	const deletedAt = new Date(note.deletedAt || note.updatedAt);
+	const deletedDaysAgo = Math.floor((Date.now() - deletedAt.getTime()) / dayMs);
+	const deletedText = deletedDaysAgo <= 0 ? 'Bugün silindi' : `${deletedDaysAgo} gün önce silindi`;
+
+	if (trashRetentionDays <= 0) {
+		return deletedText;
+	}
+
+	const purgeInDays = Math.ceil((deletedAt.getTime() + trashRetentionDays * dayMs - Date.now()) / dayMs);
+	const purgeText = purgeInDays <= 0 ? 'bugün kalıcı olarak silinecek' : `${purgeInDays} gün sonra kalıcı olarak silinecek`;
+	return `${deletedText} · ${purgeText}`;
+}
+
+// Mark the selected retention period in the popup
+function updateTrashRetentionPopupItems() {
+	document.querySelectorAll('#trash-retention-popup .popup-form-item').forEach(item => {
+		item.classList.toggle('selected', parseInt(item.dataset.days) === trashRetentionDays);
+	});
+}
+
+// Trash retention button click handler
+if (trashRetentionBtn) {
+	trashRetentionBtn.onclick = (e) => {
+		e.stopPropagation();
+		closeAllPopupsAndModals('trash-retention-popup');
+		const isOpen = !trashRetentionPopup.classList.contains('d-none');
+
+		if (isOpen) {
+			closePopup(trashRetentionPopup);
+		} else {
+			positionPopupAt(trashRetentionPopup, trashRetentionBtn.getBoundingClientRect());
+			openPopup(trashRetentionPopup);
+			updateTrashRetentionPopupItems();
+		}
+	};
+
+	document.querySelectorAll('#trash-retention-popup .popup-form-item').forEach(item => {
+		item.addEventListener('click', async () => {
+			closePopup(trashRetentionPopup);
+			await setTrashRetentionDays(parseInt(item.dataset.days));
+		});
+	});
+}
+
+// Global variable to store notes to be deleted
+let notesToDelete = [];
+
+// Function to show permanent delete modal
+async function permanentDeleteAllNotes() {
+	try {
+	// Get all deleted notes
+		const allNotes = await window.getAllNotes();
+		const deletedNotes = allNotes.filter(note => note.isDeleted === true);
+
+	if (deletedNotes.length === 0) {
+		showNotification('Çöp kutusunda silinecek not bulunamadı!', 'info');
+		return;
+	}
+
+	// Store notes to delete globally
+	notesToDelete = deletedNotes;
+
+	// Alt notu varsa ne yapılacağını sor
+	const childCount = await window.countChildNotes(deletedNotes.map(note => note.id));
+	showChildPolicySection('permanent-delete-child-policy', childCount);
+
+	// Update modal message
 	const messageElement = document.getElementById('permanent-delete-message');
 	if (messageElement) {
 		messageElement.textContent = `Bu ${deletedNotes.length} notu kalıcı olarak silmek istediğinizden emin misiniz?`;
@@ -5423,6 +6711,28 @@ function showPermanentDeleteModal() {
 	}
 }
 
+// Show the child note policy selector when the deleted notes have children
+function showChildPolicySection(selectId, childCount) {
+	const select = document.getElementById(selectId);
+	if (!select) return;
+
+	const section = select.closest('.child-policy-section');
+	select.value = 'detach';
+
+	if (childCount > 0) {
+		section.querySelector('.child-policy-count').textContent = `${childCount} alt not`;
+		section.classList.remove('d-none');
+	} else {
+		section.classList.add('d-none');
+	}
+}
+
+// Read the selected child note policy
+function getSelectedChildPolicy(selectId) {
+	const select = document.getElementById(selectId);
+	return select ? select.value : 'detach';
+}
+
 // Function to close single note permanent delete modal
 function closeSingleNotePermanentDeleteModal() {
 	const modal = document.getElementById('single-note-permanent-delete-modal');
@@ -5482,23 +6792,20 @@ async function confirmSingleNotePermanentDelete() {
 		const note = await window.getNoteById(noteId);
 		const noteTitle = note ? note.title : 'Bilinmeyen';
 
-		// Call db.js to permanently delete the note
-		await window.permanentDeleteNoteById(noteId);
-
-			// İlgili yorumları da sil
-			await deleteCommentsByNoteId(noteId);
+		// Call db.js to permanently delete the note with its comments and revisions
+		const result = await window.permanentDeleteNoteById(noteId, {
+			childPolicy: getSelectedChildPolicy('single-note-child-policy')
+		});
 
 		// UI updates
-			if (currentNoteId === noteId) {
+			const wasOpen = Boolean(currentNoteId && result.deletedNoteIds.includes(currentNoteId));
+			if (wasOpen) {
 				clearEditor();
 			}
 
 			closeSingleNotePermanentDeleteModal();
-			await reloadCurrentView();
-			await updateSidebarCounts();
-			updateNavigationButtons();
 
-			showNotification(`"${noteTitle}" notu kalıcı olarak silindi!`, 'success');
+			showUndoNotification(`"${noteTitle}" notu kalıcı olarak silindi!`, result.operation, () => reopenNoteAfterUndo(noteId, wasOpen));
 
 	} catch (error) {
 		console.error('Error in confirmSingleNotePermanentDelete:', error);
@@ -5524,27 +6831,22 @@ async function confirmPermanentDelete() {
 		return;
 	}
 
-	// Store the count before clearing the array
-	const deletedCount = notesToDelete.length;
-
 	try {
-		// Call db.js to permanently delete all notes
-		const deletePromises = notesToDelete.map(note => 
-			window.permanentDeleteNoteById(note.id)
-		);
-		await Promise.all(deletePromises);
+		// Call db.js to permanently delete all notes in one transaction
+		const result = await window.permanentDeleteNotesByIds(notesToDelete.map(note => note.id), {
+			childPolicy: getSelectedChildPolicy('permanent-delete-child-policy')
+		});
+		const deletedCount = result.deletedNoteIds.length;
 
 		// UI updates
 		closePermanentDeleteModal();
-		await reloadCurrentView();
-		await updateSidebarCounts();
 
-		if (currentNoteId && notesToDelete.some(note => note.id === currentNoteId)) {
+		if (currentNoteId && result.deletedNoteIds.includes(currentNoteId)) {
 			clearEditor();
 		}
 
 		updateNavigationButtons();
-		showNotification(`${deletedCount} not kalıcı olarak silindi!`, 'success');
+		showUndoNotification(`${deletedCount} not kalıcı olarak silindi!`, result.operation);
 
 	} catch (error) {
 		console.error('Error permanently deleting notes:', error);
@@ -5556,6 +6858,8 @@ async function confirmPermanentDelete() {
 // Clear editor and reset all related data
 function clearEditor() {
 	currentNoteId = null;
+	currentNoteVersion = null;
+	loadedNoteState = null;
 	currentNoteDueDate = null;
 	currentNoteReminderDateTime = null;
 	currentParentNoteId = null;
@@ -5598,6 +6902,7 @@ function clearEditor() {
 
 	// Comments button'ı güncelle
 	updateCommentsButton();
+	updateBacklinksDisplay();
 
 	// Metadata container görünürlüğünü güncelle
 	updateMetadataContainerVisibility();
@@ -6295,27 +7600,44 @@ document.getElementById('note-bg-modal-clear').addEventListener('click', functio
 
 /* ---------- Search Functionality ---------- */
 // Search function
+// Match details of the last search, by note id
+let searchResultMatches = new Map();
+
 async function searchNotes(searchTerm) {
-	try {
-		// Get all notes from db.js
-		let notes = await window.getAllNotes();
+	// Arama sonuçları sayfalanan listenin yerine geçer; bekleyen sayfalar atılır
+	notesQueryGeneration++;
 
-		// Arşivlenmiş ve silinmiş notları filtrele
-		notes = notes.filter(note => note.isArchived !== true && note.isDeleted !== true);
+	try {
+		let notes;
 
 		if (searchTerm.trim()) {
-			// Hem title hem de content'te arama yap
-			notes = notes.filter(note => {
-				const title = (note.title || '').toLowerCase();
-				const content = (note.content || '').toLowerCase();
-				const searchLower = searchTerm.toLowerCase();
-
-				return title.includes(searchLower) || content.includes(searchLower);
+			// Operatörler filtreye, kelimeler arama indeksine gider; seçili kapsam temel filtreleri belirler
+			const result = await window.searchNotesByQuery(searchTerm, {
+				...await getSearchScopeFilters(),
+				sortBy: currentSortOption,
+				sortDirection: currentSortDirection
 			});
+			notes = result.notes;
+			updateSearchHint(result.errors);
+		} else {
+			updateSearchHint([]);
+
+			// Get all notes from db.js
+			notes = await window.getAllNotes();
+
+			// Arşivlenmiş ve silinmiş notları filtrele
+			notes = notes.filter(note => note.isArchived !== true && note.isDeleted !== true);
+
+			// Apply sorting
+			notes = applySorting(notes, currentSortOption, currentSortDirection);
 		}
 
-		// Apply sorting
-		notes = applySorting(notes, currentSortOption, currentSortDirection);
+		// Yavaş bir arama, sonraki tuş vuruşlarının sonuçlarını ezmez
+		if (searchInput && searchInput.value !== searchTerm) return;
+
+		// Arama sonuçları tek seferde listelenir
+		hasMoreNotes = false;
+		searchResultMatches = new Map(notes.filter(note => note.searchMatch).map(note => [note.id, note.searchMatch]));
 
 		await displayNotes(notes, searchTerm);
 
@@ -6328,12 +7650,22 @@ async function searchNotes(searchTerm) {
 	}
 }
 
-// Search input event listener
+// Search input event listener; the search runs after a short pause in typing
 const searchInput = document.querySelector('.search-input');
+const searchInputDelay = 200;
+let searchInputTimer = null;
+
 if (searchInput) {
 	searchInput.addEventListener('input', (e) => {
 		const searchTerm = e.target.value;
-		searchNotes(searchTerm);
+		clearTimeout(searchInputTimer);
+		searchInputTimer = setTimeout(() => searchNotes(searchTerm), searchInputDelay);
+		updateSearchAutocomplete();
+	});
+	searchInput.addEventListener('keydown', handleSearchAutocompleteKeydown);
+	searchInput.addEventListener('blur', () => {
+		// Öneriye tıklanabilmesi için kapanma ertelenir
+		setTimeout(closeSearchAutocomplete, 150);
 	});
 }
 
@@ -6344,6 +7676,7 @@ if (searchIcon) {
 		if (searchInput) {
 			searchInput.value = '';
 			searchNotes('');
+			closeSearchAutocomplete();
 		}
 	});
 
@@ -6605,6 +7938,7 @@ function displayComments() {
 function createCommentElement(comment) {
 	const commentDiv = document.createElement('div');
 	commentDiv.className = 'comment-item';
+	commentDiv.dataset.commentId = comment.id;
 
 	// Format date for display
 	const displayDate = new Date(comment.createdAt).toLocaleString('tr-TR');
@@ -6964,4 +8298,3765 @@ document.getElementById('note-bg-color-modal').addEventListener('click', functio
 });
 window.addComment = addComment;
 window.deleteComment = deleteComment;
+/* ---------- Revision History ---------- */
+let historyRevisions = [];
+let selectedRevisionId = null;
+
+// Split text into word and whitespace tokens so the diff keeps spacing
+function tokenizeWords(text) {
+	return (text || '').match(/\s+|[^\s]+/g) || [];
+}
+
+// Word-level diff between two texts (LCS over tokens)
+function diffWords(oldText, newText) {
+	const a = tokenizeWords(oldText);
+	const b = tokenizeWords(newText);
+	const parts = [];
+
+	const push = (type, token) => {
+		const last = parts[parts.length - 1];
+		if (last && last.type === type) {
+			last.text += token;
+		} else {
+			parts.push({ type, text: token });
+		}
+	};
+
+	// Ortak baş ve son kısımları tabloya sokmadan ayır
+	let start = 0;
+	while (start < a.length && start < b.length && a[start] === b[start]) start++;
+	let endA = a.length;
+	let endB = b.length;
+	while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+		endA--;
+		endB--;
+	}
+
+	a.slice(0, start).forEach(token => push('equal', token));
+
+	const midA = a.slice(start, endA);
+	const midB = b.slice(start, endB);
+	const n = midA.length;
+	const m = midB.length;
+
+	if (n * m > 1000000) {
+		// Çok büyük değişikliklerde orta kısmı tamamen değişmiş say
+		midA.forEach(token => push('delete', token));
+		midB.forEach(token => push('insert', token));
+	} else {
+		const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+		for (let i = n - 1; i >= 0; i--) {
+			for (let j = m - 1; j >= 0; j--) {
+				lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+			}
+		}
+
+		let i = 0;
+		let j = 0;
+		while (i < n && j < m) {
+			if (midA[i] === midB[j]) {
+				push('equal', midA[i]);
+				i++;
+				j++;
+			} else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+				push('delete', midA[i++]);
+			} else {
+				push('insert', midB[j++]);
+			}
+		}
+		while (i < n) push('delete', midA[i++]);
+		while (j < m) push('insert', midB[j++]);
+	}
+
+	a.slice(endA).forEach(token => push('equal', token));
+
+	return parts;
+}
+
+// Render diff parts as HTML
+function renderDiff(parts) {
+	if (!parts.some(part => part.type !== 'equal')) {
+		return '<span class="diff-unchanged">Değişiklik yok</span>';
+	}
+
+	return parts.map(part => {
+		const text = escapeHtml(part.text);
+		if (part.type === 'insert') return `<ins class="diff-insert">${text}</ins>`;
+		if (part.type === 'delete') return `<del class="diff-delete">${text}</del>`;
+		return text;
+	}).join('');
+}
+
+// Open revision history modal
+async function openHistoryModal() {
+	if (!currentNoteId) {
+		showNotification('Tarihçeyi görmek için önce bir not seçin!', 'error');
+		return;
+	}
+
+	const modal = document.getElementById('history-modal');
+	if (!modal) return;
+
+	try {
+		historyRevisions = await window.getRevisionsByNoteId(currentNoteId);
+		selectedRevisionId = null;
+
+		renderHistoryList();
+		renderRevisionDiff();
+
+		modal.classList.remove('d-none');
+		modal.classList.add('d-flex');
+	} catch (error) {
+		console.error('Error in openHistoryModal:', error);
+		showNotification('Tarihçe yüklenirken hata oluştu!', 'error');
+	}
+}
+
+// Close revision history modal
+function closeHistoryModal() {
+	const modal = document.getElementById('history-modal');
+	if (modal) {
+		modal.classList.remove('d-flex');
+		modal.classList.add('d-none');
+	}
+	historyRevisions = [];
+	selectedRevisionId = null;
+}
+
+// Render the list of revisions
+function renderHistoryList() {
+	const historyList = document.getElementById('history-list');
+	if (!historyList) return;
+
+	if (historyRevisions.length === 0) {
+		historyList.innerHTML = '<p class="history-empty">Bu not için kayıtlı sürüm yok.</p>';
+		return;
+	}
+
+	historyList.innerHTML = historyRevisions.map((revision, index) => `
+      <div class="history-item ${revision.id === selectedRevisionId ? 'selected' : ''}" onclick="selectRevision(${revision.id})">
+        <div class="history-item-date">
+          ${new Date(revision.createdAt).toLocaleString('tr-TR', {
+            day: '2-digit',
+            month: '2-digit',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+          })}
+        </div>
+        <div class="history-item-title">${escapeHtml(revision.title || 'Başlıksız Not')}${index === 0 ? ' <span class="history-item-badge">Son kayıt</span>' : ''}</div>
+      </div>
+    `).join('');
+}
+
+// Select a revision and show its diff against the editor
+function selectRevision(revisionId) {
+	selectedRevisionId = revisionId;
+	renderHistoryList();
+	renderRevisionDiff();
+}
+
+// Show word-level diff between the selected revision and the current editor content
+function renderRevisionDiff() {
+	const diffContainer = document.getElementById('history-diff');
+	const restoreBtn = document.getElementById('restore-revision-btn');
+	const revision = historyRevisions.find(r => r.id === selectedRevisionId);
+
+	if (restoreBtn) {
+		restoreBtn.disabled = !revision;
+	}
+	if (!diffContainer) return;
+
+	if (!revision) {
+		diffContainer.innerHTML = '<p class="history-empty">Karşılaştırmak için soldan bir sürüm seçin.</p>';
+		return;
+	}
+
+	const sections = [
+		{
+			label: 'Başlık',
+			oldText: revision.title,
+			newText: $('note-title').value
+		},
+		{
+			label: 'İçerik',
+			oldText: htmlToPlainText(revision.content),
+			newText: htmlToPlainText(editor.getHTML())
+		},
+		{
+			label: 'Kontrol Listesi',
+			oldText: checklistToPlainText(revision.checklistData),
+			newText: checklistToPlainText(JSON.stringify(checklistItems))
+		}
+	];
+
+	diffContainer.innerHTML = sections.map(section => `
+      <div class="history-diff-section">
+        <h4>${section.label}</h4>
+        <div class="history-diff-text">${renderDiff(diffWords(section.oldText, section.newText))}</div>
+      </div>
+    `).join('');
+}
+
+// Restore the selected revision as the current version
+async function restoreSelectedRevision() {
+	if (!selectedRevisionId) return;
+
+	try {
+		const note = await window.restoreRevisionById(selectedRevisionId);
+		closeHistoryModal();
+
+		await loadNote(note.id);
+		showNotification('Seçilen sürüm geri yüklendi!', 'success');
+	} catch (error) {
+		console.error('Error in restoreSelectedRevision:', error);
+		showNotification('Sürüm geri yüklenirken hata oluştu!', 'error');
+	}
+}
+
+const historyBtn = document.getElementById('historyBtn');
+if (historyBtn) {
+	historyBtn.addEventListener('click', openHistoryModal);
+}
+
+// Modal dışına tıklama ile kapatma
+document.getElementById('history-modal').addEventListener('click', function(e) {
+	if (e.target === this) {
+		closeHistoryModal();
+	}
+});
+
+window.closeHistoryModal = closeHistoryModal;
+window.selectRevision = selectRevision;
+window.restoreSelectedRevision = restoreSelectedRevision;
+/* ---------- Data Maintenance ---------- */
+const integrityCategoryLabels = {
+	missingFolder: { label: 'Silinmiş klasöre bağlı notlar', action: 'Klasör bağlantısı kaldırılır' },
+	missingTags: { label: 'Silinmiş etiket içeren notlar', action: 'Eksik etiketler nottan çıkarılır' },
+	missingParent: { label: 'Silinmiş üst nota bağlı notlar', action: 'Üst not bağlantısı kaldırılır' },
+	parentCycles: { label: 'Döngüsel üst not zincirleri', action: 'Zincir ilk notta kırılır' },
+	missingParentFolder: { label: 'Silinmiş üst klasöre bağlı klasörler', action: 'Klasör üst seviyeye taşınır' },
+	folderCycles: { label: 'Döngüsel üst klasör zincirleri', action: 'Zincir ilk klasörde kırılır' },
+	orphanComments: { label: 'Notu silinmiş yorumlar', action: 'Yorumlar silinir' },
+	orphanRevisions: { label: 'Notu silinmiş sürümler', action: 'Sürümler silinir' }
+};
+const integrityIssuePreviewLimit = 10;
+let integrityReport = null;
+
+// One line description of an integrity issue
+function describeIntegrityIssue(category, issue) {
+	const title = escapeHtml(issue.title || 'Başlıksız Not');
+
+	switch (category) {
+		case 'missingFolder':
+			return `"${title}" → klasör #${issue.folderId}`;
+		case 'missingTags':
+			return `"${title}" → etiket #${issue.tagIds.join(', #')}`;
+		case 'missingParent':
+			return `"${title}" → not #${issue.parentNoteId}`;
+		case 'parentCycles':
+			return issue.titles.map(t => `"${escapeHtml(t || 'Başlıksız Not')}"`).join(' → ');
+		case 'missingParentFolder':
+			return `"${escapeHtml(issue.name || 'İsimsiz Klasör')}" → klasör #${issue.parentFolderId}`;
+		case 'folderCycles':
+			return issue.names.map(name => `"${escapeHtml(name || 'İsimsiz Klasör')}"`).join(' → ');
+		case 'orphanComments':
+			return `Yorum #${issue.commentId} → not #${issue.noteId}`;
+		case 'orphanRevisions':
+			return `Sürüm #${issue.revisionId} → not #${issue.noteId}`;
+		default:
+			return '';
+	}
+}
+
+// Open maintenance modal and run a fresh check
+async function openMaintenanceModal() {
+	const modal = document.getElementById('maintenance-modal');
+	if (!modal) return;
+
+	modal.classList.remove('d-none');
+	modal.classList.add('d-flex');
+	await runIntegrityCheck();
+}
+
+// Close maintenance modal
+function closeMaintenanceModal() {
+	const modal = document.getElementById('maintenance-modal');
+	if (modal) {
+		modal.classList.remove('d-flex');
+		modal.classList.add('d-none');
+	}
+	integrityReport = null;
+}
+
+// Run integrity check and show the report
+async function runIntegrityCheck() {
+	const summary = document.getElementById('maintenance-summary');
+	if (summary) {
+		summary.textContent = 'Veritabanı taranıyor...';
+	}
+
+	try {
+		integrityReport = await window.checkIntegrity();
+		renderIntegrityReport();
+	} catch (error) {
+		console.error('Error in runIntegrityCheck:', error);
+		if (summary) {
+			summary.textContent = 'Veritabanı taranırken hata oluştu!';
+		}
+	}
+}
+
+// Render integrity report grouped by category
+function renderIntegrityReport() {
+	const summary = document.getElementById('maintenance-summary');
+	const list = document.getElementById('maintenance-list');
+	if (!summary || !list || !integrityReport) return;
+
+	summary.textContent = integrityReport.issueCount === 0
+		? 'Sorun bulunamadı. Tüm bağlantılar sağlam.'
+		: `${integrityReport.issueCount} sorun bulundu. Onarmak istediklerinizi seçin.`;
+
+	list.innerHTML = window.INTEGRITY_CATEGORIES.map(category => {
+		const issues = integrityReport.issues[category] || [];
+		const info = integrityCategoryLabels[category];
+		const preview = issues.slice(0, integrityIssuePreviewLimit)
+			.map(issue => `<li>${describeIntegrityIssue(category, issue)}</li>`).join('');
+		const more = issues.length > integrityIssuePreviewLimit ? `<li>... ve ${issues.length - integrityIssuePreviewLimit} tane daha</li>` : '';
+
+		return `
+      <div class="maintenance-item ${issues.length === 0 ? 'is-clean' : ''}">
+        <label class="maintenance-item-header">
+          <input type="checkbox" value="${category}" ${issues.length > 0 ? 'checked' : 'disabled'} onchange="updateRepairButtonState()" />
+          <span class="maintenance-item-label">${info.label}</span>
+          <span class="maintenance-item-count">${issues.length}</span>
+        </label>
+        ${issues.length > 0 ? `
+          <div class="maintenance-item-action">${info.action}</div>
+          <ul class="maintenance-item-issues">${preview}${more}</ul>
+        ` : ''}
+      </div>
+    `;
+	}).join('');
+
+	updateRepairButtonState();
+}
+
+// Enable repair button only when something is selected
+function updateRepairButtonState() {
+	const repairBtn = document.getElementById('repair-integrity-btn');
+	if (repairBtn) {
+		repairBtn.disabled = document.querySelectorAll('#maintenance-list input:checked').length === 0;
+	}
+}
+
+// Repair selected integrity categories
+async function repairSelectedIntegrityIssues() {
+	const fix = [...document.querySelectorAll('#maintenance-list input:checked')].map(input => input.value);
+	if (fix.length === 0 || !integrityReport) return;
+
+	// Açık not onarılacaksa editördeki eski bağlantılar tekrar kaydedilmesin
+	const affectsCurrentNote = currentNoteId && fix.some(category =>
+		integrityReport.issues[category].some(issue => issue.noteId === currentNoteId || (issue.noteIds || []).includes(currentNoteId))
+	);
+
+	try {
+		const fixed = await window.repairIntegrity({ fix });
+		const fixedCount = Object.values(fixed).reduce((total, count) => total + count, 0);
+
+		await runIntegrityCheck();
+		if (affectsCurrentNote) {
+			await loadNote(currentNoteId);
+		}
+
+		showNotification(`${fixedCount} sorun onarıldı!`, 'success');
+	} catch (error) {
+		console.error('Error in repairSelectedIntegrityIssues:', error);
+		showNotification('Onarım sırasında hata oluştu!', 'error');
+	}
+}
+
+const maintenanceBtn = document.getElementById('sidebar-maintenance-btn');
+if (maintenanceBtn) {
+	maintenanceBtn.addEventListener('click', openMaintenanceModal);
+}
+
+// Modal dışına tıklama ile kapatma
+document.getElementById('maintenance-modal').addEventListener('click', function(e) {
+	if (e.target === this) {
+		closeMaintenanceModal();
+	}
+});
+
+window.closeMaintenanceModal = closeMaintenanceModal;
+window.runIntegrityCheck = runIntegrityCheck;
+window.updateRepairButtonState = updateRepairButtonState;
+window.repairSelectedIntegrityIssues = repairSelectedIntegrityIssues;
+/* ---------- Live Updates ---------- */
+// Views whose list is rendered by displayNotes
+const noteListViews = ['notes', 'favorites', 'archive', 'reminders', 'trash', 'smart-view'];
+
+// Events of several quick transactions are applied in one refresh
+const changeRefreshDelay = 50;
+let pendingDatabaseChanges = [];
+let changeRefreshTimer = null;
+
+// Subscriber for db.js change events, including those from other tabs
+function handleDatabaseChanges(events) {
+	pendingDatabaseChanges.push(...events);
+
+	clearTimeout(changeRefreshTimer);
+	changeRefreshTimer = setTimeout(applyDatabaseChanges, changeRefreshDelay);
+}
+
+async function applyDatabaseChanges() {
+	const events = pendingDatabaseChanges;
+	pendingDatabaseChanges = [];
+
+	const hasEntity = entity => events.some(event => event.entity === entity);
+	const noteId = getCurrentNoteId();
+
+	try {
+		await refreshCurrentList(hasEntity);
+		await updateSidebarCounts();
+
+		if (hasEntity('note')) {
+			await updateNavigationButtons();
+		}
+
+		const currentNoteComments = events.some(event => event.entity === 'comment' && noteId && event.noteId === noteId);
+		if (currentNoteComments) {
+			await updateCommentsButton();
+
+			// Başka sekmede eklenen yorumlar açık modalda da görünsün
+			const commentsModal = document.getElementById('comments-modal');
+			if (commentsModal && commentsModal.style.display === 'flex') {
+				await loadComments();
+			}
+		}
+	} catch (error) {
+		console.error('Error applying database changes:', error);
+	}
+}
+
+// Re-render the notes, folders or tags list without resetting the editor
+async function refreshCurrentList(hasEntity) {
+	if (noteListViews.includes(currentView)) {
+		const searchTerm = searchInput ? searchInput.value : '';
+		if (searchTerm.trim()) {
+			await searchNotes(searchTerm);
+		} else {
+			// Canlı yenileme listeyi ilk sayfaya döndürmez
+			await reloadCurrentView({ keepPosition: true });
+		}
+	} else if (currentView === 'folders' && (hasEntity('folder') || hasEntity('note'))) {
+		const folders = await window.getAllFolders();
+		folders.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+		await displayFolders(folders);
+	} else if (currentView === 'tags' && (hasEntity('tag') || hasEntity('note'))) {
+		const tags = await window.getAllTags();
+		tags.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+		await displayTags(tags);
+	}
+}
+
+/* ---------- Edit Conflicts ---------- */
+// updatedAt of the open note as loaded or last saved by this tab
+let currentNoteVersion = null;
+// Editor state at that version, the common base for merging
+let loadedNoteState = null;
+// Stored version that conflicts with the editor
+let conflictNote = null;
+
+const remoteNoteChangeMessages = {
+	'note:trashed': 'Açık not başka bir sekmede çöp kutusuna taşındı.',
+	'note:restored': 'Açık not başka bir sekmede geri yüklendi.',
+	'note:archived': 'Açık not başka bir sekmede arşivlendi.',
+	'note:unarchived': 'Açık not başka bir sekmede arşivden çıkarıldı.'
+};
+
+// Normalize a CSS color the same way the editor style reports it
+function normalizeColor(color) {
+	const probe = document.createElement('div');
+	probe.style.backgroundColor = color || '';
+	return probe.style.backgroundColor;
+}
+
+// Editable fields of the open note, in the shape saveNote writes
+function getEditorNoteState() {
+	return {
+		title: $('note-title').value.trim(),
+		content: editor.getHTML(),
+		checklistData: JSON.stringify(checklistItems),
+		bgColor: document.getElementById('editor-control').style.backgroundColor || '',
+		dueDate: currentNoteDueDate,
+		reminderDateTime: currentNoteReminderDateTime,
+		parentNoteId: currentParentNoteId,
+		folderId: currentFolderId,
+		tagIds: [...currentTagIds]
+	};
+}
+
+// Stored note converted to the editor state shape
+function noteToEditorState(note) {
+	let checklist = [];
+	try {
+		checklist = note.checklistData ? JSON.parse(note.checklistData) : [];
+	} catch (error) {
+		checklist = [];
+	}
+
+	return {
+		title: (note.title || '').trim(),
+		content: note.content || '',
+		checklistData: JSON.stringify(checklist),
+		bgColor: normalizeColor(note.bgColor),
+		dueDate: note.dueDate || null,
+		reminderDateTime: note.reminderDateTime || null,
+		parentNoteId: note.parentNoteId || null,
+		folderId: note.folderId || null,
+		tagIds: Array.isArray(note.tagIds) ? [...note.tagIds] : []
+	};
+}
+
+// Put a merged state into the editor without saving it
+function applyEditorNoteState(state) {
+	$('note-title').value = state.title;
+
+	checklistItems = JSON.parse(state.checklistData);
+	renderChecklistItems();
+
+	document.getElementById('editor-control').style.backgroundColor = state.bgColor;
+	document.getElementById('note-metadata-container').style.backgroundColor = state.bgColor;
+	const noteBgColorBtn = document.getElementById('noteBgColorPopupBtn');
+	if (noteBgColorBtn) {
+		noteBgColorBtn.classList.toggle('has-bg-color', !!state.bgColor);
+	}
+
+	currentNoteDueDate = state.dueDate;
+	updateDueDateDisplay();
+	currentNoteReminderDateTime = state.reminderDateTime;
+	updateReminderDisplay();
+	currentParentNoteId = state.parentNoteId;
+	updateParentNoteDisplay();
+	currentFolderId = state.folderId;
+	updateFolderDisplay();
+	currentTagIds = [...state.tagIds];
+	updateTagDisplay();
+
+	window.editor.commands.setContent(state.content, false);
+	updateEditorCounter();
+}
+
+function hasUnsavedChanges() {
+	return !!loadedNoteState && JSON.stringify(getEditorNoteState()) !== JSON.stringify(loadedNoteState);
+}
+
+// Subscriber for note events; keeps the loaded version current and reacts to other tabs
+function handleOpenNoteChanges(events) {
+	const noteId = getCurrentNoteId();
+	if (!noteId) return;
+
+	const noteEvents = events.filter(event => event.id === noteId);
+	if (noteEvents.length === 0) return;
+
+	// Bu sekmedeki yazmalar (favori, arşiv, etiket silme...) yüklü sürümü ilerletir
+	const localEvents = noteEvents.filter(event => !event.remote && event.updatedAt);
+	if (localEvents.length > 0) {
+		currentNoteVersion = localEvents[localEvents.length - 1].updatedAt;
+	}
+
+	const remoteEvents = noteEvents.filter(event => event.remote);
+	if (remoteEvents.length > 0) {
+		handleRemoteNoteChange(remoteEvents[remoteEvents.length - 1]);
+	}
+}
+
+async function handleRemoteNoteChange(event) {
+	try {
+		if (event.type === 'note:deleted') {
+			clearEditor();
+			showNotification('Açık not başka bir sekmede kalıcı olarak silindi.', 'info');
+			return;
+		}
+
+		const note = await window.getNoteById(event.id);
+		if (!note || note.id !== getCurrentNoteId() || note.updatedAt === currentNoteVersion) return;
+
+		if (hasUnsavedChanges()) {
+			openConflictModal(note);
+			return;
+		}
+
+		await loadNote(note.id);
+		showNotification(remoteNoteChangeMessages[event.type] || 'Açık not başka bir sekmede güncellendi ve yeniden yüklendi.', 'info');
+	} catch (error) {
+		console.error('Error in handleRemoteNoteChange:', error);
+	}
+}
+
+// Show the stored version against the editor and offer reload, keep mine or merge
+function openConflictModal(note) {
+	const modal = document.getElementById('conflict-modal');
+	if (!modal) return;
+
+	conflictNote = note;
+
+	const summary = document.getElementById('conflict-summary');
+	if (summary) {
+		const changedAt = new Date(note.updatedAt).toLocaleString('tr-TR', {
+			day: '2-digit',
+			month: '2-digit',
+			year: 'numeric',
+			hour: '2-digit',
+			minute: '2-digit'
+		});
+		summary.textContent = `"${note.title || 'Başlıksız Not'}" notu ${changedAt} tarihinde başka bir sekmede değiştirildi. Kaydedilmemiş değişiklikleriniz var.`;
+	}
+
+	const diffContainer = document.getElementById('conflict-diff');
+	if (diffContainer) {
+		const sections = [
+			{
+				label: 'Başlık',
+				oldText: note.title,
+				newText: $('note-title').value
+			},
+			{
+				label: 'İçerik',
+				oldText: htmlToPlainText(note.content),
+				newText: htmlToPlainText(editor.getHTML())
+			},
+			{
+				label: 'Kontrol Listesi',
+				oldText: checklistToPlainText(note.checklistData),
+				newText: checklistToPlainText(JSON.stringify(checklistItems))
+			}
+		];
+
+		diffContainer.innerHTML = sections.map(section => `
+      <div class="history-diff-section">
+        <h4>${section.label}</h4>
+        <div class="history-diff-text">${renderDiff(diffWords(section.oldText, section.newText))}</div>
+      </div>
+    `).join('');
+	}
+
+	modal.classList.remove('d-none');
+	modal.classList.add('d-flex');
+}
+
+function closeConflictModal() {
+	const modal = document.getElementById('conflict-modal');
+	if (modal) {
+		modal.classList.remove('d-flex');
+		modal.classList.add('d-none');
+	}
+	conflictNote = null;
+}
+
+// Discard local edits and load the stored version
+async function reloadConflictedNote() {
+	if (!conflictNote) return;
+	const noteId = conflictNote.id;
+	closeConflictModal();
+
+	try {
+		await loadNote(noteId);
+		showNotification('Notun güncel sürümü yüklendi.', 'info');
+	} catch (error) {
+		console.error('Error in reloadConflictedNote:', error);
+	}
+}
+
+// Overwrite the stored version with the editor content
+async function keepMyConflictedNote() {
+	if (!conflictNote) return;
+	currentNoteVersion = conflictNote.updatedAt;
+	closeConflictModal();
+
+	try {
+		await saveNote();
+	} catch (error) {
+		console.error('Error in keepMyConflictedNote:', error);
+		showNotification('Not kaydedilirken hata oluştu!', 'error');
+	}
+}
+
+// Matching item pairs of two sequences (LCS)
+function matchSequences(a, b) {
+	const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+	for (let i = a.length - 1; i >= 0; i--) {
+		for (let j = b.length - 1; j >= 0; j--) {
+			lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+		}
+	}
+
+	const pairs = [];
+	let i = 0;
+	let j = 0;
+	while (i < a.length && j < b.length) {
+		if (a[i] === b[j]) {
+			pairs.push([i++, j++]);
+		} else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+			i++;
+		} else {
+			j++;
+		}
+	}
+	return pairs;
+}
+
+// Three-way merge of sequences; overlapping edits keep both sides, mine first
+function mergeSequences(base, mine, theirs) {
+	const mineMatches = new Map(matchSequences(base, mine));
+	const theirMatches = new Map(matchSequences(base, theirs));
+	const items = [];
+	let conflicts = 0;
+	let baseStart = 0;
+	let mineStart = 0;
+	let theirStart = 0;
+
+	const sameItems = (x, y) => x.length === y.length && x.every((item, index) => item === y[index]);
+	const mergeChunk = (baseEnd, mineEnd, theirEnd) => {
+		const baseChunk = base.slice(baseStart, baseEnd);
+		const mineChunk = mine.slice(mineStart, mineEnd);
+		const theirChunk = theirs.slice(theirStart, theirEnd);
+
+		if (sameItems(mineChunk, baseChunk)) {
+			items.push(...theirChunk);
+		} else if (sameItems(theirChunk, baseChunk) || sameItems(mineChunk, theirChunk)) {
+			items.push(...mineChunk);
+		} else {
+			items.push(...mineChunk, ...theirChunk);
+			conflicts++;
+		}
+	};
+
+	// Her iki tarafta da değişmeyen öğeler birleştirme için sabit noktalardır
+	base.forEach((item, index) => {
+		if (!mineMatches.has(index) || !theirMatches.has(index)) return;
+
+		mergeChunk(index, mineMatches.get(index), theirMatches.get(index));
+		items.push(item);
+		baseStart = index + 1;
+		mineStart = mineMatches.get(index) + 1;
+		theirStart = theirMatches.get(index) + 1;
+	});
+	mergeChunk(base.length, mine.length, theirs.length);
+
+	return { items, conflicts };
+}
+
+// Top-level blocks of editor HTML
+function splitHtmlBlocks(html) {
+	const doc = new DOMParser().parseFromString(html || '', 'text/html');
+	return Array.from(doc.body.childNodes).map(node => node.outerHTML || node.textContent);
+}
+
+// Merge editor changes and the stored version against the loaded base
+function mergeNoteStates(base, mine, theirs) {
+	let conflicts = 0;
+	const merged = {};
+
+	const mergeValue = (key) => {
+		const baseValue = JSON.stringify(base[key]);
+		const mineValue = JSON.stringify(mine[key]);
+		const theirValue = JSON.stringify(theirs[key]);
+
+		if (mineValue === baseValue) return theirs[key];
+		if (theirValue !== baseValue && theirValue !== mineValue) conflicts++;
+		return mine[key];
+	};
+
+	['title', 'bgColor', 'dueDate', 'reminderDateTime', 'parentNoteId', 'folderId'].forEach(key => {
+		merged[key] = mergeValue(key);
+	});
+
+	// Etiketler küme olarak birleştirilir: iki taraftaki eklemeler ve çıkarmalar uygulanır
+	const removedTags = base.tagIds.filter(tagId => !mine.tagIds.includes(tagId) || !theirs.tagIds.includes(tagId));
+	merged.tagIds = [...new Set([...mine.tagIds, ...theirs.tagIds])].filter(tagId => !removedTags.includes(tagId));
+
+	const content = mergeSequences(splitHtmlBlocks(base.content), splitHtmlBlocks(mine.content), splitHtmlBlocks(theirs.content));
+	merged.content = content.items.join('');
+	conflicts += content.conflicts;
+
+	// Aynı öğe iki tarafta da değiştiyse sizin sürümünüz kalır
+	const serializeItems = state => JSON.parse(state.checklistData).map(item => JSON.stringify(item));
+	const checklist = mergeSequences(serializeItems(base), serializeItems(mine), serializeItems(theirs));
+	const seenItemIds = new Set();
+	merged.checklistData = JSON.stringify(checklist.items.map(item => JSON.parse(item)).filter(item => {
+		if (seenItemIds.has(item.id)) return false;
+		seenItemIds.add(item.id);
+		return true;
+	}));
+	conflicts += checklist.conflicts;
+
+	return { state: merged, conflicts };
+}
+
+// Combine both versions in the editor; the user reviews and saves the result
+async function mergeConflictedNote() {
+	if (!conflictNote || !loadedNoteState) return;
+
+	const { state, conflicts } = mergeNoteStates(loadedNoteState, getEditorNoteState(), noteToEditorState(conflictNote));
+	const noteId = conflictNote.id;
+	closeConflictModal();
+
+	try {
+		// Güncel sürüm yeni taban olur, birleşik içerik kaydedilmemiş değişiklik olarak kalır
+		await loadNote(noteId);
+		applyEditorNoteState(state);
+
+		if (conflicts > 0) {
+			showNotification(`Değişiklikler birleştirildi; ${conflicts} çakışmada iki sürüm de korundu. Kontrol edip kaydedin.`, 'info');
+		} else {
+			showNotification('Değişiklikler birleştirildi. Kontrol edip kaydedin.', 'info');
+		}
+	} catch (error) {
+		console.error('Error in mergeConflictedNote:', error);
+		showNotification('Değişiklikler birleştirilirken hata oluştu!', 'error');
+	}
+}
+
+// Modal dışına tıklama ile kapatma
+document.getElementById('conflict-modal').addEventListener('click', function(e) {
+	if (e.target === this) {
+		closeConflictModal();
+	}
+});
+
+window.closeConflictModal = closeConflictModal;
+window.reloadConflictedNote = reloadConflictedNote;
+window.keepMyConflictedNote = keepMyConflictedNote;
+window.mergeConflictedNote = mergeConflictedNote;
+/* ---------- Smart Views ---------- */
+let currentSmartViewId = null;
+let editingSmartViewId = null;
+
+// Scope select values and the getNotesWithFilters options they stand for
+const smartViewScopes = {
+	active: {},
+	favorites: { onlyFavorites: true },
+	archive: { onlyArchived: true },
+	all: { includeArchived: true },
+	trash: { includeDeleted: true, onlyDeleted: true }
+};
+
+// Boolean filters offered as checkboxes, matching the list options popup
+const smartViewFlagLabels = {
+	hasOverdue: 'Süresi geçmiş',
+	hasDueDate: 'Bitiş tarihi olan',
+	hasColor: 'Renkli',
+	hasReminder: 'Hatırlatıcısı olan',
+	hasParentNote: 'Üst notu olan',
+	hasComments: 'Yorumu olan',
+	hasFolder: 'Klasörü olan'
+};
+
+// Counting walks every note, so a burst of sidebar updates refreshes the smart views once
+const smartViewsRefreshDelay = 300;
+let smartViewsRefreshTimer = null;
+
+function scheduleSmartViewsRefresh() {
+	clearTimeout(smartViewsRefreshTimer);
+	smartViewsRefreshTimer = setTimeout(() => {
+		renderSmartViewsList().catch(error => {
+			console.error('Error in renderSmartViewsList:', error);
+		});
+	}, smartViewsRefreshDelay);
+}
+
+// Render smart views with their note counts in the sidebar
+async function renderSmartViewsList() {
+	const list = document.getElementById('smart-views-list');
+	if (!list) return;
+
+	const [smartViews, counts] = await Promise.all([
+		window.getAllSmartViews(),
+		window.getSmartViewCounts()
+	]);
+	smartViews.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+	if (smartViews.length === 0) {
+		list.innerHTML = '<p class="smart-views-empty">Kayıtlı görünüm yok.</p>';
+		return;
+	}
+
+	list.innerHTML = smartViews.map(smartView => `
+      <div class="nav-item smart-view-item ${currentView === 'smart-view' && currentSmartViewId === smartView.id ? 'active' : ''}" data-smart-view-id="${smartView.id}" onclick="showSmartView(${smartView.id})">
+        <i class="bi bi-funnel"></i>
+        <span>${escapeHtml(smartView.name)}</span>
+        <button type="button" class="smart-view-edit-btn" title="Düzenle" onclick="event.stopPropagation(); openSmartViewModal(${smartView.id})">
+          <i class="bi bi-pencil"></i>
+        </button>
+        <span class="count">${counts[smartView.id] || 0}</span>
+      </div>
+    `).join('');
+
+	smartViews.forEach(smartView => {
+		updateCountElement(`[data-smart-view-id="${smartView.id}"] .count`, counts[smartView.id] || 0);
+	});
+}
+
+// Show the notes of a smart view
+async function showSmartView(smartViewId) {
+	currentView = 'smart-view';
+	currentSmartViewId = smartViewId;
+	currentSidebarView = 'smart-view';
+	clearEditor();
+
+	document.querySelectorAll('.nav-item').forEach(item => {
+		item.classList.toggle('active', item.dataset.smartViewId === String(smartViewId));
+	});
+
+	// Editor panelini aktif et
+	const editorPanel = document.querySelector('.editor-panel');
+	if (editorPanel) {
+		editorPanel.classList.remove('disabled');
+	}
+
+	updatePermanentDeleteButtonVisibility();
+	await loadSmartViewNotes();
+}
+
+// Load notes for the current smart view
+async function loadSmartViewNotes() {
+	try {
+		const smartView = await window.getSmartViewById(currentSmartViewId);
+		if (!smartView) {
+			// Görünüm başka bir yerde silindiyse notlara dön
+			currentSmartViewId = null;
+			await showAllNotes();
+			return [];
+		}
+
+		updateNotesHeaderTitle(smartView.name);
+
+		// Görünümün kendi sıralaması yoksa geçerli sıralama kullanılır
+		const notes = await getNotesPage({
+			sortBy: currentSortOption,
+			sortDirection: currentSortDirection,
+			...smartView.filters
+		});
+		if (!notes) return null;
+
+		await displayNotes(notes);
+
+		// Apply view preferences after notes are displayed
+		setTimeout(() => {
+			applyViewPreferences();
+		}, 100);
+
+		return notes;
+	} catch (error) {
+		console.error('Error in loadSmartViewNotes:', error);
+		throw error;
+	}
+}
+
+// Filters of the notes list as it is currently configured
+function getCurrentListFilters() {
+	return {
+		hasOverdue: showOverdueOnly,
+		hasDueDate: showHasDueDateOnly,
+		hasColor: showHasColorOnly,
+		hasReminder: showHasReminderOnly,
+		hasParentNote: showHasParentNoteOnly,
+		hasComments: showHasCommentsOnly,
+		hasFolder: showHasFolderInfoOnly,
+		searchText: searchInput ? searchInput.value.trim() : '',
+		sortBy: currentSortOption,
+		sortDirection: currentSortDirection
+	};
+}
+
+// Open the smart view editor; without an id it starts from the current list filters
+async function openSmartViewModal(smartViewId = null) {
+	const modal = document.getElementById('smart-view-modal');
+	if (!modal) return;
+
+	try {
+		const [smartView, folders, tags] = await Promise.all([
+			smartViewId ? window.getSmartViewById(smartViewId) : null,
+			window.getAllFolders(),
+			window.getAllTags()
+		]);
+
+		editingSmartViewId = smartView ? smartView.id : null;
+		const filters = smartView ? smartView.filters || {} : getCurrentListFilters();
+
+		document.getElementById('smart-view-modal-title').textContent = smartView ? 'Akıllı Görünümü Düzenle' : 'Yeni Akıllı Görünüm';
+		document.getElementById('smart-view-name-input').value = smartView ? smartView.name : '';
+		document.getElementById('smart-view-search-input').value = filters.searchText || '';
+		document.getElementById('delete-smart-view-btn').classList.toggle('d-none', !smartView);
+
+		const scope = Object.keys(smartViewScopes).find(key =>
+			key !== 'active' && Object.keys(smartViewScopes[key]).every(option => filters[option])
+		) || 'active';
+		document.getElementById('smart-view-scope-select').value = scope;
+
+		document.getElementById('smart-view-flags').innerHTML = Object.entries(smartViewFlagLabels).map(([key, label]) => `
+      <label class="smart-view-flag">
+        <input type="checkbox" value="${key}" ${filters[key] ? 'checked' : ''} />
+        <span>${label}</span>
+      </label>
+    `).join('');
+
+		folders.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+		document.getElementById('smart-view-folder-select').innerHTML = '<option value="">Tüm klasörler</option>' + folders.map(folder => `
+      <option value="${folder.id}" ${filters.folderId === folder.id ? 'selected' : ''}>${escapeHtml(folder.name)}</option>
+    `).join('');
+
+		tags.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+		const selectedTagIds = filters.tagIds || [];
+		document.getElementById('smart-view-tags').innerHTML = tags.length === 0
+			? '<p class="smart-views-empty">Etiket yok.</p>'
+			: tags.map(tag => `
+      <label class="smart-view-tag">
+        <input type="checkbox" value="${tag.id}" ${selectedTagIds.includes(tag.id) ? 'checked' : ''} />
+        <span>${escapeHtml(tag.name)}</span>
+      </label>
+    `).join('');
+		document.getElementById('smart-view-tag-match-select').value = filters.tagMatch === 'all' ? 'all' : 'any';
+
+		document.getElementById('smart-view-sort-select').value = filters.sortBy || '';
+		document.getElementById('smart-view-direction-select').value = filters.sortDirection || 'desc';
+
+		modal.classList.remove('d-none');
+		modal.classList.add('d-flex');
+		document.getElementById('smart-view-name-input').focus();
+	} catch (error) {
+		console.error('Error in openSmartViewModal:', error);
+		showNotification('Akıllı görünüm açılırken hata oluştu!', 'error');
+	}
+}
+
+function closeSmartViewModal() {
+	const modal = document.getElementById('smart-view-modal');
+	if (modal) {
+		modal.classList.remove('d-flex');
+		modal.classList.add('d-none');
+	}
+	editingSmartViewId = null;
+}
+
+// Read getNotesWithFilters options from the modal form
+function readSmartViewFilters() {
+	const filters = { ...smartViewScopes[document.getElementById('smart-view-scope-select').value] };
+
+	document.querySelectorAll('#smart-view-flags input:checked').forEach(input => {
+		filters[input.value] = true;
+	});
+
+	const folderId = document.getElementById('smart-view-folder-select').value;
+	if (folderId) {
+		filters.folderId = parseInt(folderId);
+	}
+
+	const tagIds = Array.from(document.querySelectorAll('#smart-view-tags input:checked')).map(input => parseInt(input.value));
+	if (tagIds.length > 0) {
+		filters.tagIds = tagIds;
+		filters.tagMatch = document.getElementById('smart-view-tag-match-select').value;
+	}
+
+	filters.searchText = document.getElementById('smart-view-search-input').value.trim();
+
+	const sortBy = document.getElementById('smart-view-sort-select').value;
+	if (sortBy) {
+		filters.sortBy = sortBy;
+		filters.sortDirection = document.getElementById('smart-view-direction-select').value;
+	}
+
+	return filters;
+}
+
+// Create or update the smart view from the modal
+async function saveSmartView() {
+	const name = document.getElementById('smart-view-name-input').value.trim();
+	if (!name) {
+		showNotification('Lütfen görünüm adı giriniz!', 'info');
+		document.getElementById('smart-view-name-input').focus();
+		return;
+	}
+
+	try {
+		const isDuplicate = await window.checkDuplicateSmartView(name, editingSmartViewId);
+		if (isDuplicate) {
+			showNotification('Bu isimde bir görünüm zaten mevcut!', 'error');
+			return;
+		}
+
+		const smartViewData = { name, filters: readSmartViewFilters() };
+
+		if (editingSmartViewId) {
+			await window.updateSmartViewById(editingSmartViewId, smartViewData);
+			showNotification('Akıllı görünüm güncellendi!', 'success');
+			closeSmartViewModal();
+		} else {
+			const smartViewId = await window.createSmartView(smartViewData);
+			showNotification('Akıllı görünüm oluşturuldu!', 'success');
+			closeSmartViewModal();
+			await showSmartView(smartViewId);
+		}
+	} catch (error) {
+		console.error('Error in saveSmartView:', error);
+		showNotification('Akıllı görünüm kaydedilirken hata oluştu!', 'error');
+	}
+}
+
+// Ask before deleting the smart view being edited
+function openSmartViewDeleteModal() {
+	const modal = document.getElementById('smart-view-delete-modal');
+	if (!modal || !editingSmartViewId) return;
+
+	const name = document.getElementById('smart-view-name-input').value.trim();
+	document.getElementById('smart-view-delete-text').textContent = `"${name}" görünümünü silmek istediğinizden emin misiniz? Görünümdeki notlar silinmez.`;
+
+	modal.classList.remove('d-none');
+	modal.classList.add('d-flex');
+}
+
+function closeSmartViewDeleteModal() {
+	const modal = document.getElementById('smart-view-delete-modal');
+	if (modal) {
+		modal.classList.add('d-none');
+		modal.classList.remove('d-flex');
+	}
+}
+
+// Delete the smart view being edited
+async function confirmSmartViewDelete() {
+	if (!editingSmartViewId) {
+		closeSmartViewDeleteModal();
+		return;
+	}
+
+	try {
+		await window.deleteSmartViewById(editingSmartViewId);
+		closeSmartViewDeleteModal();
+		closeSmartViewModal();
+		showNotification('Akıllı görünüm silindi!', 'success');
+	} catch (error) {
+		console.error('Error in confirmSmartViewDelete:', error);
+		showNotification('Akıllı görünüm silinirken hata oluştu!', 'error');
+	}
+}
+
+const newSmartViewBtn = document.getElementById('new-smart-view-btn');
+if (newSmartViewBtn) {
+	newSmartViewBtn.addEventListener('click', () => openSmartViewModal());
+}
+
+// Modal dışına tıklama ile kapatma
+document.getElementById('smart-view-modal').addEventListener('click', function(e) {
+	if (e.target === this) {
+		closeSmartViewModal();
+	}
+});
+document.getElementById('smart-view-delete-modal').addEventListener('click', function(e) {
+	if (e.target === this) {
+		closeSmartViewDeleteModal();
+	}
+});
+
+window.showSmartView = showSmartView;
+window.openSmartViewModal = openSmartViewModal;
+window.closeSmartViewModal = closeSmartViewModal;
+window.saveSmartView = saveSmartView;
+window.openSmartViewDeleteModal = openSmartViewDeleteModal;
+window.closeSmartViewDeleteModal = closeSmartViewDeleteModal;
+window.confirmSmartViewDelete = confirmSmartViewDelete;
+/* ---------- Search Query Hints and Autocomplete ---------- */
+let searchSuggestions = [];
+let activeSearchSuggestion = -1;
+
+// Show query syntax errors under the search input
+function updateSearchHint(errors) {
+	const hint = document.getElementById('search-hint');
+	if (!hint) return;
+
+	if (!errors || errors.length === 0) {
+		hint.classList.add('d-none');
+		hint.textContent = '';
+		return;
+	}
+
+	hint.textContent = errors.map(error => error.message).join(' · ');
+	hint.classList.remove('d-none');
+}
+
+// Operator or value being typed right before the caret
+function getSearchAutocompleteContext() {
+	const before = searchInput.value.slice(0, searchInput.selectionStart);
+
+	const operatorMatch = /(?:^|\s)-?([a-zA-Z]+):(?:"([^"]*)|([^\s"]*))$/.exec(before);
+	if (operatorMatch) {
+		const partial = operatorMatch[2] !== undefined ? operatorMatch[2] : operatorMatch[3];
+		const quoteOffset = operatorMatch[2] !== undefined ? 1 : 0;
+		return {
+			type: 'value',
+			key: operatorMatch[1].toLowerCase(),
+			partial,
+			replaceFrom: before.length - partial.length - quoteOffset
+		};
+	}
+
+	const wordMatch = /(?:^|\s)([a-zA-Z]{2,})$/.exec(before);
+	if (wordMatch) {
+		return {
+			type: 'key',
+			partial: wordMatch[1].toLowerCase(),
+			replaceFrom: before.length - wordMatch[1].length
+		};
+	}
+
+	return null;
+}
+
+// Candidate completions for the current context
+async function getSearchSuggestions(context) {
+	const operators = window.SEARCH_QUERY_OPERATORS;
+
+	if (context.type === 'key') {
+		return Object.entries(operators)
+			.filter(([key]) => key.startsWith(context.partial) && key !== context.partial)
+			.map(([key, operator]) => ({ label: `${key}:`, description: operator.label, insert: `${key}:`, keepOpen: true }));
+	}
+
+	const operator = operators[context.key];
+	if (!operator) return [];
+
+	let names;
+	if (context.key === 'tag') {
+		names = (await window.getAllTags()).map(tag => tag.name);
+	} else if (context.key === 'folder') {
+		names = (await window.getAllFolders()).map(folder => folder.name);
+	} else if (context.key === 'parent') {
+		names = (await window.getAllNotes()).filter(note => !note.isDeleted).map(note => note.title);
+	} else {
+		names = operator.values || [];
+	}
+
+	const partial = window.foldSearchText(context.partial);
+	return [...new Set(names.filter(Boolean))]
+		.filter(name => window.foldSearchText(name).includes(partial))
+		.sort((a, b) => window.foldSearchText(a).indexOf(partial) - window.foldSearchText(b).indexOf(partial) || a.localeCompare(b))
+		.slice(0, 8)
+		.map(name => ({
+			label: name,
+			description: operator.label,
+			// Karşılaştırma ve tarih önekleri değer beklediği için boşluk eklenmez
+			insert: /\s/.test(name) ? `"${name}" ` : ['<', '>'].includes(name) ? name : `${name} `,
+			keepOpen: ['<', '>'].includes(name)
+		}));
+}
+
+async function updateSearchAutocomplete() {
+	const dropdown = document.getElementById('search-autocomplete');
+	if (!dropdown || !searchInput) return;
+
+	const context = getSearchAutocompleteContext();
+	searchSuggestions = context ? await getSearchSuggestions(context) : [];
+	searchSuggestions.forEach(suggestion => {
+		suggestion.replaceFrom = context.replaceFrom;
+	});
+	activeSearchSuggestion = searchSuggestions.length > 0 ? 0 : -1;
+
+	renderSearchAutocomplete();
+}
+
+function renderSearchAutocomplete() {
+	const dropdown = document.getElementById('search-autocomplete');
+	if (!dropdown) return;
+
+	if (searchSuggestions.length === 0) {
+		closeSearchAutocomplete();
+		return;
+	}
+
+	dropdown.innerHTML = searchSuggestions.map((suggestion, index) => `
+      <div class="search-autocomplete-item ${index === activeSearchSuggestion ? 'active' : ''}" onmousedown="event.preventDefault(); applySearchSuggestion(${index})">
+        <span class="search-autocomplete-label">${escapeHtml(suggestion.label)}</span>
+        <span class="search-autocomplete-description">${escapeHtml(suggestion.description)}</span>
+      </div>
+    `).join('');
+	dropdown.classList.remove('d-none');
+}
+
+function closeSearchAutocomplete() {
+	const dropdown = document.getElementById('search-autocomplete');
+	if (dropdown) {
+		dropdown.classList.add('d-none');
+		dropdown.innerHTML = '';
+	}
+	searchSuggestions = [];
+	activeSearchSuggestion = -1;
+}
+
+// Replace the typed fragment with the chosen suggestion
+function applySearchSuggestion(index) {
+	const suggestion = searchSuggestions[index];
+	if (!suggestion) return;
+
+	const caret = searchInput.selectionStart;
+	let after = searchInput.value.slice(caret);
+	// Açık tırnaklı değerin geri kalanı da değiştirilir
+	if (suggestion.insert.endsWith('" ')) {
+		after = after.replace(/^[^"]*"?\s?/, '');
+	}
+
+	searchInput.value = searchInput.value.slice(0, suggestion.replaceFrom) + suggestion.insert + after;
+	const position = suggestion.replaceFrom + suggestion.insert.length;
+	searchInput.setSelectionRange(position, position);
+	searchInput.focus();
+
+	searchNotes(searchInput.value);
+	if (suggestion.keepOpen) {
+		updateSearchAutocomplete();
+	} else {
+		closeSearchAutocomplete();
+	}
+}
+
+function handleSearchAutocompleteKeydown(e) {
+	if (searchSuggestions.length === 0) return;
+
+	if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+		e.preventDefault();
+		const step = e.key === 'ArrowDown' ? 1 : -1;
+		activeSearchSuggestion = (activeSearchSuggestion + step + searchSuggestions.length) % searchSuggestions.length;
+		renderSearchAutocomplete();
+	} else if (e.key === 'Enter' || e.key === 'Tab') {
+		e.preventDefault();
+		applySearchSuggestion(activeSearchSuggestion);
+	} else if (e.key === 'Escape') {
+		closeSearchAutocomplete();
+	}
+}
+
+window.applySearchSuggestion = applySearchSuggestion;
+
+/* ---------- Search Scope ---------- */
+const searchScopeStorageKey = 'noteflix-search-scope';
+
+// Where each hit was found; tag and folder names only count for ranking
+const searchHitLabels = {
+	title: { label: 'Başlık', icon: 'bi-type' },
+	body: { label: 'İçerik', icon: 'bi-text-paragraph' },
+	checklist: { label: 'Kontrol listesi', icon: 'bi-check2-square' },
+	comments: { label: 'Yorum', icon: 'bi-chat-dots' }
+};
+
+function getSearchScope() {
+	return localStorage.getItem(searchScopeStorageKey) || 'active';
+}
+
+// Base filters for the selected scope; "current" follows the open list
+async function getSearchScopeFilters() {
+	const scope = getSearchScope();
+	if (scope !== 'current') return window.SEARCH_SCOPE_FILTERS[scope] || {};
+
+	switch (currentView) {
+		case 'favorites':
+			return { onlyFavorites: true };
+		case 'archive':
+			return window.SEARCH_SCOPE_FILTERS.archive;
+		case 'trash':
+			return window.SEARCH_SCOPE_FILTERS.trash;
+		case 'reminders':
+			return { hasReminder: true };
+		case 'smart-view': {
+			const smartView = await window.getSmartViewById(currentSmartViewId);
+			if (!smartView) return {};
+			// Görünümün kendi metni ve sıralaması aramayı etkilemez
+			const { searchText, sortBy, sortDirection, ...filters } = smartView.filters || {};
+			return filters;
+		}
+		case 'notes': {
+			const { searchText, sortBy, sortDirection, ...filters } = getCurrentListFilters();
+			return filters;
+		}
+		default:
+			return {};
+	}
+}
+
+function initSearchScopeSelect() {
+	const select = document.getElementById('search-scope-select');
+	if (!select) return;
+
+	select.value = getSearchScope();
+	select.addEventListener('change', () => {
+		localStorage.setItem(searchScopeStorageKey, select.value);
+		if (searchInput && searchInput.value.trim()) {
+			searchNotes(searchInput.value);
+		}
+	});
+}
+
+function renderSearchHitBadges(note) {
+	const fields = note.searchMatch.fields.filter(field => searchHitLabels[field]);
+	if (fields.length === 0) return '';
+
+	return `
+        <div class="note-search-hits">
+          ${fields.map(field => `
+            <span class="note-search-hit" title="Eşleşme: ${searchHitLabels[field].label}">
+              <i class="bi ${searchHitLabels[field].icon}"></i>${searchHitLabels[field].label}
+            </span>
+          `).join('')}
+        </div>
+  `;
+}
+
+// Open a search result; comment hits also open the comments modal on the matched comments
+async function openSearchResult(noteId) {
+	const searchMatch = searchResultMatches.get(noteId);
+	await loadNote(noteId);
+
+	const commentIds = searchMatch ? searchMatch.commentIds || [] : [];
+	if (commentIds.length === 0) return;
+
+	await openCommentsModal();
+
+	const commentElements = commentIds
+		.map(commentId => document.querySelector(`#comments-list .comment-item[data-comment-id="${commentId}"]`))
+		.filter(Boolean);
+	commentElements.forEach(element => element.classList.add('comment-search-hit'));
+	if (commentElements.length > 0) {
+		commentElements[0].scrollIntoView({ block: 'nearest' });
+	}
+}
+
+initSearchScopeSelect();
+
+window.openSearchResult = openSearchResult;
+/* ---------- Find and Replace Panel ---------- */
+const findReplacePanel = document.getElementById('find-replace-panel');
+const findInput = document.getElementById('find-input');
+const replaceInput = document.getElementById('replace-input');
+
+function isFindPanelOpen() {
+	return !findReplacePanel.classList.contains('d-none');
+}
+
+// Open the panel; the selected text (single line) becomes the query
+function openFindPanel(withReplace = false) {
+	findReplacePanel.classList.remove('d-none');
+	if (withReplace) {
+		document.getElementById('replace-row').classList.remove('d-none');
+	}
+
+	const { from, to } = editor.state.selection;
+	if (from !== to) {
+		const selectedText = editor.state.doc.textBetween(from, to, '\n');
+		if (!selectedText.includes('\n')) findInput.value = selectedText;
+	}
+
+	updateFindQuery();
+	setTimeout(() => {
+		const input = withReplace && findInput.value ? replaceInput : findInput;
+		input.focus();
+		input.select();
+	}, 0);
+}
+
+function closeFindPanel() {
+	findReplacePanel.classList.add('d-none');
+	document.getElementById('replace-row').classList.add('d-none');
+	editor.commands.clearFind();
+	editor.commands.focus();
+}
+
+function getFindOptions() {
+	return {
+		query: findInput.value,
+		caseSensitive: document.getElementById('find-case-btn').classList.contains('active'),
+		wholeWord: document.getElementById('find-word-btn').classList.contains('active'),
+		regex: document.getElementById('find-regex-btn').classList.contains('active')
+	};
+}
+
+function updateFindQuery() {
+	editor.commands.setFindOptions(getFindOptions());
+	updateFindCounter();
+}
+
+function updateFindCounter() {
+	const { matches, activeIndex, invalid } = findReplacePluginKey.getState(editor.state);
+	const counter = document.getElementById('find-counter');
+
+	if (invalid) {
+		counter.textContent = 'Geçersiz ifade';
+	} else if (matches.length === 0) {
+		counter.textContent = 'Sonuç yok';
+	} else {
+		counter.textContent = `${activeIndex + 1}/${matches.length}`;
+	}
+
+	counter.classList.toggle('error', invalid || (Boolean(findInput.value) && matches.length === 0));
+}
+
+function replaceCurrentMatch() {
+	if (editor.commands.replaceFindMatch(replaceInput.value)) {
+		editor.commands.selectFindMatch();
+	}
+}
+
+function replaceAllMatches() {
+	const { matches } = findReplacePluginKey.getState(editor.state);
+	if (editor.commands.replaceAllFindMatches(replaceInput.value)) {
+		showNotification(`${matches.length} eşleşme değiştirildi`, 'success');
+	}
+}
+
+// Keep the counter in sync with edits and note switches
+editor.on('transaction', () => {
+	if (isFindPanelOpen()) updateFindCounter();
+});
+
+findInput.addEventListener('input', updateFindQuery);
+
+['find-case-btn', 'find-word-btn', 'find-regex-btn'].forEach(id => {
+	document.getElementById(id).addEventListener('click', (e) => {
+		e.currentTarget.classList.toggle('active');
+		updateFindQuery();
+	});
+});
+
+document.getElementById('find-prev-btn').addEventListener('click', () => editor.commands.findPrevious());
+document.getElementById('find-next-btn').addEventListener('click', () => editor.commands.findNext());
+document.getElementById('find-replace-toggle-btn').addEventListener('click', () => {
+	document.getElementById('replace-row').classList.toggle('d-none');
+});
+document.getElementById('find-close-btn').addEventListener('click', closeFindPanel);
+document.getElementById('replace-btn').addEventListener('click', replaceCurrentMatch);
+document.getElementById('replace-all-btn').addEventListener('click', replaceAllMatches);
+
+findInput.addEventListener('keydown', (e) => {
+	if (e.key === 'Enter') {
+		e.preventDefault();
+		if (e.shiftKey) {
+			editor.commands.findPrevious();
+		} else {
+			editor.commands.findNext();
+		}
+	}
+});
+
+replaceInput.addEventListener('keydown', (e) => {
+	if (e.key === 'Enter') {
+		e.preventDefault();
+		if (e.ctrlKey || e.metaKey) {
+			replaceAllMatches();
+		} else {
+			replaceCurrentMatch();
+		}
+	}
+});
+
+// Panel içindeyken kısayollar tarayıcıya gitmez
+findReplacePanel.addEventListener('keydown', (e) => {
+	if (e.key === 'Escape') {
+		e.preventDefault();
+		closeFindPanel();
+	} else if ((e.ctrlKey || e.metaKey) && (e.key === 'f' || e.key === 'h')) {
+		e.preventDefault();
+		openFindPanel(e.key === 'h');
+	}
+});
+
+/* ---------- Wiki Links and Backlinks ---------- */
+// Reload the id → title cache and relabel rendered links
+async function refreshNoteLinkTitles() {
+	try {
+		const notes = await window.getAllNotes();
+		noteLinkTitles.clear();
+		notes.forEach(note => {
+			noteLinkTitles.set(note.id, { title: note.title, isDeleted: note.isDeleted === true });
+		});
+		document.querySelectorAll('#editor .note-link[data-note-id]').forEach(renderNoteLinkElement);
+	} catch (error) {
+		console.error('Error loading note link titles:', error);
+	}
+}
+
+function renderNoteLinkElement(element) {
+	const noteId = Number(element.dataset.noteId);
+	const note = noteLinkTitles.get(noteId);
+	element.textContent = getNoteLinkLabel(noteId, element.dataset.fallbackTitle);
+	element.classList.toggle('broken', noteLinkTitles.size > 0 && (!note || note.isDeleted));
+	element.title = note && !note.isDeleted ? 'Notu aç' : 'Bağlantılı not silinmiş';
+}
+
+function findNoteByLinkTitle(title) {
+	const foldedTitle = window.foldSearchText(title.trim());
+	for (const [id, note] of noteLinkTitles) {
+		if (!note.isDeleted && window.foldSearchText(note.title || '') === foldedTitle) {
+			return { id, title: note.title };
+		}
+	}
+	return null;
+}
+
+// Save pending edits, then open the linked note
+async function openLinkedNote(noteId) {
+	const note = noteLinkTitles.get(noteId);
+	if (!note || note.isDeleted) {
+		showNotification('Bağlantılı not bulunamadı!', 'error');
+		return;
+	}
+
+	try {
+		if (currentNoteId && hasUnsavedChanges()) {
+			const savedId = await saveNote();
+			// Çakışma penceresi açıldıysa geçiş yapılmaz
+			if (!savedId) return;
+		}
+		await loadNote(noteId);
+	} catch (error) {
+		console.error('Error opening linked note:', error);
+	}
+}
+
+// Show suggestions while the caret is inside an unfinished [[...
+function updateNoteLinkSuggestions(view) {
+	// Not yüklenirken veya editör odakta değilken öneri açılmaz
+	if (!view.hasFocus()) return;
+
+	const { selection } = view.state;
+	const { $from } = selection;
+	if (!selection.empty || !$from.parent.isTextblock) {
+		closeNoteLinkSuggestions();
+		return;
+	}
+
+	const textBefore = $from.parent.textBetween(Math.max(0, $from.parentOffset - 100), $from.parentOffset, null, '\ufffc');
+	const match = /\[\[([^\[\]\n\ufffc]*)$/.exec(textBefore);
+	if (!match) {
+		dismissedNoteLinkFrom = null;
+		closeNoteLinkSuggestions();
+		return;
+	}
+
+	const from = $from.pos - match[0].length;
+	if (from === dismissedNoteLinkFrom) return;
+	// Aynı sorgu için seçili öneri korunur
+	if (noteLinkRange && noteLinkRange.from === from && noteLinkQuery === match[1] && !noteLinkPopup.classList.contains('d-none')) return;
+
+	noteLinkRange = { from, to: $from.pos };
+	noteLinkQuery = match[1];
+	noteLinkSuggestions = Array.from(noteLinkTitles, ([id, note]) => ({ id, title: note.title || 'Başlıksız Not', isDeleted: note.isDeleted }))
+		.filter(note => !note.isDeleted && note.id !== currentNoteId)
+		.map(note => ({ ...note, match: window.fuzzyMatch(noteLinkQuery, note.title) }))
+		.filter(note => note.match)
+		.sort((a, b) => b.match.score - a.match.score || a.title.localeCompare(b.title, 'tr'))
+		.slice(0, 8);
+	noteLinkSuggestionIndex = 0;
+
+	renderNoteLinkSuggestions();
+	positionPopupAt(noteLinkPopup, view.coordsAtPos(from));
+	openPopup(noteLinkPopup);
+}
+
+function renderNoteLinkSuggestions() {
+	if (noteLinkSuggestions.length === 0) {
+		noteLinkPopup.innerHTML = '<div class="note-link-empty">Eşleşen not yok</div>';
+		return;
+	}
+
+	noteLinkPopup.innerHTML = noteLinkSuggestions.map((note, index) => `
+      <div class="command-item ${index === noteLinkSuggestionIndex ? 'selected' : ''}" onmousedown="event.preventDefault()" onclick="selectNoteLinkSuggestion(${index})">
+        <i class="bi bi-file-earmark-text"></i>
+        <span>${highlightSearchRanges(note.title, note.match.ranges)}</span>
+      </div>
+    `).join('');
+}
+
+function closeNoteLinkSuggestions() {
+	if (noteLinkPopup && !noteLinkPopup.classList.contains('d-none')) {
+		closePopup(noteLinkPopup);
+	}
+	noteLinkRange = null;
+	noteLinkQuery = null;
+}
+
+function selectNoteLinkSuggestion(index) {
+	const note = noteLinkSuggestions[index];
+	if (!note || !noteLinkRange) return;
+
+	editor.chain().focus().insertContentAt(noteLinkRange, [{
+		type: 'noteLink',
+		attrs: { noteId: note.id, title: note.title }
+	}, {
+		type: 'text',
+		text: ' '
+	}]).run();
+	closeNoteLinkSuggestions();
+}
+
+function handleNoteLinkSuggestionKeydown(event) {
+	if (!noteLinkRange || noteLinkPopup.classList.contains('d-none')) return false;
+
+	if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+		if (noteLinkSuggestions.length === 0) return false;
+		const step = event.key === 'ArrowDown' ? 1 : -1;
+		noteLinkSuggestionIndex = (noteLinkSuggestionIndex + step + noteLinkSuggestions.length) % noteLinkSuggestions.length;
+		renderNoteLinkSuggestions();
+		return true;
+	}
+	if ((event.key === 'Enter' || event.key === 'Tab') && noteLinkSuggestions.length > 0) {
+		selectNoteLinkSuggestion(noteLinkSuggestionIndex);
+		return true;
+	}
+	if (event.key === 'Escape') {
+		dismissedNoteLinkFrom = noteLinkRange.from;
+		closeNoteLinkSuggestions();
+		return true;
+	}
+	return false;
+}
+
+// List notes linking to the open one in the metadata area
+async function updateBacklinksDisplay() {
+	const display = document.getElementById('backlinks-display');
+	const list = document.getElementById('backlinks-list');
+	if (!display || !list) return;
+
+	try {
+		const backlinks = currentNoteId ? await window.getBacklinks(currentNoteId) : [];
+		list.innerHTML = backlinks.map(note => `
+      <button type="button" class="backlink-chip" onclick="openLinkedNote(${note.id})">${escapeHtml(note.title || 'Başlıksız Not')}</button>
+    `).join('');
+		display.style.display = backlinks.length > 0 ? 'flex' : 'none';
+	} catch (error) {
+		console.error('Error loading backlinks:', error);
+		display.style.display = 'none';
+	}
+
+	updateMetadataContainerVisibility();
+}
+
+function handleNoteLinkChanges(events) {
+	// Başlık, silme veya geri yükleme bağlantı etiketlerini etkiler
+	if (events.some(event => event.type !== 'note:updated' || (event.changes || []).includes('title'))) {
+		refreshNoteLinkTitles();
+	}
+	// Bağlantı veren notların içeriği değiştiyse geri bağlantılar yeniden yüklenir
+	if (currentNoteId && events.some(event => event.id !== currentNoteId || event.type !== 'note:updated')) {
+		updateBacklinksDisplay();
+	}
+}
+
+window.openLinkedNote = openLinkedNote;
+window.selectNoteLinkSuggestion = selectNoteLinkSuggestion;
+/* ---------- Note Tree ---------- */
+const noteTreeModeKey = 'noteflix-note-tree-mode';
+const noteTreeCollapsedKey = 'noteflix-note-tree-collapsed';
+
+let isNoteTreeMode = localStorage.getItem(noteTreeModeKey) === 'true';
+let collapsedNoteIds = new Set(JSON.parse(localStorage.getItem(noteTreeCollapsedKey) || '[]'));
+// Parent of every note in the rendered tree, used to reject drops that would create a cycle
+let noteTreeParents = new Map();
+let draggedNoteId = null;
+
+// Nest the listed notes under their parents; notes whose parent is not listed become roots
+function renderNoteTree(notes, childCounts) {
+	const listedIds = new Set(notes.map(note => note.id));
+	const childrenByParent = new Map();
+	const roots = [];
+
+	noteTreeParents = new Map();
+	notes.forEach(note => {
+		const parentId = note.parentNoteId;
+		if (parentId && parentId !== note.id && listedIds.has(parentId)) {
+			noteTreeParents.set(note.id, parentId);
+			if (!childrenByParent.has(parentId)) childrenByParent.set(parentId, []);
+			childrenByParent.get(parentId).push(note);
+		} else {
+			roots.push(note);
+		}
+	});
+
+	const rendered = new Set();
+	const renderNode = (note, depth) => {
+		if (rendered.has(note.id)) return '';
+		rendered.add(note.id);
+
+		const children = childrenByParent.get(note.id) || [];
+		const collapsed = collapsedNoteIds.has(note.id);
+
+		return `
+      <div class="note-tree-node" style="--tree-depth: ${depth};">
+        ${renderNoteCard(note, childCounts, { depth, hasChildren: children.length > 0, collapsed })}
+        ${children.length > 0 ? `
+          <div class="note-tree-children ${collapsed ? 'd-none' : ''}" data-parent-id="${note.id}">
+            ${children.map(child => renderNode(child, depth + 1)).join('')}
+          </div>
+        ` : ''}
+      </div>
+    `;
+	};
+
+	let html = '<div class="note-tree-root-drop d-none"><i class="bi bi-box-arrow-up-left"></i><span>Üst seviyeye taşı</span></div>';
+	html += roots.map(note => renderNode(note, 0)).join('');
+	// Bozuk veride döngüdeki notlar da listelenir
+	html += notes.filter(note => !rendered.has(note.id)).map(note => renderNode(note, 0)).join('');
+	return html;
+}
+
+function renderNoteTreeToggle(noteId, treeNode) {
+	if (!treeNode.hasChildren) {
+		return '<span class="note-tree-toggle-spacer"></span>';
+	}
+
+	return `<button type="button" class="note-tree-toggle" onclick="event.stopPropagation(); toggleNoteTreeNode(${noteId})" title="${treeNode.collapsed ? 'Genişlet' : 'Daralt'}"><i class="bi bi-chevron-${treeNode.collapsed ? 'right' : 'down'}"></i></button>`;
+}
+
+function toggleNoteTreeNode(noteId) {
+	const children = document.querySelector(`.note-tree-children[data-parent-id="${noteId}"]`);
+	const toggle = document.querySelector(`.note-card[data-note-id="${noteId}"] .note-tree-toggle`);
+	if (!children || !toggle) return;
+
+	const collapsed = !collapsedNoteIds.has(noteId);
+	if (collapsed) {
+		collapsedNoteIds.add(noteId);
+	} else {
+		collapsedNoteIds.delete(noteId);
+	}
+	localStorage.setItem(noteTreeCollapsedKey, JSON.stringify(Array.from(collapsedNoteIds)));
+
+	children.classList.toggle('d-none', collapsed);
+	toggle.title = collapsed ? 'Genişlet' : 'Daralt';
+	toggle.innerHTML = `<i class="bi bi-chevron-${collapsed ? 'right' : 'down'}"></i>`;
+}
+
+function updateTreeModeButton() {
+	const button = document.getElementById('tree-mode-btn');
+	if (button) button.classList.toggle('active', isNoteTreeMode);
+}
+
+async function toggleNoteTreeMode() {
+	isNoteTreeMode = !isNoteTreeMode;
+	localStorage.setItem(noteTreeModeKey, String(isNoteTreeMode));
+	updateTreeModeButton();
+
+	try {
+		await reloadCurrentView();
+	} catch (error) {
+		console.error('Error switching note tree mode:', error);
+	}
+}
+
+// Whether moving a note under target would put it under itself
+function isNoteTreeDropAllowed(noteId, targetId) {
+	let id = targetId;
+	const visited = new Set();
+	while (id && !visited.has(id)) {
+		if (id === noteId) return false;
+		visited.add(id);
+		id = noteTreeParents.get(id);
+	}
+	return true;
+}
+
+async function moveNoteInTree(noteId, parentNoteId) {
+	try {
+		await window.moveNoteToParent(noteId, parentNoteId);
+
+		// Açık notun editör durumu da yeni üst notu izler
+		if (noteId === currentNoteId) {
+			currentParentNoteId = parentNoteId;
+			if (loadedNoteState) loadedNoteState.parentNoteId = parentNoteId;
+			updateParentNoteDisplay();
+		}
+
+		if (parentNoteId && collapsedNoteIds.has(parentNoteId)) {
+			collapsedNoteIds.delete(parentNoteId);
+			localStorage.setItem(noteTreeCollapsedKey, JSON.stringify(Array.from(collapsedNoteIds)));
+		}
+
+		showNotification(parentNoteId ? 'Not taşındı!' : 'Not üst seviyeye taşındı!', 'success');
+	} catch (error) {
+		if (error.name === window.NOTE_CYCLE_ERROR) {
+			showNotification('Not kendi alt notunun altına taşınamaz!', 'error');
+		} else {
+			console.error('Error moving note in tree:', error);
+			showNotification('Not taşınırken hata oluştu!', 'error');
+		}
+	}
+}
+
+// Breadcrumb of parent notes above the title
+async function updateNoteBreadcrumb() {
+	const breadcrumb = document.getElementById('note-breadcrumb');
+	if (!breadcrumb) return;
+
+	if (!currentNoteId || !currentParentNoteId) {
+		breadcrumb.classList.add('d-none');
+		breadcrumb.innerHTML = '';
+		return;
+	}
+
+	try {
+		const [parentNote, ancestors] = await Promise.all([
+			window.getNoteById(currentParentNoteId),
+			window.getNoteAncestors(currentParentNoteId)
+		]);
+		const path = parentNote ? [...ancestors, parentNote] : ancestors;
+
+		breadcrumb.innerHTML = path.map(note => `
+      <button type="button" class="breadcrumb-item" onclick="openLinkedNote(${note.id})">${escapeHtml(note.title || 'Başlıksız Not')}</button>
+      <i class="bi bi-chevron-right"></i>
+    `).join('');
+		breadcrumb.classList.toggle('d-none', path.length === 0);
+	} catch (error) {
+		console.error('Error loading note breadcrumb:', error);
+		breadcrumb.classList.add('d-none');
+	}
+}
+
+function handleNoteTreeChanges(events) {
+	// Üst notların başlığı veya yeri değişirse yol yeniden çizilir
+	if (currentParentNoteId && events.some(event => event.type !== 'note:updated' || (event.changes || []).some(change => change === 'title' || change === 'parentNoteId'))) {
+		updateNoteBreadcrumb();
+	}
+}
+
+if (notesListElement) {
+	notesListElement.addEventListener('dragstart', (e) => {
+		const card = e.target.closest && e.target.closest('.note-card[draggable="true"]');
+		if (!card) return;
+
+		draggedNoteId = Number(card.dataset.noteId);
+		e.dataTransfer.effectAllowed = 'move';
+		e.dataTransfer.setData('text/plain', String(draggedNoteId));
+		card.classList.add('dragging');
+
+		const rootDrop = notesListElement.querySelector('.note-tree-root-drop');
+		if (rootDrop) rootDrop.classList.remove('d-none');
+	});
+
+	notesListElement.addEventListener('dragover', (e) => {
+		if (draggedNoteId === null) return;
+
+		const rootDrop = e.target.closest('.note-tree-root-drop');
+		const card = e.target.closest('.note-card');
+		notesListElement.querySelectorAll('.drop-target').forEach(element => element.classList.remove('drop-target'));
+
+		if (rootDrop) {
+			e.preventDefault();
+			rootDrop.classList.add('drop-target');
+			return;
+		}
+
+		if (!card) return;
+		const targetId = Number(card.dataset.noteId);
+		if (targetId !== noteTreeParents.get(draggedNoteId) && isNoteTreeDropAllowed(draggedNoteId, targetId)) {
+			e.preventDefault();
+			e.dataTransfer.dropEffect = 'move';
+			card.classList.add('drop-target');
+		}
+	});
+
+	notesListElement.addEventListener('drop', (e) => {
+		if (draggedNoteId === null) return;
+		e.preventDefault();
+
+		const noteId = draggedNoteId;
+		const rootDrop = e.target.closest('.note-tree-root-drop');
+		const card = e.target.closest('.note-card');
+
+		if (rootDrop) {
+			moveNoteInTree(noteId, null);
+		} else if (card) {
+			moveNoteInTree(noteId, Number(card.dataset.noteId));
+		}
+	});
+
+	notesListElement.addEventListener('dragend', () => {
+		draggedNoteId = null;
+		notesListElement.querySelectorAll('.dragging, .drop-target').forEach(element => element.classList.remove('dragging', 'drop-target'));
+		const rootDrop = notesListElement.querySelector('.note-tree-root-drop');
+		if (rootDrop) rootDrop.classList.add('d-none');
+	});
+}
+
+updateTreeModeButton();
+
+window.toggleNoteTreeNode = toggleNoteTreeNode;
+window.toggleNoteTreeMode = toggleNoteTreeMode;
+/* ---------- Folder Tree ---------- */
+const folderTreeExpandedKey = 'noteflix-folder-tree-expanded';
+
+// Klasörler notlarıyla birlikte listelendiği için varsayılan olarak kapalıdır
+let expandedFolderIds = new Set(JSON.parse(localStorage.getItem(folderTreeExpandedKey) || '[]'));
+// Parent of every rendered folder, used to reject drops that would create a cycle
+let folderTreeParents = new Map();
+// { type: 'folder' | 'note', id, folderId } while something is dragged in the folders view
+let draggedFolderTreeItem = null;
+
+// Folders in display order with depth and full path; folders whose parent is missing become roots
+function buildFolderTree(folders, rootFolderId = null) {
+	const folderIds = new Set(folders.map(folder => folder.id));
+	const childrenByParent = new Map();
+
+	folders.forEach(folder => {
+		const parentId = folder.parentFolderId && folder.parentFolderId !== folder.id && folderIds.has(folder.parentFolderId) ? folder.parentFolderId : null;
+		if (!childrenByParent.has(parentId)) childrenByParent.set(parentId, []);
+		childrenByParent.get(parentId).push(folder);
+	});
+	childrenByParent.forEach(children => children.sort((a, b) => (a.name || '').localeCompare(b.name || '')));
+
+	const entries = [];
+	const visited = new Set();
+	const visit = (parentId, depth, parentPath) => {
+		(childrenByParent.get(parentId) || []).forEach(folder => {
+			if (visited.has(folder.id)) return;
+			visited.add(folder.id);
+
+			const name = folder.name || 'İsimsiz Klasör';
+			const path = parentPath ? `${parentPath} / ${name}` : name;
+			entries.push({ folder, depth, path, parentId });
+			visit(folder.id, depth + 1, path);
+		});
+	};
+
+	visit(rootFolderId, 0, '');
+
+	// Bozuk veride döngüdeki klasörler de listelenir
+	if (rootFolderId === null) {
+		folders.filter(folder => !visited.has(folder.id)).forEach(folder => {
+			if (visited.has(folder.id)) return;
+			visited.add(folder.id);
+			entries.push({ folder, depth: 0, path: folder.name || 'İsimsiz Klasör', parentId: null });
+			visit(folder.id, 1, folder.name || 'İsimsiz Klasör');
+		});
+	}
+
+	return entries;
+}
+
+// Fill the parent folder select of the new folder modal, leaving out the edited folder's subtree
+async function populateFolderParentSelect(selectedParentId = null, excludeFolderId = null) {
+	const select = document.getElementById('new-folder-parent-select');
+	if (!select) return;
+
+	select.innerHTML = '<option value="">Üst seviye</option>';
+
+	try {
+		const folders = await window.getAllFolders();
+		const excludedIds = new Set(excludeFolderId ? [excludeFolderId, ...buildFolderTree(folders, excludeFolderId).map(entry => entry.folder.id)] : []);
+
+		buildFolderTree(folders).forEach(({ folder, depth }) => {
+			if (excludedIds.has(folder.id)) return;
+
+			const option = document.createElement('option');
+			option.value = folder.id;
+			option.textContent = `${'\u00A0\u00A0'.repeat(depth)}${folder.name || 'İsimsiz Klasör'}`;
+			select.appendChild(option);
+		});
+
+		select.value = selectedParentId ? String(selectedParentId) : '';
+	} catch (error) {
+		console.error('Error loading parent folders:', error);
+	}
+}
+
+function getSelectedParentFolderId() {
+	const select = document.getElementById('new-folder-parent-select');
+	return select && select.value ? Number(select.value) : null;
+}
+
+function saveExpandedFolderIds() {
+	localStorage.setItem(folderTreeExpandedKey, JSON.stringify(Array.from(expandedFolderIds)));
+}
+
+function toggleFolderTreeNode(folderId) {
+	const children = document.querySelector(`.folder-tree-children[data-folder-id="${folderId}"]`);
+	const toggle = document.querySelector(`.folder-item[data-folder-id="${folderId}"] .note-tree-toggle`);
+	if (!children || !toggle) return;
+
+	const expanded = !expandedFolderIds.has(folderId);
+	if (expanded) {
+		expandedFolderIds.add(folderId);
+	} else {
+		expandedFolderIds.delete(folderId);
+	}
+	saveExpandedFolderIds();
+
+	children.classList.toggle('d-none', !expanded);
+	toggle.title = expanded ? 'Daralt' : 'Genişlet';
+	toggle.innerHTML = `<i class="bi bi-chevron-${expanded ? 'down' : 'right'}"></i>`;
+}
+
+// Keep a folder open after something is moved into it
+function expandFolderTreeNode(folderId) {
+	if (expandedFolderIds.has(folderId)) return;
+	expandedFolderIds.add(folderId);
+	saveExpandedFolderIds();
+}
+
+// Whether moving a folder into target would put it inside itself
+function isFolderTreeDropAllowed(folderId, targetId) {
+	let id = targetId;
+	const visited = new Set();
+	while (id && !visited.has(id)) {
+		if (id === folderId) return false;
+		visited.add(id);
+		id = folderTreeParents.get(id);
+	}
+	return true;
+}
+
+async function moveFolderInTree(folderId, parentFolderId) {
+	try {
+		await window.moveFolderToParent(folderId, parentFolderId);
+		if (parentFolderId) expandFolderTreeNode(parentFolderId);
+		showNotification(parentFolderId ? 'Klasör taşındı!' : 'Klasör üst seviyeye taşındı!', 'success');
+	} catch (error) {
+		if (error.name === window.FOLDER_CYCLE_ERROR) {
+			showNotification('Klasör kendi alt klasörüne taşınamaz!', 'error');
+		} else if (error.name === window.FOLDER_DUPLICATE_ERROR) {
+			showNotification('Hedef klasörde bu isimde bir klasör zaten mevcut!', 'error');
+		} else {
+			console.error('Error moving folder in tree:', error);
+			showNotification('Klasör taşınırken hata oluştu!', 'error');
+		}
+	}
+}
+
+async function moveNoteToFolderInTree(noteId, folderId) {
+	try {
+		await window.moveNotesToFolder([noteId], folderId);
+		if (folderId) expandFolderTreeNode(folderId);
+		showNotification(folderId ? 'Not klasöre taşındı!' : 'Not klasörden çıkarıldı!', 'success');
+	} catch (error) {
+		console.error('Error moving note to folder:', error);
+		showNotification('Not taşınırken hata oluştu!', 'error');
+	}
+}
+
+// Whether the dragged folder or note can be dropped on the target folder (null for the root zone)
+function canDropOnFolder(targetId) {
+	const item = draggedFolderTreeItem;
+	if (item.type === 'note') {
+		return targetId ? targetId !== item.folderId : true;
+	}
+	if (!targetId) return !!folderTreeParents.get(item.id);
+	return targetId !== folderTreeParents.get(item.id) && isFolderTreeDropAllowed(item.id, targetId);
+}
+
+if (notesListElement) {
+	notesListElement.addEventListener('dragstart', (e) => {
+		if (currentView !== 'folders' || !e.target.closest) return;
+		const folderItem = e.target.closest('.folder-item[draggable="true"]');
+		const noteItem = e.target.closest('.folder-note-item');
+		if (!folderItem && !noteItem) return;
+
+		draggedFolderTreeItem = noteItem
+			? { type: 'note', id: Number(noteItem.dataset.noteId), folderId: Number(noteItem.dataset.folderId) }
+			: { type: 'folder', id: Number(folderItem.dataset.folderId) };
+		e.dataTransfer.effectAllowed = 'move';
+		e.dataTransfer.setData('text/plain', String(draggedFolderTreeItem.id));
+		(noteItem || folderItem).classList.add('dragging');
+
+		const rootDrop = notesListElement.querySelector('.folder-tree-root-drop');
+		if (rootDrop && canDropOnFolder(null)) rootDrop.classList.remove('d-none');
+	});
+
+	notesListElement.addEventListener('dragover', (e) => {
+		if (draggedFolderTreeItem === null) return;
+
+		const rootDrop = e.target.closest('.folder-tree-root-drop');
+		const folderItem = e.target.closest('.folder-item');
+		notesListElement.querySelectorAll('.drop-target').forEach(element => element.classList.remove('drop-target'));
+
+		const target = rootDrop || folderItem;
+		if (target && canDropOnFolder(folderItem ? Number(folderItem.dataset.folderId) : null)) {
+			e.preventDefault();
+			e.dataTransfer.dropEffect = 'move';
+			target.classList.add('drop-target');
+		}
+	});
+
+	notesListElement.addEventListener('drop', (e) => {
+		if (draggedFolderTreeItem === null) return;
+		e.preventDefault();
+
+		const item = draggedFolderTreeItem;
+		const rootDrop = e.target.closest('.folder-tree-root-drop');
+		const folderItem = e.target.closest('.folder-item');
+		if (!rootDrop && !folderItem) return;
+
+		const targetId = folderItem ? Number(folderItem.dataset.folderId) : null;
+		if (!canDropOnFolder(targetId)) return;
+
+		if (item.type === 'note') {
+			moveNoteToFolderInTree(item.id, targetId);
+		} else {
+			moveFolderInTree(item.id, targetId);
+		}
+	});
+
+	notesListElement.addEventListener('dragend', () => {
+		if (draggedFolderTreeItem === null) return;
+		draggedFolderTreeItem = null;
+		notesListElement.querySelectorAll('.dragging, .drop-target').forEach(element => element.classList.remove('dragging', 'drop-target'));
+		const rootDrop = notesListElement.querySelector('.folder-tree-root-drop');
+		if (rootDrop) rootDrop.classList.add('d-none');
+	});
+}
+
+window.toggleFolderTreeNode = toggleFolderTreeNode;
+/* ---------- Bulk Selection ---------- */
+let selectedNoteIds = new Set();
+// Anchor of shift-click range selection
+let lastSelectedNoteId = null;
+// Notes of the current list by id, used to decide toggles such as favorite or tag state
+let displayedNotesById = new Map();
+
+const bulkActionMessages = {
+	move: (count, folderId) => folderId ? `${count} not klasöre taşındı!` : `${count} not klasörden çıkarıldı!`,
+	addTags: count => `${count} nota etiket eklendi!`,
+	removeTags: count => `${count} nottan etiket çıkarıldı!`,
+	favorite: (count, value) => value ? `${count} not favorilere eklendi!` : `${count} not favorilerden çıkarıldı!`,
+	archive: (count, value) => value ? `${count} not arşive gönderildi!` : `${count} not arşivden çıkarıldı!`,
+	trash: count => `${count} not çöp kutusuna gönderildi!`,
+	restore: count => `${count} not çöp kutusundan geri alındı!`,
+	permanentDelete: count => `${count} not kalıcı olarak silindi!`,
+	dueDate: (count, value) => value ? `${count} notun hedef tarihi güncellendi!` : `${count} nottan hedef tarih kaldırıldı!`,
+	color: count => `${count} notun rengi güncellendi!`
+};
+
+// Note cards in list order, skipping children of collapsed tree nodes
+function getVisibleNoteCards() {
+	return Array.from(notesListElement.querySelectorAll('.note-card[data-note-id]'))
+		.filter(card => card.offsetParent !== null);
+}
+
+function getSelectedNotes() {
+	return [...selectedNoteIds].map(id => displayedNotesById.get(id)).filter(Boolean);
+}
+
+function renderNoteSelection() {
+	notesListElement.querySelectorAll('.note-card[data-note-id]').forEach(card => {
+		card.classList.toggle('multi-selected', selectedNoteIds.has(Number(card.dataset.noteId)));
+	});
+	updateBulkActionBar();
+}
+
+function toggleNoteSelection(noteId) {
+	// İlk seçimde açık not da seçime katılır
+	if (selectedNoteIds.size === 0 && currentNoteId && currentNoteId !== noteId && displayedNotesById.has(currentNoteId)) {
+		selectedNoteIds.add(currentNoteId);
+	}
+
+	if (selectedNoteIds.has(noteId)) {
+		selectedNoteIds.delete(noteId);
+	} else {
+		selectedNoteIds.add(noteId);
+	}
+	lastSelectedNoteId = noteId;
+	renderNoteSelection();
+}
+
+function selectNoteRange(fromId, toId, additive) {
+	const ids = getVisibleNoteCards().map(card => Number(card.dataset.noteId));
+	const fromIndex = ids.indexOf(fromId);
+	const toIndex = ids.indexOf(toId);
+	if (fromIndex === -1 || toIndex === -1) {
+		toggleNoteSelection(toId);
+		return;
+	}
+
+	if (!additive) selectedNoteIds.clear();
+	ids.slice(Math.min(fromIndex, toIndex), Math.max(fromIndex, toIndex) + 1).forEach(id => selectedNoteIds.add(id));
+	renderNoteSelection();
+}
+
+function clearNoteSelection() {
+	selectedNoteIds.clear();
+	lastSelectedNoteId = null;
+	if (bulkActionPopup) closePopup(bulkActionPopup);
+	renderNoteSelection();
+}
+
+// Keep the selection to notes still listed after the list is re-rendered
+function syncNoteSelection(notes, append) {
+	if (!append) displayedNotesById = new Map();
+	notes.forEach(note => displayedNotesById.set(note.id, note));
+
+	selectedNoteIds = new Set([...selectedNoteIds].filter(id => displayedNotesById.has(id)));
+	if (lastSelectedNoteId !== null && !displayedNotesById.has(lastSelectedNoteId)) lastSelectedNoteId = null;
+	renderNoteSelection();
+}
+
+function updateBulkActionBar() {
+	const bar = document.getElementById('bulk-action-bar');
+	if (!bar) return;
+
+	const count = selectedNoteIds.size;
+	bar.classList.toggle('d-none', count === 0);
+	if (count === 0) return;
+
+	document.getElementById('bulk-selection-count').textContent = `${count} not seçildi`;
+
+	// Çöp kutusunda yalnızca geri alma ve kalıcı silme anlamlıdır
+	const inTrash = currentView === 'trash';
+	bar.querySelectorAll('[data-bulk-action]').forEach(button => {
+		const trashAction = button.dataset.bulkAction === 'restore' || button.dataset.bulkAction === 'permanentDelete';
+		button.classList.toggle('d-none', inTrash !== trashAction);
+	});
+
+	const notes = getSelectedNotes();
+	const allFavorite = notes.length > 0 && notes.every(note => note.isFavorite);
+	const allArchived = notes.length > 0 && notes.every(note => note.isArchived);
+	bar.querySelector('[data-bulk-action="favorite"] i').className = `bi bi-star${allFavorite ? '-fill' : ''}`;
+	bar.querySelector('[data-bulk-action="archive"] i').className = `bi bi-archive${allArchived ? '-fill' : ''}`;
+}
+
+// Show a list of choices for a bulk action under its button
+function openBulkActionPopup(button, title, itemsHtml, onSelect) {
+	document.getElementById('bulk-action-popup-title').textContent = title;
+	const items = document.getElementById('bulk-action-popup-items');
+	items.innerHTML = itemsHtml;
+	items.onclick = (e) => {
+		const item = e.target.closest('[data-value]');
+		if (item) onSelect(item.dataset.value);
+	};
+
+	positionPopupAt(bulkActionPopup, button.getBoundingClientRect());
+	openPopup(bulkActionPopup);
+}
+
+async function openBulkFolderPopup(button) {
+	const folders = await window.getAllFolders();
+	const itemsHtml = `
+    <div class="popup-form-item" data-value="">
+      <i class="bi bi-folder-x"></i>
+      <span>Klasörden Çıkar</span>
+    </div>
+    ${buildFolderTree(folders).map(({ folder, depth, path }) => `
+      <div class="popup-form-item" data-value="${folder.id}" title="${escapeHtml(path)}" style="--tree-depth: ${depth};">
+        <i class="bi bi-folder2"></i>
+        <span>${escapeHtml(folder.name || 'İsimsiz Klasör')}</span>
+      </div>
+    `).join('')}
+  `;
+
+	openBulkActionPopup(button, 'Klasöre Taşı', itemsHtml, value => {
+		runBulkNoteAction(window.BULK_NOTE_ACTIONS.MOVE, value ? Number(value) : null);
+	});
+}
+
+async function openBulkTagPopup(button) {
+	const tags = (await window.getAllTags()).sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+	const notes = getSelectedNotes();
+
+	if (tags.length === 0) {
+		showNotification('Tanımlı etiket bulunamadı!', 'info');
+		return;
+	}
+
+	// Tüm notlarda olan etiket tıklanınca çıkarılır, diğerleri hepsine eklenir
+	const itemsHtml = tags.map(tag => {
+		const usage = notes.filter(note => (note.tagIds || []).includes(tag.id)).length;
+		const icon = usage === 0 ? 'bi-square' : usage === notes.length ? 'bi-check-square-fill' : 'bi-dash-square';
+		return `
+      <div class="popup-form-item" data-value="${tag.id}" data-all="${usage === notes.length}">
+        <i class="bi ${icon}"></i>
+        <span style="${tag.fontColor ? `color: ${tag.fontColor};` : ''}">${escapeHtml(tag.name || 'İsimsiz Etiket')}</span>
+      </div>
+    `;
+	}).join('');
+
+	openBulkActionPopup(button, 'Etiket Ekle / Çıkar', itemsHtml, value => {
+		const item = bulkActionPopup.querySelector(`[data-value="${value}"]`);
+		const action = item.dataset.all === 'true' ? window.BULK_NOTE_ACTIONS.REMOVE_TAGS : window.BULK_NOTE_ACTIONS.ADD_TAGS;
+		runBulkNoteAction(action, [Number(value)]);
+	});
+}
+
+function openBulkDueDatePopup(button) {
+	const itemsHtml = `
+    <div class="popup-form-item" data-value="pick">
+      <i class="bi bi-calendar-event"></i>
+      <span>Tarih Seç</span>
+    </div>
+    <div class="popup-form-item" data-value="clear">
+      <i class="bi bi-calendar-x"></i>
+      <span>Hedef Tarihi Kaldır</span>
+    </div>
+  `;
+
+	openBulkActionPopup(button, 'Hedef Tarih', itemsHtml, value => {
+		closePopup(bulkActionPopup);
+		if (value === 'clear') {
+			runBulkNoteAction(window.BULK_NOTE_ACTIONS.DUE_DATE, null);
+			return;
+		}
+
+		const dp = SimpleDTP.create({
+			title: 'Hedef Tarih',
+			locale: 'tr',
+			enableTime: false,
+			format: 'dd.MM.yyyy',
+			showToday: false,
+			showCancel: false,
+			closeOnOverlayClick: true,
+			mode: 'modal',
+			value: null,
+			onConfirm: (date) => {
+				runBulkNoteAction(window.BULK_NOTE_ACTIONS.DUE_DATE, date.toISOString());
+			}
+		});
+		dp.open();
+	});
+}
+
+function openBulkColorPopup(button) {
+	const itemsHtml = `
+    <div class="color-swatches">
+      ${bgColors.map(color => `<button type="button" class="swatch" data-value="${color}" style="background-color: ${color};"></button>`).join('')}
+    </div>
+    <div class="popup-form-item" data-value="">
+      <i class="bi bi-eraser-fill"></i>
+      <span>Rengi Temizle</span>
+    </div>
+  `;
+
+	openBulkActionPopup(button, 'Arka Plan Rengi', itemsHtml, value => {
+		runBulkNoteAction(window.BULK_NOTE_ACTIONS.COLOR, value || null);
+	});
+}
+
+async function handleBulkAction(action, button, event) {
+	if (event) event.stopPropagation();
+	if (selectedNoteIds.size === 0) return;
+
+	const wasOpen = !bulkActionPopup.classList.contains('d-none') && bulkActionPopup.dataset.action === action;
+	closeAllPopupsAndModals('bulk-action-popup');
+	closePopup(bulkActionPopup);
+	if (wasOpen) return;
+	bulkActionPopup.dataset.action = action;
+
+	const notes = getSelectedNotes();
+	const { BULK_NOTE_ACTIONS } = window;
+
+	try {
+		switch (action) {
+			case 'move':
+				await openBulkFolderPopup(button);
+				break;
+			case 'tags':
+				await openBulkTagPopup(button);
+				break;
+			case 'dueDate':
+				openBulkDueDatePopup(button);
+				break;
+			case 'color':
+				openBulkColorPopup(button);
+				break;
+			case 'favorite':
+				await runBulkNoteAction(BULK_NOTE_ACTIONS.FAVORITE, !notes.every(note => note.isFavorite));
+				break;
+			case 'archive':
+				await runBulkNoteAction(BULK_NOTE_ACTIONS.ARCHIVE, !notes.every(note => note.isArchived));
+				break;
+			case 'trash':
+				await runBulkNoteAction(BULK_NOTE_ACTIONS.TRASH);
+				break;
+			case 'restore':
+				await runBulkNoteAction(BULK_NOTE_ACTIONS.RESTORE);
+				break;
+			case 'permanentDelete':
+				await openBulkPermanentDeleteModal();
+				break;
+		}
+	} catch (error) {
+		console.error('Error in handleBulkAction:', error);
+	}
+}
+
+// Run one bulk action on the selection and offer to undo it
+async function runBulkNoteAction(action, value = null) {
+	const noteIds = [...selectedNoteIds];
+	if (noteIds.length === 0) return;
+
+	closePopup(bulkActionPopup);
+
+	try {
+		const { changedNoteIds, operation } = await window.applyBulkNoteAction(noteIds, action, value);
+		clearNoteSelection();
+
+		if (changedNoteIds.length === 0) {
+			showNotification('Seçili notlarda değişiklik yapılmadı.', 'info');
+			return;
+		}
+
+		await refreshOpenNoteAfterBulkAction(changedNoteIds, action);
+		showUndoNotification(bulkActionMessages[action](changedNoteIds.length, value), operation, () => refreshOpenNoteAfterBulkAction(changedNoteIds, null));
+	} catch (error) {
+		console.error('Error in runBulkNoteAction:', error);
+		showNotification('Toplu işlem sırasında hata oluştu!', 'error');
+	}
+}
+
+// The open note follows bulk changes the same way it follows single note actions
+async function refreshOpenNoteAfterBulkAction(noteIds, action) {
+	if (!currentNoteId || !noteIds.includes(currentNoteId)) return;
+
+	const { BULK_NOTE_ACTIONS } = window;
+	if ([BULK_NOTE_ACTIONS.TRASH, BULK_NOTE_ACTIONS.ARCHIVE, BULK_NOTE_ACTIONS.PERMANENT_DELETE].includes(action)) {
+		clearEditor();
+		return;
+	}
+
+	const note = await window.getNoteById(currentNoteId);
+	if (!note) return;
+
+	// Kaydedilmemiş değişiklikler toplu değişikliğin üzerine yazılmasın
+	if (hasUnsavedChanges()) {
+		openConflictModal(note);
+	} else {
+		await loadNote(note.id);
+	}
+}
+
+async function openBulkPermanentDeleteModal() {
+	const noteIds = [...selectedNoteIds];
+	const messageElement = document.getElementById('bulk-permanent-delete-message');
+	if (messageElement) {
+		messageElement.textContent = `Seçili ${noteIds.length} not kalıcı olarak silinecektir. Emin misiniz?`;
+	}
+
+	// Alt notu varsa ne yapılacağını sor
+	const childCount = await window.countChildNotes(noteIds);
+	showChildPolicySection('bulk-note-child-policy', childCount);
+
+	const modal = document.getElementById('bulk-permanent-delete-modal');
+	if (modal) {
+		modal.classList.remove('d-none');
+		modal.classList.add('d-flex');
+	}
+}
+
+function closeBulkPermanentDeleteModal() {
+	const modal = document.getElementById('bulk-permanent-delete-modal');
+	if (modal) {
+		modal.classList.add('d-none');
+		modal.classList.remove('d-flex');
+	}
+}
+
+async function confirmBulkPermanentDelete() {
+	const childPolicy = getSelectedChildPolicy('bulk-note-child-policy');
+	closeBulkPermanentDeleteModal();
+	await runBulkNoteAction(window.BULK_NOTE_ACTIONS.PERMANENT_DELETE, childPolicy);
+}
+
+if (notesListElement) {
+	// Shift ile metin seçimi yerine not aralığı seçilir
+	notesListElement.addEventListener('mousedown', (e) => {
+		if (e.shiftKey && e.target.closest && e.target.closest('.note-card[data-note-id]')) {
+			e.preventDefault();
+		}
+	});
+
+	// Yakalama aşamasında çalışır, böylece Ctrl/Shift tıklaması notu açmaz
+	notesListElement.addEventListener('click', (e) => {
+		const card = e.target.closest && e.target.closest('.note-card[data-note-id]');
+		if (!card || e.target.closest('.note-tree-toggle')) return;
+
+		const noteId = Number(card.dataset.noteId);
+		const additive = e.ctrlKey || e.metaKey;
+
+		if (e.shiftKey || additive) {
+			e.preventDefault();
+			e.stopPropagation();
+
+			const anchorId = lastSelectedNoteId ?? (displayedNotesById.has(currentNoteId) ? currentNoteId : null);
+			if (e.shiftKey && anchorId !== null) {
+				selectNoteRange(anchorId, noteId, additive);
+				lastSelectedNoteId = anchorId;
+			} else {
+				toggleNoteSelection(noteId);
+			}
+			return;
+		}
+
+		// Normal tıklama toplu seçimi bırakır
+		if (selectedNoteIds.size > 0) clearNoteSelection();
+	}, true);
+}
+
+document.addEventListener('keydown', (e) => {
+	if (e.key !== 'Escape' || selectedNoteIds.size === 0) return;
+	if (e.target.closest && e.target.closest('input, textarea, [contenteditable="true"]')) return;
+	clearNoteSelection();
+});
+
+window.handleBulkAction = handleBulkAction;
+window.clearNoteSelection = clearNoteSelection;
+window.closeBulkPermanentDeleteModal = closeBulkPermanentDeleteModal;
+window.confirmBulkPermanentDelete = confirmBulkPermanentDelete;
+
+/* ---------- Markdown ---------- */
+// Kramdown tarzı blok özellikleri: "{: indent=2 align=center}" satırı bir önceki bloğa uygulanır
+const markdownAttributePattern = /^ {0,3}\{:\s*(.*?)\s*\}\s*$/;
+const markdownListItemPattern = /^( *)([-*+]|\d{1,9}[.)])( +|$)(.*)$/;
+const markdownTaskPattern = /^\[([ xX])\](?:\s+|$)/;
+// Notun checklist'i (checklistData) içerikten bu satırla ayrılır
+const markdownChecklistMarker = '<!-- noteflix:checklist -->';
+const markdownAlignments = ['left', 'center', 'right', 'justify'];
+// GFM tablo ayırıcı satırı: "| --- | :---: |"
+const markdownTableDelimiterPattern = /^ {0,3}\|?(\s*:?-+:?\s*\|)+(\s*:?-+:?\s*)?$/;
+
+// Parse `key=value key2="value 2"` attribute lists
+function parseMarkdownAttributes(text) {
+	const attributes = {};
+	for (const match of String(text || '').matchAll(/([\w-]+)=(?:"([^"]*)"|(\S+))/g)) {
+		attributes[match[1]] = match[2] ?? match[3];
+	}
+	return attributes;
+}
+
+function formatMarkdownAttributes(attributes) {
+	const parts = Object.entries(attributes)
+		.filter(([, value]) => value !== null && value !== undefined && value !== '')
+		.map(([key, value]) => /[\s"]/.test(value) ? `${key}="${String(value).replace(/"/g, '')}"` : `${key}=${value}`);
+	return parts.length > 0 ? `{: ${parts.join(' ')}}` : '';
+}
+
+// Attributes of a paragraph, heading or list item as Indent / TextAlign render them
+function blockAttributesToHtml(attributes) {
+	const indent = Number(attributes.indent);
+	const align = markdownAlignments.includes(attributes.align) ? attributes.align : null;
+	return `${indent > 0 ? ` data-indent="${Math.min(indent, 10)}"` : ''}${align ? ` style="text-align: ${align}"` : ''}`;
+}
+
+/* ---------- HTML to Markdown ---------- */
+function escapeMarkdownText(text) {
+	return text.replace(/[\\`*_[\]<~^{]/g, '\\$&').replace(/==/g, '\\=\\=');
+}
+
+// Escape a line that would otherwise start a heading, quote or list
+function escapeMarkdownLineStart(line) {
+	return line
+		.replace(/^(\s*\d+)([.)])(?=\s|$)/, '$1\\$2')
+		.replace(/^(\s*)([#>+-])/, '$1\\$2');
+}
+
+function prefixMarkdownLines(text, firstPrefix, restPrefix) {
+	return text.split('\n')
+		.map((line, i) => (i === 0 ? firstPrefix : line ? restPrefix : restPrefix.trimEnd()) + line)
+		.join('\n')
+		.trimEnd();
+}
+
+// Wrap inline content in delimiters, keeping surrounding spaces outside of them
+function wrapMarkdown(text, open, close = open, transform = inner => inner) {
+	const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+	return match[2] ? `${match[1]}${open}${transform(match[2])}${close}${match[3]}` : text;
+}
+
+function getMarkdownFence(text, minLength, character = '`') {
+	const longest = Math.max(0, ...(text.match(new RegExp(`${character}+`, 'g')) || []).map(run => run.length));
+	return character.repeat(Math.max(minLength, longest + 1));
+}
+
+function formatMarkdownUrl(url) {
+	return String(url || '').replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+}
+
+function imageToMarkdown(image) {
+	const title = image.getAttribute('title');
+	return `![${escapeMarkdownText(image.getAttribute('alt') || '')}](${formatMarkdownUrl(image.getAttribute('src'))}${title ? ` "${title.replace(/"/g, '')}"` : ''})`;
+}
+
+function inlineToMarkdown(nodes, context) {
+	return Array.from(nodes).map(node => inlineNodeToMarkdown(node, context)).join('');
+}
+
+function inlineNodeToMarkdown(node, context) {
+	if (node.nodeType === window.Node.TEXT_NODE) return escapeMarkdownText(node.textContent.replace(/\n/g, ' '));
+	if (node.nodeType !== window.Node.ELEMENT_NODE) return '';
+
+	const inner = () => inlineToMarkdown(node.childNodes, context);
+	switch (node.tagName.toLowerCase()) {
+		case 'strong':
+		case 'b':
+			return wrapMarkdown(inner(), '**');
+		case 'em':
+		case 'i':
+			return wrapMarkdown(inner(), '*');
+		case 's':
+		case 'del':
+		case 'strike':
+			return wrapMarkdown(inner(), '~~');
+		case 'u':
+			return wrapMarkdown(inner(), '<u>', '</u>');
+		case 'mark':
+			return wrapMarkdown(inner(), '==');
+		case 'sub':
+			return wrapMarkdown(inner(), '~', '~', text => text.replace(/ /g, '\\ '));
+		case 'sup':
+			return wrapMarkdown(inner(), '^', '^', text => text.replace(/ /g, '\\ '));
+		case 'code': {
+			const text = node.textContent;
+			const fence = getMarkdownFence(text, 1);
+			const padding = /^`|`$/.test(text) ? ' ' : '';
+			return `${fence}${padding}${text}${padding}${fence}`;
+		}
+		case 'a': {
+			const title = node.getAttribute('title');
+			return `[${inner()}](${formatMarkdownUrl(node.getAttribute('href'))}${title ? ` "${title.replace(/"/g, '')}"` : ''})`;
+		}
+		case 'img':
+			return imageToMarkdown(node);
+		case 'br':
+			return '\\\n';
+		case 'span':
+			if (node.dataset.type === 'note-link') {
+				const noteId = Number(node.dataset.noteId);
+				return `[[${context.noteTitles.get(noteId) || node.textContent}]]`;
+			}
+			return inner();
+		default:
+			return inner();
+	}
+}
+
+function paragraphToMarkdown(node, context) {
+	return inlineToMarkdown(node.childNodes, context)
+		.split('\n')
+		.map(escapeMarkdownLineStart)
+		.join('\n')
+		.trim();
+}
+
+function blocksToMarkdown(nodes, context) {
+	return Array.from(nodes)
+		.map(node => blockToMarkdown(node, context))
+		.filter(block => block !== '')
+		.join('\n\n');
+}
+
+function blockToMarkdown(node, context) {
+	if (node.nodeType === window.Node.TEXT_NODE) {
+		return node.textContent.trim() ? escapeMarkdownLineStart(escapeMarkdownText(node.textContent.trim())) : '';
+	}
+	if (node.nodeType !== window.Node.ELEMENT_NODE) return '';
+
+	const tag = node.tagName.toLowerCase();
+	const align = node.style.textAlign;
+	const attributes = formatMarkdownAttributes({
+		indent: node.getAttribute('data-indent'),
+		align: align && align !== 'left' ? align : null
+	});
+	const withAttributes = text => attributes ? `${text}\n${attributes}` : text;
+
+	switch (tag) {
+		case 'p': {
+			const text = paragraphToMarkdown(node, context);
+			return text ? withAttributes(text) : '';
+		}
+		case 'h1':
+		case 'h2':
+		case 'h3':
+		case 'h4':
+		case 'h5':
+		case 'h6': {
+			const text = inlineToMarkdown(node.childNodes, context).replace(/\\\n/g, ' ').trim();
+			return withAttributes(`${'#'.repeat(Number(tag[1]))} ${text}`);
+		}
+		case 'ul':
+		case 'ol':
+			return listToMarkdown(node, context);
+		case 'blockquote': {
+			const quoted = prefixMarkdownLines(blocksToMarkdown(node.childNodes, context), '> ', '> ');
+			return node.getAttribute('data-type') === 'right' ? `${quoted}\n${formatMarkdownAttributes({ 'data-type': 'right' })}` : quoted;
+		}
+		case 'pre': {
+			const code = node.querySelector('code') || node;
+			const language = (code.className.match(/language-([\w#+-]+)/) || [])[1] || '';
+			const text = code.textContent.replace(/\n$/, '');
+			const fence = getMarkdownFence(text, 3);
+			return `${fence}${language}\n${text}\n${fence}`;
+		}
+		case 'hr':
+			return '---';
+		case 'img':
+			return imageToMarkdown(node);
+		case 'table':
+			return tableToMarkdown(node, context);
+		case 'figure': {
+			const image = node.querySelector('img');
+			if (!image) return blocksToMarkdown(node.childNodes, context);
+
+			// Ortalanmış resim varsayılandır, yazılmaz
+			const align = node.getAttribute('data-align');
+			const figureAttributes = formatMarkdownAttributes({
+				align: align && align !== 'center' ? align : null,
+				width: node.getAttribute('data-width'),
+				caption: node.querySelector('figcaption')?.textContent.trim()
+			});
+			return figureAttributes ? `${imageToMarkdown(image)}\n${figureAttributes}` : imageToMarkdown(image);
+		}
+		case 'div':
+		case 'iframe': {
+			const video = tag === 'iframe' ? node : node.querySelector('iframe');
+			if (video) return `[YouTube](${formatMarkdownUrl(video.getAttribute('src'))})`;
+			return blocksToMarkdown(node.childNodes, context);
+		}
+		default: {
+			const text = paragraphToMarkdown(node, context);
+			return text ? withAttributes(text) : '';
+		}
+	}
+}
+
+// GFM pipe table; cell paragraphs are joined with <br> and merged cells keep the column count with empty cells
+function tableToMarkdown(table, context) {
+	const rows = Array.from(table.rows).map(row => Array.from(row.cells).flatMap(cell => {
+		const text = blocksToMarkdown(cell.childNodes, context)
+			.replace(/\\\n|\n+/g, '<br>')
+			.replace(/\|/g, '\\|');
+		const span = Math.max(Number(cell.getAttribute('colspan')) || 1, 1);
+		return [text, ...Array(span - 1).fill('')];
+	}));
+	if (rows.length === 0) return '';
+
+	const columnCount = Math.max(...rows.map(cells => cells.length));
+	const formatRow = cells => `| ${[...cells, ...Array(columnCount - cells.length).fill('')].join(' | ')} |`;
+	const hasHeader = Array.from(table.rows[0].cells).every(cell => cell.tagName.toLowerCase() === 'th');
+	const markdown = [
+		formatRow(rows[0]),
+		formatRow(Array(columnCount).fill('---')),
+		...rows.slice(1).map(formatRow)
+	].join('\n');
+
+	return hasHeader ? markdown : `${markdown}\n${formatMarkdownAttributes({ header: 'none' })}`;
+}
+
+function listToMarkdown(list, context) {
+	const isTaskList = list.getAttribute('data-type') === 'taskList';
+	const ordered = list.tagName.toLowerCase() === 'ol';
+	const start = Number(list.getAttribute('start')) || 1;
+
+	return Array.from(list.children)
+		.filter(item => item.tagName.toLowerCase() === 'li')
+		.map((item, index) => {
+			const marker = ordered ? `${start + index}.` : '-';
+			let prefix = `${marker} `;
+			if (isTaskList) {
+				prefix += item.getAttribute('data-checked') === 'true' ? '[x] ' : '[ ] ';
+			}
+
+			// TaskItem içeriği <label> checkbox'ından sonraki <div> içindedir
+			const contentElement = isTaskList ? item.querySelector(':scope > div') : null;
+			const contentNodes = Array.from((contentElement || item).childNodes).filter(node => node.nodeName !== 'LABEL');
+			// İç içe listeler maddeye sıkı bağlanır, diğer bloklar boş satırla ayrılır
+			const body = contentNodes
+				.map(node => ({ node, markdown: blockToMarkdown(node, context) }))
+				.filter(block => block.markdown !== '')
+				.map((block, i) => i === 0 ? block.markdown : `${/^(UL|OL)$/.test(block.node.nodeName) ? '\n' : '\n\n'}${block.markdown}`)
+				.join('');
+
+			const attributes = formatMarkdownAttributes({ indent: item.getAttribute('data-indent') });
+			return prefixMarkdownLines(attributes ? `${attributes} ${body}` : body, prefix, ' '.repeat(marker.length + 1));
+		})
+		.join('\n');
+}
+
+function htmlToMarkdown(html, context) {
+	const doc = new DOMParser().parseFromString(html || '', 'text/html');
+	return blocksToMarkdown(doc.body.childNodes, context);
+}
+
+function checklistToMarkdown(checklistData) {
+	let items = [];
+	try {
+		items = JSON.parse(checklistData || '[]');
+	} catch (error) {
+		items = [];
+	}
+
+	return items.map(item => {
+		const attributes = formatMarkdownAttributes({ due: item.dueDate ? String(item.dueDate).slice(0, 10) : null });
+		const text = escapeMarkdownText(item.text || '');
+		return `- ${item.completed ? '[x]' : '[ ]'} ${attributes ? `${attributes} ` : ''}${text}`;
+	}).join('\n');
+}
+
+// Note as a Markdown document with YAML front-matter
+function noteToMarkdown(note, { tags = [], folders = [], notes = [] } = {}) {
+	const context = {
+		noteTitles: new Map(notes.map(other => [other.id, other.title || 'Başlıksız Not']))
+	};
+	const tagNames = (note.tagIds || [])
+		.map(tagId => tags.find(tag => tag.id === tagId))
+		.filter(Boolean)
+		.map(tag => tag.name);
+	const folder = folders.find(other => other.id === note.folderId);
+
+	const frontMatter = ['---', `title: ${JSON.stringify(note.title || '')}`];
+	if (tagNames.length > 0) frontMatter.push(`tags: [${tagNames.map(name => JSON.stringify(name)).join(', ')}]`);
+	if (folder) frontMatter.push(`folder: ${JSON.stringify(folder.name)}`);
+	if (note.dueDate) frontMatter.push(`due: ${note.dueDate}`);
+	if (note.createdAt) frontMatter.push(`created: ${note.createdAt}`);
+	if (note.updatedAt) frontMatter.push(`updated: ${note.updatedAt}`);
+	frontMatter.push('---');
+
+	const checklist = checklistToMarkdown(note.checklistData);
+	return [
+		frontMatter.join('\n'),
+		htmlToMarkdown(note.content, context),
+		checklist ? `${markdownChecklistMarker}\n${checklist}` : ''
+	].filter(Boolean).join('\n\n') + '\n';
+}
+
+/* ---------- Markdown to HTML ---------- */
+function getMarkdownIndent(line) {
+	return line.match(/^ */)[0].length;
+}
+
+function isMarkdownBlockStart(line) {
+	return /^ {0,3}(#{1,6}(\s|$)|`{3,}|~{3,}|>|<!--)/.test(line) ||
+		/^ {0,3}([-*_])(\s*\1){2,}\s*$/.test(line) ||
+		/^ {0,3}(=+|-+)\s*$/.test(line) ||
+		/^ *([-*+]|1[.)]) +\S/.test(line) ||
+		markdownAttributePattern.test(line);
+}
+
+function isSafeMarkdownUrl(url, allowDataImages = false) {
+	if (/^\s*data:image\//i.test(url)) return allowDataImages;
+	return !/^\s*(javascript|vbscript|data):/i.test(url);
+}
+
+function markdownInlineToHtml(text, context = {}) {
+	let html = '';
+	let i = 0;
+
+	while (i < text.length) {
+		const rest = text.slice(i);
+		const previous = text[i - 1] || '';
+		let match;
+
+		if ((match = rest.match(/^(?:\\| {2,})\n/))) {
+			html += '<br>';
+		} else if ((match = rest.match(/^\\([\\`*_{}[\]()#+\-.!~^=<>| ])/))) {
+			html += escapeHtml(match[1]);
+		} else if ((match = rest.match(/^(`+)([\s\S]*?[^`])\1(?!`)/))) {
+			const code = match[2].replace(/\n/g, ' ');
+			html += `<code>${escapeHtml(/^ .* $/.test(code) ? code.slice(1, -1) : code)}</code>`;
+		} else if ((match = rest.match(/^!\[((?:\\.|[^\]])*)\]\(\s*<?([^\s)>]+)>?(?:\s+"([^"]*)")?\s*\)/))) {
+			if (isSafeMarkdownUrl(match[2], true)) {
+				const title = match[3] ? ` title="${escapeHtml(match[3])}"` : '';
+				html += `<img src="${escapeHtml(match[2])}" alt="${escapeHtml(htmlToPlainText(markdownInlineToHtml(match[1], context)))}"${title}>`;
+			}
+		} else if ((match = rest.match(/^\[\[([^\]\n]+)\]\]/))) {
+			const noteId = context.resolveNoteLink ? context.resolveNoteLink(match[1].trim()) : null;
+			html += noteId ?
+				`<span data-type="note-link" class="note-link" data-note-id="${noteId}">${escapeHtml(match[1].trim())}</span>` :
+				escapeHtml(match[0]);
+		} else if ((match = rest.match(/^\[((?:\\.|[^\]])*)\]\(\s*<?([^\s)>]+)>?(?:\s+"([^"]*)")?\s*\)/))) {
+			const label = markdownInlineToHtml(match[1], context);
+			if (isSafeMarkdownUrl(match[2])) {
+				const title = match[3] ? ` title="${escapeHtml(match[3])}"` : '';
+				html += `<a href="${escapeHtml(match[2])}"${title}>${label}</a>`;
+			} else {
+				html += label;
+			}
+		} else if ((match = rest.match(/^<(https?:\/\/[^>\s]+)>/))) {
+			html += `<a href="${escapeHtml(match[1])}">${escapeHtml(match[1])}</a>`;
+		} else if ((match = rest.match(/^<(\/?)(u|sub|sup|mark|br)\s*\/?>/i))) {
+			html += `<${match[1]}${match[2].toLowerCase()}>`;
+		} else if ((match = rest.match(/^(\*\*|__)(?=\S)([\s\S]*?\S)\1(?!\*)/)) && !(match[1] === '__' && /\w/.test(previous))) {
+			html += `<strong>${markdownInlineToHtml(match[2], context)}</strong>`;
+		} else if ((match = rest.match(/^~~(?=\S)([\s\S]*?\S)~~/))) {
+			html += `<s>${markdownInlineToHtml(match[1], context)}</s>`;
+		} else if ((match = rest.match(/^==(?=\S)([\s\S]*?\S)==/))) {
+			html += `<mark>${markdownInlineToHtml(match[1], context)}</mark>`;
+		} else if ((match = rest.match(/^(\*|_)(?=\S)([\s\S]*?[^\s*])\1(?!\1)/)) && !(match[1] === '_' && /\w/.test(previous))) {
+			html += `<em>${markdownInlineToHtml(match[2], context)}</em>`;
+		} else if ((match = rest.match(/^~((?:\\.|[^~\s\\])+)~/))) {
+			html += `<sub>${markdownInlineToHtml(match[1], context)}</sub>`;
+		} else if ((match = rest.match(/^\^((?:\\.|[^^\s\\])+)\^/))) {
+			html += `<sup>${markdownInlineToHtml(match[1], context)}</sup>`;
+		} else {
+			match = [text[i]];
+			html += escapeHtml(text[i]);
+		}
+
+		i += match[0].length;
+	}
+
+	return html;
+}
+
+// Lists end where the bullet character or the ordered delimiter changes
+function getMarkdownListMarkerType(marker) {
+	return /\d/.test(marker) ? `ordered${marker.slice(-1)}` : marker;
+}
+
+function parseMarkdownList(lines, start, context) {
+	const first = lines[start].match(markdownListItemPattern);
+	const baseIndent = first[1].length;
+	const markerType = getMarkdownListMarkerType(first[2]);
+	const ordered = /\d/.test(first[2]);
+	const items = [];
+	let i = start;
+
+	while (i < lines.length) {
+		const match = lines[i].match(markdownListItemPattern);
+		if (!match || match[1].length !== baseIndent || getMarkdownListMarkerType(match[2]) !== markerType) break;
+
+		const padding = match[3].length >= 1 && match[3].length <= 4 ? match[3].length : 1;
+		const contentIndent = baseIndent + match[2].length + padding;
+		const itemLines = [match[4]];
+		i++;
+
+		while (i < lines.length) {
+			const line = lines[i];
+			const indent = getMarkdownIndent(line);
+
+			if (!line.trim()) {
+				// Boş satırdan sonra içerik yeterince girintiliyse aynı maddeye aittir
+				let next = i;
+				while (next < lines.length && !lines[next].trim()) next++;
+				if (next < lines.length && getMarkdownIndent(lines[next]) >= contentIndent) {
+					while (i < next) {
+						itemLines.push('');
+						i++;
+					}
+					continue;
+				}
+				break;
+			}
+
+			if (indent >= contentIndent || (indent > baseIndent && markdownListItemPattern.test(line))) {
+				itemLines.push(line.slice(Math.min(indent, contentIndent)));
+			} else if (!markdownListItemPattern.test(line) && !isMarkdownBlockStart(line) && itemLines[itemLines.length - 1].trim()) {
+				// Girintisiz devam satırı paragrafın parçasıdır
+				itemLines.push(line.trim());
+			} else {
+				break;
+			}
+			i++;
+		}
+
+		items.push(itemLines);
+
+		let next = i;
+		while (next < lines.length && !lines[next].trim()) next++;
+		const sibling = next < lines.length ? lines[next].match(markdownListItemPattern) : null;
+		if (sibling && sibling[1].length === baseIndent && getMarkdownListMarkerType(sibling[2]) === markerType) {
+			i = next;
+		}
+	}
+
+	const isTaskList = items.every(itemLines => markdownTaskPattern.test(itemLines[0]));
+	const itemsHtml = items.map(([firstLine, ...rest]) => {
+		let checked = false;
+		if (isTaskList) {
+			const task = firstLine.match(markdownTaskPattern);
+			checked = task[1] !== ' ';
+			firstLine = firstLine.slice(task[0].length);
+		}
+
+		let attributes = {};
+		const attributeMatch = firstLine.match(/^\{:\s*(.*?)\s*\}\s*/);
+		if (attributeMatch) {
+			attributes = parseMarkdownAttributes(attributeMatch[1]);
+			firstLine = firstLine.slice(attributeMatch[0].length);
+		}
+
+		const content = markdownBlocksToHtml([firstLine, ...rest], context) || '<p></p>';
+		return isTaskList ?
+			`<li data-type="taskItem" data-checked="${checked}">${content}</li>` :
+			`<li${blockAttributesToHtml({ indent: attributes.indent })}>${content}</li>`;
+	}).join('');
+
+	const startNumber = parseInt(first[2], 10);
+	const html = isTaskList ? `<ul data-type="taskList">${itemsHtml}</ul>` :
+		ordered ? `<ol${startNumber !== 1 ? ` start="${startNumber}"` : ''}>${itemsHtml}</ol>` :
+		`<ul>${itemsHtml}</ul>`;
+
+	return { html, next: i };
+}
+
+// Split a pipe table row on unescaped pipes
+function splitMarkdownTableRow(line) {
+	return line.trim()
+		.replace(/^\|/, '')
+		.replace(/(^|[^\\])\|$/, '$1')
+		.split(/(?<!\\)\|/)
+		.map(cell => cell.trim());
+}
+
+// A header row followed by a delimiter row with the same number of columns
+function isMarkdownTableStart(lines, index) {
+	return index + 1 < lines.length && lines[index].includes('|') &&
+		markdownTableDelimiterPattern.test(lines[index + 1]) &&
+		splitMarkdownTableRow(lines[index]).length === splitMarkdownTableRow(lines[index + 1]).length;
+}
+
+function markdownTableToHtml(rows, columnCount, hasHeader, context) {
+	const rowsHtml = rows.map((cells, index) => {
+		const tag = index === 0 && hasHeader ? 'th' : 'td';
+		const padded = [...cells.slice(0, columnCount), ...Array(Math.max(columnCount - cells.length, 0)).fill('')];
+		const cellsHtml = padded.map(cell => {
+			// "\|" kod içinde de düz çizgi olur (GFM)
+			const paragraphs = cell.replace(/\\\|/g, '|').split(/(?<!\\)<br\s*\/?>/i)
+				.map(part => `<p>${markdownInlineToHtml(part.trim(), context)}</p>`);
+			return `<${tag}>${paragraphs.join('')}</${tag}>`;
+		});
+		return `<tr>${cellsHtml.join('')}</tr>`;
+	});
+	return `<table><tbody>${rowsHtml.join('')}</tbody></table>`;
+}
+
+function markdownBlocksToHtml(lines, context = {}) {
+	const html = [];
+	let i = 0;
+
+	// Bloğun ardından gelen "{: ...}" satırını tüketir
+	const takeAttributes = () => {
+		const match = i < lines.length ? lines[i].match(markdownAttributePattern) : null;
+		if (!match) return {};
+		i++;
+		return parseMarkdownAttributes(match[1]);
+	};
+
+	while (i < lines.length) {
+		const line = lines[i];
+		let match;
+
+		if (!line.trim() || /^\s*<!--.*-->\s*$/.test(line) || markdownAttributePattern.test(line)) {
+			i++;
+		} else if ((match = line.match(/^ {0,3}(`{3,}|~{3,})\s*([\w#+-]*)/))) {
+			const closing = new RegExp(`^ {0,3}${match[1][0]}{${match[1].length},}\\s*$`);
+			const code = [];
+			i++;
+			while (i < lines.length && !closing.test(lines[i])) {
+				code.push(lines[i++]);
+			}
+			i++;
+			const language = match[2] ? ` class="language-${escapeHtml(match[2].toLowerCase())}"` : '';
+			html.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`);
+		} else if ((match = line.match(/^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/))) {
+			i++;
+			const level = match[1].length;
+			html.push(`<h${level}${blockAttributesToHtml(takeAttributes())}>${markdownInlineToHtml(match[2] || '', context)}</h${level}>`);
+		} else if (/^ {0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+			i++;
+			html.push('<hr>');
+		} else if (/^ {0,3}>/.test(line)) {
+			const quoted = [];
+			while (i < lines.length && /^ {0,3}>/.test(lines[i])) {
+				quoted.push(lines[i++].replace(/^ {0,3}> ?/, ''));
+			}
+			const type = takeAttributes()['data-type'] === 'right' ? ' data-type="right"' : '';
+			html.push(`<blockquote${type}>${markdownBlocksToHtml(quoted, context)}</blockquote>`);
+		} else if (markdownListItemPattern.test(line)) {
+			const list = parseMarkdownList(lines, i, context);
+			html.push(list.html);
+			i = list.next;
+		} else if (isMarkdownTableStart(lines, i)) {
+			const columnCount = splitMarkdownTableRow(line).length;
+			const rows = [splitMarkdownTableRow(line)];
+			i += 2;
+			while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+				rows.push(splitMarkdownTableRow(lines[i++]));
+			}
+			const hasHeader = takeAttributes().header !== 'none';
+			html.push(markdownTableToHtml(rows, columnCount, hasHeader, context));
+		} else {
+			const paragraph = [];
+			while (i < lines.length && lines[i].trim() && !(paragraph.length > 0 && isMarkdownBlockStart(lines[i]))) {
+				paragraph.push(lines[i++]);
+			}
+
+			const text = paragraph.map(part => part.trim()).join('\n');
+			const setext = i < lines.length ? lines[i].match(/^ {0,3}(=+|-+)\s*$/) : null;
+			if (setext) {
+				i++;
+				const level = setext[1][0] === '=' ? 1 : 2;
+				html.push(`<h${level}${blockAttributesToHtml(takeAttributes())}>${markdownInlineToHtml(text.replace(/\n/g, ' '), context)}</h${level}>`);
+				continue;
+			}
+
+			// Satır sonundaki iki boşluk da satır sonu (<br>) sayılır
+			const content = markdownInlineToHtml(paragraph.map((part, index) => index < paragraph.length - 1 && / {2,}$/.test(part) ? `${part.trim()}\\` : part.trim()).join('\n'), context);
+			const attributes = takeAttributes();
+			html.push(/^<img [^>]*>$/.test(content) ? markdownImageToHtml(content, attributes) : `<p${blockAttributesToHtml(attributes)}>${content}</p>`);
+		}
+	}
+
+	return html.join('');
+}
+
+// A standalone image; alignment, width and caption from its "{: ...}" line go on a figure
+function markdownImageToHtml(image, attributes) {
+	const align = imageAlignments.includes(attributes.align) ? attributes.align : null;
+	const width = Math.round(Number(attributes.width)) || null;
+	if (!align && !width && !attributes.caption) return image;
+
+	const figureAttributes = `${align ? ` data-align="${align}"` : ''}${width ? ` data-width="${width}"` : ''}`;
+	const caption = attributes.caption ? `<figcaption>${escapeHtml(attributes.caption)}</figcaption>` : '';
+	return `<figure data-type="image"${figureAttributes}>${image}${caption}</figure>`;
+}
+
+function markdownToHtml(markdown, context = {}) {
+	const lines = String(markdown || '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+	return markdownBlocksToHtml(lines, context);
+}
+
+/* ---------- Markdown Paste ---------- */
+// Plain text with Markdown block syntax or inline formatting
+function looksLikeMarkdown(text) {
+	return /^ {0,3}(#{1,6}\s|>|`{3,}|~{3,}|([-*+]|\d{1,9}[.)])\s+\S|([-*_])(\s*\3){2,}\s*$)/m.test(text) ||
+		/(\*\*|__)\S[\s\S]*?\1|~~\S[\s\S]*?~~|==\S[^=]*==|\[[^\]\n]+\]\([^)\s]+\)|`[^`\n]+`/.test(text) ||
+		text.split(/\r?\n/).some((line, index, lines) => isMarkdownTableStart(lines, index));
+}
+
+// Clipboard HTML with real formatting (not just a styled wrapper from a code editor or terminal)
+function hasStructuredHtml(html) {
+	return /<(p|h[1-6]|ul|ol|li|blockquote|pre|table|strong|b|em|i|u|s|a|img)\b/i.test(html);
+}
+
+// Insert text verbatim, one paragraph per line
+function insertPlainText(text) {
+	const paragraphs = String(text || '').replace(/\r\n?/g, '\n').split('\n').map(line => ({
+		type: 'paragraph',
+		content: line ? [{ type: 'text', text: line }] : []
+	}));
+	editor.commands.insertContent(paragraphs.length === 1 ? paragraphs[0].content : paragraphs);
+}
+
+function markdownToChecklist(markdown, context = {}) {
+	const idBase = Date.now();
+	return String(markdown || '').split(/\r?\n/)
+		.map(line => line.match(/^\s*[-*+]\s+\[([ xX])\]\s*(?:\{:\s*(.*?)\s*\}\s*)?(.*)$/))
+		.filter(Boolean)
+		.map((match, index) => {
+			const due = parseMarkdownAttributes(match[2]).due;
+			return {
+				id: idBase + index,
+				text: htmlToPlainText(markdownInlineToHtml(match[3], context)),
+				completed: match[1] !== ' ',
+				dueDate: due && !Number.isNaN(Date.parse(due)) ? new Date(due).toISOString() : null
+			};
+		});
+}
+
+/* ---------- Front-Matter ---------- */
+function parseFrontMatterValue(value) {
+	const trimmed = String(value).trim();
+	if (/^".*"$/.test(trimmed)) {
+		try {
+			return JSON.parse(trimmed);
+		} catch (error) {
+			return trimmed.slice(1, -1);
+		}
+	}
+	if (/^'.*'$/.test(trimmed)) return trimmed.slice(1, -1).replace(/''/g, "'");
+	return trimmed;
+}
+
+function parseMarkdownFrontMatter(markdown) {
+	const match = markdown.match(/^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/);
+	if (!match) return { data: {}, body: markdown.replace(/^\uFEFF/, '') };
+
+	const data = {};
+	let listKey = null;
+	match[1].split(/\r?\n/).forEach(line => {
+		const item = line.match(/^\s*-\s+(.*)$/);
+		if (item && listKey) {
+			data[listKey].push(parseFrontMatterValue(item[1]));
+			return;
+		}
+
+		const pair = line.match(/^([\w-]+):\s*(.*)$/);
+		if (!pair) return;
+
+		const [, key, value] = pair;
+		listKey = null;
+		if (!value.trim()) {
+			data[key] = [];
+			listKey = key;
+		} else if (/^\[.*\]$/.test(value.trim())) {
+			data[key] = (value.trim().slice(1, -1).match(/"(?:\\.|[^"\\])*"|'(?:''|[^'])*'|[^,]+/g) || [])
+				.map(parseFrontMatterValue)
+				.filter(Boolean);
+		} else {
+			data[key] = parseFrontMatterValue(value);
+		}
+	});
+
+	return { data, body: markdown.slice(match[0].length) };
+}
+
+// Front-matter "tags" may be a list or a comma separated string, with or without '#'
+function getFrontMatterTagNames(tags) {
+	const names = Array.isArray(tags) ? tags : String(tags || '').split(',');
+	return [...new Set(names.map(name => String(name).trim().replace(/^#/, '')).filter(Boolean))];
+}
+
+function getFrontMatterDate(value) {
+	return value && !Number.isNaN(Date.parse(value)) ? new Date(value).toISOString() : null;
+}
+
+// Markdown document as note data in the shape saveNote writes (tags as names)
+function markdownToNote(markdown, fileName, context = {}) {
+	const { data, body } = parseMarkdownFrontMatter(String(markdown || '').replace(/\r\n?/g, '\n'));
+	let content = body;
+	let checklistMarkdown = '';
+
+	const markerIndex = content.indexOf(`\n${markdownChecklistMarker}`);
+	if (markerIndex >= 0 || content.startsWith(markdownChecklistMarker)) {
+		const start = markerIndex >= 0 ? markerIndex : 0;
+		checklistMarkdown = content.slice(start).replace(`${markdownChecklistMarker}`, '');
+		content = content.slice(0, start);
+	}
+
+	// Başlık yoksa ilk H1 başlığı, o da yoksa dosya adı kullanılır
+	let title = typeof data.title === 'string' ? data.title.trim() : '';
+	if (!title) {
+		const heading = content.match(/^\s*# +(.+?)\s*#*\s*(?:\n|$)/);
+		if (heading) {
+			title = htmlToPlainText(markdownInlineToHtml(heading[1], context));
+			content = content.slice(heading[0].length);
+		}
+	}
+	if (!title) {
+		title = fileName.replace(/\.(md|markdown)$/i, '').trim() || 'Başlıksız Not';
+	}
+
+	const now = new Date().toISOString();
+	return {
+		title,
+		content: DOMPurify.sanitize(markdownToHtml(content, context)),
+		checklistData: JSON.stringify(markdownToChecklist(checklistMarkdown, context)),
+		bgColor: '',
+		dueDate: getFrontMatterDate(data.due),
+		reminderDateTime: null,
+		parentNoteId: null,
+		createdAt: getFrontMatterDate(data.created) || now,
+		updatedAt: getFrontMatterDate(data.updated) || now,
+		isArchived: false,
+		isDeleted: false,
+		tagNames: getFrontMatterTagNames(data.tags)
+	};
+}
+
+/* ---------- Markdown Export ---------- */
+function getMarkdownFileName(title) {
+	const name = String(title || '').replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '-').replace(/\s+/g, ' ').trim();
+	return `${name || 'not'}.md`;
+}
+
+function downloadTextFile(fileName, text, type) {
+	const url = URL.createObjectURL(new Blob([text], { type }));
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = fileName;
+	document.body.appendChild(link);
+	link.click();
+	link.remove();
+	setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+async function exportNoteAsMarkdown(noteId) {
+	try {
+		const [note, tags, folders, notes] = await Promise.all([
+			window.getNoteById(noteId),
+			window.getAllTags(),
+			window.getAllFolders(),
+			window.getAllNotes()
+		]);
+		if (!note) {
+			showNotification('Not bulunamadı!', 'error');
+			return;
+		}
+
+		// Ekler .md dosyasına data URL olarak gömülür
+		const content = await inlineAttachmentImages(note.content);
+		downloadTextFile(getMarkdownFileName(note.title), noteToMarkdown({ ...note, content }, { tags, folders, notes }), 'text/markdown;charset=utf-8');
+		showNotification(`${note.title} Markdown olarak dışa aktarıldı!`, 'success');
+	} catch (error) {
+		console.error('Error exporting note as Markdown:', error);
+		showNotification('Not dışa aktarılırken hata oluştu!', 'error');
+	}
+}
+
+/* ---------- Markdown Import ---------- */
+let markdownImportFiles = [];
+
+async function openMarkdownImportModal(folderId = null) {
+	markdownImportFiles = [];
+	['markdown-import-files', 'markdown-import-directory'].forEach(id => {
+		const input = document.getElementById(id);
+		if (input) input.value = '';
+	});
+	updateMarkdownImportSummary();
+
+	const select = document.getElementById('markdown-import-folder-select');
+	if (select) {
+		select.innerHTML = '<option value="">Klasör yok</option>';
+		try {
+			buildFolderTree(await window.getAllFolders()).forEach(({ folder, depth }) => {
+				const option = document.createElement('option');
+				option.value = folder.id;
+				option.textContent = `${'\u00A0\u00A0'.repeat(depth)}${folder.name || 'İsimsiz Klasör'}`;
+				select.appendChild(option);
+			});
+		} catch (error) {
+			console.error('Error loading folders for import:', error);
+		}
+		select.value = folderId ? String(folderId) : '';
+	}
+
+	const modal = document.getElementById('markdown-import-modal');
+	if (modal) {
+		modal.classList.remove('d-none');
+		modal.classList.add('d-flex');
+	}
+}
+
+function closeMarkdownImportModal() {
+	const modal = document.getElementById('markdown-import-modal');
+	if (modal) {
+		modal.classList.add('d-none');
+		modal.classList.remove('d-flex');
+	}
+	markdownImportFiles = [];
+}
+
+function chooseMarkdownImportFiles(directory = false) {
+	const input = document.getElementById(directory ? 'markdown-import-directory' : 'markdown-import-files');
+	if (input) input.click();
+}
+
+function handleMarkdownImportFiles(input) {
+	// Klasör seçiminde .md olmayan dosyalar da gelir, onlar atlanır
+	markdownImportFiles = Array.from(input.files || [])
+		.filter(file => /\.(md|markdown)$/i.test(file.name))
+		.sort((a, b) => (a.webkitRelativePath || a.name).localeCompare(b.webkitRelativePath || b.name, 'tr'));
+	updateMarkdownImportSummary();
+}
+
+function updateMarkdownImportSummary() {
+	const summary = document.getElementById('markdown-import-summary');
+	if (summary) {
+		summary.textContent = markdownImportFiles.length > 0 ?
+			`${markdownImportFiles.length} Markdown dosyası seçildi.` :
+			'Henüz dosya seçilmedi.';
+	}
+
+	const confirmButton = document.getElementById('markdown-import-confirm');
+	if (confirmButton) confirmButton.disabled = markdownImportFiles.length === 0;
+}
+
+async function confirmMarkdownImport() {
+	if (markdownImportFiles.length === 0) {
+		showNotification('Lütfen içe aktarılacak Markdown dosyalarını seçin!', 'info');
+		return;
+	}
+
+	const select = document.getElementById('markdown-import-folder-select');
+	const folderId = select && select.value ? Number(select.value) : null;
+
+	try {
+		// [[Başlık]] bağlantıları mevcut notlara başlıkla eşlenir
+		const notesByTitle = new Map();
+		(await window.getAllNotes()).forEach(note => {
+			const key = (note.title || '').toLocaleLowerCase('tr');
+			if (!notesByTitle.has(key)) notesByTitle.set(key, note.id);
+		});
+		const context = {
+			resolveNoteLink: title => notesByTitle.get(title.toLocaleLowerCase('tr')) || null
+		};
+
+		const notesData = await Promise.all(markdownImportFiles.map(async file => markdownToNote(await file.text(), file.name, context)));
+		const result = await window.importNotes(notesData, { folderId });
+
+		closeMarkdownImportModal();
+		showUndoNotification(`${result.createdNoteIds.length} not içe aktarıldı!`, result.operation);
+	} catch (error) {
+		console.error('Error importing Markdown files:', error);
+		showNotification('Markdown dosyaları içe aktarılırken hata oluştu!', 'error');
+	}
+}
+
+window.exportNoteAsMarkdown = exportNoteAsMarkdown;
+window.openMarkdownImportModal = openMarkdownImportModal;
+window.closeMarkdownImportModal = closeMarkdownImportModal;
+window.chooseMarkdownImportFiles = chooseMarkdownImportFiles;
+window.handleMarkdownImportFiles = handleMarkdownImportFiles;
+window.confirmMarkdownImport = confirmMarkdownImport;
+/* ---------- Tables ---------- */
+const tableToolbar = document.getElementById('table-toolbar');
+const tableCellColorBtn = document.getElementById('table-cell-color-btn');
+
+const tableActions = {
+	addRowBefore: chain => chain.addRowBefore(),
+	addRowAfter: chain => chain.addRowAfter(),
+	deleteRow: chain => chain.deleteRow(),
+	addColumnBefore: chain => chain.addColumnBefore(),
+	addColumnAfter: chain => chain.addColumnAfter(),
+	deleteColumn: chain => chain.deleteColumn(),
+	toggleHeaderRow: chain => chain.toggleHeaderRow(),
+	mergeCells: chain => chain.mergeCells(),
+	splitCell: chain => chain.splitCell(),
+	deleteTable: chain => chain.deleteTable()
+};
+
+// The toolbar follows the cursor: visible inside a table, actions that cannot apply are disabled
+function updateTableToolbar() {
+	const inTable = editor.isActive('table');
+	tableToolbar.classList.toggle('d-none', !inTable);
+
+	if (!inTable) {
+		closePopup(tableCellColorPopup);
+		return;
+	}
+
+	tableToolbar.querySelectorAll('[data-table-action]').forEach(button => {
+		button.disabled = !tableActions[button.dataset.tableAction](editor.can().chain()).run();
+	});
+}
+
+function populateTableCellColors() {
+	const colorContainer = document.getElementById('table-cell-color-colors');
+	colorContainer.innerHTML = '';
+
+	bgColors.forEach(color => {
+		const swatch = document.createElement('button');
+		swatch.className = 'swatch';
+		swatch.dataset.color = color;
+		swatch.style.backgroundColor = color;
+		swatch.addEventListener('click', () => {
+			editor.chain().focus().setCellAttribute('backgroundColor', color).run();
+			closePopup(tableCellColorPopup);
+		});
+		colorContainer.appendChild(swatch);
+	});
+}
+
+// Spreadsheet copies without HTML: at least two rows with the same number of tab-separated cells
+function getTabSeparatedRows(text) {
+	return String(text).replace(/\r\n?/g, '\n').replace(/\n+$/, '').split('\n').map(line => line.split('\t'));
+}
+
+// Tab-indented text (source code) leaves the first column empty and is not a table
+function isTabSeparatedTable(text) {
+	const rows = getTabSeparatedRows(text);
+	return rows.length > 1 && rows[0].length > 1 &&
+		rows.every(cells => cells.length === rows[0].length) &&
+		rows.some(cells => cells[0].trim());
+}
+
+// The first row becomes the header row
+function tabSeparatedTextToTableHtml(text) {
+	const rows = getTabSeparatedRows(text).map((cells, index) => {
+		const tag = index === 0 ? 'th' : 'td';
+		return `<tr>${cells.map(cell => `<${tag}><p>${escapeHtml(cell.trim())}</p></${tag}>`).join('')}</tr>`;
+	});
+	return `<table><tbody>${rows.join('')}</tbody></table>`;
+}
+
+editor.on('selectionUpdate', updateTableToolbar);
+editor.on('update', updateTableToolbar);
+
+// Butonlar editör seçimini bozmasın
+tableToolbar.addEventListener('mousedown', (e) => {
+	if (e.target.closest('button')) e.preventDefault();
+});
+
+tableToolbar.addEventListener('click', (e) => {
+	const button = e.target.closest('[data-table-action]');
+	if (!button || button.disabled) return;
+	tableActions[button.dataset.tableAction](editor.chain().focus()).run();
+});
+
+tableCellColorBtn.addEventListener('click', (e) => {
+	e.stopPropagation();
+	closeAllPopupsAndModals('table-cell-color-popup');
+	const isOpen = !tableCellColorPopup.classList.contains('d-none');
+
+	if (isOpen) {
+		closePopup(tableCellColorPopup);
+	} else {
+		positionPopupAt(tableCellColorPopup, tableCellColorBtn.getBoundingClientRect());
+		openPopup(tableCellColorPopup);
+	}
+});
+
+$('table-cell-color-clear').onclick = () => {
+	editor.chain().focus().setCellAttribute('backgroundColor', null).run();
+	closePopup(tableCellColorPopup);
+};
+
+populateTableCellColors();
+
+/* ---------- Image Attachments ---------- */
+const imageMaxFileSize = 5 * 1024 * 1024;
+let imageDetailsGetPos = null;
+
+// Downscale like compressImage in the legacy prototype (noteflix-mvp-582.html), without enlarging small images
+function compressImage(src, maxWidth = 800, quality = 0.8) {
+	return new Promise((resolve, reject) => {
+		const img = new window.Image();
+		img.onload = () => {
+			const canvas = document.createElement('canvas');
+			const ctx = canvas.getContext('2d');
+
+			// Boyutları hesapla
+			const ratio = Math.min(1, maxWidth / img.width, maxWidth / img.height);
+			canvas.width = Math.round(img.width * ratio);
+			canvas.height = Math.round(img.height * ratio);
+
+			// JPEG saydamlık taşımaz, saydam alanlar beyaz olur
+			ctx.fillStyle = '#fff';
+			ctx.fillRect(0, 0, canvas.width, canvas.height);
+			ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+			// Sıkıştır
+			resolve(canvas.toDataURL('image/jpeg', quality));
+		};
+		img.onerror = () => reject(new Error('Resim okunamadı'));
+		img.src = src;
+	});
+}
+
+// GIF (animation) and SVG are stored as they are; otherwise the smaller of original and compressed wins
+async function prepareImageBlob(file) {
+	if (/^image\/(gif|svg\+xml)$/.test(file.type)) return file;
+
+	const objectUrl = URL.createObjectURL(file);
+	try {
+		const compressed = await (await fetch(await compressImage(objectUrl))).blob();
+		return compressed.size < file.size ? compressed : file;
+	} finally {
+		URL.revokeObjectURL(objectUrl);
+	}
+}
+
+// Store each image as an attachment (identical images share one) and insert a reference to it
+async function insertImageFiles(files, position = null) {
+	for (const file of files) {
+		if (file.size > imageMaxFileSize) {
+			showNotification(`${file.name} 5MB'dan büyük olduğu için eklenmedi`, 'error');
+			continue;
+		}
+
+		try {
+			const blob = await prepareImageBlob(file);
+			const { id } = await window.addAttachment(blob);
+			const image = {
+				type: 'image',
+				attrs: {
+					attachmentId: id,
+					alt: file.name.replace(/\.[^.]+$/, '') || null
+				}
+			};
+
+			if (position === null) {
+				editor.chain().focus().insertContent(image).run();
+			} else {
+				editor.chain().focus().insertContentAt(position, image).run();
+				// Sonraki resimler ilkinin ardına eklenir
+				position = null;
+			}
+		} catch (error) {
+			console.error('Error inserting image:', error);
+			showNotification('Resim eklenirken hata oluştu!', 'error');
+		}
+	}
+}
+
+function readBlobAsDataUrl(blob) {
+	return new Promise((resolve, reject) => {
+		const reader = new FileReader();
+		reader.onload = () => resolve(reader.result);
+		reader.onerror = () => reject(reader.error);
+		reader.readAsDataURL(blob);
+	});
+}
+
+// Attachment references become data URLs for exports that leave the database
+async function inlineAttachmentImages(content) {
+	const html = String(content || '');
+	const ids = window.extractAttachmentIds(html);
+	if (ids.length === 0) return html;
+
+	const dataUrls = new Map();
+	for (const id of ids) {
+		const attachment = await window.getAttachmentById(id);
+		if (attachment) dataUrls.set(id, await readBlobAsDataUrl(attachment.blob));
+	}
+
+	return html.replace(/data-attachment-id="(\d+)"/g, (match, id) => {
+		const dataUrl = dataUrls.get(Number(id));
+		return dataUrl ? `src="${dataUrl}"` : match;
+	});
+}
+
+// Move legacy base64 images out of note content and drop attachments nothing references
+async function maintainAttachments() {
+	const movedNoteIds = await window.moveInlineImagesToAttachments();
+	await window.deleteUnusedAttachments();
+	return movedNoteIds;
+}
+
+function openImageDetailsPopup(node, getPos, anchor) {
+	closeAllPopups();
+	imageDetailsGetPos = getPos;
+	$('image-alt-input').value = node.attrs.alt || '';
+	$('image-caption-input').value = node.attrs.caption || '';
+	positionPopupAt(imageDetailsPopup, anchor.getBoundingClientRect());
+	openPopup(imageDetailsPopup);
+	setTimeout(() => $('image-alt-input').focus(), 0);
+}
+
+function closeImageDetailsPopup() {
+	imageDetailsGetPos = null;
+	closePopup(imageDetailsPopup);
+}
+
+function saveImageDetails() {
+	if (typeof imageDetailsGetPos === 'function') {
+		const pos = imageDetailsGetPos();
+		const alt = $('image-alt-input').value.trim() || null;
+		const caption = $('image-caption-input').value.trim() || null;
+
+		editor.chain().focus().command(({ tr }) => {
+			const node = tr.doc.nodeAt(pos);
+			if (!node || node.type.name !== 'image') return false;
+			tr.setNodeMarkup(pos, undefined, { ...node.attrs, alt, caption });
+			return true;
+		}).run();
+	}
+	closeImageDetailsPopup();
+}
+
+$('image-details-cancel').onclick = closeImageDetailsPopup;
+$('image-details-save').onclick = saveImageDetails;
+
+imageDetailsPopup.addEventListener('keydown', (e) => {
+	if (e.key === 'Enter') {
+		e.preventDefault();
+		saveImageDetails();
+	} else if (e.key === 'Escape') {
+		e.preventDefault();
+		closeImageDetailsPopup();
+		editor.commands.focus();
+	}
+});
+
 // This is just a sample script. Paste your real code (javascript or HTML) here.
\ No newline at end of file